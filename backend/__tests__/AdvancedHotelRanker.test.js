@@ -0,0 +1,79 @@
+const AdvancedHotelRanker = require('../services/AdvancedHotelRanker');
+
+describe('AdvancedHotelRanker', () => {
+  let ranker;
+
+  // Likely price error, far from the parks, non-refundable
+  const glitchRate = {
+    hotelName: 'Airport Budget Inn',
+    price: 39,
+    priceError: { severity: 'CRITICAL', confidence: 92, potentialSavings: 140 },
+    location: { latitude: 28.4300, longitude: -81.3100 }
+  };
+  // Normal rate, monorail to Magic Kingdom, free cancellation
+  const familyPick = {
+    hotelName: "Disney's Contemporary Resort",
+    price: 420,
+    cancellationDeadline: '2099-01-01',
+    cancellationType: 'FULL_STAY',
+    location: { latitude: 28.4149, longitude: -81.5746 }
+  };
+
+  beforeEach(() => {
+    ranker = new AdvancedHotelRanker();
+  });
+
+  describe('validateRanking', () => {
+    it('should accept profiles and weight sets that sum to 1', () => {
+      expect(ranker.validateRanking({})).toEqual([]);
+      expect(ranker.validateRanking({ profile: 'FAMILY_FLEXIBLE' })).toEqual([]);
+      expect(ranker.validateRanking({ weights: { parkAccess: 0.6, cancellation: 0.3, valueScore: 0.1 } })).toEqual([]);
+    });
+
+    it('should reject unknown profiles and factors and weights not summing to 1', () => {
+      expect(ranker.validateRanking({ profile: 'YOLO' })[0]).toMatch(/Ranking profile must be one of/);
+      expect(ranker.validateRanking({ profile: 'BALANCED', weights: { priceError: 1 } })[0]).toMatch(/not both/);
+
+      const errors = ranker.validateRanking({ weights: { pool: 0.5, cancellation: -0.2 } });
+      expect(errors).toEqual([
+        expect.stringMatching(/Unknown ranking factor: pool/),
+        'Weight for cancellation must be a number between 0 and 1',
+        'Weights must sum to 1 (got 0.3)'
+      ]);
+    });
+  });
+
+  describe('resolveRanking', () => {
+    it('should fill factors missing from custom weights with 0', () => {
+      const ranking = ranker.resolveRanking({ weights: { parkAccess: 0.5, cancellation: 0.5 } });
+
+      expect(ranking.profile).toBe('CUSTOM');
+      expect(ranking.weights).toMatchObject({ priceError: 0, parkAccess: 0.5, cancellation: 0.5 });
+    });
+
+    it('should default to the balanced profile', () => {
+      expect(ranker.resolveRanking({})).toEqual({ profile: 'BALANCED', weights: ranker.weights });
+    });
+  });
+
+  describe('rankHotels', () => {
+    it('should reorder hotels by profile', async () => {
+      const deepSavings = await ranker.rankHotels([familyPick, glitchRate], { profile: 'DEEP_SAVINGS' });
+      const family = await ranker.rankHotels([glitchRate, familyPick], { profile: 'FAMILY_FLEXIBLE' });
+
+      expect(deepSavings[0].hotelName).toBe('Airport Budget Inn');
+      expect(family[0].hotelName).toBe("Disney's Contemporary Resort");
+    });
+
+    it('should explain each factor contribution to the composite score', async () => {
+      const [top] = await ranker.rankHotels([glitchRate, familyPick], { weights: { parkAccess: 0.5, cancellation: 0.5 } });
+      const { profile, factors } = top.scoreExplanation;
+
+      expect(profile).toBe('CUSTOM');
+      expect(factors).toHaveLength(7);
+      expect(factors[0]).toMatchObject({ weight: 0.5, score: 100, contribution: 50 });
+      expect(factors.find(f => f.factor === 'priceError')).toMatchObject({ weight: 0, contribution: 0 });
+      expect(factors.reduce((sum, f) => sum + f.contribution, 0)).toBeCloseTo(top.compositeScore, 1);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const AirportTransferModel = require('../services/AirportTransferModel');
+
+describe('AirportTransferModel', () => {
+  let model;
+
+  beforeEach(() => {
+    model = new AirportTransferModel();
+  });
+
+  describe('estimate', () => {
+    it('should price a round-trip rideshare with tolls and pickup wait', () => {
+      expect(model.estimate('MCO', 'DISNEY')).toEqual({
+        airport: 'MCO',
+        hotelArea: 'DISNEY',
+        mode: 'RIDESHARE',
+        miles: 22,
+        road: 'SR 417',
+        oneWayMinutes: 45,
+        oneWayCost: 50.7,
+        trips: 2,
+        cost: 101.4
+      });
+    });
+
+    it('should count only fuel and tolls when the party rents a car anyway', () => {
+      expect(model.estimate('tpa', 'disney world', { mode: 'RENTAL_CAR' })).toMatchObject({
+        hotelArea: 'DISNEY',
+        oneWayMinutes: 80,
+        oneWayCost: 11.25,
+        cost: 22.5
+      });
+    });
+
+    it('should book an XL ride for large parties and one trip for one-way flights', () => {
+      expect(model.estimate('SFB', 'universal', { travelers: 6, roundTrip: false })).toMatchObject({ oneWayCost: 114.4, trips: 1, cost: 114.4 });
+    });
+
+    it('should take tolls from the toll model and share its rideshare fare', () => {
+      expect(model.estimate('SFB', 'DISNEY', { mode: 'RENTAL_CAR' })).toMatchObject({ road: 'SR 417', oneWayCost: 15 });
+      expect(model.estimate('SFB', 'DOWNTOWN')).toMatchObject({ road: 'I-4', oneWayCost: 52.5 });
+      expect(model.rideshareFare(2)).toBe(12);
+      expect(model.rideshareFare(10, 6)).toBe(38.4);
+    });
+
+    it('should reject areas without drive data', () => {
+      expect(() => model.estimate('MCO', 'LEGOLAND')).toThrow('No transfer estimate from MCO to LEGOLAND');
+    });
+  });
+
+  describe('validate', () => {
+    it('should check airports, hotel areas and transfer modes', () => {
+      expect(model.validate({ airports: ['MCO', 'sfb'], hotelArea: 'i-drive', transferMode: 'RENTAL_CAR' })).toEqual([]);
+      expect(model.validate({ airports: ['JAX'], hotelArea: 'Narnia', transferMode: 'TELEPORT' })).toEqual([
+        'Unknown airport JAX. Use: MCO, SFB, TPA',
+        expect.stringMatching(/^hotelArea "Narnia" is not a known area/),
+        'transferMode must be one of RIDESHARE, RENTAL_CAR'
+      ]);
+    });
+
+    it('should check alternate origins for format, repeats and count', () => {
+      expect(model.validate({ origin: 'JFK', originAlternates: ['EWR', 'lga'] })).toEqual([]);
+      expect(model.validate({ origin: 'JFK', originAlternates: ['EWR', 'ewr', 'jfk', 'NEWARK'] })).toEqual([
+        'originAlternates must list at most 3 airports'
+      ]);
+      expect(model.validate({ origin: 'JFK', originAlternates: ['EWR', 'ewr', 'jfk'] })).toEqual([
+        'Alternate origin EWR is already being searched',
+        'Alternate origin JFK is already being searched'
+      ]);
+      expect(model.validate({ origin: 'JFK', originAlternates: ['NEWARK'] })).toEqual([
+        'Alternate origin NEWARK is not a 3-letter airport code'
+      ]);
+    });
+  });
+});
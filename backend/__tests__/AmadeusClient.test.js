@@ -0,0 +1,176 @@
+const AmadeusClient = require('../services/AmadeusClient');
+
+jest.mock('axios');
+const axios = require('axios');
+
+describe('AmadeusClient', () => {
+  let client;
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    delete process.env.AMADEUS_ENV;
+    delete process.env.AMADEUS_BASE_URL;
+
+    client = new AmadeusClient({ apiKey: 'key', apiSecret: 'secret' });
+    axios.post.mockResolvedValue({
+      data: { access_token: 'token_1', expires_in: 1800 }
+    });
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('environment selection', () => {
+    it('should default to the test environment', () => {
+      expect(client.environment).toBe('test');
+      expect(client.baseUrl).toBe('https://test.api.amadeus.com');
+    });
+
+    it('should use the production host when AMADEUS_ENV=production', () => {
+      process.env.AMADEUS_ENV = 'production';
+      const production = new AmadeusClient({ apiKey: 'key', apiSecret: 'secret' });
+
+      expect(production.environment).toBe('production');
+      expect(production.baseUrl).toBe('https://api.amadeus.com');
+    });
+
+    it('should strip version suffixes from a host override', () => {
+      process.env.AMADEUS_BASE_URL = 'https://test.api.amadeus.com/v3/';
+      expect(new AmadeusClient().baseUrl).toBe('https://test.api.amadeus.com');
+    });
+
+    it('should report the environment of an Amadeus host override', () => {
+      process.env.AMADEUS_BASE_URL = 'https://api.amadeus.com/v1';
+      expect(new AmadeusClient().getStatus()).toMatchObject({
+        environment: 'production',
+        configuredEnvironment: 'test',
+        baseUrl: 'https://api.amadeus.com'
+      });
+
+      process.env.AMADEUS_BASE_URL = 'https://amadeus-proxy.internal.example.com';
+      expect(new AmadeusClient().getStatus().environment).toBe('test');
+    });
+
+    it('should reject unknown environments', () => {
+      expect(() => new AmadeusClient({ environment: 'staging' }))
+        .toThrow('Invalid Amadeus environment');
+    });
+  });
+
+  describe('getInstance', () => {
+    it('should share one client while credentials are unchanged', () => {
+      process.env.AMADEUS_API_KEY = 'shared_key';
+      process.env.AMADEUS_API_SECRET = 'shared_secret';
+
+      expect(AmadeusClient.getInstance()).toBe(AmadeusClient.getInstance());
+    });
+
+    it('should create a new client when credentials change', () => {
+      process.env.AMADEUS_API_KEY = 'shared_key';
+      process.env.AMADEUS_API_SECRET = 'shared_secret';
+      const first = AmadeusClient.getInstance();
+
+      process.env.AMADEUS_API_KEY = 'rotated_key';
+      expect(AmadeusClient.getInstance()).not.toBe(first);
+    });
+
+    it('should keep one client per environment', () => {
+      expect(AmadeusClient.getInstance({ environment: 'production' }).environment).toBe('production');
+      expect(AmadeusClient.getInstance().environment).toBe('test');
+    });
+  });
+
+  describe('getAccessToken', () => {
+    it('should share one token request between concurrent callers', async () => {
+      const tokens = await Promise.all([client.getAccessToken(), client.getAccessToken()]);
+
+      expect(tokens).toEqual(['token_1', 'token_1']);
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('request', () => {
+    it('should refresh the token and retry once on 401', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: { access_token: 'expired', expires_in: 1800 } })
+        .mockResolvedValueOnce({ data: { access_token: 'fresh', expires_in: 1800 } });
+      axios
+        .mockRejectedValueOnce({ message: 'Unauthorized', response: { status: 401, headers: {} } })
+        .mockResolvedValueOnce({ status: 200, data: { data: ['ok'] } });
+
+      const result = await client.request('GET', '/v2/shopping/flight-offers', { params: { max: 1 } });
+
+      expect(result).toEqual({ data: ['ok'] });
+      expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(axios.mock.calls[1][0].headers.Authorization).toBe('Bearer fresh');
+    });
+
+    it('should not retry a second 401', async () => {
+      const unauthorized = { message: 'Unauthorized', response: { status: 401, headers: {} } };
+      axios.mockRejectedValue(unauthorized);
+
+      await expect(client.request('GET', '/v1/reference-data/airlines')).rejects.toBe(unauthorized);
+      expect(axios).toHaveBeenCalledTimes(2);
+    });
+
+    it('should back off on 429 and retry', async () => {
+      axios
+        .mockRejectedValueOnce({ message: 'Too Many Requests', response: { status: 429, headers: { 'retry-after': '0' } } })
+        .mockResolvedValueOnce({ status: 200, data: { data: [] } });
+
+      await client.request('GET', '/v3/shopping/hotel-offers');
+
+      expect(axios).toHaveBeenCalledTimes(2);
+      expect(client.getTraces()[0].retries).toEqual([
+        { status: 429, reason: 'rate_limited', delayMs: 0 }
+      ]);
+    });
+
+    it('should give up after maxRetries rate-limited attempts', async () => {
+      client.maxRetries = 1;
+      const rateLimited = { message: 'Too Many Requests', response: { status: 429, headers: { 'retry-after': '0' } } };
+      axios.mockRejectedValue(rateLimited);
+
+      await expect(client.request('GET', '/v3/shopping/hotel-offers')).rejects.toBe(rateLimited);
+      expect(axios).toHaveBeenCalledTimes(2);
+    });
+
+    it('should send a trace ID and record the request', async () => {
+      axios.mockResolvedValue({ status: 200, data: { data: [] } });
+
+      await client.request('GET', '/v1/travel/analytics/air-traffic/busiest-period');
+
+      const [trace] = client.getTraces();
+      expect(axios.mock.calls[0][0].headers['ama-client-ref']).toBe(trace.traceId);
+      expect(trace).toMatchObject({
+        method: 'GET',
+        path: '/v1/travel/analytics/air-traffic/busiest-period',
+        status: 200,
+        error: null
+      });
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should read Retry-After in seconds', () => {
+      expect(client.getRetryDelay({ 'retry-after': '2' }, 0)).toBe(2000);
+    });
+
+    it('should read Retry-After as an HTTP date', () => {
+      const retryAt = new Date(Date.now() + 5000).toUTCString();
+      const delay = client.getRetryDelay({ 'retry-after': retryAt }, 0);
+
+      expect(delay).toBeGreaterThan(3000);
+      expect(delay).toBeLessThanOrEqual(5000);
+    });
+
+    it('should fall back to exponential back-off, capped', () => {
+      expect(client.getRetryDelay({}, 0)).toBe(1000);
+      expect(client.getRetryDelay({}, 2)).toBe(4000);
+      expect(client.getRetryDelay({ 'retry-after': '600' }, 0)).toBe(client.maxRetryDelayMs);
+    });
+  });
+});
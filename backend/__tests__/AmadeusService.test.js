@@ -104,6 +104,18 @@ describe('AmadeusService', () => {
     });
   });
 
+  describe('validatePassengers', () => {
+    it('should require whole, non-negative traveler and bag counts', () => {
+      expect(amadeusService.validatePassengers({ adults: 2, children: 0, checkedBags: 1, carryOns: 0 })).toEqual([]);
+      expect(amadeusService.validatePassengers({ adults: 0, children: -1, checkedBags: 1.5, carryOns: NaN })).toEqual([
+        'adults must be a whole number of at least 1',
+        'children must be a whole number of 0 or more',
+        'checkedBags must be a whole number of 0 or more',
+        'carryOns must be a whole number of 0 or more'
+      ]);
+    });
+  });
+
   describe('searchFlights', () => {
     beforeEach(() => {
       // Mock successful token retrieval
@@ -254,6 +266,36 @@ describe('AmadeusService', () => {
       });
       expect(result.data[0].outbound.segments[0].carrier.name).toBe('Delta Air Lines');
     });
+
+    it('should attach the fare brand and all-in cost for the party', () => {
+      const offer = {
+        id: 'flight_2',
+        price: { currency: 'USD', total: '300.00', base: '250.00', grandTotal: '300.00' },
+        itineraries: [{
+          duration: 'PT2H30M',
+          segments: [{
+            departure: { iataCode: 'EWR', at: '2025-01-15T08:00:00' },
+            arrival: { iataCode: 'MCO', at: '2025-01-15T10:30:00' },
+            carrierCode: 'UA',
+            number: '1500',
+            duration: 'PT2H30M'
+          }]
+        }],
+        travelerPricings: ['1', '2'].map(travelerId => ({
+          travelerId,
+          travelerType: 'ADULT',
+          price: { total: '150.00' },
+          fareDetailsBySegment: [{ segmentId: '1', brandedFare: 'BE', brandedFareLabel: 'BASIC ECONOMY', includedCheckedBags: { quantity: 0 } }]
+        })),
+        validatingAirlineCodes: ['UA']
+      };
+
+      const [flight] = amadeusService.processFlightResults({ data: [offer] }, { adults: 2, seatSelection: false }).data;
+
+      expect(flight.fare).toMatchObject({ brand: 'BE', basicEconomy: true, includedCabinBags: 0 });
+      // 2 travelers: $35 checked bag + $40 carry-on each
+      expect(flight.allInCost).toMatchObject({ fare: 300, bagFees: 150, seatFees: 0, total: 450 });
+    });
   });
 
   describe('processItinerary', () => {
@@ -378,6 +420,56 @@ describe('AmadeusService', () => {
     });
   });
 
+  describe('searchOrlandoArea', () => {
+    const fares = { MCO: 900, SFB: 700, TPA: 780 };
+
+    beforeEach(() => {
+      jest.spyOn(amadeusService, 'searchFlights').mockImplementation(async ({ origin, destination }) => {
+        if (origin === 'EWR' && destination === 'TPA') throw new Error('Search failed');
+        return {
+          data: [
+            { id: `${destination}-1`, allInCost: { total: fares[destination] + 50 }, outbound: { duration: 'PT2H45M' } },
+            { id: `${destination}-2`, allInCost: { total: fares[destination] }, outbound: { duration: 'PT2H30M' } }
+          ]
+        };
+      });
+    });
+
+    it('should rank airports by all-in fare plus ground transfer', async () => {
+      const result = await amadeusService.searchOrlandoArea({
+        origin: 'jfk',
+        departureDate: '2025-01-15',
+        returnDate: '2025-01-20',
+        adults: 2,
+        children: 2
+      });
+
+      // Rideshare to Disney and back: MCO $101.40, SFB $215, TPA $295
+      expect(result.comparisons.map(c => [c.destination, c.effectiveTotal, c.savingsVsMco])).toEqual([
+        ['SFB', 915, 86.4],
+        ['MCO', 1001.4, 0],
+        ['TPA', 1075, -73.6]
+      ]);
+      expect(result.best).toMatchObject({ origin: 'JFK', flightCost: 700, flightCount: 2, doorToHotelMinutes: 225 });
+      expect(result.best.flight.id).toBe('SFB-2');
+      expect(result.baseline.destination).toBe('MCO');
+    });
+
+    it('should search alternate origins and keep going when a route fails', async () => {
+      const result = await amadeusService.searchOrlandoArea({
+        origin: 'JFK',
+        originAlternates: ['EWR', 'jfk'],
+        departureDate: '2025-01-15',
+        transferMode: 'RENTAL_CAR'
+      });
+
+      expect(amadeusService.searchFlights).toHaveBeenCalledTimes(6);
+      expect(result.comparisons).toHaveLength(5);
+      expect(result.errors).toEqual([{ origin: 'EWR', destination: 'TPA', error: 'Search failed' }]);
+      expect(result.comparisons[0].transfer).toMatchObject({ mode: 'RENTAL_CAR', trips: 1 });
+    });
+  });
+
   describe('searchFlightsFromMultipleOrigins', () => {
     beforeEach(() => {
       axios.post.mockResolvedValue({
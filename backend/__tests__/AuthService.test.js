@@ -0,0 +1,133 @@
+const AuthService = require('../services/AuthService');
+
+describe('AuthService', () => {
+  let auth;
+
+  beforeEach(() => {
+    auth = new AuthService({ filePath: null });
+  });
+
+  describe('validateRegistration', () => {
+    it('should accept a valid registration', () => {
+      expect(auth.validateRegistration({ email: 'a@example.com', password: 'longenough' })).toEqual([]);
+    });
+
+    it('should reject bad emails, short passwords and bad preferences', () => {
+      const errors = auth.validateRegistration({
+        email: 'not-an-email',
+        password: 'short',
+        preferences: { budget: -5, favoriteDestinations: 'Orlando' }
+      });
+
+      expect(errors).toHaveLength(4);
+    });
+  });
+
+  describe('passwords', () => {
+    it('should hash with a per-user salt and verify', async () => {
+      const first = await auth.hashPassword('secret-password');
+      const second = await auth.hashPassword('secret-password');
+
+      expect(first).not.toBe(second);
+      expect(first).not.toContain('secret-password');
+      expect(await auth.verifyPassword('secret-password', first)).toBe(true);
+      expect(await auth.verifyPassword('wrong-password', first)).toBe(false);
+    });
+  });
+
+  describe('register and login', () => {
+    it('should register a user with default preferences and sign them in', async () => {
+      const session = await auth.register({ email: 'Traveler@Example.com', password: 'password123', name: 'Sam' });
+
+      expect(session.token).toBeTruthy();
+      expect(session.user).toMatchObject({ email: 'traveler@example.com', name: 'Sam' });
+      expect(session.user.preferences.favoriteDestinations).toEqual(['Orlando, FL']);
+      expect(session.user).not.toHaveProperty('passwordHash');
+      expect(auth.getUserByToken(session.token).id).toBe(session.user.id);
+    });
+
+    it('should refuse a duplicate email', async () => {
+      await auth.register({ email: 'a@example.com', password: 'password123' });
+      expect(await auth.register({ email: 'A@example.com', password: 'password456' })).toBeNull();
+    });
+
+    it('should log in with the right password only', async () => {
+      await auth.register({ email: 'a@example.com', password: 'password123' });
+
+      expect(await auth.login('a@example.com', 'password123')).toHaveProperty('token');
+      expect(await auth.login('a@example.com', 'wrongpassword')).toBeNull();
+      expect(await auth.login('missing@example.com', 'password123')).toBeNull();
+    });
+
+    it('should spend the same scrypt work on unknown emails', async () => {
+      const verify = jest.spyOn(auth, 'verifyPassword');
+
+      expect(await auth.login('missing@example.com', 'password123')).toBeNull();
+      expect(verify).toHaveBeenCalledWith('password123', expect.stringMatching(/^scrypt\$/));
+      expect(await verify.mock.results[0].value).toBe(false);
+    });
+  });
+
+  describe('sessions', () => {
+    it('should not store raw tokens', async () => {
+      const { token } = await auth.register({ email: 'a@example.com', password: 'password123' });
+      expect(JSON.stringify(auth.store.load().sessions)).not.toContain(token);
+    });
+
+    it('should revoke a session on logout', async () => {
+      const { token } = await auth.register({ email: 'a@example.com', password: 'password123' });
+
+      expect(auth.logout(token)).toBe(true);
+      expect(auth.getUserByToken(token)).toBeNull();
+      expect(auth.logout(token)).toBe(false);
+    });
+
+    it('should expire sessions', async () => {
+      const { token } = await auth.register({ email: 'a@example.com', password: 'password123' });
+      const [session] = Object.values(auth.store.load().sessions);
+      session.expiresAt = new Date(Date.now() - 1000).toISOString();
+
+      expect(auth.getUserByToken(token)).toBeNull();
+    });
+  });
+
+  describe('preferences', () => {
+    it('should merge preference updates and expose them to other features', async () => {
+      const { user } = await auth.register({
+        email: 'a@example.com',
+        password: 'password123',
+        preferences: { budget: 2000, travelStyle: 'family' }
+      });
+
+      const updated = auth.updateUser(user.id, { preferences: { budget: '2500' } });
+
+      expect(updated.preferences).toMatchObject({ budget: 2500, travelStyle: 'family' });
+      expect(auth.getPreferences(user.id).budget).toBe(2500);
+      expect(auth.getPreferences('unknown').favoriteDestinations).toEqual(['Orlando, FL']);
+    });
+
+    it('should return null when updating an unknown user', () => {
+      expect(auth.updateUser('missing', { name: 'X' })).toBeNull();
+    });
+  });
+
+  describe('middleware', () => {
+    const buildReq = (authorization) => ({ get: (header) => (header === 'Authorization' ? authorization : undefined) });
+
+    it('should read bearer tokens', () => {
+      expect(AuthService.getBearerToken(buildReq('Bearer abc123'))).toBe('abc123');
+      expect(AuthService.getBearerToken(buildReq('Basic abc123'))).toBeNull();
+      expect(AuthService.getBearerToken(buildReq(undefined))).toBeNull();
+    });
+
+    it('should reject anonymous requests in requireAuth', () => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      AuthService.requireAuth()({ user: null }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const CarRentalQuote = require('../services/CarRentalQuote');
+const RateTableCarRentalProvider = require('../services/RateTableCarRentalProvider');
+
+describe('CarRentalQuote', () => {
+  const fields = {
+    provider: 'test',
+    company: 'Hertz',
+    location: { name: 'Hertz MCO', code: 'MCO', type: 'ON_AIRPORT' },
+    acriss: 'ifar',
+    pickupDate: '2026-03-10',
+    returnDate: '2026-03-14',
+    price: { dailyRate: 60, taxes: 20, airportFees: 30.5, otherFees: 8 },
+    fuelPolicy: 'FULL_TO_FULL'
+  };
+
+  it('should compute totals from the daily rate and line items', () => {
+    const quote = new CarRentalQuote(fields);
+
+    expect(quote.rentalDays).toBe(4);
+    expect(quote.price).toEqual({
+      currency: 'USD',
+      dailyRate: 60,
+      baseTotal: 240,
+      taxes: 20,
+      airportFees: 30.5,
+      otherFees: 8,
+      total: 298.5,
+      allInDailyRate: 74.63
+    });
+    expect(quote.mileage.unlimited).toBe(true);
+    expect(quote.dealHints).toEqual([]);
+  });
+
+  it('should decode the ACRISS car class', () => {
+    const quote = new CarRentalQuote(fields);
+
+    expect(quote.carClass).toMatchObject({
+      acriss: 'IFAR',
+      category: 'Intermediate',
+      type: 'SUV',
+      transmission: 'Automatic',
+      airConditioning: true,
+      description: 'Intermediate SUV Automatic'
+    });
+  });
+
+  it('should fall back to safe defaults for unknown values', () => {
+    const quote = new CarRentalQuote({ ...fields, fuelPolicy: 'whatever', location: { name: 'X', type: 'DOWNTOWN' } });
+
+    expect(quote.fuelPolicy).toBe('UNKNOWN');
+    expect(quote.location.type).toBe('ON_AIRPORT');
+  });
+
+  it('should resolve car type names and ACRISS codes', () => {
+    expect(CarRentalQuote.resolveCarType('SUV')).toBe('IFAR');
+    expect(CarRentalQuote.resolveCarType('scar')).toBe('SCAR');
+    expect(CarRentalQuote.resolveCarType('spaceship')).toBeNull();
+    expect(CarRentalQuote.resolveCarType('')).toBeNull();
+  });
+
+  it('should match car classes on category and type', () => {
+    const quote = new CarRentalQuote(fields);
+
+    expect(quote.matchesCarClass('IFMR')).toBe(true);
+    expect(quote.matchesCarClass('ICAR')).toBe(false);
+    expect(quote.matchesCarClass(null)).toBe(true);
+  });
+});
+
+describe('RateTableCarRentalProvider', () => {
+  const provider = new RateTableCarRentalProvider({
+    rates: { ECAR: 40 },
+    companies: {
+      Alamo: { rateFactor: 1, offAirport: { name: 'Alamo I-Drive', code: 'ORLA' } },
+      'Fox Rent A Car': { rateFactor: 0.8, shuttleOnly: true }
+    }
+  });
+
+  it('should apply airport fees only at terminal counters', () => {
+    const onAirport = provider.calculatePrice(40, 3, 'ON_AIRPORT');
+    const offAirport = provider.calculatePrice(40, 3, 'OFF_AIRPORT');
+
+    expect(onAirport.dailyRate).toBe(40);
+    expect(onAirport.airportFees).toBeCloseTo(120 * 0.1111 + 7.5, 2);
+    expect(onAirport.otherFees).toBe(6);
+    expect(onAirport.taxes).toBeCloseTo((120 + onAirport.airportFees + 6) * 0.065, 2);
+    expect(offAirport.dailyRate).toBe(34);
+    expect(offAirport.airportFees).toBe(0);
+  });
+
+  it('should apply weekly pricing from five days', () => {
+    expect(provider.calculatePrice(40, 5, 'ON_AIRPORT').dailyRate).toBe(34);
+  });
+
+  it('should quote every counter for the requested class', async () => {
+    const quotes = await provider.searchQuotes({
+      pickupDate: '2026-03-10',
+      returnDate: '2026-03-13',
+      carClass: 'ECAR'
+    });
+
+    expect(quotes).toHaveLength(3);
+    expect(quotes.every(quote => quote instanceof CarRentalQuote && quote.estimated)).toBe(true);
+    expect(quotes.map(q => [q.company, q.location.type, q.location.shuttle])).toEqual([
+      ['Alamo', 'ON_AIRPORT', false],
+      ['Alamo', 'OFF_AIRPORT', false],
+      ['Fox Rent A Car', 'OFF_AIRPORT', true]
+    ]);
+  });
+
+  it('should return no quotes for a class it does not carry', async () => {
+    const quotes = await provider.searchQuotes({ pickupDate: '2026-03-10', returnDate: '2026-03-13', carClass: 'XCAR' });
+    expect(quotes).toEqual([]);
+  });
+});
@@ -308,4 +308,301 @@ describe('CarRentalService', () => {
       expect(Array.isArray(results)).toBe(true);
     });
   });
+
+  describe('validateQuoteSearch', () => {
+    it('should reject bad dates and unknown car types', () => {
+      expect(carRentalService.validateQuoteSearch({ pickupDate: '2026-03-10', returnDate: '2026-03-14', carType: 'suv' })).toEqual([]);
+      expect(carRentalService.validateQuoteSearch({ pickupDate: '03/10/2026' })).toEqual(['pickupDate must be a valid date (YYYY-MM-DD)']);
+      expect(carRentalService.validateQuoteSearch({ pickupDate: '2026-03-14', returnDate: '2026-03-10' })).toEqual(['returnDate must be after pickupDate']);
+      expect(carRentalService.validateQuoteSearch({ carType: 'hovercraft' })[0]).toMatch(/Unknown car type/);
+    });
+  });
+
+  describe('getQuotes', () => {
+    const CarRentalQuote = require('../services/CarRentalQuote');
+
+    const buildQuote = (company, acriss, dailyRate) => new CarRentalQuote({
+      provider: 'stub',
+      company,
+      location: { name: `${company} MCO`, code: 'MCO', type: 'ON_AIRPORT' },
+      acriss,
+      pickupDate: '2026-03-10',
+      returnDate: '2026-03-14',
+      price: { dailyRate }
+    });
+
+    let provider;
+
+    beforeEach(() => {
+      provider = {
+        name: 'stub',
+        searchQuotes: jest.fn().mockResolvedValue([
+          buildQuote('Enterprise', 'ICAR', 55),
+          buildQuote('Hertz', 'ICAR', 48),
+          buildQuote('Budget', 'IFAR', 70)
+        ])
+      };
+      carRentalService = new CarRentalService({ providers: [provider] });
+    });
+
+    it('should return quotes sorted by total with deal hints attached by company', async () => {
+      const result = await carRentalService.getQuotes({ pickupDate: '2026-03-10', returnDate: '2026-03-14' });
+
+      expect(result.quotes.map(q => q.company)).toEqual(['Hertz', 'Enterprise', 'Budget']);
+      expect(result.quotes[1].dealHints[0]).toMatchObject({ promoCode: 'SAVE15', discountPercent: 15 });
+      expect(result.quotes[2].dealHints[0]).toMatchObject({ dealType: 'AAA Member Discount', discountPercent: 25 });
+      expect(result.quotes[0].dealHints).toEqual([]);
+      expect(result.providers).toEqual([{ name: 'stub', success: true, count: 3 }]);
+    });
+
+    it('should add the cheapest toll option to each quote', async () => {
+      const result = await carRentalService.getQuotes({
+        pickupDate: '2026-03-10',
+        returnDate: '2026-03-14',
+        itinerary: ['MCO', 'Disney', 'MCO'],
+        includeDealHints: false
+      });
+
+      const hertz = result.quotes[0];
+      expect(hertz.tollCost).toMatchObject({ total: 7.8, rentalProgramTotal: 23.1, expectedTolls: 7.8 });
+      expect(hertz.price.totalWithTolls).toBe(199.8);
+    });
+
+    it('should filter by car type and pass the ACRISS class to providers', async () => {
+      const result = await carRentalService.getQuotes({ carType: 'midsize', includeDealHints: false });
+
+      expect(provider.searchQuotes).toHaveBeenCalledWith(expect.objectContaining({ carClass: 'ICAR' }));
+      expect(result.quotes.map(q => q.carClass.acriss)).toEqual(['ICAR', 'ICAR']);
+      expect(result.dealHints).toEqual({ total: 0, attached: 0, unmatched: [] });
+      expect(carRentalService.serpApi.searchLight).not.toHaveBeenCalled();
+    });
+
+    it('should keep other providers when one fails', async () => {
+      const failing = { name: 'broken', searchQuotes: jest.fn().mockRejectedValue(new Error('timeout')) };
+      carRentalService = new CarRentalService({ providers: [failing, provider] });
+
+      const result = await carRentalService.getQuotes({ includeDealHints: false });
+
+      expect(result.quotes).toHaveLength(3);
+      expect(result.providers[0]).toEqual({ name: 'broken', success: false, error: 'timeout', count: 0 });
+    });
+  });
+
+  describe('compareLocationCosts', () => {
+    const CarRentalQuote = require('../services/CarRentalQuote');
+
+    const buildQuote = (company, location, price) => new CarRentalQuote({
+      provider: 'stub',
+      company,
+      location,
+      acriss: 'ICAR',
+      pickupDate: '2026-03-10',
+      returnDate: '2026-03-14',
+      price
+    });
+
+    const airport = { name: 'Alamo MCO', code: 'MCO', type: 'ON_AIRPORT' };
+    const iDrive = { name: 'Alamo I-Drive', code: 'ORLA', type: 'OFF_AIRPORT', milesFromAirport: 10 };
+
+    beforeEach(() => {
+      carRentalService = new CarRentalService({
+        providers: [{
+          name: 'stub',
+          searchQuotes: jest.fn().mockResolvedValue([
+            buildQuote('Alamo', airport, { dailyRate: 50, airportFees: 30, otherFees: 8, taxes: 15 }),
+            buildQuote('Alamo', iDrive, { dailyRate: 40, otherFees: 8, taxes: 10 })
+          ])
+        }]
+      });
+    });
+
+    it('should itemize the true total per counter', async () => {
+      const result = await carRentalService.compareLocationCosts({ pickupDate: '2026-03-10', returnDate: '2026-03-14' });
+      const off = result.locations.find(l => l.location.type === 'OFF_AIRPORT');
+
+      expect(result.rentalDays).toBe(4);
+      expect(off.costs).toEqual({
+        base: 160,
+        floridaSurcharge: 8,
+        airportFees: 0,
+        taxes: 10,
+        tollProgram: 7.9,
+        transfer: 48
+      });
+      expect(off.transfer).toMatchObject({ mode: 'RIDESHARE', oneWayCost: 24 });
+      expect(off.trueTotal).toBe(233.9);
+      expect(result.bestOnAirport.trueTotal).toBe(260.9);
+    });
+
+    it('should report the break-even for going off-airport', async () => {
+      const result = await carRentalService.compareLocationCosts({ pickupDate: '2026-03-10', returnDate: '2026-03-14' });
+
+      expect(result.breakEven).toMatchObject({
+        savingsBeforeTransfer: 75,
+        transferCost: 48,
+        netSavings: 27,
+        maxTransferCost: 75,
+        breakEvenDays: 3,
+        cheaper: 'OFF_AIRPORT'
+      });
+      expect(result.byCompany).toHaveLength(1);
+      expect(result.byCompany[0].company).toBe('Alamo');
+    });
+
+    it('should leave out the toll program when the traveler has their own transponder', async () => {
+      const result = await carRentalService.compareLocationCosts({ useTollProgram: false });
+
+      expect(result.locations.every(l => l.costs.tollProgram === 0)).toBe(true);
+    });
+
+    it('should price shuttles as free and large parties as XL rides', () => {
+      expect(carRentalService.estimateTransferCost({ type: 'OFF_AIRPORT', shuttle: true })).toMatchObject({ mode: 'SHUTTLE', roundTripCost: 0, extraMinutes: 40 });
+      expect(carRentalService.estimateTransferCost({ type: 'OFF_AIRPORT', milesFromAirport: 10 }, 6).oneWayCost).toBe(38.4);
+      expect(carRentalService.estimateTransferCost({ type: 'OFF_AIRPORT', milesFromAirport: 2 }).oneWayCost).toBe(12);
+    });
+
+    it('should cap toll program fees per rental', () => {
+      expect(carRentalService.estimateTollProgramCost('Hertz', 3)).toEqual({ name: 'PlatePass', cost: 17.85 });
+      expect(carRentalService.estimateTollProgramCost('Hertz', 10)).toEqual({ name: 'PlatePass', cost: 29.75 });
+    });
+  });
+
+  describe('analyzeReservation', () => {
+    const CarRentalQuote = require('../services/CarRentalQuote');
+
+    // Hertz: $60/day for pickups before the 13th, $40/day after, $50/day for a week
+    const hertzRate = (pickupDate, days) => {
+      if (days >= 7) return 50;
+      return pickupDate < '2026-03-13' ? 60 : 40;
+    };
+
+    const reservation = {
+      company: 'Hertz',
+      carType: 'midsize',
+      pickupDate: '2026-03-10',
+      returnDate: '2026-03-16',
+      price: 420
+    };
+
+    let provider;
+
+    beforeEach(() => {
+      provider = {
+        name: 'stub',
+        searchQuotes: jest.fn().mockImplementation(async search => {
+          const days = CarRentalQuote.calculateRentalDays(search.pickupDate, search.returnDate);
+          return [['Hertz', hertzRate(search.pickupDate, days)], ['Budget', 30]].map(([company, dailyRate]) => new CarRentalQuote({
+            provider: 'stub',
+            company,
+            location: { name: `${company} MCO`, code: 'MCO', type: 'ON_AIRPORT' },
+            acriss: 'ICAR',
+            pickupDate: search.pickupDate,
+            returnDate: search.returnDate,
+            price: { dailyRate }
+          }));
+        })
+      };
+      carRentalService = new CarRentalService({ providers: [provider] });
+    });
+
+    it('should rank rebook, split and weekly-rate options against the booked price', async () => {
+      const result = await carRentalService.analyzeReservation(reservation);
+
+      expect(result.options.map(option => [option.type, option.total, option.savings])).toEqual([
+        ['SPLIT', 300, 120],
+        ['WEEKLY_RATE', 350, 70],
+        ['REBOOK', 360, 60]
+      ]);
+      expect(result.best.contracts.map(c => [c.pickupDate, c.returnDate, c.total])).toEqual([
+        ['2026-03-10', '2026-03-13', 180],
+        ['2026-03-13', '2026-03-16', 120]
+      ]);
+      expect(result.splitPoints).toHaveLength(5);
+      expect(result.recommendation).toContain('saves $120.00');
+    });
+
+    it('should quote each date range only once', async () => {
+      await carRentalService.analyzeReservation(reservation);
+
+      // Full rental, 5 split points x 2 contracts, 7-day weekly rate
+      expect(provider.searchQuotes).toHaveBeenCalledTimes(12);
+    });
+
+    it('should consider other companies only when switching is allowed', async () => {
+      const result = await carRentalService.analyzeReservation({ ...reservation, allowCompanySwitch: true });
+
+      expect(result.best).toMatchObject({ type: 'REBOOK', total: 180 });
+      expect(result.best.contracts[0].company).toBe('Budget');
+    });
+
+    it('should recommend keeping the reservation when savings are too small', async () => {
+      const result = await carRentalService.analyzeReservation({ ...reservation, price: 302 });
+
+      expect(result.best).toBeNull();
+      expect(result.recommendation).toContain('Keep the reservation');
+    });
+
+    it('should validate the reservation', () => {
+      expect(carRentalService.validateReservation(reservation)).toEqual([]);
+      expect(carRentalService.validateReservation({ pickupDate: '2026-03-10', returnDate: '2026-03-16' })).toEqual([
+        'company is required',
+        'price must be a positive number (the reservation total)'
+      ]);
+      expect(carRentalService.validateReservation({ ...reservation, returnDate: '2026-06-10' })).toEqual([
+        'returnDate must be within 30 days of pickupDate to re-shop'
+      ]);
+    });
+  });
+
+  describe('optimizeDiscounts', () => {
+    const CarRentalQuote = require('../services/CarRentalQuote');
+
+    const buildQuote = (company, dailyRate, dealHints) => {
+      const quote = new CarRentalQuote({
+        provider: 'stub',
+        company,
+        location: { name: `${company} MCO`, code: 'MCO', type: 'ON_AIRPORT' },
+        acriss: 'ICAR',
+        pickupDate: '2026-03-10',
+        returnDate: '2026-03-14',
+        price: { dailyRate, total: dailyRate * 4 }
+      });
+      quote.dealHints = dealHints;
+      return quote;
+    };
+
+    beforeEach(() => {
+      jest.spyOn(carRentalService, 'getQuotes').mockResolvedValue({
+        quotes: [
+          buildQuote('Hertz', 50, [
+            { dealType: 'AAA Member Discount', discountPercent: 20 },
+            { dealType: 'Corporate Discount', discountPercent: 25 },
+            { dealType: 'Promo Code Deal', promoCode: 'SPRING30', estimatedSavings: 30 }
+          ]),
+          buildQuote('Budget', 55, [{ dealType: 'General Discount', discountPercent: null }])
+        ],
+        searchParameters: { location: 'MCO' }
+      });
+    });
+
+    it('should stack one discount program with a coupon and the traveler\'s cashback', async () => {
+      const cashback = { id: 'portal', label: 'Rakuten', category: 'CASHBACK', percent: 5, stacksWithAnything: true };
+      const result = await carRentalService.optimizeDiscounts({ extraOffers: [cashback] });
+
+      expect(result.best.quote.company).toBe('Hertz');
+      expect(result.best.stacking.best.offers.map(offer => offer.label)).toEqual([
+        'Corporate Discount', 'Promo Code Deal (SPRING30)', 'Rakuten'
+      ]);
+      expect(result.best.stacking.best).toMatchObject({ checkoutPrice: 120, rebates: 6, effectiveCost: 114, savings: 86 });
+      expect(result.best.stacking.unused[0]).toMatchObject({ label: 'AAA Member Discount', reason: 'Only one rate per booking' });
+      expect(result.results[1].stacking.best).toMatchObject({ effectiveCost: 209, savings: 11 });
+    });
+
+    it('should only optimize the requested company', async () => {
+      const result = await carRentalService.optimizeDiscounts({ company: 'budget' });
+
+      expect(result.results).toHaveLength(1);
+      expect(result.best.stacking.best.offers).toEqual([]);
+    });
+  });
 });
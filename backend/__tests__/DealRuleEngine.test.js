@@ -0,0 +1,161 @@
+const DealRuleEngine = require('../services/DealRuleEngine');
+
+describe('DealRuleEngine', () => {
+  let engine;
+
+  const referenceDate = '2026-10-19';
+
+  beforeEach(() => {
+    engine = new DealRuleEngine();
+  });
+
+  describe('parseTerms', () => {
+    it('should parse stay-pay offers with day, booking and travel windows', () => {
+      const rules = engine.parseTerms(
+        'Stay 4 nights, pay for 3! Valid Sun–Thu nights. Book by Dec 15 for travel through February 28, 2027. Cannot be combined with other offers.',
+        { referenceDate }
+      );
+
+      expect(rules).toMatchObject({
+        discount: null,
+        freeNights: { stay: 4, pay: 3, repeat: false },
+        minNights: 4,
+        validDays: [0, 1, 2, 3, 4],
+        bookBy: '2026-12-15',
+        travelWindow: { from: null, to: '2027-02-28' },
+        stacking: { combinable: false, exclusions: [] }
+      });
+      expect(rules.terms).toEqual(['FREE_NIGHTS', 'VALID_DAYS', 'BOOK_BY', 'TRAVEL_WINDOW', 'NOT_COMBINABLE']);
+    });
+
+    it('should parse percent offers with minimum stays, codes and exclusions', () => {
+      const rules = engine.parseTerms('Save 30% off 5+ night stays with promo code ORLANDO30. Not valid with annual passholder or AAA rates.');
+
+      expect(rules).toMatchObject({
+        discount: { type: 'PERCENT', value: 30, upTo: false },
+        minNights: 5,
+        code: 'ORLANDO30',
+        stacking: { combinable: null, exclusions: ['annual passholder', 'aaa rates'] }
+      });
+    });
+
+    it('should parse repeating free nights, night lists and month-only windows', () => {
+      expect(engine.parseTerms('Every 4th night free on stays between Jan 5 and Mar 31', { referenceDate })).toMatchObject({
+        freeNights: { stay: 4, pay: 3, repeat: true },
+        travelWindow: { from: '2027-01-05', to: '2027-03-31' }
+      });
+      expect(engine.parseTerms('$25 off per night Friday and Saturday nights, minimum 2 nights')).toMatchObject({
+        discount: { type: 'AMOUNT_PER_NIGHT', value: 25 },
+        validDays: [5, 6],
+        minNights: 2
+      });
+      expect(engine.parseTerms('Save 15% with promo code DISNEY15. Valid for stays through December.', { referenceDate }).travelWindow)
+        .toEqual({ from: null, to: '2026-12-31' });
+    });
+
+    it('should parse "get the Nth free", ranges without "between" and N-night stays', () => {
+      expect(engine.parseTerms('Stay 3 nights and get the 4th free')).toMatchObject({
+        freeNights: { stay: 4, pay: 3, repeat: false },
+        minNights: 4
+      });
+      expect(engine.parseTerms('Stay 5 nights, get 2 free').freeNights).toEqual({ stay: 7, pay: 5, repeat: false });
+
+      const window = engine.parseTerms('Valid for travel Jan 5 - Mar 31, 2027', { referenceDate });
+      expect(window.travelWindow).toEqual({ from: '2027-01-05', to: '2027-03-31' });
+      expect(window.terms).toEqual(['TRAVEL_WINDOW']);
+      expect(engine.parseTerms('Stays Nov 1 - Mar 31, 2027', { referenceDate: '2026-12-01' }).travelWindow)
+        .toEqual({ from: '2026-11-01', to: '2027-03-31' });
+
+      expect(engine.parseTerms('Save 15% on a 7-night stay')).toMatchObject({
+        discount: { type: 'PERCENT', value: 15, upTo: false },
+        minNights: 7,
+        terms: ['PERCENT_OFF', 'MIN_NIGHTS']
+      });
+    });
+
+    it('should not read day or month names out of ordinary words', () => {
+      expect(engine.parseTerms('Monthly satisfaction guaranteed at our wedding venue').terms).toEqual([]);
+    });
+  });
+
+  describe('buildRules', () => {
+    it('should let structured terms override parsed text', () => {
+      const rules = engine.buildRules({
+        text: 'Save 20% on 3+ nights',
+        terms: { percentOff: 25, validDays: ['Sun', 'Mon'], combinable: true }
+      });
+
+      expect(rules).toMatchObject({
+        discount: { type: 'PERCENT', value: 25 },
+        minNights: 3,
+        validDays: [0, 1],
+        stacking: { combinable: true }
+      });
+      expect(rules.sources).toEqual(['TEXT', 'STRUCTURED']);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should make the cheapest qualifying night free', () => {
+      const rules = engine.parseTerms('Stay 4 pay 3');
+      const result = engine.evaluate(rules, {
+        checkInDate: '2026-11-01',
+        checkOutDate: '2026-11-06',
+        nightlyRates: [200, 180, 150, 210, 250]
+      });
+
+      expect(result).toMatchObject({ eligible: true, nights: 5, baseTotal: 990, total: 840, savings: 150, freeNights: 1 });
+      expect(result.nightly[2]).toMatchObject({ date: '2026-11-03', day: 'Tue', price: 0, free: true });
+    });
+
+    it('should only discount nights on valid days', () => {
+      // Thu Nov 5 - Mon Nov 9: Thu, Fri, Sat, Sun nights
+      const rules = engine.parseTerms('25% off Sun-Thu nights');
+      const result = engine.evaluate(rules, { checkInDate: '2026-11-05', checkOutDate: '2026-11-09', nightlyRate: 200 });
+
+      expect(result).toMatchObject({ eligible: true, total: 700, savings: 100, discountedNights: 2 });
+      expect(result.nightly.map(night => night.price)).toEqual([150, 200, 200, 150]);
+    });
+
+    it('should explain why a stay does not qualify', () => {
+      const rules = engine.parseTerms('30% off 5+ nights. Book by Dec 15.', { referenceDate });
+      const result = engine.evaluate(rules, {
+        checkInDate: '2027-01-10',
+        checkOutDate: '2027-01-13',
+        nightlyRate: 180,
+        bookingDate: '2026-12-20'
+      });
+
+      expect(result.eligible).toBe(false);
+      expect(result.reasons).toEqual(['Requires a stay of at least 5 nights', 'Must be booked by 2026-12-15']);
+      expect(result).toMatchObject({ total: 540, savings: 0 });
+    });
+
+    it('should take a per-stay amount off the total once', () => {
+      const result = engine.evaluate(engine.parseTerms('$50 off your stay'), {
+        checkInDate: '2026-11-01',
+        checkOutDate: '2026-11-03',
+        nightlyRate: 120
+      });
+
+      expect(result).toMatchObject({ total: 190, savings: 50 });
+    });
+
+    it('should flag "up to" discounts as a best case', () => {
+      const stay = { checkInDate: '2026-11-01', checkOutDate: '2026-11-03', nightlyRate: 200 };
+
+      expect(engine.evaluate(engine.parseTerms('Save up to 30% on your stay'), stay)).toMatchObject({ total: 280, savings: 120, upTo: true });
+      expect(engine.evaluate(engine.parseTerms('Save 30% on your stay'), stay)).toMatchObject({ total: 280, upTo: false });
+    });
+  });
+
+  describe('validateStay', () => {
+    it('should require dates in order and one rate per night', () => {
+      expect(engine.validateStay({ checkInDate: '2026-11-01', checkOutDate: '2026-11-03', nightlyRate: 100 })).toEqual([]);
+      expect(engine.validateStay({ checkInDate: '2026-11-03', checkOutDate: '2026-11-01', nightlyRate: 100 }))
+        .toEqual(['checkOutDate must be after checkInDate']);
+      expect(engine.validateStay({ checkInDate: '2026-11-01', checkOutDate: '2026-11-03', nightlyRates: [100] }))
+        .toEqual(['nightlyRates must have one rate per night (2)']);
+    });
+  });
+});
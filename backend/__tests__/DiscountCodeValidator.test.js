@@ -0,0 +1,107 @@
+const DiscountCodeValidator = require('../services/DiscountCodeValidator');
+
+describe('DiscountCodeValidator', () => {
+  let validator;
+  const hotel = { name: 'Lakeside Resort', price: 400, source: 'serpapi' };
+  const searchParams = { checkInDate: '2025-03-10', checkOutDate: '2025-03-13', adults: 2 };
+
+  beforeEach(() => {
+    validator = new DiscountCodeValidator({ amadeusService: {} });
+  });
+
+  describe('discoverDiscounts', () => {
+    it('should only return unrestricted rates for an empty profile', async () => {
+      const result = await validator.discoverDiscounts(hotel, searchParams);
+      const codes = result.availableDiscounts.map(d => d.code);
+
+      expect(codes).toEqual(expect.arrayContaining(['PRO', 'PKG', 'FAM', 'WKD']));
+      expect(codes).not.toContain('AAA');
+      expect(codes).not.toContain('MIL');
+      expect(codes).not.toContain('GOV');
+      expect(codes).not.toContain('SRS');
+    });
+
+    it('should move restricted rates to the qualifyIf list', async () => {
+      const result = await validator.discoverDiscounts(hotel, searchParams, {});
+      const aaa = result.qualifyIf.find(d => d.code === 'AAA');
+
+      expect(aaa.qualifyIf).toBe('you were a AAA/CAA member');
+      expect(aaa.savingsAmount).toBeGreaterThan(0);
+      expect(result.qualifyIf.find(d => d.code === 'SRS').qualifyIf).toContain('55 or older');
+    });
+
+    it('should include rates the profile qualifies for', async () => {
+      const result = await validator.discoverDiscounts(hotel, searchParams, {
+        memberships: ['aaa'],
+        affiliations: ['veteran'],
+        ageBracket: '60_64'
+      });
+      const codes = result.availableDiscounts.map(d => d.code);
+
+      expect(codes).toEqual(expect.arrayContaining(['AAA', 'MIL', 'SRS']));
+      expect(codes).not.toContain('GOV');
+      expect(result.qualifyIf.map(d => d.code)).toContain('GOV');
+    });
+
+    it('should test employer corporate codes from the profile', async () => {
+      const result = await validator.discoverDiscounts(hotel, searchParams, {
+        corporateCodes: [{ employer: 'Acme Corp', code: 'acm' }]
+      });
+      const codes = result.availableDiscounts.map(d => d.code);
+
+      expect(codes).toEqual(expect.arrayContaining(['ACM', 'COR']));
+      expect(result.availableDiscounts.find(d => d.code === 'ACM').description).toBe('Acme Corp Corporate Rate');
+    });
+
+    it('should never treat group-only rates as claimable', async () => {
+      const result = await validator.discoverDiscounts(hotel, searchParams, {
+        affiliations: ['military', 'government', 'travel_industry']
+      });
+
+      expect(result.availableDiscounts.map(d => d.code)).not.toContain('CON');
+      expect(result.qualifyIf.map(d => d.code)).toContain('CON');
+    });
+
+    it('should stack extra offers only on rates that allow them', async () => {
+      const coupon = { id: 'coupon', label: 'Spring Promo', category: 'COUPON', amount: 80, code: 'SPRING80', channel: 'hotel direct', excludes: ['PROMOTIONAL'] };
+      const result = await validator.discoverDiscounts(hotel, searchParams, {}, [coupon]);
+      const { best, unused } = result.stacking;
+
+      // Promo rate (25%) excludes the coupon, package rate (18%) takes no coupons
+      expect(best.offers.map(offer => offer.id)).toEqual(['rate-WKD', 'coupon']);
+      expect(best).toMatchObject({ checkoutPrice: 248, savings: 152 });
+      expect(unused.find(offer => offer.id === 'rate-PRO').reason).toBe('Only one rate per booking');
+      expect(validator.stackingOptimizer.conflictReason(
+        validator.buildStackingOffers(result.availableDiscounts).find(offer => offer.code === 'PKG'),
+        coupon
+      )).toBe('Package Rate excludes Spring Promo');
+    });
+  });
+
+  describe('validateEligibility', () => {
+    it('should accept the legacy profile flags', () => {
+      expect(validator.validateEligibility('AAA', { hasAAA: true }).eligible).toBe(true);
+      expect(validator.validateEligibility('SRS', { isSenior: true }).eligible).toBe(true);
+      expect(validator.validateEligibility('TVL', { isTravelAgent: true }).eligible).toBe(true);
+    });
+
+    it('should explain missing requirements', () => {
+      const result = validator.validateEligibility('SRS', { ageBracket: '50_54' });
+
+      expect(result.eligible).toBe(false);
+      expect(result.reason).toBe('Age 55+ required');
+      expect(result).not.toHaveProperty('qualifyIf');
+    });
+
+    it('should reject unknown codes', () => {
+      expect(validator.validateEligibility('NOPE').eligible).toBe(false);
+    });
+  });
+
+  describe('getVerificationDocuments', () => {
+    it('should list documents for the code requirements', () => {
+      expect(validator.getVerificationDocuments(validator.findCodeInfo('MIL'))).toContain('DD Form 214');
+      expect(validator.getVerificationDocuments(validator.findCodeInfo('PRO'))).toEqual([]);
+    });
+  });
+});
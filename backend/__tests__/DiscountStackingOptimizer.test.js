@@ -0,0 +1,76 @@
+const DiscountStackingOptimizer = require('../services/DiscountStackingOptimizer');
+
+describe('DiscountStackingOptimizer', () => {
+  let optimizer;
+
+  const aaaRate = { id: 'aaa', label: 'AAA Rate', category: 'RATE', price: 400, channel: 'hotel direct', tags: ['AAA'], excludes: ['PACKAGE'], eligibility: 'AAA card at check-in' };
+  const packageCoupon = { id: 'pkg', label: 'Park Package Promo', category: 'COUPON', amount: 60, code: 'PARKS60', channel: 'hotel direct', tags: ['PACKAGE'] };
+  const cashback = { id: 'portal', label: 'Rakuten', category: 'CASHBACK', percent: 10, stacksWithAnything: true };
+  const giftCard = { id: 'gc', label: 'Hyatt', category: 'GIFT_CARD', percent: 10, maxValue: 30 };
+
+  beforeEach(() => {
+    optimizer = new DiscountStackingOptimizer();
+  });
+
+  describe('conflictReason', () => {
+    it('should apply one-per-category, channel, combinable and exclusion rules', () => {
+      expect(optimizer.conflictReason(aaaRate, { ...aaaRate, id: 'gov' })).toBe('Only one rate per booking');
+      expect(optimizer.conflictReason(aaaRate, packageCoupon)).toBe('AAA Rate excludes Park Package Promo');
+      expect(optimizer.conflictReason(packageCoupon, { ...aaaRate, channel: 'Costco Travel' }))
+        .toBe('Park Package Promo is booked through hotel direct, AAA Rate through Costco Travel');
+      expect(optimizer.conflictReason({ ...aaaRate, combinable: false, excludes: [] }, giftCard)).toBe("AAA Rate can't be combined with other offers");
+      expect(optimizer.conflictReason({ ...aaaRate, combinable: false }, cashback)).toBeNull();
+    });
+  });
+
+  describe('optimize', () => {
+    it('should pick the cheapest legal combination over the biggest single discount', () => {
+      const result = optimizer.optimize(500, [aaaRate, packageCoupon, cashback]);
+
+      // AAA + cashback: 400 - 40; package promo + cashback: 440 - 44
+      expect(result.best.offers.map(offer => offer.id)).toEqual(['aaa', 'portal']);
+      expect(result.best).toMatchObject({ checkoutPrice: 400, rebates: 40, effectiveCost: 360, savings: 140, savingsPercent: 28 });
+      expect(result.alternatives[0]).toMatchObject({ effectiveCost: 396 });
+      expect(result.unused).toEqual([{ id: 'pkg', label: 'Park Package Promo', reason: 'AAA Rate excludes Park Package Promo' }]);
+      expect(result.combinationsChecked).toBe(6);
+    });
+
+    it('should apply spend thresholds, caps and gift card discounts', () => {
+      const result = optimizer.optimize(200, [
+        { id: 'big-spend', label: '$50 off $250', category: 'COUPON', amount: 50, minSpend: 250 },
+        giftCard
+      ]);
+
+      expect(result.best.offers.map(offer => [offer.id, offer.value])).toEqual([['gc', 20]]);
+      expect(result.best).toMatchObject({ checkoutPrice: 200, outOfPocket: 180, effectiveCost: 180 });
+      expect(result.unused[0]).toMatchObject({ id: 'big-spend', reason: 'Adds no savings to this booking' });
+      expect(optimizer.optimize(500, [giftCard]).best.offers[0].value).toBe(30);
+    });
+
+    it('should lay out the booking path in order', () => {
+      const result = optimizer.optimize(500, [aaaRate, cashback, giftCard]);
+
+      expect(result.best.bookingPath.map(step => step.phase)).toEqual(['PREPARE', 'PREPARE', 'BOOK', 'PAY', 'VERIFY', 'CLAIM']);
+      expect(result.best.bookingPath[2].action).toBe('Book the AAA Rate through hotel direct');
+      expect(result.best.bookingPath[3].action).toBe('Pay $400 with the gift cards ($370 out of pocket)');
+    });
+  });
+
+  describe('validateOffers', () => {
+    it('should require ids, known categories and exactly one value', () => {
+      expect(optimizer.validateOffers([aaaRate, packageCoupon, cashback])).toEqual([]);
+      expect(optimizer.validateOffers([
+        { id: 'a', category: 'COUPON', price: 100 },
+        { id: 'a', category: 'MAGIC', percent: 10 },
+        { category: 'CASHBACK', percent: 5, amount: 10, excludes: 'RATE' }
+      ])).toEqual([
+        'Offer a: only RATE offers can set a price',
+        'Offer a: duplicate id',
+        'Offer a: category must be one of RATE, COUPON, GIFT_CARD, CASHBACK, CARD_OFFER',
+        'Offer 3: id is required',
+        'Offer 3: set exactly one of price, percent or amount',
+        'Offer 3: excludes must be an array'
+      ]);
+    });
+  });
+});
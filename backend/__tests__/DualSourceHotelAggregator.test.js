@@ -0,0 +1,200 @@
+const DualSourceHotelAggregator = require('../services/DualSourceHotelAggregator');
+const HotelIdentityResolver = require('../services/HotelIdentityResolver');
+const PriceHistoryStore = require('../services/PriceHistoryStore');
+
+describe('DualSourceHotelAggregator', () => {
+  let aggregator;
+
+  const hotel = (propertyId, nightly, amadeusTotal = null) => ({
+    hotelName: propertyId,
+    propertyId,
+    rating: 4.2,
+    sources: amadeusTotal ? ['serpapi', 'amadeus'] : ['serpapi'],
+    savingsScore: 10,
+    serpApiData: { price: `$${nightly}`, rawData: { rate_per_night: { extracted_lowest: nightly } } },
+    amadeusData: amadeusTotal ? { totalPrice: amadeusTotal } : null
+  });
+
+  beforeEach(() => {
+    aggregator = new DualSourceHotelAggregator();
+  });
+
+  describe('mergeHotels', () => {
+    beforeEach(() => {
+      aggregator = new DualSourceHotelAggregator({ identityResolver: new HotelIdentityResolver({ filePath: null }) });
+    });
+
+    it('should merge matching properties and keep unrelated ones apart', () => {
+      const merged = aggregator.mergeHotels([
+        { source: 'serpapi', hotelName: 'Buena Vista Palace Hotel & Spa', price: 210, location: { gpsCoordinates: { latitude: 28.3719, longitude: -81.5136 } }, rawData: { property_token: 'tok_bvp' } },
+        { source: 'serpapi', hotelName: 'Rosen Inn', price: 99, location: {}, rawData: { property_token: 'tok_rosen' } }
+      ], [
+        { source: 'amadeus', hotelId: 'HHORLBVP', hotelName: 'HILTON ORLANDO BUENA VISTA PALACE', chainCode: 'HH', price: 180, location: { latitude: 28.3722, longitude: -81.5139 } },
+        { source: 'amadeus', hotelId: 'HHORLBVP', hotelName: 'HILTON ORLANDO BUENA VISTA PALACE', chainCode: 'HH', price: 240, location: { latitude: 28.3722, longitude: -81.5139 } },
+        { source: 'amadeus', hotelId: 'RZORL', hotelName: 'Ritz-Carlton Orlando Grande Lakes', price: 450, location: { latitude: 28.4010, longitude: -81.4310 } }
+      ]);
+
+      expect(merged).toHaveLength(3);
+      expect(merged[0]).toMatchObject({
+        sources: ['serpapi', 'amadeus'],
+        bestPrice: 180,
+        priceComparison: { serpApiPrice: 210, amadeusPrice: 180, betterSource: 'amadeus' }
+      });
+      expect(merged[0].identity.resolutions.map(r => r.matchedBy)).toEqual(['NEW', 'MATCH', 'SOURCE_ID']);
+      expect(merged[1].sources).toEqual(['serpapi']);
+      expect(merged[2]).toMatchObject({ sources: ['amadeus'], exclusiveToSource: 'amadeus' });
+    });
+
+    it('should compare sources on the all-in stay cost when normalized', () => {
+      const [merged] = aggregator.mergeHotels([
+        { source: 'serpapi', hotelName: 'Rosen Inn', price: 99, stayCost: { total: 412.8, nightlyTotal: 137.6 }, location: {}, rawData: { property_token: 'tok_rosen' } }
+      ], [
+        { source: 'amadeus', hotelId: 'RSORL', hotelName: 'Rosen Inn', price: 95, stayCost: { total: 420.15, nightlyTotal: 140.05 }, location: {} }
+      ]);
+
+      expect(merged).toMatchObject({
+        bestPrice: 412.8,
+        stayCost: { total: 412.8 },
+        priceComparison: { serpApiPrice: 412.8, amadeusPrice: 420.15, savings: 7.35, betterSource: 'serpapi', basis: 'ALL_IN_STAY' }
+      });
+    });
+  });
+
+  describe('getStayPrices', () => {
+    it('should convert nightly SerpAPI rates to a stay total', () => {
+      expect(aggregator.getStayPrices(hotel('A', 150, 700), 5)).toEqual([
+        { source: 'serpapi', price: 750, basis: 'LISTED' },
+        { source: 'amadeus', price: 700, basis: 'LISTED' }
+      ]);
+    });
+
+    it('should prefer normalized stay totals', () => {
+      const prices = aggregator.getStayPrices({
+        serpApiData: { price: '$150', stayCost: { total: 905.5 }, rawData: { rate_per_night: { extracted_lowest: 150 } } },
+        amadeusData: { totalPrice: 700, stayCost: { total: 880.25 } }
+      }, 5);
+
+      expect(prices).toEqual([
+        { source: 'serpapi', price: 905.5, basis: 'ALL_IN' },
+        { source: 'amadeus', price: 880.25, basis: 'ALL_IN' }
+      ]);
+    });
+
+    it('should parse display price strings', () => {
+      const prices = aggregator.getStayPrices({ serpApiData: { price: '$1,249', rawData: {} } }, 2);
+      expect(prices).toEqual([{ source: 'serpapi', price: 2498, basis: 'LISTED' }]);
+    });
+  });
+
+  describe('recordObservedPrices', () => {
+    it('should tag all-in and listed prices with their basis', () => {
+      aggregator.priceHistoryStore = new PriceHistoryStore({ filePath: null });
+
+      aggregator.recordObservedPrices([{
+        propertyId: 'tok_rosen',
+        serpApiData: { source: 'serpapi', price: 99, checkInDate: '2026-01-10', checkOutDate: '2026-01-13', stayCost: { total: 412.8, nightlyTotal: 137.6 } },
+        amadeusData: { source: 'amadeus', price: 95, checkInDate: '2026-01-10', checkOutDate: '2026-01-13' }
+      }]);
+
+      expect(aggregator.priceHistoryStore.getObservations('tok_rosen').map(({ source, price, basis }) => ({ source, price, basis }))).toEqual([
+        { source: 'serpapi', price: 137.6, basis: 'ALL_IN' },
+        { source: 'amadeus', price: 95, basis: 'LISTED' }
+      ]);
+    });
+  });
+
+  describe('buildStayCombinations', () => {
+    it('should build every check-in date for each stay length', () => {
+      const { stays, sampled } = aggregator.buildStayCombinations('2026-01-10', '2026-01-12', [4, 5], 30);
+
+      expect(sampled).toBe(false);
+      expect(stays).toHaveLength(6);
+      expect(stays[1]).toEqual({ checkInDate: '2026-01-10', checkOutDate: '2026-01-15', nights: 5 });
+    });
+
+    it('should sample large windows evenly', () => {
+      const { stays, sampled } = aggregator.buildStayCombinations('2026-01-10', '2026-02-05', [5], 5);
+
+      expect(sampled).toBe(true);
+      expect(stays.map(stay => stay.checkInDate)).toEqual([
+        '2026-01-10', '2026-01-17', '2026-01-23', '2026-01-30', '2026-02-05'
+      ]);
+      expect(aggregator.buildStayCombinations('2026-01-10', '2026-02-05', [5], 1).stays).toHaveLength(1);
+    });
+  });
+
+  describe('validateFlexSearch', () => {
+    it('should accept whole numbers within the limits', () => {
+      expect(aggregator.validateFlexSearch({ concurrency: 5, maxStays: 1, top: 10 })).toEqual([]);
+      expect(aggregator.validateFlexSearch({})).toEqual([]);
+    });
+
+    it('should reject non-integer and out-of-range options', () => {
+      expect(aggregator.validateFlexSearch({ concurrency: 'abc', maxStays: NaN, top: 0 })).toEqual([
+        'concurrency must be a whole number from 1 to 5',
+        'maxStays must be a whole number from 1 to 60',
+        'top must be a whole number from 1 to 60'
+      ]);
+      expect(aggregator.validateFlexSearch({ concurrency: 6, maxStays: 2.5 })).toHaveLength(2);
+    });
+  });
+
+  describe('mapWithConcurrency', () => {
+    it('should never exceed the concurrency limit', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+
+      const results = await aggregator.mapWithConcurrency([1, 2, 3, 4, 5], 2, async item => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setImmediate(resolve));
+        inFlight--;
+        if (item === 4) throw new Error('boom');
+        return item * 10;
+      });
+
+      expect(maxInFlight).toBe(2);
+      expect(results[0]).toEqual({ status: 'fulfilled', value: 10 });
+      expect(results[3].status).toBe('rejected');
+    });
+  });
+
+  describe('flexSearch', () => {
+    it('should build a price grid per hotel and rank the cheapest stays', async () => {
+      const nightlyByDate = { '2026-01-10': 200, '2026-01-11': 150, '2026-01-12': 180 };
+      jest.spyOn(aggregator, 'searchHotels').mockImplementation(async ({ checkInDate }) => {
+        if (checkInDate === '2026-01-12') throw new Error('API down');
+        return {
+          hotels: [
+            hotel('resort', nightlyByDate[checkInDate]),
+            hotel('motel', nightlyByDate[checkInDate] - 100, (nightlyByDate[checkInDate] - 110) * 3)
+          ]
+        };
+      });
+
+      const results = await aggregator.flexSearch({
+        checkInFrom: '2026-01-10',
+        checkInTo: '2026-01-12',
+        nights: 3
+      });
+
+      expect(results.summary.staysSearched).toBe(3);
+      expect(results.summary.staysFailed).toBe(1);
+      expect(results.hotels.map(h => h.propertyId)).toEqual(['motel', 'resort']);
+
+      const resort = results.hotels[1];
+      expect(resort.prices[0].totalPrice).toBe(600);
+      expect(resort.prices[2]).toBeNull();
+      expect(resort.cheapestStay.checkInDate).toBe('2026-01-11');
+      expect(resort.flexibilitySavings).toBe(150);
+
+      expect(results.cheapestCombinations[0]).toMatchObject({
+        propertyId: 'motel',
+        checkInDate: '2026-01-11',
+        totalPrice: 120,
+        source: 'amadeus'
+      });
+      expect(results.cheapestByStay[1].lowestTotal).toBe(120);
+    });
+  });
+});
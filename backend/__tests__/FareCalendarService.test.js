@@ -0,0 +1,147 @@
+const FareCalendarService = require('../services/FareCalendarService');
+const DualSourceHotelAggregator = require('../services/DualSourceHotelAggregator');
+const PriceHistoryStore = require('../services/PriceHistoryStore');
+
+describe('FareCalendarService', () => {
+  let service;
+  let amadeusService;
+  let hotelAggregator;
+  let priceHistoryStore;
+
+  const fare = (departureDate, returnDate, total) => ({ departureDate, returnDate, price: { total, currency: 'USD' } });
+  const request = { origin: 'JFK', month: '2026-03', adults: 2, children: 2 };
+
+  beforeEach(() => {
+    amadeusService = {
+      searchCheapestDates: jest.fn().mockResolvedValue({
+        data: [
+          fare('2026-03-10', '2026-03-14', 120),
+          fare('2026-03-07', '2026-03-12', 150),
+          fare('2026-03-14', '2026-03-18', 200),
+          fare('2026-02-28', '2026-03-03', 90),
+          fare('2026-03-20', null, 80)
+        ]
+      })
+    };
+    hotelAggregator = {
+      searchHotels: jest.fn().mockResolvedValue({ hotels: [{ propertyId: 'hotel-a' }] }),
+      getStayPrices: jest.fn().mockReturnValue([
+        { source: 'amadeus', price: 900, basis: 'ALL_IN' },
+        { source: 'serpapi', price: 700, basis: 'LISTED' }
+      ]),
+      mapWithConcurrency: DualSourceHotelAggregator.prototype.mapWithConcurrency
+    };
+    priceHistoryStore = new PriceHistoryStore({ filePath: null });
+
+    // Nightly all-in prices, as DualSourceHotelAggregator records them
+    [
+      ['hotel-a', '2026-03-10', '2026-03-14', 300],
+      ['hotel-b', '2026-03-10', '2026-03-14', 280],
+      ['hotel-a', '2026-03-07', '2026-03-12', 150],
+      ['hotel-b', '2026-03-16', '2026-03-19', 200],
+      ['hotel-b', '2026-03-16', '2026-03-20', 220]
+    ].forEach(([subjectId, startDate, endDate, price]) => {
+      priceHistoryStore.record({ category: 'hotel', subjectId, startDate, endDate, price, basis: 'ALL_IN' });
+    });
+
+    // Listed rate without taxes and fees: never mixed into the all-in totals
+    priceHistoryStore.record({ category: 'hotel', subjectId: 'hotel-c', startDate: '2026-03-10', endDate: '2026-03-14', price: 90 });
+
+    service = new FareCalendarService({ amadeusService, hotelAggregator, priceHistoryStore });
+  });
+
+  describe('buildCalendar', () => {
+    it('should add one stored hotel\'s totals to each flight pair in the month', async () => {
+      const calendar = await service.buildCalendar(request);
+
+      expect(amadeusService.searchCheapestDates).toHaveBeenCalledWith(expect.objectContaining({
+        origin: 'JFK',
+        destination: 'MCO',
+        departureDate: '2026-03-01,2026-03-31',
+        duration: '3,7'
+      }));
+      expect(calendar.pairs.map(pair => [pair.departureDate, pair.flightTotal, pair.hotelTotal, pair.hotelSource, pair.total])).toEqual([
+        ['2026-03-07', 600, 750, 'HISTORY', 1350],
+        ['2026-03-10', 480, 1200, 'HISTORY', 1680],
+        ['2026-03-14', 800, 1200, 'HISTORY_NEARBY', 2000]
+      ]);
+      // hotel-b is cheaper on 03-10 but both are quoted for every stay; hotel-a is cheaper overall
+      expect(calendar.pairs.map(pair => pair.hotelPropertyId)).toEqual(['hotel-a', 'hotel-a', 'hotel-a']);
+      expect(calendar.pairs[1]).toMatchObject({ nights: 4, hotelBasis: 'ALL_IN', hotelsQuoted: 2 });
+      expect(calendar.summary.hotelPropertyId).toBe('hotel-a');
+    });
+
+    it('should show when the cheapest flight is not the cheapest trip', async () => {
+      const calendar = await service.buildCalendar(request);
+
+      expect(calendar.cheapest[0].departureDate).toBe('2026-03-07');
+      expect(calendar.cheapestFlightOnly.departureDate).toBe('2026-03-10');
+      expect(calendar.summary).toMatchObject({ pairsFound: 3, pairsWithHotel: 3, doorToDoorSavings: 330 });
+      expect(calendar.weeks.map(week => [week.weekOf, week.cheapest.total])).toEqual([
+        ['2026-03-02', 1350],
+        ['2026-03-09', 1680]
+      ]);
+      expect(calendar.range).toEqual({ minTotal: 1350, maxTotal: 2000, minFlightTotal: 480, maxFlightTotal: 800 });
+    });
+
+    it('should search hotels live for the cheapest flights only', async () => {
+      const calendar = await service.buildCalendar({ ...request, hotelSource: 'live', maxHotelSearches: 1 });
+
+      expect(hotelAggregator.searchHotels).toHaveBeenCalledTimes(1);
+      expect(hotelAggregator.searchHotels).toHaveBeenCalledWith(expect.objectContaining({ checkInDate: '2026-03-10', checkOutDate: '2026-03-14', nights: 4 }));
+      expect(calendar.pairs.find(pair => pair.departureDate === '2026-03-10')).toMatchObject({ hotelTotal: 900, hotelSource: 'LIVE', total: 1380 });
+      expect(calendar.pairs.find(pair => pair.departureDate === '2026-03-07').hotelSource).toBe('HISTORY');
+    });
+
+    it('should ignore listed live rates that are not all-in', async () => {
+      hotelAggregator.searchHotels.mockResolvedValue({ hotels: [{ propertyId: 'hotel-a' }, { propertyId: 'hotel-listed' }] });
+      hotelAggregator.getStayPrices.mockImplementation(hotel => hotel.propertyId === 'hotel-listed'
+        ? [{ source: 'serpapi', price: 300, basis: 'LISTED' }]
+        : [{ source: 'amadeus', price: 520, basis: 'ALL_IN' }]);
+
+      const calendar = await service.buildCalendar({ ...request, hotelSource: 'live', maxHotelSearches: 1 });
+      const pair = calendar.pairs.find(entry => entry.departureDate === '2026-03-10');
+
+      expect(pair).toMatchObject({ hotelTotal: 520, hotelSource: 'LIVE', hotelBasis: 'ALL_IN', hotelPropertyId: 'hotel-a' });
+      expect(pair.hotelsQuoted).toBe(2);
+    });
+
+    it('should price a single hotel when a property is given', async () => {
+      const calendar = await service.buildCalendar({ ...request, propertyId: 'hotel-a' });
+
+      expect(calendar.pairs.map(pair => [pair.hotelTotal, pair.hotelSource, pair.hotelPropertyId])).toEqual([
+        [750, 'HISTORY', 'hotel-a'],
+        [1200, 'HISTORY', 'hotel-a'],
+        [1200, 'HISTORY_NEARBY', 'hotel-a']
+      ]);
+    });
+  });
+
+  describe('validateRequest', () => {
+    it('should check the origin, month, nights, party and hotel source', () => {
+      expect(service.validateRequest(request)).toEqual([]);
+      expect(service.validateRequest({ origin: 'NYC1', month: '2026-13', minNights: 6, maxNights: 4, adults: 0, hotelSource: 'guess' })).toEqual([
+        'origin must be a 3-letter airport code',
+        'month must be YYYY-MM',
+        'minNights must not be more than maxNights',
+        'adults must be at least 1',
+        'hotelSource must be one of history, live'
+      ]);
+    });
+
+    it('should check rooms and live search counts', () => {
+      expect(service.validateRequest({ ...request, rooms: 2, maxHotelSearches: 0 })).toEqual([]);
+      expect(service.validateRequest({ ...request, rooms: NaN, maxHotelSearches: NaN })).toEqual([
+        'rooms must be a whole number from 1 to 9',
+        'maxHotelSearches must be a whole number from 0 to 20'
+      ]);
+      expect(service.validateRequest({ ...request, rooms: 0, maxHotelSearches: 50 })).toHaveLength(2);
+    });
+
+    it('should check a lone night count against the default for the other', () => {
+      expect(service.validateRequest({ origin: 'JFK', month: '2026-03', maxNights: 2 })).toEqual(['minNights must not be more than maxNights']);
+      expect(service.validateRequest({ origin: 'JFK', month: '2026-03', minNights: 9 })).toEqual(['minNights must not be more than maxNights']);
+      expect(service.validateRequest({ origin: 'JFK', month: '2026-03', minNights: 5 })).toEqual([]);
+    });
+  });
+});
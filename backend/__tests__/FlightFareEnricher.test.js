@@ -0,0 +1,104 @@
+const FlightFareEnricher = require('../services/FlightFareEnricher');
+
+describe('FlightFareEnricher', () => {
+  let enricher;
+
+  const segment = (id, carrierCode) => ({ id, carrierCode, departure: {}, arrival: {} });
+  const traveler = (travelerId, travelerType, details) => ({
+    travelerId,
+    travelerType,
+    price: { total: '150.00' },
+    fareDetailsBySegment: details
+  });
+
+  // Round trip, nonstop each way
+  const basicDelta = {
+    price: { currency: 'USD', total: '480.00', grandTotal: '480.00' },
+    validatingAirlineCodes: ['DL'],
+    itineraries: [{ segments: [segment('1', 'DL')] }, { segments: [segment('2', 'DL')] }],
+    travelerPricings: ['ADULT', 'ADULT', 'CHILD', 'HELD_INFANT'].map((type, index) => traveler(String(index + 1), type, ['1', '2'].map(segmentId => ({
+      segmentId,
+      cabin: 'ECONOMY',
+      brandedFare: 'BASICECON',
+      brandedFareLabel: 'BASIC ECONOMY',
+      includedCheckedBags: { quantity: 0 },
+      amenities: [
+        { description: 'PRE RESERVED SEAT ASSIGNMENT', isChargeable: true, amenityType: 'PRE_RESERVED_SEAT' },
+        { description: 'REFUNDABLE TICKET', isChargeable: true, amenityType: 'BRANDED_FARES' }
+      ]
+    }))))
+  };
+
+  const mainSouthwest = {
+    price: { currency: 'USD', total: '560.00', grandTotal: '560.00' },
+    validatingAirlineCodes: ['WN'],
+    itineraries: [{ segments: [segment('1', 'WN')] }],
+    travelerPricings: [traveler('1', 'ADULT', [{ segmentId: '1', brandedFare: 'CHOICE', includedCheckedBags: { weight: 23, weightUnit: 'KG' } }])],
+    pricingOptions: { refundableFare: false }
+  };
+
+  beforeEach(() => {
+    enricher = new FlightFareEnricher();
+  });
+
+  describe('extractFare', () => {
+    it('should read brand, bags and refund terms from fareDetailsBySegment', () => {
+      const fare = enricher.extractFare(basicDelta);
+
+      expect(fare).toMatchObject({
+        brand: 'BASICECON',
+        brandLabel: 'BASIC ECONOMY',
+        cabin: 'ECONOMY',
+        basicEconomy: true,
+        includedCheckedBags: 0,
+        includedCabinBags: 1,
+        seatSelectionIncluded: false,
+        refundability: 'REFUNDABLE_WITH_FEE'
+      });
+      expect(fare.travelers).toHaveLength(4);
+    });
+
+    it('should count weight allowances as one bag and use pricing options for refunds', () => {
+      expect(enricher.extractFare(mainSouthwest)).toMatchObject({
+        basicEconomy: false,
+        includedCheckedBags: 1,
+        seatSelectionIncluded: true,
+        refundability: 'NON_REFUNDABLE'
+      });
+    });
+
+    it('should assume ultra-low-cost fares include only a personal item', () => {
+      const spirit = {
+        validatingAirlineCodes: ['NK'],
+        itineraries: [{ segments: [segment('1', 'NK')] }],
+        travelerPricings: [traveler('1', 'ADULT', [{ segmentId: '1' }])]
+      };
+
+      expect(enricher.extractFare(spirit)).toMatchObject({
+        includedCheckedBags: 0,
+        includedCabinBags: 0,
+        seatSelectionIncluded: false,
+        refundability: 'UNKNOWN'
+      });
+    });
+  });
+
+  describe('estimateAllInCost', () => {
+    it('should add bag fees each way and seat fees per segment for seated travelers', () => {
+      const cost = enricher.estimateAllInCost(basicDelta, { children: 1 });
+
+      // 3 seated travelers x 2 directions x $35 bag, 3 x 2 segments x $25 seat
+      expect(cost).toMatchObject({ fare: 480, bagFees: 210, seatFees: 150, total: 840, perTraveler: 210 });
+      expect(cost.assumptions).toEqual({ checkedBags: 1, carryOns: 1, seatSelection: true });
+      expect(cost.breakdown.map(t => t.travelerType)).toEqual(['ADULT', 'ADULT', 'CHILD']);
+      expect(cost.airline).toEqual({ code: 'DL', name: 'Delta Air Lines' });
+    });
+
+    it('should let the party choose bags and seats', () => {
+      const cost = enricher.estimateAllInCost(basicDelta, { checkedBags: 2, seatSelection: false });
+
+      expect(cost).toMatchObject({ bagFees: 480, seatFees: 0, total: 960 });
+      expect(enricher.estimateAllInCost(mainSouthwest, { checkedBags: 1 })).toMatchObject({ bagFees: 0, total: 560 });
+    });
+  });
+});
@@ -0,0 +1,245 @@
+const FlightTrafficAnalyzer = require('../services/FlightTrafficAnalyzer');
+const ResponseCache = require('../services/ResponseCache');
+
+/**
+ * Busiest-period response with one score per month (January first)
+ */
+function buildResponse(year, scores) {
+  return {
+    data: scores.map((score, index) => ({
+      type: 'air-traffic',
+      period: `${year}-${String(index + 1).padStart(2, '0')}`,
+      analytics: { travelers: { score } }
+    })),
+    meta: { count: scores.length }
+  };
+}
+
+describe('FlightTrafficAnalyzer', () => {
+  // Monthly scores per airport and direction
+  const traffic = {
+    MCO: {
+      ARRIVING: [6, 7, 10, 9, 5, 6, 9, 6, 2, 3, 5, 8],
+      DEPARTING: [7, 6, 8, 10, 5, 6, 7, 8, 2, 3, 5, 7]
+    },
+    SFB: {
+      ARRIVING: [5, 5, 8, 6, 4, 4, 6, 4, 2, 2, 4, 6],
+      DEPARTING: [5, 5, 8, 6, 4, 4, 6, 4, 2, 2, 4, 6]
+    },
+    TPA: {
+      ARRIVING: [6, 7, 7, 8, 5, 5, 6, 5, 2, 3, 5, 7],
+      DEPARTING: [6, 7, 7, 8, 5, 5, 6, 5, 2, 3, 5, 7]
+    }
+  };
+  let client;
+  let analyzer;
+
+  beforeEach(() => {
+    client = {
+      request: jest.fn(async (method, path, { params }) => {
+        const scores = traffic[params.cityCode]?.[params.direction];
+        if (!scores) {
+          const error = new Error('Not found');
+          error.response = { data: { errors: [{ title: 'NOT FOUND', detail: 'No data' }] } };
+          throw error;
+        }
+        return buildResponse(params.period, scores);
+      })
+    };
+    analyzer = new FlightTrafficAnalyzer({ client });
+  });
+
+  describe('getAnalyticsClient', () => {
+    const originalEnv = process.env;
+
+    afterEach(() => {
+      process.env = originalEnv;
+    });
+
+    it('should stay on production unless analytics are pointed elsewhere', () => {
+      process.env = { ...originalEnv, AMADEUS_ENV: 'test' };
+      delete process.env.AMADEUS_ANALYTICS_ENV;
+      delete process.env.AMADEUS_ANALYTICS_BASE_URL;
+      delete process.env.AMADEUS_API_BASE;
+      expect(FlightTrafficAnalyzer.getAnalyticsClient()).toMatchObject({ environment: 'production', baseUrl: 'https://api.amadeus.com' });
+
+      process.env.AMADEUS_API_BASE = 'https://test.api.amadeus.com/v1';
+      expect(FlightTrafficAnalyzer.getAnalyticsClient().environment).toBe('test');
+    });
+  });
+
+  describe('resolveCityCode', () => {
+    it('should accept supported airports case-insensitively', () => {
+      expect(analyzer.resolveCityCode('tpa')).toBe('TPA');
+      expect(analyzer.resolveCityCode(undefined)).toBe('MCO');
+      expect(analyzer.resolveCityCode('JFK')).toBeNull();
+    });
+  });
+
+  describe('analyzeTrafficPatterns', () => {
+    it('should query the requested airport', async () => {
+      const analysis = await analyzer.analyzeTrafficPatterns('2025', 'SFB');
+
+      expect(analysis.cityCode).toBe('SFB');
+      expect(analysis.airport.name).toBe('Orlando Sanford International Airport');
+      expect(client.request).toHaveBeenCalledWith('GET', '/v1/travel/analytics/air-traffic/busiest-period', {
+        params: { cityCode: 'SFB', period: '2025', direction: 'DEPARTING' }
+      });
+    });
+
+    it('should return departing demand in the price prediction shape', async () => {
+      const analysis = await analyzer.analyzeTrafficPatterns('2025', 'MCO');
+
+      expect(analysis.departing.pricePredictions).toHaveLength(12);
+      expect(Object.keys(analysis.departing.pricePredictions[0]))
+        .toEqual(Object.keys(analysis.pricePredictions[0]));
+    });
+
+    it('should compare arriving and departing demand', async () => {
+      const { directionComparison } = await analyzer.analyzeTrafficPatterns('2025', 'MCO');
+      const march = directionComparison.months.find(m => m.monthNumber === 3);
+
+      expect(march).toMatchObject({ arrivingScore: 10, departingScore: 8, netFlow: 2, dominantDirection: 'ARRIVING' });
+      expect(directionComparison.arrivalHeavyMonths).toEqual(['February', 'March', 'July', 'December']);
+      expect(directionComparison.departureHeavyMonths).toEqual(['January', 'April', 'August']);
+    });
+  });
+
+  describe('compareAirports', () => {
+    it('should recommend an alternate airport in a lower traffic band', async () => {
+      const result = await analyzer.compareAirports('2025', { alternates: ['SFB', 'TPA'] });
+      const march = result.recommendations.find(r => r.monthNumber === 3);
+
+      expect(result.success).toBe(true);
+      expect(march.primary.category).toBe('PEAK_SEASON');
+      expect(march.alternate.cityCode).toBe('SFB');
+      expect(march.alternate.category).toBe('BUSY');
+      expect(march.extraDriveMinutes).toBe(25);
+    });
+
+    it('should prefer the shorter drive when alternates share a band', async () => {
+      const result = await analyzer.compareAirports('2025', { alternates: ['SFB', 'TPA'] });
+      const april = result.recommendations.find(r => r.monthNumber === 4);
+
+      // SFB is MODERATE and TPA is BUSY in April; both beat MCO's PEAK_SEASON
+      expect(april.alternate.cityCode).toBe('SFB');
+      expect(result.recommendations.find(r => r.monthNumber === 9)).toBeUndefined();
+    });
+
+    it('should build a side-by-side chart series', async () => {
+      const result = await analyzer.compareAirports('2025', { alternates: ['SFB', 'TPA'] });
+
+      expect(result.chart).toHaveLength(12);
+      expect(result.chart[2]).toEqual({ month: 'March', monthNumber: 3, MCO: 10, SFB: 8, TPA: 7 });
+    });
+
+    it('should keep going when an alternate airport has no data', async () => {
+      const result = await analyzer.compareAirports('2025', { alternates: ['SFB', 'MLB'] });
+      const mlb = result.airports.find(a => a.cityCode === 'MLB');
+
+      expect(result.success).toBe(true);
+      expect(mlb.success).toBe(false);
+      expect(result.chart[0].MLB).toBeNull();
+    });
+  });
+
+  describe('single-direction lookups', () => {
+    it('should only fetch arriving traffic for a month score', async () => {
+      const result = await analyzer.getMonthTrafficScore(3, '2025', 'MCO');
+
+      expect(result).toMatchObject({ success: true, cityCode: 'MCO', month: 'March', trafficScore: 10, category: 'PEAK_SEASON' });
+      expect(client.request).toHaveBeenCalledTimes(1);
+      expect(client.request.mock.calls[0][2].params.direction).toBe('ARRIVING');
+    });
+
+    it('should reuse cached responses for repeat lookups', async () => {
+      analyzer = new FlightTrafficAnalyzer({ client, cache: new ResponseCache({ enabled: true }) });
+
+      await analyzer.getMonthTrafficScore(3, '2025', 'MCO');
+      const comparison = await analyzer.compareMonths([3, 9], '2025', 'MCO');
+
+      expect(comparison.bestMonth.month).toBe('September');
+      expect(client.request).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('analyzeTrend', () => {
+    // Arriving MCO scores by year; spring break peak moves from March to April
+    const history = {
+      2022: [5, 6, 9, 7, 5, 7, 8, 6, 2, 3, 4, 7],
+      2023: [5, 7, 9, 8, 5, 7, 8, 6, 2, 3, 5, 7],
+      2024: [6, 7, 8, 9, 5, 8, 8, 6, 3, 3, 5, 8],
+      2025: [6, 8, 8, 10, 5, 8, 9, 6, 3, 3, 6, 8]
+    };
+
+    beforeEach(() => {
+      client.request.mockImplementation(async (method, path, { params }) => {
+        if (!history[params.period]) {
+          throw new Error('No data for period');
+        }
+        return buildResponse(params.period, history[params.period]);
+      });
+    });
+
+    it('should fetch each year once and report year-over-year deltas', async () => {
+      const trend = await analyzer.analyzeTrend('2022', '2025', 'MCO');
+      const april = trend.yearOverYear.find(m => m.monthNumber === 4);
+      const may = trend.yearOverYear.find(m => m.monthNumber === 5);
+
+      expect(trend.success).toBe(true);
+      expect(client.request).toHaveBeenCalledTimes(4);
+      expect(april.scores).toEqual({ 2022: 7, 2023: 8, 2024: 9, 2025: 10 });
+      expect(april.deltas.map(d => d.delta)).toEqual([1, 1, 1]);
+      expect(april.trend).toBe('RISING');
+      expect(may.trend).toBe('STABLE');
+      expect(trend.summary.risingMonths).toContain('April');
+    });
+
+    it('should detect a shifting spring break peak', async () => {
+      const trend = await analyzer.analyzeTrend('2022', '2025', 'MCO');
+      const springBreak = trend.peakShifts.find(w => w.window === 'springBreak');
+      const summer = trend.peakShifts.find(w => w.window === 'summer');
+
+      expect(springBreak.peaks.map(p => p.month)).toEqual(['March', 'March', 'April', 'April']);
+      expect(springBreak.shifts).toEqual([
+        expect.objectContaining({ fromYear: '2023', toYear: '2024', from: 'March', to: 'April', direction: 'LATER' })
+      ]);
+      // July ties June in 2024-2025 but keeps the title
+      expect(summer.shifts).toHaveLength(0);
+      expect(trend.summary.shiftingPeaks).toContain('Spring break');
+    });
+
+    it('should project the next year with a confidence band', async () => {
+      const trend = await analyzer.analyzeTrend('2022', '2025', 'MCO');
+      const april = trend.projection.months.find(m => m.monthNumber === 4);
+      const may = trend.projection.months.find(m => m.monthNumber === 5);
+
+      expect(trend.projection.year).toBe('2026');
+      // Perfect linear rise: capped at 10 with the minimum band
+      expect(april.projectedScore).toBe(10);
+      expect(april.band).toEqual({ low: 9.5, high: 10 });
+      expect(april.confidence).toBe('HIGH');
+      expect(may).toMatchObject({ projectedScore: 5, band: { low: 4.5, high: 5.5 }, category: 'MODERATE' });
+      expect(trend.projection.bestMonths[0].month).toBe('October');
+    });
+
+    it('should widen the band when only two years are available', async () => {
+      const trend = await analyzer.analyzeTrend('2024', '2025', 'MCO');
+      const november = trend.projection.months.find(m => m.monthNumber === 11);
+
+      expect(november.projectedScore).toBe(7);
+      expect(november.band).toEqual({ low: 5.5, high: 8.5 });
+      expect(november.confidence).toBe('LOW');
+    });
+
+    it('should skip years without data and fail with fewer than two', async () => {
+      const partial = await analyzer.analyzeTrend('2024', '2026', 'MCO');
+      expect(partial.success).toBe(true);
+      expect(partial.missingYears).toEqual(['2026']);
+
+      const tooShort = await analyzer.analyzeTrend('2025', '2027', 'MCO');
+      expect(tooShort.success).toBe(false);
+      expect(tooShort.error).toBe('Not enough traffic history');
+    });
+  });
+});
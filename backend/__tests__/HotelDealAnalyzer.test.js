@@ -187,6 +187,48 @@ describe('HotelDealAnalyzer', () => {
     });
   });
 
+  describe('analyzeDeals with promo rules', () => {
+    it('should price each deal for the stay and skip deals the stay does not qualify for', () => {
+      const engine = analyzer.ruleEngine;
+      const deals = [
+        { hotelName: 'Hotel A', originalPrice: 200, savings: 0, rules: null },
+        { hotelName: 'Hotel A', originalPrice: 200, savings: 60, rules: engine.parseTerms('30% off 7+ nights') },
+        { hotelName: 'Hotel A', originalPrice: 200, savings: 0, rules: engine.parseTerms('Stay 4 pay 3') }
+      ];
+
+      const result = analyzer.analyzeDeals(deals, { checkInDate: '2026-11-01', checkOutDate: '2026-11-05', duration: 4 });
+
+      expect(deals[1]).toMatchObject({ eligible: false, savings: 0, applicableDays: 0 });
+      expect(result.bestDeal).toMatchObject({ originalPrice: 800, discountedPrice: 600, savings: 200, nightlyRate: 200, applicableDays: 1, totalDays: 4 });
+      expect(result.bestDeal.stayPrice.total).toBe(600);
+    });
+
+    it('should lower confidence for "up to" discounts', () => {
+      const deals = [
+        { hotelName: 'Hotel A', originalPrice: 200, confidence: 0.9, rules: analyzer.ruleEngine.parseTerms('Save up to 30%') },
+        { hotelName: 'Hotel A', originalPrice: 200, confidence: 0.9, rules: analyzer.ruleEngine.parseTerms('Save 20%') }
+      ];
+
+      analyzer.analyzeDeals(deals, { checkInDate: '2026-11-01', checkOutDate: '2026-11-03', duration: 2 });
+
+      expect(deals[0]).toMatchObject({ savings: 120, confidence: 0.45, stayPrice: { upTo: true } });
+      expect(deals[1]).toMatchObject({ savings: 80, confidence: 0.9 });
+    });
+  });
+
+  describe('combineDealSources with structured terms', () => {
+    it('should merge structured terms over the rules parsed from the snippet', () => {
+      const snippet = 'Save 20% on 3+ nights, Sun-Thu nights only';
+      const [, deal] = analyzer.combineDealSources(
+        [{ id: 'rt_1', hotelName: 'Hotel A', originalPrice: 200, currentPrice: 200 }],
+        [{ id: 'deal_1', hotelName: 'Hotel A', snippet, rules: analyzer.ruleEngine.parseTerms(snippet), terms: { percentOff: 25 } }]
+      );
+
+      expect(deal.rules).toMatchObject({ discount: { type: 'PERCENT', value: 25 }, minNights: 3, validDays: [0, 1, 2, 3, 4] });
+      expect(deal.rules.sources).toEqual(['TEXT', 'STRUCTURED']);
+    });
+  });
+
   describe('combineDealSources', () => {
     it('should merge hotel data with deal information', () => {
       const hotelData = [
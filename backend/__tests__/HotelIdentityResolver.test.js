@@ -0,0 +1,145 @@
+const HotelIdentityResolver = require('../services/HotelIdentityResolver');
+
+describe('HotelIdentityResolver', () => {
+  let resolver;
+
+  const serpHotel = (name, token, latitude, longitude) => ({
+    source: 'serpapi',
+    hotelName: name,
+    location: { gpsCoordinates: latitude ? { latitude, longitude } : undefined },
+    rawData: { property_token: token }
+  });
+
+  const amadeusHotel = (name, hotelId, latitude, longitude, chainCode = null) => ({
+    source: 'amadeus',
+    hotelId,
+    hotelName: name,
+    chainCode,
+    location: { latitude, longitude }
+  });
+
+  beforeEach(() => {
+    resolver = new HotelIdentityResolver({ filePath: null });
+  });
+
+  describe('detectBrand', () => {
+    it('should prefer the most specific brand in the name', () => {
+      expect(HotelIdentityResolver.detectBrand('Hilton Garden Inn Orlando I-Drive')).toEqual({ brand: 'Hilton Garden Inn', chain: 'Hilton' });
+      expect(HotelIdentityResolver.detectBrand('Courtyard by Marriott Orlando Downtown')).toEqual({ brand: 'Courtyard', chain: 'Marriott' });
+    });
+
+    it('should fall back to the Amadeus chain code for the chain', () => {
+      expect(HotelIdentityResolver.detectBrand('BUENA VISTA PALACE', 'HH')).toEqual({ brand: null, chain: 'Hilton' });
+      expect(HotelIdentityResolver.detectBrand('Rosen Inn')).toEqual({ brand: null, chain: null });
+    });
+  });
+
+  describe('nameTokens', () => {
+    it('should drop brand, filler and city words and fold place spellings', () => {
+      expect(HotelIdentityResolver.nameTokens('Hilton Orlando Buena Vista Palace Disney Springs Area', 'Hilton'))
+        .toEqual(['buena', 'vista', 'palace', 'disney', 'spring']);
+      expect(HotelIdentityResolver.nameTokens('Holiday Inn Express International Drive', 'Holiday Inn Express')).toEqual(['idrive']);
+    });
+  });
+
+  describe('tokenSimilarity', () => {
+    it('should match truncated tokens on their prefix', () => {
+      expect(HotelIdentityResolver.tokenSimilarity(['buena', 'vista', 'pala'], ['buena', 'vista', 'palace'])).toBe(1);
+      expect(HotelIdentityResolver.tokenSimilarity(['rosen', 'inn'], ['rosen', 'plaza'])).toBe(0.5);
+    });
+  });
+
+  describe('normalizeAddress', () => {
+    it('should abbreviate street words and drop units', () => {
+      expect(HotelIdentityResolver.normalizeAddress('1900 E. Buena Vista Drive, Suite 100, Lake Buena Vista, FL'))
+        .toBe('1900 e buena vista dr');
+      expect(HotelIdentityResolver.normalizeAddress({ lines: ['1900 EAST BUENA VISTA DR'] })).toBe('1900 e buena vista dr');
+      expect(HotelIdentityResolver.normalizeAddress('https://www.google.com/travel/hotels')).toBeNull();
+    });
+  });
+
+  describe('distanceMeters', () => {
+    it('should compute haversine distance', () => {
+      const distance = HotelIdentityResolver.distanceMeters(
+        { latitude: 28.3772, longitude: -81.5707 },
+        { latitude: 28.3772, longitude: -81.5607 }
+      );
+      expect(Math.round(distance)).toBe(978);
+    });
+  });
+
+  describe('resolve', () => {
+    it('should merge the same property listed under different names', () => {
+      const serp = resolver.resolve(serpHotel('Buena Vista Palace Hotel & Spa', 'tok_bvp', 28.3719, -81.5136));
+      const amadeus = resolver.resolve(amadeusHotel('HILTON ORLANDO BUENA VISTA PALACE DISNEY SPR', 'HHORLBVP', 28.3722, -81.5139, 'HH'));
+
+      expect(serp.matchedBy).toBe('NEW');
+      expect(amadeus.matchedBy).toBe('MATCH');
+      expect(amadeus.canonicalId).toBe(serp.canonicalId);
+      expect(amadeus.hotel.sourceIds).toEqual(['serpapi:tok_bvp', 'amadeus:HHORLBVP']);
+      expect(amadeus.hotel.chain).toBe('Hilton');
+    });
+
+    it('should never merge different brands at the same location', () => {
+      const hampton = resolver.resolve(serpHotel('Hampton Inn Orlando I-Drive', 'tok_hx', 28.4501, -81.4702));
+      const garden = resolver.resolve(serpHotel('Hilton Garden Inn Orlando I-Drive', 'tok_gi', 28.4502, -81.4703));
+
+      expect(garden.canonicalId).not.toBe(hampton.canonicalId);
+    });
+
+    it('should not merge unrelated properties that have no location', () => {
+      const first = resolver.resolve(serpHotel('Rosen Inn', 'tok_1'));
+      const second = resolver.resolve(serpHotel('Rosen Plaza', 'tok_2'));
+
+      expect(second.canonicalId).not.toBe(first.canonicalId);
+    });
+
+    it('should not merge same-name hotels far apart', () => {
+      const first = resolver.resolve(amadeusHotel('Holiday Inn Express Kissimmee', 'HIKIS1', 28.3300, -81.5300));
+      const second = resolver.resolve(amadeusHotel('Holiday Inn Express Kissimmee', 'HIKIS2', 28.2900, -81.4100));
+
+      expect(second.matchedBy).toBe('NEW');
+      expect(second.canonicalId).toBe('hotel-holiday-inn-express-kissimmee-2');
+    });
+
+    it('should remember source IDs', () => {
+      const first = resolver.resolve(amadeusHotel('Rosen Centre', 'RCORL', 28.4253, -81.4690));
+      const again = resolver.resolve(amadeusHotel('ROSEN CENTRE HOTEL', 'RCORL', null, null));
+
+      expect(again).toMatchObject({ canonicalId: first.canonicalId, matchedBy: 'SOURCE_ID' });
+      expect(again.hotel.names).toEqual(['Rosen Centre', 'ROSEN CENTRE HOTEL']);
+    });
+  });
+
+  describe('overrides', () => {
+    it('should split a source out of a merge and pin it back on removal', () => {
+      const serp = resolver.resolve(serpHotel('Buena Vista Palace', 'tok_bvp', 28.3719, -81.5136));
+      resolver.resolve(amadeusHotel('Buena Vista Palace', 'BVP1', 28.3719, -81.5136));
+
+      const override = resolver.setOverride('amadeus:BVP1', 'hotel-bvp-amadeus');
+      expect(override.previousCanonicalId).toBe(serp.canonicalId);
+      expect(resolver.getHotel(serp.canonicalId).sourceIds).toEqual(['serpapi:tok_bvp']);
+
+      const split = resolver.resolve(amadeusHotel('Buena Vista Palace', 'BVP1', 28.3719, -81.5136));
+      expect(split).toMatchObject({ canonicalId: 'hotel-bvp-amadeus', matchedBy: 'OVERRIDE' });
+
+      expect(resolver.removeOverride('amadeus:BVP1')).toBe(true);
+      expect(resolver.getOverrides()).toEqual({});
+    });
+
+    it('should not duplicate a source ID the hotel already lists', () => {
+      const amadeus = resolver.resolve(amadeusHotel('Buena Vista Palace Resort', 'BVP1', null, null));
+
+      // Registry edited by hand: the ID is listed on the hotel but not indexed
+      delete resolver.store.load().sources['amadeus:BVP1'];
+      resolver.setOverride('amadeus:BVP1', amadeus.canonicalId);
+
+      expect(resolver.getHotel(amadeus.canonicalId).sourceIds).toEqual(['amadeus:BVP1']);
+    });
+
+    it('should validate override input', () => {
+      expect(resolver.validateOverride({ sourceId: 'amadeus:BVP1', canonicalId: 'hotel-bvp' })).toEqual([]);
+      expect(resolver.validateOverride({ sourceId: 'expedia:1', canonicalId: 'BVP' })).toHaveLength(2);
+    });
+  });
+});
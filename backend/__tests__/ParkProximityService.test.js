@@ -0,0 +1,85 @@
+const ParkProximityService = require('../services/ParkProximityService');
+
+describe('ParkProximityService', () => {
+  let service;
+
+  const contemporary = { hotelName: "Disney's Contemporary Resort", location: { latitude: 28.4149, longitude: -81.5746 } };
+  const royalPacific = { hotelName: 'Loews Royal Pacific Resort at Universal Orlando', location: { gpsCoordinates: { latitude: 28.4670, longitude: -81.4660 } } };
+  const iDrive = { hotelName: 'Rosen Inn International', location: { latitude: 28.4300, longitude: -81.4700 } };
+
+  beforeEach(() => {
+    service = new ParkProximityService();
+  });
+
+  describe('analyze', () => {
+    it('should time official transport and walking paths for a Disney resort', () => {
+      const access = service.analyze(contemporary, { parks: ['MAGIC_KINGDOM'] });
+      const [magicKingdom] = access.parks;
+
+      expect(access.perkHotel).toBe('CONTEMPORARY');
+      expect(access.transport).toEqual(['Disney monorail', 'Disney resort bus', 'Walking path to Magic Kingdom']);
+      expect(access.benefits).toEqual(['Early Theme Park Entry']);
+      expect(magicKingdom).toMatchObject({ distanceKm: 0.7, driveMinutes: 27, walkMinutes: 12, bestMinutes: 10, bestMode: 'MONORAIL', score: 100 });
+      expect(access.score).toBe(100);
+    });
+
+    it('should score a hotel on its best resort and add early entry bonuses', () => {
+      const access = service.analyze(royalPacific);
+
+      expect(access.nearest).toMatchObject({ park: 'ISLANDS_OF_ADVENTURE', bestMode: 'WALK', bestMinutes: 12 });
+      expect(access.benefits).toEqual(['Early Park Admission', 'Universal Express Unlimited']);
+      expect(access.earlyEntry).toBe(true);
+      expect(access.score).toBe(97);
+    });
+
+    it('should only grant perks to hotels located at the resort or named exactly', () => {
+      const rivieraMotel = { hotelName: 'Riviera Motel Kissimmee', location: { latitude: 28.3030, longitude: -81.4210 } };
+      const springsArea = { hotelName: 'Disney Springs Area Hotel Holiday Inn', location: { latitude: 28.3889, longitude: -81.5056 } };
+
+      expect(service.analyze(rivieraMotel)).toMatchObject({ perkHotel: null, transport: [], earlyEntry: false });
+      expect(service.analyze(springsArea)).toMatchObject({ perkHotel: null, transport: [], benefits: [] });
+      expect(service.analyze({ hotelName: 'Pop Century Inn Orlando' }).transport).toEqual([]);
+
+      const popCentury = service.analyze({ hotelName: "Disney's Pop Century Resort" });
+      expect(popCentury.perkHotel).toBe('POP_CENTURY');
+      expect(popCentury.transport).toEqual(['Disney Skyliner', 'Disney resort bus']);
+    });
+
+    it('should fall back to drive times for hotels without perks', () => {
+      const access = service.analyze(iDrive);
+
+      expect(access.transport).toEqual([]);
+      expect(access.nearest).toMatchObject({ park: 'EPIC_UNIVERSE', driveMinutes: 16, bestMode: 'DRIVE' });
+      expect(access.score).toBe(65);
+    });
+
+    it('should return a null score when nothing is known about the location', () => {
+      const access = service.analyze({ hotelName: 'Mystery Inn' });
+
+      expect(access.located).toBe(false);
+      expect(access.nearest).toBeNull();
+      expect(access.score).toBeNull();
+    });
+  });
+
+  describe('filters', () => {
+    it('should validate park filters', () => {
+      expect(service.validateFilters({ nearPark: 'MAGIC_KINGDOM', maxParkMinutes: 10 })).toEqual([]);
+      expect(service.validateFilters({ nearPark: 'DOLLYWOOD', maxParkMinutes: -5, parkTransport: 'HELICOPTER' })).toHaveLength(3);
+      expect(service.validateFilters({ maxParkMinutes: 10 })).toEqual(['nearPark is required with maxParkMinutes or parkTransport']);
+    });
+
+    it('should match hotels within a travel time by any or a given mode', () => {
+      const contemporaryAccess = service.analyze(contemporary);
+      const iDriveAccess = service.analyze(iDrive);
+      const withinTen = { nearPark: 'MAGIC_KINGDOM', maxParkMinutes: 10 };
+
+      expect(service.matchesFilters(contemporaryAccess, withinTen)).toBe(true);
+      expect(service.matchesFilters(iDriveAccess, withinTen)).toBe(false);
+      expect(service.matchesFilters(contemporaryAccess, { ...withinTen, parkTransport: 'WALK' })).toBe(false);
+      expect(service.matchesFilters(contemporaryAccess, { nearPark: 'EPCOT', parkTransport: 'SKYLINER' })).toBe(false);
+      expect(service.matchesFilters(iDriveAccess, { earlyEntry: true })).toBe(false);
+      expect(service.matchesFilters(iDriveAccess, {})).toBe(true);
+    });
+  });
+});
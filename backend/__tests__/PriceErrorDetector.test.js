@@ -0,0 +1,36 @@
+const PriceErrorDetector = require('../services/PriceErrorDetector');
+const PriceHistoryStore = require('../services/PriceHistoryStore');
+
+describe('PriceErrorDetector', () => {
+  let detector;
+  let store;
+
+  beforeEach(() => {
+    store = new PriceHistoryStore({ filePath: null });
+    detector = new PriceErrorDetector(store);
+
+    // Spring break and late-January stays for the same property
+    [420, 450, 480].forEach(price => store.record({ category: 'hotel', subjectId: 'H1', startDate: '2026-03-14', endDate: '2026-03-17', price }));
+    [150, 160].forEach(price => store.record({ category: 'hotel', subjectId: 'H1', startDate: '2026-01-26', endDate: '2026-01-29', price }));
+    store.record({ category: 'hotel', subjectId: 'H1', startDate: '2026-01-30', endDate: '2026-02-01', price: 170 });
+  });
+
+  describe('getStoredPrices', () => {
+    it('should only compare with stays starting near the offer', () => {
+      expect(detector.getStoredPrices({ propertyId: 'H1', checkInDate: '2026-01-28' })).toEqual([150, 160, 170]);
+      expect(detector.getStoredPrices({ propertyId: 'H1', checkInDate: '2026-03-15' })).toEqual([420, 450, 480]);
+    });
+
+    it('should compare all-in offers with all-in history only', () => {
+      store.record({ category: 'hotel', subjectId: 'H1', startDate: '2026-01-27', endDate: '2026-01-29', price: 198.4, basis: 'ALL_IN' });
+
+      expect(detector.getStoredPrices({ propertyId: 'H1', checkInDate: '2026-01-28', stayCost: { nightlyTotal: 190 } })).toEqual([198.4]);
+      expect(detector.getStoredPrices({ propertyId: 'H1', checkInDate: '2026-01-28' })).toEqual([150, 160, 170]);
+    });
+
+    it('should use all stored stays when the offer has no dates', () => {
+      expect(detector.getStoredPrices({ propertyId: 'H1' })).toHaveLength(6);
+      expect(detector.getStoredPrices({})).toEqual([]);
+    });
+  });
+});
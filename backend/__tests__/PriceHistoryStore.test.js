@@ -0,0 +1,133 @@
+const PriceHistoryStore = require('../services/PriceHistoryStore');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('PriceHistoryStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new PriceHistoryStore({ filePath: null });
+  });
+
+  describe('record', () => {
+    it('should record a valid observation', () => {
+      const entry = store.record({
+        category: 'hotel',
+        subjectId: 'HLORL123',
+        startDate: '2025-01-15',
+        endDate: '2025-01-18',
+        price: 189.999,
+        source: 'amadeus'
+      });
+
+      expect(entry.price).toBe(190);
+      expect(entry.currency).toBe('USD');
+      expect(store.getPrices('HLORL123')).toEqual([190]);
+    });
+
+    it('should parse display price strings', () => {
+      store.record({ category: 'hotel', subjectId: 'token_1', price: '$1,249' });
+      expect(store.getPrices('token_1')).toEqual([1249]);
+    });
+
+    it('should ignore observations without a usable price', () => {
+      expect(store.record({ category: 'hotel', subjectId: 'x', price: null })).toBeNull();
+      expect(store.record({ category: 'hotel', subjectId: 'x', price: 0 })).toBeNull();
+      expect(store.record({ category: 'hotel', price: 100 })).toBeNull();
+    });
+
+    it('should cap observations per key', () => {
+      store = new PriceHistoryStore({ filePath: null, maxObservationsPerKey: 3 });
+      [100, 110, 120, 130].forEach(price =>
+        store.record({ category: 'flight', subjectId: 'JFK-MCO', price })
+      );
+
+      expect(store.getPrices('JFK-MCO')).toEqual([110, 120, 130]);
+    });
+  });
+
+  describe('getObservations', () => {
+    beforeEach(() => {
+      store.record({ category: 'hotel', subjectId: 'H1', startDate: '2025-01-15', endDate: '2025-01-18', price: 200, observedAt: '2024-11-01T10:00:00.000Z' });
+      store.record({ category: 'hotel', subjectId: 'H1', startDate: '2025-02-01', endDate: '2025-02-04', price: 150, observedAt: '2024-12-01T10:00:00.000Z' });
+      store.record({ category: 'hotel', subjectId: 'H2', startDate: '2025-01-15', endDate: '2025-01-18', price: 99 });
+    });
+
+    it('should filter by subject and stay dates', () => {
+      const results = store.getObservations('H1', { startDate: '2025-01-15' });
+      expect(results).toHaveLength(1);
+      expect(results[0].price).toBe(200);
+      expect(results[0].endDate).toBe('2025-01-18');
+    });
+
+    it('should match stays starting within a window of days', () => {
+      store.record({ category: 'hotel', subjectId: 'H1', startDate: '2025-01-20', endDate: '2025-01-22', price: 210 });
+
+      expect(store.getPrices('H1', { startDate: '2025-01-17', windowDays: 3 })).toEqual([200, 210]);
+      expect(store.getPrices('H1', { startDate: '2025-01-17', windowDays: 1 })).toEqual([]);
+    });
+
+    it('should filter by price basis, treating untagged prices as listed', () => {
+      store.record({ category: 'hotel', subjectId: 'H1', startDate: '2025-01-15', endDate: '2025-01-18', price: 236.5, basis: 'ALL_IN' });
+
+      expect(store.getPrices('H1', { startDate: '2025-01-15', basis: 'ALL_IN' })).toEqual([236.5]);
+      expect(store.getPrices('H1', { startDate: '2025-01-15', basis: 'LISTED' })).toEqual([200]);
+      expect(store.getObservations('H1', { startDate: '2025-01-15' }).map(r => r.basis)).toEqual(['LISTED', 'ALL_IN']);
+    });
+
+    it('should filter by observation date', () => {
+      const results = store.getObservations('H1', { since: '2024-11-15' });
+      expect(results.map(r => r.price)).toEqual([150]);
+    });
+
+    it('should return observations oldest first', () => {
+      expect(store.getObservations('H1').map(r => r.price)).toEqual([200, 150]);
+    });
+  });
+
+  describe('getPriceSeries', () => {
+    it('should collapse same-day observations to the lowest price', () => {
+      store.record({ category: 'hotel', subjectId: 'H1', price: 210, observedAt: '2025-01-01T08:00:00.000Z' });
+      store.record({ category: 'hotel', subjectId: 'H1', price: 180, observedAt: '2025-01-01T20:00:00.000Z' });
+      store.record({ category: 'hotel', subjectId: 'H1', price: 205, observedAt: '2025-01-02T08:00:00.000Z' });
+
+      expect(store.getPriceSeries('H1')).toEqual([
+        { date: '2025-01-01', price: 180 },
+        { date: '2025-01-02', price: 205 }
+      ]);
+    });
+  });
+
+  describe('getHotelPropertyId', () => {
+    it('should prefer Amadeus hotel IDs', () => {
+      expect(store.getHotelPropertyId({ hotelId: 'HLORL123', hotelName: 'Test' })).toBe('HLORL123');
+    });
+
+    it('should use Google property tokens', () => {
+      expect(store.getHotelPropertyId({ rawData: { property_token: 'abc' } })).toBe('abc');
+    });
+
+    it('should fall back to a name slug', () => {
+      expect(store.getHotelPropertyId({ hotelName: 'Disney\'s Pop Century Resort' }))
+        .toBe('hotel-disney-s-pop-century-resort');
+    });
+  });
+
+  describe('persistence', () => {
+    it('should survive a reload from disk', () => {
+      const filePath = path.join(os.tmpdir(), `price-history-${process.pid}-${Date.now()}.json`);
+
+      try {
+        const first = new PriceHistoryStore({ filePath });
+        first.record({ category: 'car', subjectId: 'Hertz@MCO Airport', price: 45 });
+        first.store.flush();
+
+        const second = new PriceHistoryStore({ filePath });
+        expect(second.getPrices('Hertz@MCO Airport')).toEqual([45]);
+      } finally {
+        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+      }
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProviderFixtureStore = require('../services/ProviderFixtureStore');
+const AmadeusClient = require('../services/AmadeusClient');
+
+jest.mock('axios');
+const axios = require('axios');
+
+describe('ProviderFixtureStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should default to live mode and call through', async () => {
+    const store = new ProviderFixtureStore({ directory });
+    const fetcher = jest.fn().mockResolvedValue({ ok: true });
+
+    expect(store.mode).toBe('live');
+    await expect(store.wrap('serpapi', 'google_hotels', { q: 'orlando' }, fetcher)).resolves.toEqual({ ok: true });
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+
+  it('should reject unknown modes', () => {
+    expect(() => new ProviderFixtureStore({ mode: 'mock' })).toThrow('Invalid PROVIDER_MODE');
+  });
+
+  it('should record responses without API keys and replay them', async () => {
+    const recorder = new ProviderFixtureStore({ mode: 'record', directory });
+    await recorder.wrap('serpapi', 'google_hotels', { q: 'orlando', adults: 2, api_key: 'secret' },
+      async () => ({ properties: [{ name: 'Resort' }] }));
+
+    const filePath = recorder.getFixturePath('serpapi', 'google_hotels', { adults: '2', q: 'orlando' });
+    const saved = fs.readFileSync(filePath, 'utf8');
+    expect(saved).not.toContain('secret');
+
+    const player = new ProviderFixtureStore({ mode: 'replay', directory });
+    const fetcher = jest.fn();
+    const response = await player.wrap('serpapi', 'google_hotels', { adults: 2, q: 'orlando' }, fetcher);
+
+    expect(response).toEqual({ properties: [{ name: 'Resort' }] });
+    expect(fetcher).not.toHaveBeenCalled();
+    expect(player.getStatus()).toMatchObject({ mode: 'replay', replayed: 1 });
+  });
+
+  it('should fail on a replay miss unless fallback is enabled', async () => {
+    const recorder = new ProviderFixtureStore({ mode: 'record', directory });
+    await recorder.wrap('serpapi', 'google_hotels', { check_in_date: '2025-03-01' }, async () => ({ recorded: true }));
+
+    const strict = new ProviderFixtureStore({ mode: 'replay', directory });
+    await expect(strict.wrap('serpapi', 'google_hotels', { check_in_date: '2025-04-01' }, jest.fn()))
+      .rejects.toThrow('No recorded serpapi fixture for google_hotels');
+
+    const lenient = new ProviderFixtureStore({ mode: 'replay', directory, fallback: true });
+    await expect(lenient.wrap('serpapi', 'google_hotels', { check_in_date: '2025-04-01' }, jest.fn()))
+      .resolves.toEqual({ recorded: true });
+  });
+
+  describe('with AmadeusClient', () => {
+    it('should record live responses and replay them without credentials', async () => {
+      axios.post.mockResolvedValue({ data: { access_token: 'token', expires_in: 1800 } });
+      axios.mockResolvedValue({ status: 200, data: { data: [{ id: '1' }] } });
+
+      const recordingClient = new AmadeusClient({
+        apiKey: 'key',
+        apiSecret: 'secret',
+        fixtures: new ProviderFixtureStore({ mode: 'record', directory })
+      });
+      await recordingClient.request('GET', '/v2/shopping/flight-offers', { params: { originLocationCode: 'JFK' } });
+
+      jest.clearAllMocks();
+      const replayClient = new AmadeusClient({
+        apiKey: null,
+        apiSecret: null,
+        fixtures: new ProviderFixtureStore({ mode: 'replay', directory })
+      });
+
+      expect(replayClient.isConfigured()).toBe(true);
+      const response = await replayClient.request('GET', '/v2/shopping/flight-offers', { params: { originLocationCode: 'JFK' } });
+
+      expect(response).toEqual({ data: [{ id: '1' }] });
+      expect(axios).not.toHaveBeenCalled();
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+});
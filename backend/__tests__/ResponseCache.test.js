@@ -0,0 +1,157 @@
+const ResponseCache = require('../services/ResponseCache');
+const LRUCacheAdapter = require('../services/LRUCacheAdapter');
+const RedisCacheAdapter = require('../services/RedisCacheAdapter');
+
+describe('ResponseCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new ResponseCache({ enabled: true });
+  });
+
+  describe('normalizeParams', () => {
+    it('should ignore parameter order, empty values and API keys', () => {
+      const a = cache.buildKey('serpapi:google_hotels', { q: 'Orlando hotels', adults: 2, api_key: 'secret' });
+      const b = cache.buildKey('serpapi:google_hotels', { adults: '2', children: '', q: 'Orlando hotels' });
+      expect(a).toBe(b);
+    });
+
+    it('should ignore casing and spacing of free-text queries', () => {
+      const a = cache.buildKey('serpapi:google_light', { q: '  Orlando   Car Rental ' });
+      const b = cache.buildKey('serpapi:google_light', { q: 'orlando car rental' });
+      expect(a).toBe(b);
+    });
+
+    it('should keep other parameters distinct', () => {
+      const a = cache.buildKey('amadeus:/v2/shopping/flight-offers', { originLocationCode: 'JFK' });
+      const b = cache.buildKey('amadeus:/v2/shopping/flight-offers', { originLocationCode: 'LGA' });
+      expect(a).not.toBe(b);
+    });
+  });
+
+  describe('getTtl', () => {
+    afterEach(() => {
+      delete process.env.CACHE_TTL_AMADEUS_HOTELS;
+    });
+
+    it('should use the longest matching namespace prefix', () => {
+      expect(cache.getTtl('amadeus:/v1/reference-data/airlines')).toBe(86400);
+      expect(cache.getTtl('amadeus:/v2/shopping/flight-offers')).toBe(600);
+      expect(cache.getTtl('serpapi:google')).toBe(1800);
+      expect(cache.getTtl('unknown')).toBe(cache.defaultTtl);
+    });
+
+    it('should let env vars override a namespace TTL', () => {
+      process.env.CACHE_TTL_AMADEUS_HOTELS = '60';
+      expect(cache.getTtl('amadeus-hotels:hotel-offers')).toBe(60);
+    });
+  });
+
+  describe('wrap', () => {
+    it('should serve repeat requests from the cache', async () => {
+      const fetcher = jest.fn().mockResolvedValue({ properties: [1, 2] });
+
+      await cache.wrap('serpapi:google_hotels', { q: 'a' }, fetcher);
+      const second = await cache.wrap('serpapi:google_hotels', { q: 'A' }, fetcher);
+
+      expect(fetcher).toHaveBeenCalledTimes(1);
+      expect(second).toEqual({ properties: [1, 2] });
+      expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5 });
+    });
+
+    it('should share one upstream call between concurrent identical requests', async () => {
+      const fetcher = jest.fn().mockResolvedValue({ ok: true });
+
+      await Promise.all([
+        cache.wrap('amadeus:/v1/x', { a: 1 }, fetcher),
+        cache.wrap('amadeus:/v1/x', { a: 1 }, fetcher)
+      ]);
+
+      expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not cache errors', async () => {
+      const fetcher = jest.fn()
+        .mockRejectedValueOnce(new Error('timeout'))
+        .mockResolvedValueOnce({ ok: true });
+
+      await expect(cache.wrap('serpapi:google', { q: 'x' }, fetcher)).rejects.toThrow('timeout');
+      await expect(cache.wrap('serpapi:google', { q: 'x' }, fetcher)).resolves.toEqual({ ok: true });
+    });
+
+    it('should bypass and refresh the cache inside runWithoutCache', async () => {
+      const fetcher = jest.fn()
+        .mockResolvedValueOnce({ price: 100 })
+        .mockResolvedValueOnce({ price: 90 });
+
+      await cache.wrap('serpapi:google', { q: 'x' }, fetcher);
+      const fresh = await ResponseCache.runWithoutCache(() => cache.wrap('serpapi:google', { q: 'x' }, fetcher));
+      const cached = await cache.wrap('serpapi:google', { q: 'x' }, fetcher);
+
+      expect(fresh).toEqual({ price: 90 });
+      expect(cached).toEqual({ price: 90 });
+      expect(cache.getStats().bypasses).toBe(1);
+    });
+
+    it('should bypass the cache for Cache-Control: no-cache requests', async () => {
+      const fetcher = jest.fn().mockResolvedValue({ ok: true });
+      await cache.wrap('serpapi:google', { q: 'x' }, fetcher);
+
+      const req = { get: header => (header === 'Cache-Control' ? 'no-cache' : undefined) };
+      await new Promise(resolve => {
+        ResponseCache.middleware()(req, {}, () => {
+          cache.wrap('serpapi:google', { q: 'x' }, fetcher).then(resolve);
+        });
+      });
+
+      expect(fetcher).toHaveBeenCalledTimes(2);
+    });
+
+    it('should call straight through when disabled', async () => {
+      const disabled = new ResponseCache({ enabled: false });
+      const fetcher = jest.fn().mockResolvedValue({ ok: true });
+
+      await disabled.wrap('serpapi:google', { q: 'x' }, fetcher);
+      await disabled.wrap('serpapi:google', { q: 'x' }, fetcher);
+
+      expect(fetcher).toHaveBeenCalledTimes(2);
+    });
+  });
+});
+
+describe('LRUCacheAdapter', () => {
+  it('should evict the least recently used entry', async () => {
+    const adapter = new LRUCacheAdapter({ maxEntries: 2 });
+
+    await adapter.set('a', '1', 60);
+    await adapter.set('b', '2', 60);
+    await adapter.get('a');
+    await adapter.set('c', '3', 60);
+
+    expect(await adapter.get('a')).toBe('1');
+    expect(await adapter.get('b')).toBeUndefined();
+    expect(adapter.getInfo().evictions).toBe(1);
+  });
+
+  it('should expire entries after their TTL', async () => {
+    const adapter = new LRUCacheAdapter();
+    await adapter.set('a', '1', 0);
+    expect(await adapter.get('a')).toBeUndefined();
+  });
+});
+
+describe('RedisCacheAdapter', () => {
+  it('should prefix keys and store values with a TTL', async () => {
+    const client = {
+      get: jest.fn().mockResolvedValue(null),
+      setEx: jest.fn().mockResolvedValue('OK'),
+      del: jest.fn()
+    };
+    const adapter = new RedisCacheAdapter(client);
+
+    await adapter.set('serpapi:abc', '{"ok":true}', 600);
+
+    expect(client.setEx).toHaveBeenCalledWith('ose:cache:serpapi:abc', 600, '{"ok":true}');
+    expect(await adapter.get('missing')).toBeUndefined();
+  });
+});
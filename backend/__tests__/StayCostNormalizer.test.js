@@ -0,0 +1,94 @@
+const StayCostNormalizer = require('../services/StayCostNormalizer');
+
+describe('StayCostNormalizer', () => {
+  let normalizer;
+
+  const stay = { checkInDate: '2026-03-01', checkOutDate: '2026-03-04' };
+
+  beforeEach(() => {
+    normalizer = new StayCostNormalizer();
+  });
+
+  describe('detectCounty', () => {
+    it('should use address and name keywords before coordinates', () => {
+      expect(normalizer.detectCounty({ hotelName: 'Hampton Inn Orlando/Kissimmee North' }))
+        .toEqual({ county: 'OSCEOLA', basis: 'ADDRESS' });
+      expect(normalizer.detectCounty({ hotelName: 'Hilton', address: { lines: ['1 Main St'], cityName: 'LAKE MARY' } }))
+        .toEqual({ county: 'SEMINOLE', basis: 'ADDRESS' });
+      expect(normalizer.detectCounty({ hotelName: 'Resort', location: { latitude: 28.25, longitude: -81.40 } }))
+        .toEqual({ county: 'OSCEOLA', basis: 'COORDINATES' });
+      expect(normalizer.detectCounty({ hotelName: 'Resort', location: {} }))
+        .toEqual({ county: 'ORANGE', basis: 'DEFAULT' });
+    });
+  });
+
+  describe('estimateFees', () => {
+    it('should estimate desk fees from the kind of property', () => {
+      expect(normalizer.estimateFees({ hotelName: 'Grand Lakes Resort' })).toMatchObject({ category: 'resort', resortFee: 35, parking: 25 });
+      expect(normalizer.estimateFees({ hotelName: "Disney's Pop Century Resort" })).toMatchObject({ category: 'disney', resortFee: 0, parking: 20 });
+      expect(normalizer.estimateFees({ hotelName: 'Fairfield Inn by Marriott Lake Buena Vista' })).toMatchObject({ category: 'limitedService', parking: 0 });
+    });
+
+    it('should prefer fees listed on the offer', () => {
+      const fees = normalizer.estimateFees({ hotelName: 'Grand Lakes Resort', resortFee: 0, parkingFee: '18' });
+
+      expect(fees).toMatchObject({ resortFee: 0, parking: 18, estimated: { resortFee: false, parking: false } });
+    });
+  });
+
+  describe('normalize', () => {
+    it('should build an all-in total from an Amadeus base price', () => {
+      const stayCost = normalizer.normalize(
+        { source: 'amadeus', hotelName: 'Grand Lakes Resort', basePrice: 600, totalPrice: 678, location: { latitude: 28.40, longitude: -81.43 } },
+        stay
+      );
+
+      expect(stayCost).toMatchObject({
+        nights: 3,
+        nightlyBase: 200,
+        county: 'Orange County',
+        taxRate: 0.125,
+        resortFeeTotal: 105,
+        parkingTotal: 75,
+        taxes: 93,
+        total: 873,
+        nightlyTotal: 291,
+        estimated: { base: false, resortFee: true, parking: true }
+      });
+    });
+
+    it('should use SerpApi before-tax rates and county tax', () => {
+      const stayCost = normalizer.normalize({
+        source: 'serpapi',
+        hotelName: 'Hampton Inn & Suites Orlando/Kissimmee North',
+        price: '$140',
+        rawData: { rate_per_night: { extracted_lowest: 140, extracted_before_taxes_fees: 120 } }
+      }, { checkInDate: '2026-03-01', checkOutDate: '2026-03-03' });
+
+      expect(stayCost).toMatchObject({ county: 'Osceola County', baseTotal: 240, taxes: 32.4, total: 272.4, nightlyTotal: 136.2 });
+      expect(stayCost.estimated.base).toBe(false);
+    });
+
+    it('should back taxes out of a listed price and skip parking on request', () => {
+      const stayCost = normalizer.normalize(
+        { source: 'serpapi', hotelName: 'Grand Lakes Resort', price: '$225', resortFee: 0 },
+        { checkInDate: '2026-03-01', checkOutDate: '2026-03-02', includeParking: false }
+      );
+
+      expect(stayCost).toMatchObject({ nightlyBase: 200, taxes: 25, parking: 0, total: 225 });
+      expect(stayCost.estimated).toEqual({ base: true, resortFee: false, parking: false });
+    });
+
+    it('should return null for an offer without a price', () => {
+      expect(normalizer.normalize({ source: 'serpapi', hotelName: 'Mystery Inn' }, stay)).toBeNull();
+    });
+  });
+
+  describe('comparablePrice', () => {
+    it('should prefer the all-in nightly total over the listed price', () => {
+      expect(StayCostNormalizer.comparablePrice({ price: 150, stayCost: { nightlyTotal: 212.5 } })).toBe(212.5);
+      expect(StayCostNormalizer.comparablePrice({ price: '$1,189' })).toBe(1189);
+      expect(StayCostNormalizer.comparablePrice({ price: null })).toBeNull();
+    });
+  });
+});
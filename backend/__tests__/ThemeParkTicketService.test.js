@@ -0,0 +1,118 @@
+const ThemeParkTicketService = require('../services/ThemeParkTicketService');
+const SavingsOptimizer = require('../services/SavingsOptimizer');
+
+describe('ThemeParkTicketService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new ThemeParkTicketService();
+  });
+
+  describe('getDemandTier', () => {
+    it('should classify dates into demand tiers', () => {
+      expect(service.getDemandTier('2025-12-25')).toBe('holiday');
+      expect(service.getDemandTier('2025-07-04')).toBe('peak');
+      expect(service.getDemandTier('2025-01-21')).toBe('value');
+      expect(service.getDemandTier('2025-10-14')).toBe('regular');
+    });
+  });
+
+  describe('validateRequest', () => {
+    it('should check days against the ticket table and the party size', () => {
+      expect(service.validateRequest({ resortId: 'disney', days: 4, adults: 2, children: 0 })).toEqual([]);
+      expect(service.validateRequest({ resortId: 'universal', days: 6, adults: NaN, children: -1 })).toEqual([
+        'days must be a whole number from 1 to 5',
+        'adults must be a whole number of at least 1',
+        'children must be a whole number of 0 or more'
+      ]);
+      expect(service.validateRequest({ days: 4.5 })).toEqual(['days must be a whole number from 1 to 10']);
+      expect(service.validateRequest({ adults: -2 })).toHaveLength(1);
+    });
+  });
+
+  describe('calculateTicketPrice', () => {
+    it('should price peak dates above value dates', () => {
+      const value = service.calculateTicketPrice({ resortId: 'disney', startDate: '2025-01-21', adults: 1 });
+      const peak = service.calculateTicketPrice({ resortId: 'disney', startDate: '2025-07-08', adults: 1 });
+
+      expect(peak.adultTicketPrice).toBeGreaterThan(value.adultTicketPrice);
+    });
+
+    it('should lower the per-day price for longer tickets', () => {
+      const oneDay = service.calculateTicketPrice({ resortId: 'disney', startDate: '2025-10-14', days: 1, adults: 1 });
+      const fiveDay = service.calculateTicketPrice({ resortId: 'disney', startDate: '2025-10-14', days: 5, adults: 1 });
+
+      expect(fiveDay.pricePerDay).toBeLessThan(oneDay.pricePerDay);
+      expect(fiveDay.adultTicketPrice).toBeGreaterThan(oneDay.adultTicketPrice);
+    });
+
+    it('should add park hopper pricing per ticket', () => {
+      const base = service.calculateTicketPrice({ resortId: 'disney', startDate: '2025-10-14', days: 3, adults: 2 });
+      const hopper = service.calculateTicketPrice({
+        resortId: 'disney', startDate: '2025-10-14', days: 3, adults: 2, addOns: ['park_hopper']
+      });
+
+      expect(hopper.adultTicketPrice - base.adultTicketPrice).toBe(79);
+      expect(hopper.subtotal - base.subtotal).toBe(158);
+    });
+
+    it('should price children below adults and include tax', () => {
+      const pricing = service.calculateTicketPrice({ resortId: 'universal', startDate: '2025-10-14', adults: 2, children: 1 });
+
+      expect(pricing.childTicketPrice).toBeLessThan(pricing.adultTicketPrice);
+      expect(pricing.total).toBeCloseTo(pricing.subtotal * 1.065, 2);
+    });
+
+    it('should reject variants outside their ticket lengths', () => {
+      expect(() => service.calculateTicketPrice({
+        resortId: 'disney', startDate: '2025-10-14', days: 2, variant: 'military'
+      })).toThrow('only available as a 4/5-day ticket');
+    });
+
+    it('should reject unknown resorts and add-ons', () => {
+      expect(() => service.calculateTicketPrice({ resortId: 'busch', startDate: '2025-10-14' })).toThrow('Unknown resort');
+      expect(() => service.calculateTicketPrice({
+        resortId: 'seaworld', startDate: '2025-10-14', addOns: ['park_hopper']
+      })).toThrow('does not offer the park_hopper add-on');
+    });
+  });
+
+  describe('getOffers', () => {
+    it('should measure savings against the gate price', () => {
+      const offers = service.getOffers({ resortId: 'seaworld', startDate: '2025-10-14', eligibility: {} });
+
+      expect(offers).toHaveLength(1);
+      expect(offers[0].variant).toBe('standard');
+      expect(offers[0].savings).toBeGreaterThan(0);
+      expect(offers[0].originalPrice - offers[0].discountedPrice).toBeCloseTo(offers[0].savings, 2);
+    });
+
+    it('should only include variants the party is eligible for', () => {
+      const offers = service.getOffers({
+        resortId: 'disney', startDate: '2025-10-14', days: 4, eligibility: { isFloridaResident: true }
+      });
+
+      expect(offers.map(offer => offer.variant)).toEqual(['florida_resident', 'standard']);
+      expect(offers[0].eligibility.required).toBe('florida_resident');
+    });
+
+    it('should produce offers usable by calculateTripSavingsPotential', () => {
+      const offers = service.getOffers({ resortId: 'legoland', startDate: '2025-10-14', eligibility: {} });
+      const result = new SavingsOptimizer().calculateTripSavingsPotential({ themeParks: offers });
+
+      expect(result.breakdown.themeParks).toBe(offers[0].savings);
+      expect(result.totalDiscountedCost).toBe(offers[0].discountedPrice);
+    });
+  });
+
+  describe('getPriceCalendar', () => {
+    it('should find the cheapest start date in a range', () => {
+      const calendar = service.getPriceCalendar('universal', { startDate: '2025-12-10', endDate: '2025-12-28' });
+
+      expect(calendar.calendar).toHaveLength(19);
+      expect(calendar.cheapest.demandTier).toBe('value');
+      expect(calendar.mostExpensive.demandTier).toBe('holiday');
+      expect(calendar.potentialSavings).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const TollCostModel = require('../services/TollCostModel');
+const SavingsOptimizer = require('../services/SavingsOptimizer');
+
+describe('TollCostModel', () => {
+  let model;
+
+  beforeEach(() => {
+    model = new TollCostModel();
+  });
+
+  describe('resolvePlace', () => {
+    it('should accept codes and aliases', () => {
+      expect(TollCostModel.resolvePlace('I-Drive')).toBe('IDRIVE');
+      expect(TollCostModel.resolvePlace('wdw')).toBe('DISNEY');
+      expect(TollCostModel.resolvePlace('mco')).toBe('MCO');
+      expect(TollCostModel.resolvePlace('Atlantis')).toBeNull();
+    });
+  });
+
+  describe('estimateItineraryTolls', () => {
+    it('should sum tolls for a list of stops', () => {
+      const tolls = model.estimateItineraryTolls(['MCO', 'I-Drive', 'Disney', 'MCO'], 7);
+
+      expect(tolls.legs.map(leg => leg.transponder)).toEqual([1.6, 0, 3.9]);
+      expect(tolls.transponderTotal).toBe(5.5);
+      expect(tolls.plateTotal).toBe(7.9);
+      expect(tolls.tollDays).toBe(2);
+    });
+
+    it('should count legs on the same day once', () => {
+      const tolls = model.estimateItineraryTolls([
+        { from: 'Disney', to: 'Port Canaveral', day: 3 },
+        { from: 'Port Canaveral', to: 'Disney', day: 3 },
+        { from: 'Disney', to: 'Kennedy Space Center', times: 2 }
+      ], 7);
+
+      expect(tolls.transponderTotal).toBe(30);
+      expect(tolls.tollDays).toBe(3);
+    });
+
+    it('should default to the airport-to-Disney round trip', () => {
+      const tolls = model.estimateItineraryTolls(undefined, 5);
+
+      expect(tolls.legs.map(leg => [leg.from, leg.to, leg.day])).toEqual([['MCO', 'DISNEY', 1], ['DISNEY', 'MCO', 5]]);
+      expect(tolls.tollDays).toBe(2);
+    });
+  });
+
+  describe('getProgramFee', () => {
+    it('should charge per-use programs only on toll days, capped per rental', () => {
+      expect(model.getProgramFee('Enterprise', 7, 2)).toBe(7.9);
+      expect(model.getProgramFee('Hertz', 10, 10)).toBe(29.75);
+    });
+
+    it('should charge flat daily programs every rental day', () => {
+      expect(model.getProgramFee('Sixt', 4, 1)).toBe(39.96);
+    });
+  });
+
+  describe('estimate', () => {
+    it('should price every option and pick the cheapest', () => {
+      const estimate = model.estimate({ company: 'Hertz', rentalDays: 5 });
+
+      expect(estimate.options.map(option => [option.option, option.total])).toEqual([
+        ['RENTAL_PROGRAM', 23.1],
+        ['BRING_YOUR_OWN', 12.79],
+        ['VISITOR_TOLL_PASS', 7.8]
+      ]);
+      expect(estimate.cheapest.option).toBe('VISITOR_TOLL_PASS');
+      expect(estimate.savingsVsRentalProgram).toBe(15.3);
+    });
+
+    it('should prefer an owned transponder when the Visitor Toll Pass is unavailable', () => {
+      const estimate = model.estimate({ company: 'Alamo', rentalDays: 5, ownsTransponder: true, arrivesAtMco: false });
+
+      expect(estimate.options).toHaveLength(2);
+      expect(estimate.cheapest).toMatchObject({ option: 'BRING_YOUR_OWN', fees: 0, total: 7.8 });
+    });
+
+    it('should not add tolls on top of all-inclusive programs', () => {
+      const estimate = model.estimate({ company: 'Fox Rent A Car', rentalDays: 3 });
+
+      expect(estimate.options[0]).toMatchObject({ pricing: 'FLAT_DAILY', fees: 32.97, tolls: 0, total: 32.97 });
+    });
+  });
+
+  describe('validateItinerary', () => {
+    it('should report unknown places and bad repeat counts', () => {
+      expect(TollCostModel.validateItinerary(['MCO', 'Disney'])).toEqual([]);
+      expect(TollCostModel.validateItinerary('MCO')).toEqual(['itinerary must be an array of stops or legs']);
+      expect(TollCostModel.validateItinerary([{ from: 'MCO', to: 'Mars', times: 0 }])).toHaveLength(2);
+    });
+  });
+
+  describe('trip totals', () => {
+    it('should add the cheapest toll option to calculateTripSavingsPotential', () => {
+      const carRentals = [{
+        company: 'Hertz',
+        originalPrice: 300,
+        discountedPrice: 250,
+        savings: 50,
+        confidence: 0.8,
+        tollCost: { option: 'VISITOR_TOLL_PASS', total: 7.8, rentalProgramTotal: 23.1 }
+      }];
+
+      const result = new SavingsOptimizer().calculateTripSavingsPotential({ carRentals });
+
+      expect(result.totalDiscountedCost).toBeCloseTo(257.8, 2);
+      expect(result.totalOriginalCost).toBeCloseTo(323.1, 2);
+      expect(result.breakdown.tolls).toBeCloseTo(15.3, 2);
+    });
+  });
+});
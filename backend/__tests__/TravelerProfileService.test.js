@@ -0,0 +1,57 @@
+const TravelerProfileService = require('../services/TravelerProfileService');
+
+describe('TravelerProfileService', () => {
+  let profiles;
+
+  beforeEach(() => {
+    profiles = new TravelerProfileService({ filePath: null });
+  });
+
+  describe('validateProfile', () => {
+    it('should accept a valid profile', () => {
+      expect(TravelerProfileService.validateProfile({
+        memberships: ['AAA', 'costco'],
+        affiliations: ['first_responder'],
+        ageBracket: '65_plus',
+        corporateCodes: [{ employer: 'Acme', code: 'ACM' }]
+      })).toEqual([]);
+    });
+
+    it('should reject unknown values', () => {
+      const errors = TravelerProfileService.validateProfile({
+        memberships: ['gym'],
+        affiliations: 'military',
+        ageBracket: '40s',
+        corporateCodes: [{ employer: 'Acme' }]
+      });
+
+      expect(errors).toHaveLength(4);
+    });
+  });
+
+  describe('normalizeProfile', () => {
+    it('should map legacy flags onto the profile shape', () => {
+      expect(TravelerProfileService.normalizeProfile({ hasAAA: true, isMilitary: true, isSenior: true })).toEqual({
+        memberships: ['aaa'],
+        affiliations: ['military'],
+        ageBracket: '55_59',
+        corporateCodes: []
+      });
+    });
+  });
+
+  describe('saveProfile', () => {
+    it('should persist a normalized profile per user', () => {
+      expect(profiles.hasProfile('user_1')).toBe(false);
+
+      profiles.saveProfile('user_1', { memberships: ['AARP'], corporateCodes: [{ code: ' acm ' }] });
+
+      expect(profiles.hasProfile('user_1')).toBe(true);
+      expect(profiles.getProfile('user_1')).toMatchObject({
+        memberships: ['aarp'],
+        corporateCodes: [{ employer: null, code: 'ACM' }]
+      });
+      expect(profiles.getProfile('user_2').memberships).toEqual([]);
+    });
+  });
+});
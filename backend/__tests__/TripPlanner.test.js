@@ -0,0 +1,196 @@
+const TripPlanner = require('../services/TripPlanner');
+const DualSourceHotelAggregator = require('../services/DualSourceHotelAggregator');
+
+describe('TripPlanner', () => {
+  let planner;
+  let amadeusService;
+  let hotelAggregator;
+  let carRentalService;
+
+  const flight = (id, total, stops = 0) => ({
+    id,
+    price: { total },
+    confidence: 0.85,
+    validatingAirlineCodes: ['B6'],
+    outbound: { originAirport: 'JFK', destinationAirport: 'MCO', numberOfStops: stops },
+    inbound: null
+  });
+
+  beforeEach(() => {
+    amadeusService = {
+      searchFlights: jest.fn().mockResolvedValue({
+        data: [flight('1', 400), flight('2', 300), flight('3', 500, 1)]
+      })
+    };
+    hotelAggregator = {
+      getStayPrices: DualSourceHotelAggregator.prototype.getStayPrices,
+      searchHotels: jest.fn().mockResolvedValue({
+        hotels: [
+          {
+            hotelName: 'Hilton Orlando',
+            propertyId: 'HLORL1',
+            rating: 4.5,
+            sources: ['serpapi', 'amadeus'],
+            serpApiData: { price: '$200', rawData: { rate_per_night: { extracted_lowest: 200 } } },
+            amadeusData: { totalPrice: 900 }
+          },
+          {
+            hotelName: 'No Price Inn',
+            propertyId: 'NOPRICE',
+            sources: ['serpapi'],
+            serpApiData: { price: null, rawData: {} }
+          }
+        ]
+      })
+    };
+    carRentalService = {
+      searchCarRentals: jest.fn().mockResolvedValue([
+        { company: 'Hertz', dailyRate: 50, discountPercent: 20, confidence: 0.75 },
+        { company: 'Various', dailyRate: null, confidence: 0.6 }
+      ])
+    };
+
+    planner = new TripPlanner({ amadeusService, hotelAggregator, carRentalService });
+  });
+
+  describe('validateRequest', () => {
+    it('should require an origin and dates', () => {
+      const errors = planner.validateRequest({});
+      expect(errors).toContain('origin must be a 3-letter airport code');
+      expect(errors[1]).toContain('dates must include');
+    });
+
+    it('should reject a window shorter than the trip', () => {
+      const errors = planner.validateRequest({
+        origin: 'JFK',
+        dates: { earliestDeparture: '2025-03-01', latestReturn: '2025-03-03', nights: 5 }
+      });
+      expect(errors).toEqual(['dates window is shorter than the requested number of nights']);
+    });
+
+    it('should reject unknown toll itinerary places', () => {
+      const errors = planner.validateRequest({
+        origin: 'JFK',
+        dates: { departureDate: '2025-03-10', returnDate: '2025-03-15' },
+        tolls: { itinerary: ['MCO', 'Atlantis'] }
+      });
+      expect(errors[0]).toContain('itinerary[0].to "Atlantis" is not a known place');
+    });
+
+    it('should reject bad fixed dates, tolls and itinerary counts', () => {
+      const errors = planner.validateRequest({
+        origin: 'JFK',
+        dates: { departureDate: '2025-03-10', returnDate: 'next week' },
+        tolls: null,
+        maxItineraries: 'all'
+      });
+      expect(errors).toEqual([
+        'dates.departureDate and dates.returnDate must be YYYY-MM-DD dates',
+        'tolls must be an object',
+        'maxItineraries must be a whole number from 1 to 50'
+      ]);
+    });
+  });
+
+  describe('buildDateOptions', () => {
+    it('should sample a flexible window evenly', () => {
+      const options = planner.buildDateOptions({
+        earliestDeparture: '2025-03-01', latestReturn: '2025-03-15', nights: 5, maxDateOptions: 3
+      });
+
+      expect(options.map(option => option.departureDate)).toEqual(['2025-03-01', '2025-03-06', '2025-03-10']);
+      expect(options[2].returnDate).toBe('2025-03-15');
+    });
+  });
+
+  describe('planTrip', () => {
+    const request = {
+      origin: 'jfk',
+      dates: { departureDate: '2025-03-10', returnDate: '2025-03-15' },
+      party: { adults: 2, children: 1 },
+      parks: [{ resort: 'disney', days: 2 }]
+    };
+
+    it('should price every component of each itinerary', async () => {
+      const plan = await planner.planTrip(request);
+      const cheapest = plan.itineraries.find(itinerary => itinerary.costRank === 1);
+
+      expect(plan.itineraries).toHaveLength(3);
+      expect(cheapest.components.flight.price).toBe(300);
+      expect(cheapest.components.flight.savings).toBe(100);
+      expect(cheapest.components.hotel.price).toBe(900);
+      expect(cheapest.components.hotel.savings).toBe(100);
+      // $250 rental plus tolls (Visitor Toll Pass vs. Hertz PlatePass)
+      expect(cheapest.components.car.details.rentalPrice).toBe(250);
+      expect(cheapest.components.car.price).toBe(257.8);
+      expect(cheapest.components.car.originalPrice).toBe(335.6);
+      expect(cheapest.components.tickets).toHaveLength(1);
+
+      const parts = [cheapest.components.flight, cheapest.components.hotel, cheapest.components.car, ...cheapest.components.tickets];
+      expect(cheapest.totals.totalCost).toBeCloseTo(parts.reduce((sum, part) => sum + part.price, 0), 2);
+      expect(amadeusService.searchFlights).toHaveBeenCalledWith(expect.objectContaining({ origin: 'JFK', children: 1 }));
+    });
+
+    it('should rank within-budget itineraries first', async () => {
+      const plan = await planner.planTrip({ ...request, parks: [], budget: 1600, rankBy: 'cost' });
+
+      expect(plan.summary.withinBudget).toBe(2);
+      expect(plan.itineraries.map(itinerary => itinerary.withinBudget)).toEqual([true, true, false]);
+      expect(plan.itineraries[0].totals.totalCost).toBe(1457.8);
+    });
+
+    it('should price tolls for the planned drives', async () => {
+      const plan = await planner.planTrip({
+        ...request,
+        parks: [],
+        tolls: { itinerary: ['MCO', 'Universal', 'Port Canaveral', 'MCO'], ownsTransponder: true }
+      });
+      const { tolls } = plan.itineraries[0].components.car.details;
+
+      expect(tolls).toEqual({ option: 'BRING_YOUR_OWN', label: 'Your SunPass/E-PASS', total: 12, rentalProgramTotal: 35.05 });
+    });
+
+    it('should report failed component searches without failing the plan', async () => {
+      carRentalService.searchCarRentals.mockRejectedValue(new Error('SerpApi down'));
+      const plan = await planner.planTrip({ ...request, parks: [] });
+
+      expect(plan.itineraries[0].components.car).toBeNull();
+      expect(plan.searches[0].errors.car).toBe('SerpApi down');
+      expect(plan.warnings).toEqual([]);
+    });
+
+    it('should still price the hotel, car and tickets when no flights are found', async () => {
+      amadeusService.searchFlights.mockRejectedValue(new Error('Amadeus timeout'));
+      const plan = await planner.planTrip(request);
+
+      expect(plan.itineraries).toHaveLength(1);
+      expect(plan.itineraries[0].components.flight).toBeNull();
+      expect(plan.itineraries[0].missingComponents).toEqual(['flight']);
+      expect(plan.itineraries[0].components.hotel.price).toBe(900);
+      expect(plan.itineraries[0].components.tickets).toHaveLength(1);
+      expect(plan.warnings).toEqual([
+        'No flights found from JFK for 2025-03-10 to 2025-03-15 (flight search failed: Amadeus timeout). Those itineraries leave out airfare.'
+      ]);
+    });
+
+    it('should rank itineraries without airfare after complete ones', async () => {
+      amadeusService.searchFlights
+        .mockResolvedValueOnce({ data: [flight('1', 400)] })
+        .mockRejectedValueOnce(new Error('Amadeus timeout'));
+      const plan = await planner.planTrip({
+        ...request,
+        parks: [],
+        dates: { earliestDeparture: '2025-03-01', latestReturn: '2025-03-15', nights: 5, maxDateOptions: 2 },
+        budget: 2000,
+        rankBy: 'cost'
+      });
+
+      expect(plan.itineraries.map(itinerary => [itinerary.missingComponents, itinerary.costRank, itinerary.withinBudget])).toEqual([
+        [[], 1, true],
+        [['flight'], null, null]
+      ]);
+      expect(plan.summary).toMatchObject({ withinBudget: 1, cheapestTotal: plan.itineraries[0].totals.totalCost });
+      expect(plan.summary.bestValue.id).toBe(plan.itineraries[0].id);
+    });
+  });
+});
@@ -0,0 +1,280 @@
+const WatchlistService = require('../services/WatchlistService');
+const DualSourceHotelAggregator = require('../services/DualSourceHotelAggregator');
+const CarRentalService = require('../services/CarRentalService');
+const AlertNotifier = require('../services/AlertNotifier');
+
+describe('WatchlistService', () => {
+  let watchlist;
+  let hotelAggregator;
+  let amadeusService;
+  let carRentalService;
+  let notifier;
+
+  const hotelWatch = {
+    type: 'hotel',
+    params: {
+      hotelName: 'Hilton Orlando',
+      checkInDate: '2025-01-15',
+      checkOutDate: '2025-01-18'
+    },
+    targetPrice: 400,
+    bookedPrice: 450,
+    notify: [{ type: 'webhook', url: 'https://hooks.example.com/price-alerts' }]
+  };
+
+  beforeEach(() => {
+    hotelAggregator = {
+      searchHotels: jest.fn().mockResolvedValue({
+        hotels: [
+          // SerpApi-only results carry the nightly display price
+          { hotelName: 'Hilton Orlando', propertyId: 'HLORL1', serpApiData: { price: '$140' }, source: 'serpapi', link: 'http://example.com/hilton' },
+          { hotelName: 'Rosen Inn', propertyId: 'ROSEN1', serpApiData: { price: '$50' }, source: 'serpapi' }
+        ]
+      }),
+      getStayPrices: DualSourceHotelAggregator.prototype.getStayPrices
+    };
+    amadeusService = {
+      searchFlights: jest.fn().mockResolvedValue({
+        data: [
+          { price: { total: 320 }, validatingAirlineCodes: ['DL'] },
+          { price: { total: 280 }, validatingAirlineCodes: ['B6'] }
+        ]
+      })
+    };
+    carRentalService = {
+      searchCarRentals: jest.fn().mockResolvedValue([
+        { company: 'Hertz', dailyRate: 45, source: 'serpapi_google_light' },
+        { company: 'Budget', dailyRate: 39, source: 'serpapi_google_light' }
+      ]),
+      reshopSettings: { maxRentalDays: 30 },
+      validateRentalDates: CarRentalService.prototype.validateRentalDates
+    };
+    notifier = {
+      getChannels: jest.fn().mockReturnValue(['webhook', 'email']),
+      validateTarget: AlertNotifier.prototype.validateTarget,
+      isPrivateHost: AlertNotifier.prototype.isPrivateHost,
+      notify: jest.fn().mockResolvedValue([{ type: 'webhook', delivered: true }])
+    };
+
+    watchlist = new WatchlistService({
+      filePath: null,
+      hotelAggregator,
+      amadeusService,
+      carRentalService,
+      notifier
+    });
+  });
+
+  describe('validateWatch', () => {
+    it('should accept a complete hotel watch', () => {
+      expect(watchlist.validateWatch(hotelWatch)).toEqual([]);
+    });
+
+    it('should reject unknown types', () => {
+      expect(watchlist.validateWatch({ type: 'cruise' })[0]).toContain('type must be one of');
+    });
+
+    it('should require type-specific params and a price', () => {
+      const errors = watchlist.validateWatch({ type: 'flight', params: { origin: 'JFK' } });
+      expect(errors).toContain('params.departureDate is required for flight watches');
+      expect(errors).toContain('targetPrice or bookedPrice is required');
+    });
+
+    it('should require a company and booked price for reshop car watches', () => {
+      const errors = watchlist.validateWatch({
+        type: 'car',
+        params: { pickupDate: '2026-03-10', returnDate: '2026-03-16', reshop: true },
+        targetPrice: 300
+      });
+      expect(errors).toEqual([
+        'params.company is required for reshop car watches',
+        'bookedPrice is required for reshop car watches'
+      ]);
+    });
+
+    it('should reject invalid car dates and over-long reshop rentals', () => {
+      const car = { type: 'car', bookedPrice: 420 };
+
+      expect(watchlist.validateWatch({ ...car, params: { pickupDate: 'next week', returnDate: '2026-03-16' } })).toEqual([
+        'params.pickupDate must be a valid date (YYYY-MM-DD)'
+      ]);
+      expect(watchlist.validateWatch({ ...car, params: { company: 'Hertz', reshop: true } })).toEqual([
+        'params.pickupDate is required for car watches',
+        'params.returnDate is required for car watches'
+      ]);
+      expect(watchlist.validateWatch({ ...car, params: { company: 'Hertz', pickupDate: '2026-03-01', returnDate: '2026-05-30', reshop: true } })).toEqual([
+        'params.returnDate must be within 30 days of pickupDate to re-shop'
+      ]);
+    });
+
+    it('should reject non-numeric and negative prices', () => {
+      expect(watchlist.validateWatch({ ...hotelWatch, targetPrice: 'cheap', bookedPrice: -20 })).toEqual([
+        'targetPrice must be a positive number',
+        'bookedPrice must be a positive number'
+      ]);
+      expect(watchlist.validatePrices({ targetPrice: '12abc' })).toEqual(['targetPrice must be a positive number']);
+      expect(watchlist.validatePrices({ targetPrice: null, bookedPrice: '450' })).toEqual([]);
+    });
+
+    it('should reject unknown notification channels', () => {
+      const errors = watchlist.validateWatch({ ...hotelWatch, notify: [{ type: 'sms' }] });
+      expect(errors[0]).toContain('notify[0].type');
+    });
+
+    it('should reject empty notification targets and webhooks to private hosts', () => {
+      const notify = targets => watchlist.validateWatch({ ...hotelWatch, notify: targets });
+
+      expect(notify([null])).toEqual(['notify[0] must be an object']);
+      expect(notify([
+        { type: 'webhook', url: 'http://169.254.169.254/latest/meta-data' },
+        { type: 'webhook', url: 'http://localhost:5000/admin' },
+        { type: 'webhook', url: 'http://[::1]/hook' },
+        { type: 'webhook', url: 'file:///etc/passwd' },
+        { type: 'webhook', url: 'https://hooks.example.com/a', headers: { Authorization: 42 } }
+      ])).toEqual([
+        'notify[0].url must be on a public host',
+        'notify[1].url must be on a public host',
+        'notify[2].url must be on a public host',
+        'notify[3].url must be an http(s) URL',
+        'notify[4].headers must be an object of strings'
+      ]);
+    });
+
+    it('should require a check interval of at least 30 whole minutes', () => {
+      expect(watchlist.validateWatch({ ...hotelWatch, checkIntervalMinutes: 60 })).toEqual([]);
+      ['-5', 10, 45.5, 'soon', true].forEach(checkIntervalMinutes => {
+        expect(watchlist.validateWatch({ ...hotelWatch, checkIntervalMinutes })).toEqual([
+          'checkIntervalMinutes must be a whole number of at least 30'
+        ]);
+      });
+    });
+  });
+
+  describe('createWatch', () => {
+    it('should create an active watch that is due immediately', () => {
+      const watch = watchlist.createWatch(hotelWatch);
+
+      expect(watch.id).toMatch(/^watch_/);
+      expect(watch.status).toBe('active');
+      expect(watch.label).toContain('Hilton Orlando');
+      expect(watchlist.getDueWatches().map(w => w.id)).toContain(watch.id);
+    });
+  });
+
+  describe('reserveManualCheck', () => {
+    it('should throttle on-demand checks per watch and across watches', () => {
+      const now = Date.parse('2026-03-01T12:00:00Z');
+      const watch = watchlist.createWatch(hotelWatch);
+
+      expect(watchlist.reserveManualCheck({ ...watch, lastCheckedAt: '2026-03-01T11:58:00Z' }, now)).toBe(180);
+      for (let i = 0; i < 10; i++) {
+        expect(watchlist.reserveManualCheck(watch, now + i)).toBe(0);
+      }
+      expect(watchlist.reserveManualCheck(watch, now + 1000)).toBe(59);
+      expect(watchlist.reserveManualCheck(watch, now + 61 * 1000)).toBe(0);
+    });
+  });
+
+  describe('checkWatch', () => {
+    it('should record the check and schedule the next one', async () => {
+      const watch = watchlist.createWatch({ ...hotelWatch, targetPrice: 300, bookedPrice: null });
+      const { check, alert } = await watchlist.checkWatch(watch.id);
+
+      expect(check.price).toBe(420);
+      expect(alert).toBeNull();
+      expect(watchlist.getChecks(watch.id)).toHaveLength(1);
+      expect(watchlist.getDueWatches().map(w => w.id)).not.toContain(watch.id);
+    });
+
+    it('should compare hotel watches on the all-in stay total', async () => {
+      hotelAggregator.searchHotels.mockResolvedValue({
+        hotels: [{
+          hotelName: 'Hilton Orlando',
+          propertyId: 'HLORL1',
+          serpApiData: { price: '$140', stayCost: { total: 498.6 } },
+          amadeusData: { stayCost: { total: 472.15 } },
+          link: 'http://example.com/hilton'
+        }]
+      });
+      const watch = watchlist.createWatch({ ...hotelWatch, targetPrice: 480, bookedPrice: null });
+      const { check, alert } = await watchlist.checkWatch(watch.id);
+
+      expect(check).toMatchObject({ price: 472.15, source: 'amadeus', basis: 'ALL_IN' });
+      expect(alert.reasons).toEqual(['BELOW_TARGET']);
+      expect(watchlist.getWatch(watch.id).lowestPrice).toBe(472.15);
+    });
+
+    it('should raise an alert when price drops below what was paid', async () => {
+      const watch = watchlist.createWatch(hotelWatch);
+      const { alert } = await watchlist.checkWatch(watch.id);
+
+      expect(alert.reasons).toEqual(['BELOW_BOOKED']);
+      expect(alert.savingsVsBooked).toBe(30);
+      expect(notifier.notify).toHaveBeenCalledWith(alert, hotelWatch.notify);
+      expect(watchlist.getAlerts(watch.id)).toHaveLength(1);
+    });
+
+    it('should not re-alert when the price has not dropped further', async () => {
+      const watch = watchlist.createWatch(hotelWatch);
+      await watchlist.checkWatch(watch.id);
+      const { alert } = await watchlist.checkWatch(watch.id);
+
+      expect(alert).toBeNull();
+      expect(watchlist.getAlerts(watch.id)).toHaveLength(1);
+    });
+
+    it('should record failed checks without throwing', async () => {
+      hotelAggregator.searchHotels.mockRejectedValue(new Error('API down'));
+      const watch = watchlist.createWatch(hotelWatch);
+      const { check } = await watchlist.checkWatch(watch.id);
+
+      expect(check.success).toBe(false);
+      expect(check.error).toBe('API down');
+    });
+
+    it('should use the cheapest matching flight', async () => {
+      const watch = watchlist.createWatch({
+        type: 'flight',
+        params: { origin: 'JFK', departureDate: '2025-01-15' },
+        targetPrice: 300
+      });
+      const { check, alert } = await watchlist.checkWatch(watch.id);
+
+      expect(check.price).toBe(280);
+      expect(alert.reasons).toEqual(['BELOW_TARGET']);
+    });
+
+    it('should price car watches as the rental total', async () => {
+      const watch = watchlist.createWatch({
+        type: 'car',
+        params: { company: 'Hertz', pickupDate: '2025-01-15', returnDate: '2025-01-18' },
+        targetPrice: 100
+      });
+      const { check } = await watchlist.checkWatch(watch.id);
+
+      expect(check.price).toBe(135);
+    });
+
+    it('should re-shop car reservations and describe the cheaper booking', async () => {
+      carRentalService.analyzeReservation = jest.fn().mockResolvedValue({
+        options: [{
+          type: 'SPLIT',
+          total: 300,
+          description: 'Split into Hertz for 3 days, then Hertz for 3 days from 2026-03-13',
+          caveat: null,
+          contracts: []
+        }]
+      });
+      const watch = watchlist.createWatch({
+        type: 'car',
+        params: { company: 'Hertz', carType: 'midsize', pickupDate: '2026-03-10', returnDate: '2026-03-16', reshop: true },
+        bookedPrice: 420
+      });
+      const { check, alert } = await watchlist.checkWatch(watch.id);
+
+      expect(carRentalService.analyzeReservation).toHaveBeenCalledWith(expect.objectContaining({ company: 'Hertz', price: 420 }));
+      expect(check).toMatchObject({ price: 300, source: 'SPLIT', reshop: { type: 'SPLIT' } });
+      expect(alert.message).toBe('Split into Hertz for 3 days, then Hertz for 3 days from 2026-03-13: saves $120.00 vs. what you paid.');
+    });
+  });
+});
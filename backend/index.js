@@ -17,6 +17,18 @@ const carRentalRoutes = require('./routes/carrental');
 const advancedRoutes = require('./routes/advanced');
 const trafficRoutes = require('./routes/traffic');
 const hotelRoutes = require('./routes/hotels');
+const watchRoutes = require('./routes/watches');
+const themeParkRoutes = require('./routes/themeparks');
+const tripRoutes = require('./routes/trips');
+const authRoutes = require('./routes/auth');
+
+// Background services
+const WatchlistService = require('./services/WatchlistService');
+const WatchScheduler = require('./services/WatchScheduler');
+const ResponseCache = require('./services/ResponseCache');
+const ProviderFixtureStore = require('./services/ProviderFixtureStore');
+const AuthService = require('./services/AuthService');
+const watchScheduler = new WatchScheduler(WatchlistService.getInstance());
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -46,6 +58,10 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('combined'));
 app.use(limiter);
+// Let clients force fresh provider data with Cache-Control: no-cache
+app.use(ResponseCache.middleware());
+// Attach req.user for requests carrying a session token
+app.use(AuthService.middleware());
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -57,7 +73,10 @@ app.get('/api/health', (req, res) => {
     services: {
       serpApi: !!process.env.SERP_API_KEY,
       amadeus: !!(process.env.AMADEUS_API_KEY && process.env.AMADEUS_API_SECRET)
-    }
+    },
+    watchScheduler: watchScheduler.getStatus(),
+    cache: ResponseCache.getInstance().getStats(),
+    providerFixtures: ProviderFixtureStore.getInstance().getStatus()
   });
 });
 
@@ -83,6 +102,7 @@ app.get('/api', (req, res) => {
         base: '/api/analyzer',
         routes: [
           'POST /find-best-deal',
+          'POST /evaluate-terms',
           'GET /sample-deals',
           'GET /algorithm-info'
         ]
@@ -93,8 +113,10 @@ app.get('/api', (req, res) => {
           'GET /status',
           'GET /flights/search',
           'GET /flights/to-orlando',
+          'GET /flights/orlando-area',
           'GET /flights/multi-origin',
           'GET /flights/cheapest-dates',
+          'GET /flights/fare-calendar',
           'POST /flights/price',
           'GET /airports/search',
           'GET /sample-flights'
@@ -104,6 +126,11 @@ app.get('/api', (req, res) => {
         base: '/api/carrental',
         routes: [
           'GET /search',
+          'GET /quotes',
+          'GET /compare-locations',
+          'POST /tolls',
+          'POST /reshop',
+          'POST /stack-discounts',
           'GET /company/:company',
           'GET /all-companies',
           'GET /orlando-deals',
@@ -111,6 +138,46 @@ app.get('/api', (req, res) => {
           'GET /companies',
           'GET /locations'
         ]
+      },
+      themeparks: {
+        base: '/api/themeparks',
+        routes: [
+          'GET /resorts',
+          'GET /tickets',
+          'GET /calendar/:resort',
+          'POST /trip-savings'
+        ]
+      },
+      trips: {
+        base: '/api/trips',
+        routes: [
+          'POST /plan'
+        ]
+      },
+      auth: {
+        base: '/api/auth',
+        routes: [
+          'POST /register',
+          'POST /login',
+          'POST /logout',
+          'GET /me',
+          'PATCH /me',
+          'GET /me/traveler-profile',
+          'PUT /me/traveler-profile'
+        ]
+      },
+      watches: {
+        base: '/api/watches',
+        routes: [
+          'POST /',
+          'GET /',
+          'GET /:id',
+          'PATCH /:id',
+          'DELETE /:id',
+          'POST /:id/check',
+          'GET /:id/checks',
+          'GET /:id/alerts'
+        ]
       }
     }
   });
@@ -127,6 +194,10 @@ app.use('/api/carrental', carRentalRoutes);
 app.use('/api/advanced', advancedRoutes);
 app.use('/api/traffic', trafficRoutes);
 app.use('/api/hotels', hotelRoutes);
+app.use('/api/watches', watchRoutes);
+app.use('/api/themeparks', themeParkRoutes);
+app.use('/api/trips', tripRoutes);
+app.use('/api/auth', authRoutes);
 
 // Serve frontend static files
 const frontendPath = path.join(__dirname, '../frontend/build');
@@ -193,6 +264,20 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`   - /api/hotels     (Dual-source hotel search)`);
   console.log(`   - /api/advanced   (Advanced AI features)`);
   console.log(`   - /api/traffic    (Flight traffic analysis)`);
+  console.log(`   - /api/watches    (Price-drop watchlist)`);
+  console.log(`   - /api/themeparks (Theme park tickets)`);
+  console.log(`   - /api/trips      (Whole-trip planner)`);
+  console.log(`   - /api/auth       (Accounts & preferences)`);
+
+  if (process.env.WATCH_SCHEDULER_ENABLED !== 'false') {
+    watchScheduler.start();
+    console.log(`⏰ Watchlist scheduler running every ${watchScheduler.tickMinutes} minute(s)`);
+  }
+
+  const providerFixtures = ProviderFixtureStore.getInstance();
+  if (providerFixtures.mode !== 'live') {
+    console.log(`📼 Provider ${providerFixtures.mode} mode: fixtures in ${providerFixtures.directory}`);
+  }
 });
 
 module.exports = app;
@@ -6,6 +6,14 @@
  * - Historical price analysis
  * - Predictive booking optimization
  * - Stochastic modeling
+ * - Persistent price history
+ *
+ * Any endpoint that takes historicalPrices falls back to the price history
+ * recorded by the search services when only a propertyId is given. With a
+ * checkInDate, stored history is limited to stays starting within
+ * STAY_WINDOW_DAYS of it, so peak and off-peak prices aren't mixed. Stored
+ * history is listed prices unless the body sets priceBasis: 'ALL_IN' or
+ * posts a currentOffer with a stayCost breakdown (all-in prices).
  */
 
 const express = require('express');
@@ -13,12 +21,17 @@ const router = express.Router();
 const PriceErrorDetector = require('../services/PriceErrorDetector');
 const HistoricalPriceAnalyzer = require('../services/HistoricalPriceAnalyzer');
 const PredictiveBookingOptimizer = require('../services/PredictiveBookingOptimizer');
+const PriceHistoryStore = require('../services/PriceHistoryStore');
+const StayCostNormalizer = require('../services/StayCostNormalizer');
 
 // Initialize services
-const priceErrorDetector = new PriceErrorDetector();
-const historicalAnalyzer = new HistoricalPriceAnalyzer();
+const priceHistoryStore = PriceHistoryStore.getInstance();
+const priceErrorDetector = new PriceErrorDetector(priceHistoryStore);
+const historicalAnalyzer = new HistoricalPriceAnalyzer(priceHistoryStore);
 const bookingOptimizer = new PredictiveBookingOptimizer();
 
+const STAY_WINDOW_DAYS = 7;
+
 /**
  * POST /api/advanced/detect-price-errors
  * Detect pricing errors in real-time
@@ -71,7 +84,7 @@ router.post('/analyze-single-price', async (req, res) => {
     const result = priceErrorDetector.detectPriceError(
       offer,
       competitorPrices || [],
-      historicalPrices || []
+      historicalPrices || priceErrorDetector.getStoredPrices(offer)
     );
 
     res.json({
@@ -92,16 +105,29 @@ router.post('/analyze-single-price', async (req, res) => {
 /**
  * POST /api/advanced/historical-analysis
  * Analyze historical pricing patterns
+ *
+ * Body: propertyId, historicalPrices (optional), checkInDate (optional,
+ * limits stored history to stays near it), options
  */
 router.post('/historical-analysis', async (req, res) => {
   try {
-    const { propertyId, historicalPrices, options } = req.body;
+    const { propertyId, options } = req.body;
+
+    if (!propertyId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        message: 'propertyId is required'
+      });
+    }
+
+    const historicalPrices = resolveHistoricalPrices(propertyId, req.body);
 
-    if (!propertyId || !historicalPrices || !Array.isArray(historicalPrices)) {
+    if (!historicalPrices) {
       return res.status(400).json({
         success: false,
         error: 'Invalid request',
-        message: 'propertyId and historicalPrices array are required'
+        message: 'historicalPrices must be an array'
       });
     }
 
@@ -109,7 +135,8 @@ router.post('/historical-analysis', async (req, res) => {
       return res.status(400).json({
         success: false,
         error: 'Insufficient data',
-        message: 'At least 30 historical data points required for accurate analysis'
+        message: 'At least 30 historical data points required for accurate analysis',
+        dataPoints: historicalPrices.length
       });
     }
 
@@ -144,7 +171,6 @@ router.post('/optimize-booking', async (req, res) => {
       propertyId, 
       checkInDate, 
       checkOutDate, 
-      historicalPrices, 
       currentPrice,
       flexibility 
     } = req.body;
@@ -157,11 +183,14 @@ router.post('/optimize-booking', async (req, res) => {
       });
     }
 
+    const historicalPrices = resolveHistoricalPrices(propertyId, req.body);
+
     if (!historicalPrices || historicalPrices.length < 30) {
       return res.status(400).json({
         success: false,
         error: 'Insufficient data',
-        message: 'At least 30 historical data points required for optimization'
+        message: 'At least 30 historical data points required for optimization',
+        dataPoints: historicalPrices ? historicalPrices.length : 0
       });
     }
 
@@ -199,17 +228,26 @@ router.post('/comprehensive-analysis', async (req, res) => {
       propertyId,
       currentOffer,
       competitorOffers,
-      historicalPrices,
       checkInDate,
       checkOutDate,
       flexibility
     } = req.body;
 
-    if (!propertyId || !currentOffer || !historicalPrices) {
+    if (!propertyId || !currentOffer) {
       return res.status(400).json({
         success: false,
         error: 'Invalid request',
-        message: 'propertyId, currentOffer, and historicalPrices are required'
+        message: 'propertyId and currentOffer are required'
+      });
+    }
+
+    const historicalPrices = resolveHistoricalPrices(propertyId, req.body);
+
+    if (!historicalPrices || historicalPrices.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Insufficient data',
+        message: 'No historicalPrices provided and no recorded price history for this property'
       });
     }
 
@@ -300,7 +338,7 @@ router.post('/comprehensive-analysis', async (req, res) => {
           criticalAlerts: allRecommendations.filter(r => r.priority === 'CRITICAL').length,
           highPriority: allRecommendations.filter(r => r.priority === 'HIGH').length,
           totalPotentialSavings: totalPotentialSavings.toFixed(2),
-          overallConfidence: this.calculateOverallConfidence(
+          overallConfidence: calculateOverallConfidence(
             priceErrorAnalysis,
             historicalAnalysis,
             bookingOptimization
@@ -319,6 +357,76 @@ router.post('/comprehensive-analysis', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/advanced/price-history
+ * List properties, routes and rentals with recorded price history
+ */
+router.get('/price-history', (req, res) => {
+  try {
+    const { category } = req.query;
+    const subjects = priceHistoryStore.listSubjects(category || null);
+
+    res.json({
+      success: true,
+      data: subjects,
+      count: subjects.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Price history listing failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Lookup failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/advanced/price-history/:propertyId
+ * Get recorded price observations for a property, route or rental
+ *
+ * Query params: category, checkInDate, checkOutDate, since, basis (ALL_IN | LISTED)
+ */
+router.get('/price-history/:propertyId', (req, res) => {
+  try {
+    const { propertyId } = req.params;
+    const { category, checkInDate, checkOutDate, since, basis } = req.query;
+
+    const observations = priceHistoryStore.getObservations(propertyId, {
+      category,
+      startDate: checkInDate,
+      endDate: checkOutDate,
+      since,
+      basis
+    });
+
+    res.json({
+      success: true,
+      data: {
+        propertyId,
+        observations,
+        dailySeries: priceHistoryStore.getPriceSeries(propertyId, {
+          category,
+          startDate: checkInDate,
+          endDate: checkOutDate,
+          since,
+          basis
+        })
+      },
+      count: observations.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Price history lookup failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Lookup failed',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/advanced/demo-analysis
  * Demo endpoint with sample data
@@ -426,6 +534,25 @@ router.get('/demo-analysis', async (req, res) => {
   }
 });
 
+/**
+ * Helper function to pick historical prices: posted in the body, or
+ * loaded from the persistent price history store for the property
+ * (stays near body.checkInDate only, when given, on the price basis the
+ * caller compares against).
+ * Returns null when the posted value is not an array.
+ */
+function resolveHistoricalPrices(propertyId, body) {
+  if (body.historicalPrices !== undefined) {
+    return Array.isArray(body.historicalPrices) ? body.historicalPrices : null;
+  }
+
+  const basis = body.priceBasis === 'ALL_IN' ? 'ALL_IN' : StayCostNormalizer.priceBasis(body.currentOffer);
+  const filters = body.checkInDate
+    ? { startDate: body.checkInDate, windowDays: STAY_WINDOW_DAYS, basis }
+    : { basis };
+  return historicalAnalyzer.getStoredHistory(propertyId, filters);
+}
+
 /**
  * Helper function to calculate overall confidence
  */
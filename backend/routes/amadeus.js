@@ -1,26 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const AmadeusService = require('../services/AmadeusService');
+const FareCalendarService = require('../services/FareCalendarService');
 const amadeusService = new AmadeusService();
+const fareCalendarService = new FareCalendarService({ amadeusService });
+
+// Count from a query string, or the default when it isn't sent. Anything
+// that isn't a number comes back as NaN for the service validators to reject.
+const toCount = (value, fallback) => value !== undefined && value !== '' ? Number(value) : fallback;
 
 /**
  * @route   GET /api/amadeus/status
- * @desc    Check Amadeus API configuration status
+ * @desc    Check Amadeus API configuration status, environment and recent request traces
  * @access  Public
  */
 router.get('/status', (req, res) => {
   const isConfigured = amadeusService.isConfigured();
+  const clientStatus = amadeusService.client.getStatus();
   
   res.json({
     success: true,
     configured: isConfigured,
+    environment: clientStatus.environment,
+    client: clientStatus,
+    recentRequests: amadeusService.client.getTraces(parseInt(req.query.traces || '10')),
     message: isConfigured 
       ? 'Amadeus API is configured and ready' 
       : 'Amadeus API credentials not configured. Set AMADEUS_API_KEY and AMADEUS_API_SECRET environment variables.',
     endpoints: [
       'GET /api/amadeus/flights/search - Search for flights',
       'GET /api/amadeus/flights/to-orlando - Search flights to Orlando',
+      'GET /api/amadeus/flights/orlando-area - Compare MCO, SFB and TPA after ground transfers',
       'GET /api/amadeus/flights/cheapest-dates - Find cheapest travel dates',
+      'GET /api/amadeus/flights/fare-calendar - Month calendar of flight plus hotel totals',
       'GET /api/amadeus/flights/multi-origin - Search from multiple origins',
       'POST /api/amadeus/flights/price - Confirm flight price',
       'GET /api/amadeus/airports/search - Search airports',
@@ -65,8 +77,8 @@ router.get('/flights/search', async (req, res) => {
       destination: destination || 'MCO',
       departureDate: departure_date,
       returnDate: return_date,
-      adults: adults ? parseInt(adults) : 1,
-      children: children ? parseInt(children) : 0,
+      adults: toCount(adults, 1),
+      children: toCount(children, 0),
       travelClass: travel_class || 'ECONOMY',
       nonStop: non_stop === 'true',
       currencyCode: currency || 'USD',
@@ -74,6 +86,15 @@ router.get('/flights/search', async (req, res) => {
       max: max_results ? parseInt(max_results) : 50
     };
 
+    const errors = amadeusService.validatePassengers(searchOptions);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid flight search',
+        details: errors
+      });
+    }
+
     const results = await amadeusService.searchFlights(searchOptions);
 
     res.json({
@@ -101,8 +122,13 @@ router.get('/flights/search', async (req, res) => {
 
 /**
  * @route   GET /api/amadeus/flights/to-orlando
- * @desc    Search for flights to Orlando from a specific origin
+ * @desc    Search for flights to Orlando from a specific origin, ranked by the
+ *          all-in cost for the party (fare plus checked bag, carry-on and seat fees)
  * @access  Public
+ *
+ * Query: origin, departure_date, return_date, adults, children, travel_class,
+ *        non_stop, checked_bags (per traveler, default 1), carry_ons (default 1),
+ *        seat_selection (default: true when children travel)
  */
 router.get('/flights/to-orlando', async (req, res) => {
   try {
@@ -111,8 +137,12 @@ router.get('/flights/to-orlando', async (req, res) => {
       departure_date,
       return_date,
       adults,
+      children,
       travel_class,
-      non_stop
+      non_stop,
+      checked_bags,
+      carry_ons,
+      seat_selection
     } = req.query;
 
     if (!origin || !departure_date) {
@@ -120,7 +150,7 @@ router.get('/flights/to-orlando', async (req, res) => {
         success: false,
         error: 'Missing required parameters',
         required: ['origin', 'departure_date'],
-        example: '/api/amadeus/flights/to-orlando?origin=JFK&departure_date=2025-01-15'
+        example: '/api/amadeus/flights/to-orlando?origin=JFK&departure_date=2025-01-15&adults=2&children=2'
       });
     }
 
@@ -129,18 +159,34 @@ router.get('/flights/to-orlando', async (req, res) => {
       destination: 'MCO',
       departureDate: departure_date,
       returnDate: return_date,
-      adults: adults ? parseInt(adults) : 1,
+      adults: toCount(adults, 1),
+      children: toCount(children, 0),
       travelClass: travel_class || 'ECONOMY',
-      nonStop: non_stop === 'true'
+      nonStop: non_stop === 'true',
+      checkedBags: toCount(checked_bags, 1),
+      carryOns: toCount(carry_ons, 1),
+      seatSelection: seat_selection !== undefined ? seat_selection === 'true' : undefined
     };
 
+    const errors = amadeusService.validatePassengers(searchOptions);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Orlando flight search',
+        details: errors
+      });
+    }
+
     const results = await amadeusService.searchFlights(searchOptions);
 
-    // Find best deal (lowest price)
+    // Rank by what the party will actually pay, not the headline fare
     const sortedByPrice = [...results.data].sort((a, b) => 
-      a.price.total - b.price.total
+      a.allInCost.total - b.allInCost.total
     );
     const bestDeal = sortedByPrice[0] || null;
+    const lowestFare = results.data.reduce((min, flight) =>
+      min === null || flight.price.total < min ? flight.price.total : min
+    , null);
 
     // Find fastest flight
     const sortedByDuration = [...results.data].sort((a, b) => {
@@ -155,12 +201,14 @@ router.get('/flights/to-orlando', async (req, res) => {
       data: {
         bestDeal,
         fastestFlight,
-        allFlights: results.data
+        allFlights: sortedByPrice
       },
       summary: {
         totalFlights: results.data.length,
-        lowestPrice: bestDeal?.price?.total || null,
-        highestPrice: sortedByPrice[sortedByPrice.length - 1]?.price?.total || null,
+        lowestPrice: bestDeal?.allInCost?.total || null,
+        highestPrice: sortedByPrice[sortedByPrice.length - 1]?.allInCost?.total || null,
+        lowestFare,
+        basicEconomyFlights: results.data.filter(f => f.fare?.basicEconomy).length,
         directFlights: results.data.filter(f => f.outbound?.numberOfStops === 0).length
       },
       meta: results.meta,
@@ -178,6 +226,105 @@ router.get('/flights/to-orlando', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/amadeus/flights/orlando-area
+ * @desc    Compare flying into MCO, Sanford (SFB) and Tampa (TPA), optionally
+ *          from alternate origins, by effective total cost: the cheapest
+ *          all-in fare plus the ground transfer to the hotel area and back
+ * @access  Public
+ *
+ * Query: origin, departure_date, return_date, adults, children, travel_class,
+ *        non_stop, origin_alternates (comma-separated, up to 3), airports (default MCO,SFB,TPA),
+ *        hotel_area (default DISNEY), transfer_mode (RIDESHARE | RENTAL_CAR),
+ *        checked_bags, carry_ons, seat_selection
+ */
+router.get('/flights/orlando-area', async (req, res) => {
+  try {
+    const {
+      origin,
+      departure_date,
+      return_date,
+      adults,
+      children,
+      travel_class,
+      non_stop,
+      origin_alternates,
+      airports,
+      hotel_area,
+      transfer_mode,
+      checked_bags,
+      carry_ons,
+      seat_selection
+    } = req.query;
+
+    if (!origin || !departure_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters',
+        required: ['origin', 'departure_date'],
+        example: '/api/amadeus/flights/orlando-area?origin=JFK&origin_alternates=EWR,LGA&departure_date=2025-01-15&return_date=2025-01-20&hotel_area=disney'
+      });
+    }
+
+    const splitCodes = value => value ? value.split(',').map(code => code.trim().toUpperCase()).filter(Boolean) : undefined;
+
+    const searchOptions = {
+      origin,
+      originAlternates: splitCodes(origin_alternates),
+      airports: splitCodes(airports),
+      hotelArea: hotel_area,
+      transferMode: transfer_mode ? transfer_mode.toUpperCase() : undefined,
+      departureDate: departure_date,
+      returnDate: return_date,
+      adults: toCount(adults, 1),
+      children: toCount(children, 0),
+      travelClass: travel_class || 'ECONOMY',
+      nonStop: non_stop === 'true',
+      checkedBags: toCount(checked_bags, 1),
+      carryOns: toCount(carry_ons, 1),
+      seatSelection: seat_selection !== undefined ? seat_selection === 'true' : undefined
+    };
+
+    const errors = [
+      ...amadeusService.validatePassengers(searchOptions),
+      ...amadeusService.transferModel.validate(searchOptions)
+    ];
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Orlando-area search',
+        details: errors
+      });
+    }
+
+    const results = await amadeusService.searchOrlandoArea(searchOptions);
+
+    res.json({
+      success: true,
+      data: results.comparisons,
+      best: results.best,
+      baseline: results.baseline,
+      errors: results.errors,
+      summary: {
+        routesSearched: results.comparisons.length + results.errors.length,
+        cheapestAirport: results.best?.destination || null,
+        cheapestOrigin: results.best?.origin || null,
+        savingsVsMco: results.best?.savingsVsMco ?? null
+      },
+      searchParameters: results.searchParameters,
+      source: 'amadeus_api_orlando_area',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Orlando-area flight search error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare Orlando-area airports',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route   GET /api/amadeus/flights/multi-origin
  * @desc    Search for flights from multiple origin airports
@@ -306,6 +453,77 @@ router.get('/flights/cheapest-dates', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/amadeus/flights/fare-calendar
+ * @desc    Door-to-door calendar for a month: for each departure/return pair,
+ *          the cheapest flight total for the party plus the estimated hotel
+ *          total for the same stay (stored history, or live for the cheapest flights)
+ * @access  Public
+ *
+ * Query: origin, month (YYYY-MM), min_nights (default 3), max_nights (default 7),
+ *        adults (default 2), children, rooms (1-9), non_stop,
+ *        hotel_source (history | live), max_hotel_searches (0-20, default 10), property_id
+ */
+router.get('/flights/fare-calendar', async (req, res) => {
+  try {
+    const {
+      origin,
+      month,
+      min_nights,
+      max_nights,
+      adults,
+      children,
+      rooms,
+      non_stop,
+      hotel_source,
+      max_hotel_searches,
+      property_id
+    } = req.query;
+
+    const options = {
+      origin,
+      destination: 'MCO',
+      month,
+      minNights: toCount(min_nights),
+      maxNights: toCount(max_nights),
+      adults: toCount(adults),
+      children: toCount(children),
+      rooms: toCount(rooms),
+      nonStop: non_stop === 'true',
+      hotelSource: hotel_source,
+      maxHotelSearches: toCount(max_hotel_searches),
+      propertyId: property_id
+    };
+
+    const errors = fareCalendarService.validateRequest(options);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid fare calendar request',
+        details: errors,
+        example: '/api/amadeus/flights/fare-calendar?origin=JFK&month=2026-03&min_nights=4&max_nights=6&adults=2&children=2'
+      });
+    }
+
+    const calendar = await fareCalendarService.buildCalendar(options);
+
+    res.json({
+      success: true,
+      data: calendar,
+      source: 'amadeus_api_fare_calendar',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Fare calendar error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build fare calendar',
+      message: error.message,
+      note: 'Flight dates search may not be available in Amadeus test environment'
+    });
+  }
+});
+
 /**
  * @route   POST /api/amadeus/flights/price
  * @desc    Confirm flight price and availability
@@ -433,13 +651,15 @@ router.get('/sample-flights', (req, res) => {
 
 /**
  * @route   GET /api/amadeus/orlando-airports
- * @desc    Get Orlando area airports
+ * @desc    Get Orlando area airports, plus the nearby airports compared by
+ *          /flights/orlando-area and the hotel areas they have transfers to
  * @access  Public
  */
 router.get('/orlando-airports', (req, res) => {
   res.json({
     success: true,
     data: amadeusService.orlandoAirports,
+    nearbyAirports: amadeusService.transferModel.listAirports(),
     primary: 'MCO',
     message: 'Orlando area airports'
   });
@@ -51,6 +51,53 @@ router.post('/find-best-deal', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/analyzer/evaluate-terms
+ * @desc    Parse promo text and/or structured terms into deal rules and price
+ *          a stay under them (body: promoText, terms, checkInDate, checkOutDate,
+ *          nightlyRate or nightlyRates, bookingDate)
+ * @access  Public
+ */
+router.post('/evaluate-terms', (req, res) => {
+  try {
+    const { promoText, terms, checkInDate, checkOutDate, nightlyRate, nightlyRates, bookingDate } = req.body;
+
+    const errors = analyzer.ruleEngine.validateStay({ checkInDate, checkOutDate, nightlyRate, nightlyRates });
+    if (!promoText && !terms) {
+      errors.unshift('promoText or terms is required');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid deal terms request',
+        details: errors
+      });
+    }
+
+    const rules = analyzer.ruleEngine.buildRules({ text: promoText, terms });
+    const evaluation = analyzer.ruleEngine.evaluate(rules, {
+      checkInDate,
+      checkOutDate,
+      nightlyRate,
+      nightlyRates,
+      bookingDate
+    });
+
+    res.json({
+      success: true,
+      data: { rules, evaluation },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Evaluate terms error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to evaluate deal terms',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route   GET /api/analyzer/sample-deals
  * @desc    Get sample hotel deals for demonstration
@@ -171,6 +218,7 @@ router.get('/algorithm-info', (req, res) => {
         'Deal discovery via Google Light Search API',
         'Original algorithm logic from Java implementation',
         'Confidence scoring for deal reliability',
+        'Promo term rules: minimum stay, valid nights, book-by and travel windows, stay-pay free nights',
         'Savings calculation and comparison'
       ],
       methodology: [
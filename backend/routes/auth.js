@@ -0,0 +1,227 @@
+/**
+ * Auth API Routes
+ *
+ * Account registration, sign-in/out and the signed-in user's profile and
+ * travel preferences. Authenticated requests send
+ * `Authorization: Bearer <token>` with the token returned by /register or /login.
+ */
+
+const express = require('express');
+const router = express.Router();
+const AuthService = require('../services/AuthService');
+const TravelerProfileService = require('../services/TravelerProfileService');
+
+const authService = AuthService.getInstance();
+const travelerProfiles = TravelerProfileService.getInstance();
+const requireAuth = AuthService.requireAuth();
+
+/**
+ * POST /api/auth/register
+ * Create an account and sign in
+ *
+ * Body:
+ * {
+ *   "email": "traveler@example.com",
+ *   "password": "at least 8 characters",
+ *   "name": "Optional display name",
+ *   "preferences": { "budget": 2000, "travelStyle": "family", "favoriteDestinations": ["Orlando, FL"] }
+ * }
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const errors = authService.validateRegistration(req.body || {});
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid registration',
+        details: errors
+      });
+    }
+
+    const session = await authService.register(req.body);
+
+    if (!session) {
+      return res.status(409).json({
+        success: false,
+        error: 'An account with this email already exists'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Registration failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Sign in with email and password
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: email, password'
+      });
+    }
+
+    const session = await authService.login(email, password);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Login failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log in',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session token
+ */
+router.post('/logout', requireAuth, (req, res) => {
+  authService.logout(req.authToken);
+
+  res.json({
+    success: true,
+    message: 'Logged out'
+  });
+});
+
+/**
+ * GET /api/auth/me
+ * The signed-in user, including stored preferences
+ */
+router.get('/me', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+/**
+ * PATCH /api/auth/me
+ * Update the signed-in user's name and/or preferences (merged with stored preferences)
+ *
+ * Body: { "name": "...", "preferences": { "budget": 2500 } }
+ */
+router.patch('/me', requireAuth, (req, res) => {
+  try {
+    const { name, preferences } = req.body || {};
+    const errors = [];
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      errors.push('name must be a non-empty string');
+    }
+    if (preferences !== undefined) {
+      errors.push(...authService.validatePreferences(preferences));
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid profile update',
+        details: errors
+      });
+    }
+
+    const user = authService.updateUser(req.user.id, { name, preferences });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Profile update failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me/traveler-profile
+ * The signed-in user's discount eligibility profile
+ */
+router.get('/me/traveler-profile', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: travelerProfiles.getProfile(req.user.id),
+    saved: travelerProfiles.hasProfile(req.user.id)
+  });
+});
+
+/**
+ * PUT /api/auth/me/traveler-profile
+ * Save the signed-in user's discount eligibility profile. Applied
+ * automatically by /api/hotels/discounts and /api/hotels/guidance.
+ *
+ * Body:
+ * {
+ *   "memberships": ["aaa", "costco"],
+ *   "affiliations": ["veteran"],
+ *   "ageBracket": "55_59",
+ *   "corporateCodes": [{ "employer": "Acme Corp", "code": "ACM" }]
+ * }
+ */
+router.put('/me/traveler-profile', requireAuth, (req, res) => {
+  try {
+    const errors = TravelerProfileService.validateProfile(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid traveler profile',
+        details: errors
+      });
+    }
+
+    res.json({
+      success: true,
+      data: travelerProfiles.saveProfile(req.user.id, req.body)
+    });
+  } catch (error) {
+    console.error('Traveler profile update failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save traveler profile',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
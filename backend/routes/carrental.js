@@ -1,8 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const CarRentalService = require('../services/CarRentalService');
+const CarRentalQuote = require('../services/CarRentalQuote');
+const TollCostModel = require('../services/TollCostModel');
 const carRentalService = new CarRentalService();
 
+/**
+ * Parse ?itinerary=MCO,I-Drive,Disney,MCO into a list of stops
+ */
+function parseItinerary(itinerary) {
+  return itinerary ? String(itinerary).split(',').map(stop => stop.trim()).filter(Boolean) : undefined;
+}
+
 /**
  * @route   GET /api/carrental/search
  * @desc    Search for car rental deals
@@ -44,6 +53,292 @@ router.get('/search', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/carrental/quotes
+ * @desc    Structured rental quotes (car class, daily rate, taxes, airport fees,
+ *          total) from every quote provider, cheapest total first, with
+ *          snippet-mined deals attached as deal hints and the cheapest way
+ *          to pay tolls for ?itinerary=MCO,I-Drive,Disney,MCO
+ * @access  Public
+ */
+router.get('/quotes', async (req, res) => {
+  try {
+    const {
+      pickup_date,
+      return_date,
+      pickup_location,
+      car_type,
+      deal_hints,
+      itinerary,
+      owns_transponder,
+      limit = 50
+    } = req.query;
+
+    const searchOptions = {
+      pickupDate: pickup_date,
+      returnDate: return_date,
+      pickupLocation: pickup_location || 'MCO Airport',
+      carType: car_type || '',
+      includeDealHints: deal_hints !== 'false',
+      itinerary: parseItinerary(itinerary),
+      ownsTransponder: owns_transponder === 'true'
+    };
+
+    const errors = carRentalService.validateQuoteSearch(searchOptions);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid quote search',
+        details: errors
+      });
+    }
+
+    const results = await carRentalService.getQuotes(searchOptions);
+    const quotes = results.quotes.slice(0, parseInt(limit) || 50);
+
+    res.json({
+      success: true,
+      data: {
+        ...results,
+        quotes
+      },
+      count: quotes.length,
+      totalQuotes: results.quotes.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Car rental quotes error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get car rental quotes',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/carrental/compare-locations
+ * @desc    True total cost at MCO counters vs. off-airport counters (base rate,
+ *          Florida surcharge, airport fees, taxes, toll program and the
+ *          shuttle/rideshare trip to the off-site lot) with the break-even
+ * @access  Public
+ */
+router.get('/compare-locations', async (req, res) => {
+  try {
+    const {
+      pickup_date,
+      return_date,
+      car_type,
+      travelers = 2,
+      toll_program,
+      itinerary
+    } = req.query;
+
+    const searchOptions = {
+      pickupDate: pickup_date,
+      returnDate: return_date,
+      carType: car_type || 'midsize',
+      travelers: parseInt(travelers),
+      useTollProgram: toll_program !== 'false',
+      itinerary: parseItinerary(itinerary)
+    };
+
+    const errors = carRentalService.validateQuoteSearch(searchOptions);
+    if (!Number.isInteger(searchOptions.travelers) || searchOptions.travelers < 1 || searchOptions.travelers > 15) {
+      errors.push('travelers must be between 1 and 15');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid location comparison',
+        details: errors
+      });
+    }
+
+    const comparison = await carRentalService.compareLocationCosts(searchOptions);
+
+    res.json({
+      success: true,
+      data: comparison,
+      count: comparison.locations.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Car rental location comparison error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare rental locations',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/carrental/tolls
+ * @desc    Expected tolls for a planned itinerary and the cost of each way to
+ *          pay them (rental toll program, own transponder, Visitor Toll Pass),
+ *          for one company or every company
+ * @access  Public
+ *
+ * Body:
+ * {
+ *   "pickupDate": "2026-03-10",
+ *   "returnDate": "2026-03-17",
+ *   "company": "Hertz",
+ *   "itinerary": ["MCO", "I-Drive", "Disney", "MCO"],
+ *   "ownsTransponder": false
+ * }
+ */
+router.post('/tolls', (req, res) => {
+  try {
+    const { pickupDate, returnDate, company, itinerary, ownsTransponder = false } = req.body || {};
+    const errors = [];
+
+    if (!pickupDate || !returnDate) {
+      errors.push('pickupDate and returnDate are required');
+    } else {
+      errors.push(...carRentalService.validateQuoteSearch({ pickupDate, returnDate, itinerary }));
+    }
+    if (company && !carRentalService.popularRentalCompanies.includes(company)) {
+      errors.push(`Unknown company "${company}". Use one of: ${carRentalService.popularRentalCompanies.join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid toll estimate request',
+        details: errors
+      });
+    }
+
+    const rentalDays = CarRentalQuote.calculateRentalDays(pickupDate, returnDate);
+    const estimates = (company ? [company] : carRentalService.popularRentalCompanies)
+      .map(name => carRentalService.tollCostModel.estimate({ company: name, rentalDays, itinerary, ownsTransponder }))
+      .sort((a, b) => a.options[0].total - b.options[0].total);
+
+    res.json({
+      success: true,
+      data: {
+        rentalDays,
+        tolls: estimates[0].tolls,
+        estimates: estimates.map(({ tolls, ...estimate }) => estimate),
+        places: TollCostModel.getPlaces().map(({ code, name }) => ({ code, name }))
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Toll estimate error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to estimate tolls',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/carrental/reshop
+ * @desc    Re-shop a booked rental: rebook at today's rate, split into two
+ *          contracts, or book up to weekly pricing and return early.
+ *          Rentals of up to 30 days can be re-shopped.
+ * @access  Public
+ *
+ * Body:
+ * {
+ *   "company": "Hertz",
+ *   "carType": "midsize",
+ *   "pickupDate": "2026-03-10",
+ *   "returnDate": "2026-03-16",
+ *   "price": 420.00,
+ *   "locationType": "ON_AIRPORT",
+ *   "allowCompanySwitch": false
+ * }
+ */
+router.post('/reshop', async (req, res) => {
+  try {
+    const reservation = req.body || {};
+    const errors = carRentalService.validateReservation(reservation);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid reservation',
+        details: errors
+      });
+    }
+
+    const analysis = await carRentalService.analyzeReservation(reservation);
+
+    res.json({
+      success: true,
+      data: analysis,
+      count: analysis.options.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Car rental reshop error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to re-shop reservation',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/carrental/stack-discounts
+ * @desc    Best legal combination of discounts for the cheapest quotes (one
+ *          discount program, one coupon, plus traveler-supplied cashback,
+ *          card credits or gift cards) with a step-by-step booking path
+ * @access  Public
+ *
+ * Body:
+ * {
+ *   "pickupDate": "2026-03-10",
+ *   "returnDate": "2026-03-16",
+ *   "carType": "midsize",
+ *   "company": "Hertz",
+ *   "top": 5,
+ *   "extraOffers": [
+ *     { "id": "portal", "label": "Rakuten", "category": "CASHBACK", "percent": 5, "stacksWithAnything": true }
+ *   ]
+ * }
+ */
+router.post('/stack-discounts', async (req, res) => {
+  try {
+    const options = req.body || {};
+    const errors = [
+      ...carRentalService.validateQuoteSearch(options),
+      ...carRentalService.stackingOptimizer.validateOffers(options.extraOffers || [])
+    ];
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid discount stacking request',
+        details: errors
+      });
+    }
+
+    const optimization = await carRentalService.optimizeDiscounts(options);
+
+    res.json({
+      success: true,
+      data: optimization,
+      count: optimization.results.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Car rental discount stacking error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to optimize discounts',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route   GET /api/carrental/company/:company
  * @desc    Search for deals from a specific rental company
@@ -242,6 +537,10 @@ router.get('/test', (req, res) => {
     message: 'Car rental API routes working',
     endpoints: [
       'GET /api/carrental/search - Search for car rental deals',
+      'GET /api/carrental/quotes - Structured quotes with taxes, fees and deal hints',
+      'GET /api/carrental/compare-locations - On- vs. off-airport true cost and break-even',
+      'POST /api/carrental/tolls - Toll program vs. own transponder vs. Visitor Toll Pass',
+      'POST /api/carrental/reshop - Rebook, split-rental and weekly-rate savings for a booking',
       'GET /api/carrental/company/:company - Search specific company',
       'GET /api/carrental/all-companies - Get all company deals',
       'GET /api/carrental/orlando-deals - Orlando-specific deals',
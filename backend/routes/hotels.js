@@ -7,6 +7,10 @@
  * - Advanced ranking algorithms
  * - Price error detection
  * - Historical analysis
+ * - Flexible-date grid search
+ * - Canonical hotel registry with manual match overrides
+ * - Park proximity and transportation filters
+ * - Ranking profiles and custom factor weights
  */
 
 const express = require('express');
@@ -14,10 +18,16 @@ const router = express.Router();
 const DualSourceHotelAggregator = require('../services/DualSourceHotelAggregator');
 const AdvancedHotelRanker = require('../services/AdvancedHotelRanker');
 const AmadeusHotelService = require('../services/AmadeusHotelService');
+const HotelIdentityResolver = require('../services/HotelIdentityResolver');
+const StayCostNormalizer = require('../services/StayCostNormalizer');
+const ParkProximityService = require('../services/ParkProximityService');
+const AuthService = require('../services/AuthService');
 
 const aggregator = new DualSourceHotelAggregator();
 const ranker = new AdvancedHotelRanker();
 const amadeusService = new AmadeusHotelService();
+const parkProximity = new ParkProximityService();
+const requireAuth = AuthService.requireAuth();
 
 /**
  * POST /api/hotels/search
@@ -33,8 +43,18 @@ const amadeusService = new AmadeusHotelService();
  *   "rooms": 1,
  *   "currency": "USD",
  *   "priceRange": "100-300",
- *   "sortBy": "savings" | "price" | "rating"
+ *   "sortBy": "savings" | "price" | "rating" | "parkAccess",
+ *   "nearPark": "MAGIC_KINGDOM",     // see GET /api/hotels/parks
+ *   "maxParkMinutes": 10,
+ *   "parkTransport": "SKYLINER",     // DRIVE, WALK, MONORAIL, SKYLINER, BUS, WATER_TAXI, SHUTTLE
+ *   "earlyEntry": true,
+ *   "rankingProfile": "FAMILY_FLEXIBLE"  // see GET /api/hotels/ranking-profiles; or
+ *   "weights": { "parkAccess": 0.5, "cancellation": 0.5 }  // custom weights summing to 1
  * }
+ *
+ * Price sorting and priceRange use the all-in nightly cost (taxes, resort
+ * fee, parking) from each hotel's stayCost breakdown. nearPark also focuses
+ * the park access ranking factor on that park.
  */
 router.post('/search', async (req, res) => {
   try {
@@ -46,7 +66,13 @@ router.post('/search', async (req, res) => {
       rooms = 1,
       currency = 'USD',
       priceRange,
-      sortBy = 'savings'
+      sortBy = 'savings',
+      nearPark,
+      maxParkMinutes,
+      parkTransport,
+      earlyEntry,
+      rankingProfile,
+      weights
     } = req.body;
 
     // Validate dates
@@ -57,6 +83,26 @@ router.post('/search', async (req, res) => {
       });
     }
 
+    const parkFilters = { nearPark, maxParkMinutes, parkTransport, earlyEntry };
+    const parkErrors = parkProximity.validateFilters(parkFilters);
+    if (parkErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid park filters',
+        details: parkErrors
+      });
+    }
+
+    const ranking = { profile: rankingProfile, weights };
+    const rankingErrors = ranker.validateRanking(ranking);
+    if (rankingErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ranking',
+        details: rankingErrors
+      });
+    }
+
     // Search both sources
     const results = await aggregator.searchHotels({
       location,
@@ -70,15 +116,21 @@ router.post('/search', async (req, res) => {
     // Apply advanced ranking
     const rankedHotels = await ranker.rankHotels(results.hotels, {
       checkInDate,
-      checkOutDate
+      checkOutDate,
+      parks: nearPark ? [nearPark] : undefined,
+      ...ranking
     });
 
     // Apply sorting
     let sortedHotels = rankedHotels;
     if (sortBy === 'price') {
-      sortedHotels = rankedHotels.sort((a, b) => (a.price || a.totalPrice) - (b.price || b.totalPrice));
+      // All-in nightly price (taxes, resort fee, parking) when normalized
+      const price = hotel => StayCostNormalizer.comparablePrice(hotel) ?? Infinity;
+      sortedHotels = rankedHotels.sort((a, b) => price(a) - price(b));
     } else if (sortBy === 'rating') {
       sortedHotels = rankedHotels.sort((a, b) => (b.rating || 0) - (a.rating || 0));
+    } else if (sortBy === 'parkAccess') {
+      sortedHotels = rankedHotels.sort((a, b) => (b.parkAccess.score ?? -1) - (a.parkAccess.score ?? -1));
     }
     // Default is already sorted by savings (compositeScore)
 
@@ -86,11 +138,14 @@ router.post('/search', async (req, res) => {
     if (priceRange) {
       const [min, max] = priceRange.split('-').map(Number);
       sortedHotels = sortedHotels.filter(hotel => {
-        const price = hotel.price || hotel.totalPrice;
-        return price >= min && price <= max;
+        const price = StayCostNormalizer.comparablePrice(hotel);
+        return price !== null && price >= min && price <= max;
       });
     }
 
+    // Apply park proximity filters
+    sortedHotels = sortedHotels.filter(hotel => parkProximity.matchesFilters(hotel.parkAccess, parkFilters));
+
     res.json({
       success: true,
       data: {
@@ -99,7 +154,8 @@ router.post('/search', async (req, res) => {
           ...results.summary,
           totalResults: sortedHotels.length,
           searchParams: req.body,
-          sortedBy: sortBy
+          sortedBy: sortBy,
+          ranking: ranker.resolveRanking(ranking)
         }
       }
     });
@@ -112,6 +168,100 @@ router.post('/search', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/hotels/parks
+ * 
+ * Parks, transport modes and hotel perks used by the park filters
+ */
+router.get('/parks', (req, res) => {
+  res.json({
+    success: true,
+    data: parkProximity.listParks()
+  });
+});
+
+/**
+ * GET /api/hotels/ranking-profiles
+ * 
+ * Named ranking profiles and their factor weights
+ */
+router.get('/ranking-profiles', (req, res) => {
+  res.json({
+    success: true,
+    data: ranker.listProfiles()
+  });
+});
+
+/**
+ * POST /api/hotels/flex-search
+ * 
+ * Flexible-date search: every stay starting within a check-in window,
+ * returned as a date x price grid per hotel plus the cheapest combinations
+ * 
+ * Body:
+ * {
+ *   "location": "Orlando, FL",
+ *   "checkInFrom": "2026-01-10",
+ *   "checkInTo": "2026-02-05",
+ *   "nights": 5,              // or [4, 5]
+ *   "adults": 2,
+ *   "rooms": 1,
+ *   "concurrency": 3,         // parallel searches (max 5)
+ *   "maxStays": 30,           // combinations searched (max 60, sampled evenly beyond)
+ *   "top": 10                 // cheapest combinations returned (max 60)
+ * }
+ */
+router.post('/flex-search', async (req, res) => {
+  try {
+    const { checkInFrom, checkInTo, nights } = req.body;
+
+    if (!checkInFrom || !checkInTo || !nights) {
+      return res.status(400).json({
+        success: false,
+        error: 'checkInFrom, checkInTo and nights are required'
+      });
+    }
+
+    const nightsOptions = Array.isArray(nights) ? nights : [nights];
+    if (nightsOptions.some(n => !Number.isInteger(Number(n)) || Number(n) < 1 || Number(n) > 30)) {
+      return res.status(400).json({
+        success: false,
+        error: 'nights must be between 1 and 30'
+      });
+    }
+
+    const windowDays = (new Date(checkInTo) - new Date(checkInFrom)) / (1000 * 60 * 60 * 24);
+    if (isNaN(windowDays) || windowDays < 0 || windowDays > 90) {
+      return res.status(400).json({
+        success: false,
+        error: 'checkInTo must be on or after checkInFrom and within 90 days of it'
+      });
+    }
+
+    const errors = aggregator.validateFlexSearch(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid flexible-date search',
+        details: errors
+      });
+    }
+
+    const results = await aggregator.flexSearch(req.body);
+
+    res.json({
+      success: true,
+      data: results
+    });
+  } catch (error) {
+    console.error('Flexible-date search error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/hotels/price-errors
  * 
@@ -383,6 +533,99 @@ router.get('/best-deals', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/hotels/registry
+ *
+ * Canonical hotels that SerpAPI and Amadeus results are merged into
+ *
+ * Query params:
+ * - q (name filter)
+ */
+router.get('/registry', (req, res) => {
+  const resolver = HotelIdentityResolver.getInstance();
+  const hotels = resolver.listHotels({ q: req.query.q });
+
+  res.json({
+    success: true,
+    data: {
+      hotels,
+      overrides: resolver.getOverrides()
+    },
+    count: hotels.length
+  });
+});
+
+/**
+ * GET /api/hotels/registry/:canonicalId
+ *
+ * One canonical hotel with the source IDs merged into it
+ */
+router.get('/registry/:canonicalId', (req, res) => {
+  const hotel = HotelIdentityResolver.getInstance().getHotel(req.params.canonicalId);
+
+  if (!hotel) {
+    return res.status(404).json({
+      success: false,
+      error: `Hotel ${req.params.canonicalId} not found`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: hotel
+  });
+});
+
+/**
+ * PUT /api/hotels/registry/overrides
+ *
+ * Pin a source result to a canonical hotel. Use a canonicalId that doesn't
+ * exist yet to split a source out of a bad merge. Requires sign-in.
+ *
+ * Body:
+ * {
+ *   "sourceId": "amadeus:HLORL123",
+ *   "canonicalId": "hotel-hilton-orlando-buena-vista-palace"
+ * }
+ */
+router.put('/registry/overrides', requireAuth, (req, res) => {
+  const resolver = HotelIdentityResolver.getInstance();
+  const { sourceId, canonicalId } = req.body || {};
+  const errors = resolver.validateOverride({ sourceId, canonicalId });
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid override',
+      details: errors
+    });
+  }
+
+  res.json({
+    success: true,
+    data: resolver.setOverride(sourceId, canonicalId)
+  });
+});
+
+/**
+ * DELETE /api/hotels/registry/overrides/:sourceId
+ *
+ * Remove an override; the source is matched automatically again. Requires sign-in.
+ */
+router.delete('/registry/overrides/:sourceId', requireAuth, (req, res) => {
+  if (!HotelIdentityResolver.getInstance().removeOverride(req.params.sourceId)) {
+    return res.status(404).json({
+      success: false,
+      error: `No override for ${req.params.sourceId}`
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Override for ${req.params.sourceId} removed`
+  });
+});
+
 /**
  * GET /api/hotels/health
  * 
@@ -419,12 +662,13 @@ router.get('/health', async (req, res) => {
  *   "hotel1": { ... hotel object ... },
  *   "hotel2": { ... hotel object ... },
  *   "checkInDate": "2025-12-15",
- *   "checkOutDate": "2025-12-22"
+ *   "checkOutDate": "2025-12-22",
+ *   "rankingProfile": "LUXURY_VALUE"  // or "weights": { ... } summing to 1
  * }
  */
 router.post('/rank-comparison', async (req, res) => {
   try {
-    const { hotel1, hotel2, checkInDate, checkOutDate } = req.body;
+    const { hotel1, hotel2, checkInDate, checkOutDate, rankingProfile, weights } = req.body;
 
     if (!hotel1 || !hotel2) {
       return res.status(400).json({
@@ -433,9 +677,20 @@ router.post('/rank-comparison', async (req, res) => {
       });
     }
 
+    const ranking = { profile: rankingProfile, weights };
+    const rankingErrors = ranker.validateRanking(ranking);
+    if (rankingErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ranking',
+        details: rankingErrors
+      });
+    }
+
     const comparison = await ranker.compareHotels(hotel1, hotel2, {
       checkInDate,
-      checkOutDate
+      checkOutDate,
+      ...ranking
     });
 
     res.json({
@@ -454,17 +709,37 @@ router.post('/rank-comparison', async (req, res) => {
 // Import intelligent guidance engine
 const IntelligentGuidanceEngine = require('../services/IntelligentGuidanceEngine');
 const DiscountCodeValidator = require('../services/DiscountCodeValidator');
+const TravelerProfileService = require('../services/TravelerProfileService');
 
-const guidanceEngine = new IntelligentGuidanceEngine();
 const discountValidator = new DiscountCodeValidator();
+const guidanceEngine = new IntelligentGuidanceEngine({ discountValidator });
+const travelerProfiles = TravelerProfileService.getInstance();
+
+/**
+ * Traveler profile for discount filtering: one sent with the request wins,
+ * then the signed-in user's saved profile, otherwise an empty profile
+ * (unrestricted rates only).
+ */
+function resolveTravelerProfile(req, inlineProfile) {
+  if (inlineProfile) {
+    return { profile: inlineProfile, source: 'request' };
+  }
+  if (req.user && travelerProfiles.hasProfile(req.user.id)) {
+    return { profile: travelerProfiles.getProfile(req.user.id), source: 'saved' };
+  }
+  return { profile: {}, source: 'none' };
+}
 
 /**
  * Get intelligent guidance for a specific hotel
  * POST /api/hotels/guidance
+ *
+ * Discount advice is limited to rates the traveler can claim: pass
+ * `travelerProfile` (see TravelerProfileService), or sign in to use the saved one.
  */
 router.post('/guidance', async (req, res) => {
   try {
-    const { hotel, context, marketData } = req.body;
+    const { hotel, context, marketData, travelerProfile } = req.body;
     
     if (!hotel || !context) {
       return res.status(400).json({
@@ -473,12 +748,24 @@ router.post('/guidance', async (req, res) => {
       });
     }
     
+    const profileErrors = travelerProfile ? TravelerProfileService.validateProfile(travelerProfile) : [];
+    if (profileErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid traveler profile',
+        details: profileErrors
+      });
+    }
+    
+    const { profile, source } = resolveTravelerProfile(req, travelerProfile);
+    
     // Generate comprehensive guidance
-    const guidance = await guidanceEngine.generateGuidance(hotel, context, marketData);
+    const guidance = await guidanceEngine.generateGuidance(hotel, { ...context, travelerProfile: profile }, marketData);
     
     res.json({
       success: true,
-      guidance
+      guidance,
+      travelerProfileSource: source
     });
   } catch (error) {
     console.error('Error generating guidance:', error);
@@ -492,10 +779,20 @@ router.post('/guidance', async (req, res) => {
 /**
  * Discover and validate discount codes
  * POST /api/hotels/discounts
+ *
+ * Returns only rates the traveler can claim (availableDiscounts) plus a
+ * "you'd qualify if..." list (qualifyIf). Pass `travelerProfile`, or sign
+ * in to use the saved one.
+ *
+ * `stacking` is the best legal combination of one rate with any
+ * `extraOffers` (coupons, gift cards, portal cashback, card offers) and the
+ * step-by-step booking path for it. See DiscountStackingOptimizer for the
+ * offer shape, e.g.
+ * { "id": "portal", "label": "Rakuten", "category": "CASHBACK", "percent": 4, "stacksWithAnything": true }
  */
 router.post('/discounts', async (req, res) => {
   try {
-    const { hotel, searchParams } = req.body;
+    const { hotel, searchParams, travelerProfile, extraOffers = [] } = req.body;
     
     if (!hotel || !searchParams) {
       return res.status(400).json({
@@ -504,10 +801,33 @@ router.post('/discounts', async (req, res) => {
       });
     }
     
-    // Discover all available discounts
-    const discounts = await discountValidator.discoverDiscounts(hotel, searchParams);
+    const profileErrors = travelerProfile ? TravelerProfileService.validateProfile(travelerProfile) : [];
+    if (profileErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid traveler profile',
+        details: profileErrors
+      });
+    }
+    
+    const offerErrors = discountValidator.stackingOptimizer.validateOffers(extraOffers);
+    if (offerErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid offers',
+        details: offerErrors
+      });
+    }
     
-    res.json(discounts);
+    const { profile, source } = resolveTravelerProfile(req, travelerProfile);
+    
+    // Discover the discounts this traveler can claim
+    const discounts = await discountValidator.discoverDiscounts(hotel, searchParams, profile, extraOffers);
+    
+    res.json({
+      ...discounts,
+      travelerProfileSource: source
+    });
   } catch (error) {
     console.error('Error discovering discounts:', error);
     res.status(500).json({
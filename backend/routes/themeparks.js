@@ -0,0 +1,245 @@
+/**
+ * Theme Park Ticket API Routes
+ *
+ * Ticket pricing for Walt Disney World, Universal Orlando, SeaWorld Orlando
+ * and LEGOLAND Florida, in the deal shape used by the trip savings optimizer.
+ */
+
+const express = require('express');
+const router = express.Router();
+const ThemeParkTicketService = require('../services/ThemeParkTicketService');
+const SavingsOptimizer = require('../services/SavingsOptimizer');
+
+const ticketService = new ThemeParkTicketService();
+const savingsOptimizer = new SavingsOptimizer();
+
+// Count from a query string, or the default when it isn't sent. Anything
+// that isn't a number comes back as NaN for validateRequest to reject.
+const toCount = (value, fallback) => value !== undefined && value !== '' ? Number(value) : fallback;
+
+/**
+ * Parse a comma-separated query value into an array
+ */
+function parseList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Read eligibility flags from query/body; undefined when none were given
+ */
+function parseEligibility(source) {
+  const { florida_resident, military, eligibility } = source;
+
+  if (eligibility && typeof eligibility === 'object') return eligibility;
+  if (florida_resident === undefined && military === undefined) return undefined;
+
+  return {
+    isFloridaResident: florida_resident === true || florida_resident === 'true',
+    isMilitary: military === true || military === 'true'
+  };
+}
+
+/**
+ * @route   GET /api/themeparks/resorts
+ * @desc    List resorts with their parks, add-ons and discount variants
+ * @access  Public
+ */
+router.get('/resorts', (req, res) => {
+  const resorts = ticketService.getResorts();
+
+  res.json({
+    success: true,
+    data: resorts,
+    count: resorts.length
+  });
+});
+
+/**
+ * @route   GET /api/themeparks/tickets
+ * @desc    Ticket offers for a resort, or the best offer per resort when no resort is given
+ * @access  Public
+ *
+ * Query: resort, start_date (required), days, adults, children,
+ *        add_ons (comma-separated), florida_resident, military
+ */
+router.get('/tickets', (req, res) => {
+  try {
+    const { resort, start_date, days, adults, children, add_ons } = req.query;
+
+    if (!start_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter: start_date'
+      });
+    }
+
+    const options = {
+      startDate: start_date,
+      days: toCount(days, 1),
+      adults: toCount(adults, 2),
+      children: toCount(children, 0),
+      eligibility: parseEligibility(req.query)
+    };
+
+    const errors = ticketService.validateRequest({ resortId: resort, ...options });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ticket request',
+        details: errors
+      });
+    }
+
+    const offers = resort
+      ? ticketService.getOffers({ ...options, resortId: resort, addOns: parseList(add_ons) })
+      : ticketService.compareResorts(options);
+
+    res.json({
+      success: true,
+      data: offers,
+      count: offers.length,
+      searchParameters: { resort: resort || 'all', ...options },
+      source: 'modeled_pricing',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Theme park ticket pricing failed:', error.message);
+    res.status(400).json({
+      success: false,
+      error: 'Failed to price tickets',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/themeparks/calendar/:resort
+ * @desc    Adult ticket price by start date, to find cheaper days to visit
+ * @access  Public
+ *
+ * Query: from, to (YYYY-MM-DD, required), days, add_ons
+ */
+router.get('/calendar/:resort', (req, res) => {
+  try {
+    const { from, to, days, add_ons } = req.query;
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters: from, to'
+      });
+    }
+
+    const ticketDays = toCount(days, 1);
+    const errors = ticketService.validateRequest({ resortId: req.params.resort, days: ticketDays });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid calendar request',
+        details: errors
+      });
+    }
+
+    const calendar = ticketService.getPriceCalendar(req.params.resort, {
+      startDate: from,
+      endDate: to,
+      days: ticketDays,
+      addOns: parseList(add_ons)
+    });
+
+    res.json({
+      success: true,
+      data: calendar,
+      source: 'modeled_pricing',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Theme park calendar failed for ${req.params.resort}:`, error.message);
+    res.status(400).json({
+      success: false,
+      error: 'Failed to build price calendar',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/themeparks/trip-savings
+ * @desc    Price tickets for a trip and combine them with hotel/car deals
+ *          through SavingsOptimizer.calculateTripSavingsPotential
+ * @access  Public
+ *
+ * Body:
+ * {
+ *   "startDate": "2025-03-10",
+ *   "parks": [{ "resort": "disney", "days": 4, "addOns": ["park_hopper"] }, { "resort": "universal", "days": 2 }],
+ *   "adults": 2,
+ *   "children": 1,
+ *   "eligibility": { "isFloridaResident": false, "isMilitary": true },
+ *   "hotels": [...deals],
+ *   "carRentals": [...deals]   (deals with a tollCost add tolls to the totals)
+ * }
+ */
+router.post('/trip-savings', (req, res) => {
+  try {
+    const { startDate, parks, adults = 2, children = 0, hotels = [], carRentals = [] } = req.body;
+
+    if (!startDate || !Array.isArray(parks) || parks.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        message: 'startDate and a non-empty parks array are required'
+      });
+    }
+
+    const errors = [
+      ...ticketService.validateRequest({ adults, children }),
+      ...parks.flatMap((park, index) => !park || typeof park !== 'object'
+        ? [`parks[${index}] must be an object`]
+        : ticketService
+          .validateRequest({ resortId: park.resort, days: park.days !== undefined ? park.days : 1 })
+          .map(error => `parks[${index}].${error}`))
+    ];
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid trip',
+        details: errors
+      });
+    }
+
+    const eligibility = parseEligibility(req.body);
+
+    // One ticket per resort: the cheapest offer the party is eligible for
+    const themeParks = parks.map(park => ticketService.getOffers({
+      resortId: park.resort,
+      startDate: park.startDate || startDate,
+      days: park.days !== undefined ? park.days : 1,
+      addOns: park.addOns || [],
+      adults,
+      children,
+      eligibility: eligibility || {}
+    })[0]);
+
+    const tripSavings = savingsOptimizer.calculateTripSavingsPotential({ hotels, carRentals, themeParks });
+
+    res.json({
+      success: true,
+      data: {
+        tickets: themeParks,
+        tripSavings
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Theme park trip savings failed:', error.message);
+    res.status(400).json({
+      success: false,
+      error: 'Failed to calculate trip savings',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,18 +2,30 @@
  * Flight Traffic Analysis API Routes
  * 
  * Endpoints for analyzing Orlando flight traffic patterns
- * using Amadeus Busiest Traveling Period API
+ * using Amadeus Busiest Traveling Period API.
+ *
+ * Every endpoint accepts ?city=MCO|SFB|TPA|MLB (default MCO).
+ * Busiest-period responses go through the shared response cache, so
+ * multi-year trends and repeat lookups don't re-fetch the same year.
  */
 
 const express = require('express');
 const router = express.Router();
 const FlightTrafficAnalyzer = require('../services/FlightTrafficAnalyzer');
 
-// Initialize analyzer with Amadeus credentials
-const analyzer = new FlightTrafficAnalyzer(
-  process.env.AMADEUS_API_KEY,
-  process.env.AMADEUS_API_SECRET
-);
+// Uses the shared production Amadeus client (see FlightTrafficAnalyzer.getAnalyticsClient)
+const analyzer = new FlightTrafficAnalyzer();
+
+/**
+ * Reply 400 for an unsupported ?city= airport code
+ */
+function sendInvalidCity(res, city) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid city code',
+    message: `Unsupported airport "${city}". Use one of: ${Object.keys(analyzer.airports).join(', ')}`
+  });
+}
 
 /**
  * GET /api/traffic/analyze/:year
@@ -22,6 +34,11 @@ const analyzer = new FlightTrafficAnalyzer(
 router.get('/analyze/:year', async (req, res) => {
   try {
     const { year } = req.params;
+    const cityCode = analyzer.resolveCityCode(req.query.city);
+
+    if (!cityCode) {
+      return sendInvalidCity(res, req.query.city);
+    }
 
     // Validate year format
     if (!/^\d{4}$/.test(year)) {
@@ -32,7 +49,7 @@ router.get('/analyze/:year', async (req, res) => {
       });
     }
 
-    const analysis = await analyzer.analyzeTrafficPatterns(year);
+    const analysis = await analyzer.analyzeTrafficPatterns(year, cityCode);
 
     if (!analysis.success) {
       return res.status(500).json(analysis);
@@ -60,6 +77,11 @@ router.get('/analyze/:year', async (req, res) => {
 router.get('/month/:year/:month', async (req, res) => {
   try {
     const { year, month } = req.params;
+    const cityCode = analyzer.resolveCityCode(req.query.city);
+
+    if (!cityCode) {
+      return sendInvalidCity(res, req.query.city);
+    }
 
     // Validate inputs
     if (!/^\d{4}$/.test(year)) {
@@ -79,7 +101,7 @@ router.get('/month/:year/:month', async (req, res) => {
       });
     }
 
-    const result = await analyzer.getMonthTrafficScore(monthNum, year);
+    const result = await analyzer.getMonthTrafficScore(monthNum, year, cityCode);
 
     if (!result.success) {
       return res.status(404).json(result);
@@ -103,10 +125,17 @@ router.get('/month/:year/:month', async (req, res) => {
 /**
  * POST /api/traffic/compare
  * Compare traffic across multiple months
+ *
+ * Body: { "months": [1, 5, 9], "year": "2025", "city": "MCO" }
  */
 router.post('/compare', async (req, res) => {
   try {
-    const { months, year = '2025' } = req.body;
+    const { months, year = '2025', city = req.query.city } = req.body;
+    const cityCode = analyzer.resolveCityCode(city);
+
+    if (!cityCode) {
+      return sendInvalidCity(res, city);
+    }
 
     if (!months || !Array.isArray(months) || months.length < 2) {
       return res.status(400).json({
@@ -126,7 +155,7 @@ router.post('/compare', async (req, res) => {
       });
     }
 
-    const comparison = await analyzer.compareMonths(months, year);
+    const comparison = await analyzer.compareMonths(months, year, cityCode);
 
     if (!comparison.success) {
       return res.status(500).json(comparison);
@@ -154,6 +183,11 @@ router.post('/compare', async (req, res) => {
 router.get('/best-months/:year', async (req, res) => {
   try {
     const { year } = req.params;
+    const cityCode = analyzer.resolveCityCode(req.query.city);
+
+    if (!cityCode) {
+      return sendInvalidCity(res, req.query.city);
+    }
     const { limit = 3 } = req.query;
 
     if (!/^\d{4}$/.test(year)) {
@@ -164,7 +198,7 @@ router.get('/best-months/:year', async (req, res) => {
       });
     }
 
-    const analysis = await analyzer.analyzeTrafficPatterns(year);
+    const analysis = await analyzer.analyzeTrafficPatterns(year, cityCode);
 
     if (!analysis.success) {
       return res.status(500).json(analysis);
@@ -191,6 +225,7 @@ router.get('/best-months/:year', async (req, res) => {
       success: true,
       data: {
         year,
+        cityCode,
         bestMonths,
         summary: `Top ${bestMonths.length} months with lowest traffic for maximum savings`
       },
@@ -213,6 +248,11 @@ router.get('/best-months/:year', async (req, res) => {
 router.get('/worst-months/:year', async (req, res) => {
   try {
     const { year } = req.params;
+    const cityCode = analyzer.resolveCityCode(req.query.city);
+
+    if (!cityCode) {
+      return sendInvalidCity(res, req.query.city);
+    }
     const { limit = 3 } = req.query;
 
     if (!/^\d{4}$/.test(year)) {
@@ -223,7 +263,7 @@ router.get('/worst-months/:year', async (req, res) => {
       });
     }
 
-    const analysis = await analyzer.analyzeTrafficPatterns(year);
+    const analysis = await analyzer.analyzeTrafficPatterns(year, cityCode);
 
     if (!analysis.success) {
       return res.status(500).json(analysis);
@@ -250,6 +290,7 @@ router.get('/worst-months/:year', async (req, res) => {
       success: true,
       data: {
         year,
+        cityCode,
         worstMonths,
         summary: `Top ${worstMonths.length} months with highest traffic - avoid for savings`
       },
@@ -272,6 +313,11 @@ router.get('/worst-months/:year', async (req, res) => {
 router.get('/recommendations/:year', async (req, res) => {
   try {
     const { year } = req.params;
+    const cityCode = analyzer.resolveCityCode(req.query.city);
+
+    if (!cityCode) {
+      return sendInvalidCity(res, req.query.city);
+    }
 
     if (!/^\d{4}$/.test(year)) {
       return res.status(400).json({
@@ -281,7 +327,7 @@ router.get('/recommendations/:year', async (req, res) => {
       });
     }
 
-    const analysis = await analyzer.analyzeTrafficPatterns(year);
+    const analysis = await analyzer.analyzeTrafficPatterns(year, cityCode);
 
     if (!analysis.success) {
       return res.status(500).json(analysis);
@@ -291,6 +337,7 @@ router.get('/recommendations/:year', async (req, res) => {
       success: true,
       data: {
         year,
+        cityCode,
         recommendations: analysis.recommendations,
         patterns: analysis.patterns,
         summary: {
@@ -311,6 +358,121 @@ router.get('/recommendations/:year', async (req, res) => {
   }
 });
 
+// Longest history /trend will fetch (one Amadeus call per year)
+const MAX_TREND_YEARS = 10;
+
+/**
+ * GET /api/traffic/trend?from=2022&to=2025
+ * Year-over-year traffic comparison with shifting peaks and a projection
+ * for the year after `to`
+ *
+ * Query: from, to (YYYY; default: the four years up to last year), city
+ */
+router.get('/trend', async (req, res) => {
+  try {
+    const cityCode = analyzer.resolveCityCode(req.query.city);
+
+    if (!cityCode) {
+      return sendInvalidCity(res, req.query.city);
+    }
+
+    const lastYear = new Date().getFullYear() - 1;
+    const to = req.query.to || String(lastYear);
+    const from = req.query.from || String(Number(to) - 3);
+
+    if (!/^\d{4}$/.test(from) || !/^\d{4}$/.test(to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid year format',
+        message: 'from and to must be in YYYY format (e.g., 2022)'
+      });
+    }
+
+    if (Number(from) >= Number(to) || Number(to) - Number(from) + 1 > MAX_TREND_YEARS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid year range',
+        message: `from must be before to, covering at most ${MAX_TREND_YEARS} years`
+      });
+    }
+
+    const trend = await analyzer.analyzeTrend(from, to, cityCode);
+
+    if (!trend.success) {
+      return res.status(500).json(trend);
+    }
+
+    res.json({
+      success: true,
+      data: trend,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Traffic trend analysis failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Trend analysis failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/traffic/airports/:year
+ * Compare Orlando-area airports and recommend alternates for months when
+ * they sit in a lower traffic band than the primary airport
+ *
+ * Query: primary (default MCO), alternates (comma-separated, default SFB,TPA,MLB)
+ */
+router.get('/airports/:year', async (req, res) => {
+  try {
+    const { year } = req.params;
+
+    if (!/^\d{4}$/.test(year)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid year format',
+        message: 'Year must be in YYYY format (e.g., 2025)'
+      });
+    }
+
+    const primary = analyzer.resolveCityCode(req.query.primary);
+    if (!primary) {
+      return sendInvalidCity(res, req.query.primary);
+    }
+
+    const requestedAlternates = req.query.alternates
+      ? String(req.query.alternates).split(',').map(code => code.trim()).filter(Boolean)
+      : undefined;
+    const invalidAlternate = (requestedAlternates || []).find(code => !analyzer.resolveCityCode(code));
+    if (invalidAlternate) {
+      return sendInvalidCity(res, invalidAlternate);
+    }
+
+    const comparison = await analyzer.compareAirports(year, {
+      primary,
+      alternates: requestedAlternates && requestedAlternates.map(code => analyzer.resolveCityCode(code))
+    });
+
+    if (!comparison.success) {
+      return res.status(500).json(comparison);
+    }
+
+    res.json({
+      success: true,
+      data: comparison,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Airport comparison failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Comparison failed',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/traffic/demo
  * Demo endpoint to test the service
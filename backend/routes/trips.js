@@ -0,0 +1,65 @@
+/**
+ * Trip Planning API Routes
+ *
+ * Builds complete Orlando itineraries (flight + hotel + car + park tickets)
+ * from the individual search services.
+ */
+
+const express = require('express');
+const router = express.Router();
+const TripPlanner = require('../services/TripPlanner');
+
+const tripPlanner = new TripPlanner();
+
+/**
+ * POST /api/trips/plan
+ * Build and rank complete, priced itineraries
+ *
+ * Body:
+ * {
+ *   "origin": "JFK",
+ *   "destination": "MCO",
+ *   "dates": { "earliestDeparture": "2025-03-01", "latestReturn": "2025-03-15", "nights": 5 },
+ *   "party": { "adults": 2, "children": 2 },
+ *   "budget": 4500,
+ *   "includeCar": true,
+ *   "parks": [{ "resort": "disney", "days": 3, "addOns": ["park_hopper"] }],
+ *   "eligibility": { "isFloridaResident": false, "isMilitary": false },
+ *   "rankBy": "value",
+ *   "maxItineraries": 10          // 1-50
+ * }
+ */
+router.post('/plan', async (req, res) => {
+  try {
+    const errors = tripPlanner.validateRequest(req.body || {});
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid trip request',
+        details: errors
+      });
+    }
+
+    const plan = await tripPlanner.planTrip(req.body);
+
+    res.json({
+      success: true,
+      data: plan.itineraries,
+      count: plan.itineraries.length,
+      summary: plan.summary,
+      searches: plan.searches,
+      warnings: plan.warnings,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Trip planning failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Trip planning failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
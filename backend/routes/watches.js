@@ -0,0 +1,271 @@
+/**
+ * Price-Drop Watchlist API Routes
+ *
+ * Register hotels, flight routes and car rentals to be re-checked on a
+ * schedule, with alerts when prices drop below a target or below what
+ * was paid.
+ */
+
+const express = require('express');
+const router = express.Router();
+const WatchlistService = require('../services/WatchlistService');
+
+const watchlist = WatchlistService.getInstance();
+
+/**
+ * POST /api/watches
+ * Register a new watch
+ *
+ * Body:
+ * {
+ *   "type": "hotel" | "flight" | "car",
+ *   "label": "Optional display name",
+ *   "params": {
+ *     hotel:  { hotelName | propertyId, checkInDate, checkOutDate, adults, rooms }
+ *     flight: { origin, destination, departureDate, returnDate, adults, children, nonStop, carrierCode }
+ *     car:    { company, pickupLocation, pickupDate, returnDate, carType, reshop }
+ *   },
+ *   "targetPrice": 450,          // Hotels: whole-stay total, not nightly
+ *   "bookedPrice": 520,
+ *   "checkIntervalMinutes": 360,  // At least 30
+ *   "notify": [{ "type": "webhook", "url": "..." }, { "type": "email", "to": "..." }]
+ * }
+ *
+ * Webhook URLs must be http(s) on a public host.
+ *
+ * Car watches with params.reshop re-shop the booking (rebook, split rental,
+ * weekly rate) against bookedPrice instead of tracking advertised rates.
+ */
+router.post('/', (req, res) => {
+  try {
+    const errors = watchlist.validateWatch(req.body || {});
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid watch',
+        details: errors
+      });
+    }
+
+    const watch = watchlist.createWatch(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: watch,
+      message: `Watching ${watch.label}. First check will run on the next scheduler pass.`
+    });
+  } catch (error) {
+    console.error('Watch creation failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create watch',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/watches
+ * List all watches
+ */
+router.get('/', (req, res) => {
+  try {
+    const { type, status } = req.query;
+
+    const watches = watchlist.listWatches().filter(watch =>
+      (!type || watch.type === type) && (!status || watch.status === status)
+    );
+
+    res.json({
+      success: true,
+      data: watches,
+      count: watches.length
+    });
+  } catch (error) {
+    console.error('Watch listing failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list watches',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/watches/:id
+ * Get a watch with its most recent checks
+ */
+router.get('/:id', (req, res) => {
+  const watch = watchlist.getWatch(req.params.id);
+
+  if (!watch) {
+    return res.status(404).json({
+      success: false,
+      error: `Watch ${req.params.id} not found`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...watch,
+      recentChecks: watchlist.getChecks(watch.id).slice(-10).reverse(),
+      alertCount: watchlist.getAlerts(watch.id).length
+    }
+  });
+});
+
+/**
+ * PATCH /api/watches/:id
+ * Update target/booked price, cadence, notifications or pause/resume
+ */
+router.patch('/:id', (req, res) => {
+  try {
+    const updates = req.body || {};
+    const errors = [
+      ...watchlist.validatePrices(updates),
+      ...watchlist.validateInterval(updates.checkIntervalMinutes),
+      ...watchlist.validateNotify(updates.notify)
+    ];
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid watch',
+        details: errors
+      });
+    }
+
+    const watch = watchlist.updateWatch(req.params.id, updates);
+
+    if (!watch) {
+      return res.status(404).json({
+        success: false,
+        error: `Watch ${req.params.id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: watch
+    });
+  } catch (error) {
+    console.error('Watch update failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update watch',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/watches/:id
+ * Remove a watch with its history and alerts
+ */
+router.delete('/:id', (req, res) => {
+  if (!watchlist.deleteWatch(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: `Watch ${req.params.id} not found`
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Watch ${req.params.id} deleted`
+  });
+});
+
+/**
+ * POST /api/watches/:id/check
+ * Re-check a watch immediately instead of waiting for the scheduler.
+ * Throttled (429 with Retry-After): once per watch every 5 minutes, and
+ * 10 checks a minute across all watches.
+ */
+router.post('/:id/check', async (req, res) => {
+  try {
+    const watch = watchlist.getWatch(req.params.id);
+    if (!watch) {
+      return res.status(404).json({
+        success: false,
+        error: `Watch ${req.params.id} not found`
+      });
+    }
+
+    const retryAfter = watchlist.reserveManualCheck(watch);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many checks',
+        message: `Try again in ${retryAfter} seconds`
+      });
+    }
+
+    const result = await watchlist.checkWatch(req.params.id);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Watch check failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Check failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/watches/:id/checks
+ * Full price check history for a watch (newest first)
+ */
+router.get('/:id/checks', (req, res) => {
+  const watch = watchlist.getWatch(req.params.id);
+
+  if (!watch) {
+    return res.status(404).json({
+      success: false,
+      error: `Watch ${req.params.id} not found`
+    });
+  }
+
+  const checks = watchlist.getChecks(watch.id).slice().reverse();
+
+  res.json({
+    success: true,
+    data: checks,
+    count: checks.length,
+    lowestPrice: watch.lowestPrice
+  });
+});
+
+/**
+ * GET /api/watches/:id/alerts
+ * Alert events raised for a watch (newest first)
+ */
+router.get('/:id/alerts', (req, res) => {
+  const watch = watchlist.getWatch(req.params.id);
+
+  if (!watch) {
+    return res.status(404).json({
+      success: false,
+      error: `Watch ${req.params.id} not found`
+    });
+  }
+
+  const alerts = watchlist.getAlerts(watch.id).slice().reverse();
+
+  res.json({
+    success: true,
+    data: alerts,
+    count: alerts.length
+  });
+});
+
+module.exports = router;
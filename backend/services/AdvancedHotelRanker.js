@@ -4,13 +4,18 @@
  * World-class ranking system that considers multiple factors to identify
  * the absolute best hotel deals that even seasoned travel agents wouldn't find.
  * 
- * Ranking Factors:
- * 1. Price Error Detection (40%) - Statistical anomalies indicating pricing mistakes
- * 2. Exclusive Rate Access (25%) - GDS rates not available to consumers
+ * Ranking Factors (BALANCED profile weights):
+ * 1. Price Error Detection (35%) - Statistical anomalies indicating pricing mistakes
+ * 2. Exclusive Rate Access (20%) - GDS rates not available to consumers
  * 3. Historical Price Analysis (15%) - Comparison with historical pricing patterns
  * 4. Value Score (10%) - Price vs. quality/amenities ratio
- * 5. Cancellation Flexibility (5%) - Free cancellation policies
- * 6. Availability Risk (5%) - Scarcity and booking urgency
+ * 5. Park Access (10%) - Travel time and official transport to the parks
+ * 6. Cancellation Flexibility (5%) - Free cancellation policies
+ * 7. Availability Risk (5%) - Scarcity and booking urgency
+ * 
+ * Named ranking profiles (or a custom weight set summing to 1) change the
+ * weights per request; every ranked hotel explains how much each factor
+ * contributed to its composite score.
  * 
  * Uses advanced algorithms:
  * - Multi-criteria decision analysis (MCDA)
@@ -21,31 +26,130 @@
 
 const HistoricalPriceAnalyzer = require('./HistoricalPriceAnalyzer');
 const PriceErrorDetector = require('./PriceErrorDetector');
+const StayCostNormalizer = require('./StayCostNormalizer');
+const ParkProximityService = require('./ParkProximityService');
+
+// Weight key -> score key
+const FACTORS = {
+  priceError: 'priceErrorScore',
+  exclusiveRate: 'exclusiveRateScore',
+  historicalValue: 'historicalValueScore',
+  valueScore: 'valueScore',
+  parkAccess: 'parkAccessScore',
+  cancellation: 'cancellationScore',
+  availability: 'availabilityScore'
+};
+
+const RANKING_PROFILES = {
+  BALANCED: {
+    name: 'Balanced',
+    description: 'Deep discounts first, with some weight on value and park access',
+    weights: { priceError: 0.35, exclusiveRate: 0.20, historicalValue: 0.15, valueScore: 0.10, parkAccess: 0.10, cancellation: 0.05, availability: 0.05 }
+  },
+  DEEP_SAVINGS: {
+    name: 'Deep savings',
+    description: 'Price errors and hidden rates, regardless of location or flexibility',
+    weights: { priceError: 0.40, exclusiveRate: 0.25, historicalValue: 0.20, valueScore: 0.10, parkAccess: 0, cancellation: 0, availability: 0.05 }
+  },
+  FAMILY_FLEXIBLE: {
+    name: 'Family flexible',
+    description: 'Free cancellation and short trips to the parks over the lowest possible rate',
+    weights: { priceError: 0.10, exclusiveRate: 0.10, historicalValue: 0.10, valueScore: 0.15, parkAccess: 0.25, cancellation: 0.25, availability: 0.05 }
+  },
+  LUXURY_VALUE: {
+    name: 'Luxury value',
+    description: 'Highly rated properties at a good price for their class',
+    weights: { priceError: 0.10, exclusiveRate: 0.25, historicalValue: 0.15, valueScore: 0.30, parkAccess: 0.10, cancellation: 0.05, availability: 0.05 }
+  }
+};
+
+const DEFAULT_PROFILE = 'BALANCED';
 
 class AdvancedHotelRanker {
   constructor() {
     this.historicalAnalyzer = new HistoricalPriceAnalyzer();
     this.priceErrorDetector = new PriceErrorDetector();
+    this.parkProximity = new ParkProximityService();
     
-    // Weighting factors (must sum to 1.0)
-    this.weights = {
-      priceError: 0.40,        // 40% - Most important for deep savings
-      exclusiveRate: 0.25,     // 25% - Access to hidden rates
-      historicalValue: 0.15,   // 15% - Historical price comparison
-      valueScore: 0.10,        // 10% - Quality vs. price
-      cancellation: 0.05,      // 5% - Booking flexibility
-      availability: 0.05       // 5% - Urgency/scarcity
-    };
+    // Default weighting factors (must sum to 1.0)
+    this.weights = { ...RANKING_PROFILES[DEFAULT_PROFILE].weights };
+  }
+
+  /**
+   * Named ranking profiles
+   */
+  listProfiles() {
+    return Object.entries(RANKING_PROFILES).map(([id, profile]) => ({ id, ...profile, default: id === DEFAULT_PROFILE }));
+  }
+
+  /**
+   * Validate a ranking choice: a profile ID or a custom weight set, not both.
+   * Custom weights may omit factors (weight 0) but must sum to 1.
+   * @returns {string[]} Validation errors
+   */
+  validateRanking({ profile, weights } = {}) {
+    const errors = [];
+
+    if (profile !== undefined && weights !== undefined) {
+      errors.push('Send either a ranking profile or custom weights, not both');
+    }
+    if (profile !== undefined && !RANKING_PROFILES[profile]) {
+      errors.push(`Ranking profile must be one of: ${Object.keys(RANKING_PROFILES).join(', ')}`);
+    }
+
+    if (weights !== undefined) {
+      if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+        errors.push('weights must be an object of factor weights');
+        return errors;
+      }
+
+      Object.entries(weights).forEach(([factor, weight]) => {
+        if (!FACTORS[factor]) {
+          errors.push(`Unknown ranking factor: ${factor} (expected one of: ${Object.keys(FACTORS).join(', ')})`);
+        } else if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > 1) {
+          errors.push(`Weight for ${factor} must be a number between 0 and 1`);
+        }
+      });
+
+      const total = Object.values(weights).reduce((sum, weight) => sum + (Number(weight) || 0), 0);
+      if (Math.abs(total - 1) > 0.001) {
+        errors.push(`Weights must sum to 1 (got ${Math.round(total * 1000) / 1000})`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Weights to rank with (call validateRanking first)
+   * @returns {Object} { profile: profile ID or 'CUSTOM', weights }
+   */
+  resolveRanking({ profile, weights } = {}) {
+    if (weights) {
+      const resolved = {};
+      Object.keys(FACTORS).forEach(factor => {
+        resolved[factor] = weights[factor] || 0;
+      });
+      return { profile: 'CUSTOM', weights: resolved };
+    }
+
+    if (profile) {
+      return { profile, weights: { ...RANKING_PROFILES[profile].weights } };
+    }
+    return { profile: DEFAULT_PROFILE, weights: { ...this.weights } };
   }
 
   /**
    * Rank hotels using advanced multi-criteria analysis
+   * @param {Object} params - { checkInDate, checkOutDate, parks, profile, weights }
    */
   async rankHotels(hotels, params = {}) {
     if (!hotels || hotels.length === 0) {
       return [];
     }
 
+    const ranking = this.resolveRanking(params);
+
     // Step 1: Calculate individual scores for each hotel
     const hotelsWithScores = await Promise.all(
       hotels.map(hotel => this.calculateHotelScores(hotel, params))
@@ -57,7 +161,8 @@ class AdvancedHotelRanker {
     // Step 3: Calculate weighted composite score
     const rankedHotels = normalizedHotels.map(hotel => ({
       ...hotel,
-      compositeScore: this.calculateCompositeScore(hotel),
+      compositeScore: this.calculateCompositeScore(hotel, ranking.weights),
+      scoreExplanation: this.explainScore(hotel, ranking),
       rank: 0 // Will be set after sorting
     }));
 
@@ -75,6 +180,7 @@ class AdvancedHotelRanker {
 
   /**
    * Calculate all scoring components for a hotel
+   * @param {Object} params - { checkInDate, checkOutDate, parks } (parks: IDs to score access against)
    */
   async calculateHotelScores(hotel, params) {
     const scores = {
@@ -82,6 +188,7 @@ class AdvancedHotelRanker {
       exclusiveRateScore: 0,
       historicalValueScore: 0,
       valueScore: 0,
+      parkAccessScore: 0,
       cancellationScore: 0,
       availabilityScore: 0
     };
@@ -98,14 +205,19 @@ class AdvancedHotelRanker {
     // 4. Value Score (0-100)
     scores.valueScore = this.calculateValueScore(hotel);
 
-    // 5. Cancellation Score (0-100)
+    // 5. Park Access Score (0-100)
+    const parkAccess = this.parkProximity.analyze(hotel, { parks: params.parks });
+    scores.parkAccessScore = parkAccess.score ?? 50; // Neutral if location unknown
+
+    // 6. Cancellation Score (0-100)
     scores.cancellationScore = this.calculateCancellationScore(hotel);
 
-    // 6. Availability Score (0-100)
+    // 7. Availability Score (0-100)
     scores.availabilityScore = this.calculateAvailabilityScore(hotel);
 
     return {
       ...hotel,
+      parkAccess,
       scores,
       rawScores: { ...scores } // Keep original scores for analysis
     };
@@ -199,7 +311,7 @@ class AdvancedHotelRanker {
       // Analyze historical pricing patterns
       const historicalAnalysis = await this.historicalAnalyzer.analyzePricing({
         hotelName: hotel.hotelName,
-        currentPrice: hotel.price,
+        currentPrice: StayCostNormalizer.comparablePrice(hotel),
         checkInDate,
         checkOutDate,
         location: 'Orlando, FL'
@@ -243,7 +355,8 @@ class AdvancedHotelRanker {
     // Rating component (if available)
     if (hotel.rating) {
       const rating = parseFloat(hotel.rating);
-      const price = hotel.price || hotel.totalPrice;
+      // All-in nightly price when normalized, so desk fees count against value
+      const price = StayCostNormalizer.comparablePrice(hotel);
 
       // Calculate value ratio (rating per $100)
       const valueRatio = (rating / price) * 100;
@@ -346,8 +459,7 @@ class AdvancedHotelRanker {
    * Normalize scores across all hotels
    */
   normalizeScores(hotels) {
-    const scoreKeys = ['priceErrorScore', 'exclusiveRateScore', 'historicalValueScore', 
-                       'valueScore', 'cancellationScore', 'availabilityScore'];
+    const scoreKeys = Object.values(FACTORS);
 
     // Find min and max for each score type
     const ranges = {};
@@ -384,20 +496,36 @@ class AdvancedHotelRanker {
   /**
    * Calculate weighted composite score
    */
-  calculateCompositeScore(hotel) {
+  calculateCompositeScore(hotel, weights = this.weights) {
     const { scores } = hotel;
     
-    const composite = 
-      (scores.priceErrorScore * this.weights.priceError) +
-      (scores.exclusiveRateScore * this.weights.exclusiveRate) +
-      (scores.historicalValueScore * this.weights.historicalValue) +
-      (scores.valueScore * this.weights.valueScore) +
-      (scores.cancellationScore * this.weights.cancellation) +
-      (scores.availabilityScore * this.weights.availability);
+    const composite = Object.entries(FACTORS).reduce(
+      (sum, [factor, scoreKey]) => sum + scores[scoreKey] * weights[factor],
+      0
+    );
 
     return Math.round(composite * 10) / 10; // Round to 1 decimal
   }
 
+  /**
+   * Per-factor contribution to a hotel's composite score, largest first.
+   * score is normalized across the hotels ranked together; rawScore is the
+   * hotel's own 0-100 score before normalizing.
+   */
+  explainScore(hotel, ranking) {
+    const factors = Object.entries(FACTORS).map(([factor, scoreKey]) => ({
+      factor,
+      score: Math.round(hotel.scores[scoreKey] * 10) / 10,
+      rawScore: hotel.rawScores ? Math.round(hotel.rawScores[scoreKey] * 10) / 10 : null,
+      weight: ranking.weights[factor],
+      contribution: Math.round(hotel.scores[scoreKey] * ranking.weights[factor] * 10) / 10
+    }));
+
+    factors.sort((a, b) => b.contribution - a.contribution);
+
+    return { profile: ranking.profile, factors };
+  }
+
   /**
    * Classify hotel into tier based on composite score
    */
@@ -464,6 +592,18 @@ class AdvancedHotelRanker {
       });
     }
 
+    // Park access
+    const nearest = hotel.parkAccess?.nearest;
+    if (hotel.rawScores?.parkAccessScore >= 80 && nearest) {
+      const perks = hotel.parkAccess.benefits.length > 0 ? ` Includes ${hotel.parkAccess.benefits.join(', ')}.` : '';
+      recommendations.push({
+        priority: 'MEDIUM',
+        category: 'Park Access',
+        message: `🏰 ${nearest.bestMinutes} min to ${nearest.name} (${nearest.bestMode.toLowerCase().replace('_', ' ')}).${perks}`,
+        score: scores.parkAccessScore
+      });
+    }
+
     // Cancellation flexibility
     if (scores.cancellationScore > 80) {
       recommendations.push({
@@ -508,6 +648,7 @@ class AdvancedHotelRanker {
    * Compare two hotels head-to-head
    */
   async compareHotels(hotel1, hotel2, params = {}) {
+    const ranking = this.resolveRanking(params);
     const [scored1, scored2] = await Promise.all([
       this.calculateHotelScores(hotel1, params),
       this.calculateHotelScores(hotel2, params)
@@ -516,13 +657,16 @@ class AdvancedHotelRanker {
     const normalized = this.normalizeScores([scored1, scored2]);
     
     const comparison = {
+      ranking,
       hotel1: {
         ...normalized[0],
-        compositeScore: this.calculateCompositeScore(normalized[0])
+        compositeScore: this.calculateCompositeScore(normalized[0], ranking.weights),
+        scoreExplanation: this.explainScore(normalized[0], ranking)
       },
       hotel2: {
         ...normalized[1],
-        compositeScore: this.calculateCompositeScore(normalized[1])
+        compositeScore: this.calculateCompositeScore(normalized[1], ranking.weights),
+        scoreExplanation: this.explainScore(normalized[1], ranking)
       },
       winner: null,
       scoreDifference: 0,
@@ -0,0 +1,201 @@
+/**
+ * Airport Transfer Model
+ *
+ * Ground cost and time from the airports serving Orlando to the hotel
+ * areas, so a cheaper fare into Sanford (SFB) or Tampa (TPA) can be
+ * compared with MCO after the drive:
+ *
+ * - RIDESHARE: a ride each way (XL for parties over 4), plus tolls and a
+ *   wait for the pickup.
+ * - RENTAL_CAR: the traveler is renting a car for the trip anyway, so only
+ *   fuel and tolls count (rental prices are similar at all three airports).
+ *
+ * Miles and minutes are typical off-peak drives on the usual route; tolls
+ * are TollCostModel's one-way transponder rates. Rideshare rates are shared
+ * with CarRentalService's off-airport counter transfers. Treat them as
+ * estimates.
+ */
+
+const TollCostModel = require('./TollCostModel');
+
+// place: the TollCostModel place code tolls are looked up from
+const AIRPORTS = {
+  MCO: { name: 'Orlando International Airport', city: 'Orlando', place: 'MCO' },
+  SFB: { name: 'Orlando Sanford International Airport', city: 'Sanford', place: 'SFB' },
+  TPA: { name: 'Tampa International Airport', city: 'Tampa', place: 'TAMPA' }
+};
+
+// One-way drives by airport and hotel area (TollCostModel place codes).
+// Toll roads and tolls come from TollCostModel; road is the toll-free route.
+const DRIVES = {
+  MCO: {
+    DISNEY: { miles: 22, minutes: 30 },
+    LAKE_BUENA_VISTA: { miles: 18, minutes: 22 },
+    KISSIMMEE: { miles: 18, minutes: 25 },
+    UNIVERSAL: { miles: 14, minutes: 20 },
+    IDRIVE: { miles: 12, minutes: 18 },
+    SEAWORLD: { miles: 13, minutes: 18 },
+    DOWNTOWN: { miles: 10, minutes: 17 }
+  },
+  SFB: {
+    DISNEY: { miles: 50, minutes: 60 },
+    LAKE_BUENA_VISTA: { miles: 45, minutes: 52 },
+    KISSIMMEE: { miles: 48, minutes: 55 },
+    UNIVERSAL: { miles: 35, minutes: 40, road: 'I-4' },
+    IDRIVE: { miles: 38, minutes: 45, road: 'I-4' },
+    SEAWORLD: { miles: 40, minutes: 47, road: 'I-4' },
+    DOWNTOWN: { miles: 25, minutes: 30, road: 'I-4' }
+  },
+  TPA: {
+    DISNEY: { miles: 75, minutes: 80, road: 'I-4' },
+    LAKE_BUENA_VISTA: { miles: 77, minutes: 82, road: 'I-4' },
+    KISSIMMEE: { miles: 78, minutes: 85, road: 'I-4' },
+    UNIVERSAL: { miles: 85, minutes: 90, road: 'I-4' },
+    IDRIVE: { miles: 82, minutes: 85, road: 'I-4' },
+    SEAWORLD: { miles: 80, minutes: 85, road: 'I-4' },
+    DOWNTOWN: { miles: 88, minutes: 95, road: 'I-4' }
+  }
+};
+
+const MODES = ['RIDESHARE', 'RENTAL_CAR'];
+
+// Every origin is searched against every airport, one live search at a time
+const MAX_ORIGIN_ALTERNATES = 3;
+
+const round = amount => Math.round(amount * 100) / 100;
+
+class AirportTransferModel {
+  /**
+   * @param {Object} options
+   * @param {Object} options.rates - Override rideshare and fuel rates
+   * @param {TollCostModel} options.tollCostModel - Route tolls (default: TollCostModel)
+   */
+  constructor(options = {}) {
+    this.tollCostModel = options.tollCostModel || new TollCostModel();
+    this.rates = {
+      rideshareBaseFare: 5.00,
+      ridesharePerMile: 1.90,
+      rideshareMinimum: 12.00,
+      largeVehicleMultiplier: 1.6,   // XL ride for parties over 4
+      rideshareWaitMinutes: 15,      // Wait for a pickup each way
+      fuelPerMile: 0.15,             // ~$3.50/gal at ~24 mpg
+      ...options.rates
+    };
+  }
+
+  /**
+   * Airports with the hotel areas they have drive times for
+   */
+  listAirports() {
+    return Object.entries(AIRPORTS).map(([code, { name, city }]) => ({
+      code,
+      name,
+      city,
+      hotelAreas: Object.keys(DRIVES[code])
+    }));
+  }
+
+  /**
+   * One-way rideshare fare for a drive (XL for parties over 4), before tolls
+   */
+  rideshareFare(miles, travelers = 2) {
+    const rates = this.rates;
+    let fare = Math.max(rates.rideshareMinimum, rates.rideshareBaseFare + rates.ridesharePerMile * miles);
+    if (travelers > 4) fare *= rates.largeVehicleMultiplier;
+    return round(fare);
+  }
+
+  /**
+   * Canonical hotel area code for a name or alias (null when unknown)
+   */
+  resolveHotelArea(area) {
+    const code = TollCostModel.resolvePlace(area);
+    return code && DRIVES.MCO[code] ? code : null;
+  }
+
+  /**
+   * Validate transfer options
+   * @returns {string[]} Validation errors
+   */
+  validate({ origin, originAlternates, airports, hotelArea, transferMode } = {}) {
+    const errors = [];
+
+    if (originAlternates !== undefined) {
+      const seen = new Set(origin ? [String(origin).toUpperCase()] : []);
+      if (!Array.isArray(originAlternates) || originAlternates.length > MAX_ORIGIN_ALTERNATES) {
+        errors.push(`originAlternates must list at most ${MAX_ORIGIN_ALTERNATES} airports`);
+      } else {
+        originAlternates.forEach(code => {
+          const upper = String(code).toUpperCase();
+          if (!/^[A-Z]{3}$/.test(upper)) {
+            errors.push(`Alternate origin ${code} is not a 3-letter airport code`);
+          } else if (seen.has(upper)) {
+            errors.push(`Alternate origin ${upper} is already being searched`);
+          }
+          seen.add(upper);
+        });
+      }
+    }
+
+    (airports || []).forEach(code => {
+      if (!AIRPORTS[String(code).toUpperCase()]) {
+        errors.push(`Unknown airport ${code}. Use: ${Object.keys(AIRPORTS).join(', ')}`);
+      }
+    });
+    if (hotelArea !== undefined && !this.resolveHotelArea(hotelArea)) {
+      errors.push(`hotelArea "${hotelArea}" is not a known area. Use: ${Object.keys(DRIVES.MCO).join(', ')}`);
+    }
+    if (transferMode !== undefined && !MODES.includes(transferMode)) {
+      errors.push(`transferMode must be one of ${MODES.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Ground transfer between an airport and a hotel area
+   *
+   * @param {string} airport - MCO, SFB or TPA
+   * @param {string} hotelArea - Area code or alias (see TollCostModel places)
+   * @param {Object} options
+   * @param {string} options.mode - RIDESHARE (default) or RENTAL_CAR
+   * @param {number} options.travelers - Party size, for rideshare vehicle size (default: 2)
+   * @param {boolean} options.roundTrip - Count the trip back to the airport (default: true)
+   * @returns {Object} { airport, hotelArea, mode, miles, road, oneWayMinutes, oneWayCost, trips, cost }
+   */
+  estimate(airport, hotelArea, { mode = 'RIDESHARE', travelers = 2, roundTrip = true } = {}) {
+    const code = String(airport).toUpperCase();
+    const area = this.resolveHotelArea(hotelArea);
+    const drive = DRIVES[code]?.[area];
+    if (!drive) {
+      throw new Error(`No transfer estimate from ${airport} to ${hotelArea}`);
+    }
+
+    const toll = this.tollCostModel.getRouteToll(AIRPORTS[code].place, area);
+    let oneWayCost;
+    let oneWayMinutes = drive.minutes;
+
+    if (mode === 'RENTAL_CAR') {
+      oneWayCost = drive.miles * this.rates.fuelPerMile + toll.transponder;
+    } else {
+      oneWayCost = this.rideshareFare(drive.miles, travelers) + toll.transponder;
+      oneWayMinutes += this.rates.rideshareWaitMinutes;
+    }
+
+    const trips = roundTrip ? 2 : 1;
+
+    return {
+      airport: String(airport).toUpperCase(),
+      hotelArea: area,
+      mode,
+      miles: drive.miles,
+      road: toll.road || drive.road,
+      oneWayMinutes,
+      oneWayCost: round(oneWayCost),
+      trips,
+      cost: round(oneWayCost * trips)
+    };
+  }
+}
+
+module.exports = AirportTransferModel;
@@ -0,0 +1,220 @@
+/**
+ * Alert Notification Dispatcher
+ *
+ * Delivers watchlist price alerts through pluggable channels.
+ *
+ * Built-in channels:
+ * - webhook: POSTs the alert as JSON to a URL
+ * - email:   Sends a plain-text email over SMTP. Defaults to a local SMTP
+ *            stand-in (e.g. MailHog/smtp4dev on localhost:1025) so alerts can
+ *            be inspected in development without a real mail server.
+ *
+ * Additional channels can be added with register(type, handler), where the
+ * handler is an async function (alert, target) => deliveryDetails.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+const LOCAL_HOSTNAME = /(^|\.)(localhost|local|internal)$/i;
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * on the public internet
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    // IPv4-mapped addresses are refused outright rather than decoded
+    return lower === '::' || lower === '::1' || lower.startsWith('::ffff:') ||
+      /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+  }
+  return false;
+}
+
+class AlertNotifier {
+  constructor(options = {}) {
+    this.handlers = new Map();
+
+    this.smtpConfig = options.smtp || {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT || '1025'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+      ignoreTLS: process.env.SMTP_SECURE !== 'true'
+    };
+    this.emailFrom = options.emailFrom || process.env.ALERT_EMAIL_FROM || 'alerts@orlando-savings-engine.local';
+    this.transport = null;
+
+    this.register('webhook', (alert, target) => this.sendWebhook(alert, target));
+    this.register('email', (alert, target) => this.sendEmail(alert, target));
+  }
+
+  /**
+   * Register (or replace) a notification channel
+   * @param {string} type - Channel name used in a watch's notify list
+   * @param {Function} handler - async (alert, target) => details
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Get registered channel names
+   */
+  getChannels() {
+    return Array.from(this.handlers.keys());
+  }
+
+  /**
+   * Check a notification target before it is stored. Webhooks must be
+   * http(s) on a public host: the watch API is open, so a webhook could
+   * otherwise be aimed at services on the internal network.
+   * @param {Object} target - e.g. { type: 'webhook', url, headers }
+   * @returns {Array} Problems with the target (empty when valid)
+   */
+  validateTarget(target) {
+    const errors = [];
+    const channels = this.getChannels();
+
+    if (!channels.includes(target.type)) {
+      errors.push(`type must be one of: ${channels.join(', ')}`);
+    }
+
+    if (target.type === 'webhook') {
+      let url = null;
+      try {
+        url = new URL(target.url);
+      } catch (error) {
+        // Reported below
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        errors.push('url must be an http(s) URL');
+      } else if (this.isPrivateHost(url.hostname)) {
+        errors.push('url must be on a public host');
+      }
+
+      const { headers } = target;
+      if (headers !== undefined && (!headers || typeof headers !== 'object' || Array.isArray(headers) ||
+          Object.values(headers).some(value => typeof value !== 'string'))) {
+        errors.push('headers must be an object of strings');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Whether a URL hostname is local: localhost, .local/.internal names or a
+   * non-public IP address
+   */
+  isPrivateHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    return LOCAL_HOSTNAME.test(host) || isPrivateAddress(host);
+  }
+
+  /**
+   * Deliver an alert to every target. Failures are reported, never thrown.
+   * @param {Object} alert - Alert event
+   * @param {Array} targets - e.g. [{ type: 'webhook', url }, { type: 'email', to }]
+   * @returns {Array} Delivery results
+   */
+  async notify(alert, targets = []) {
+    const deliveries = await Promise.allSettled(targets.map(target => {
+      const handler = this.handlers.get(target.type);
+      if (!handler) {
+        return Promise.reject(new Error(`Unknown notification channel: ${target.type}`));
+      }
+      return handler(alert, target);
+    }));
+
+    return deliveries.map((delivery, index) => ({
+      type: targets[index].type,
+      delivered: delivery.status === 'fulfilled',
+      details: delivery.status === 'fulfilled' ? delivery.value : undefined,
+      error: delivery.status === 'rejected' ? delivery.reason.message : undefined,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * POST the alert to a webhook URL
+   */
+  async sendWebhook(alert, target) {
+    const problems = this.validateTarget(target);
+    if (problems.length > 0) {
+      throw new Error(`Webhook target rejected: ${problems.join(', ')}`);
+    }
+
+    // Checked again at send time: a public name can resolve to a private address
+    const { hostname } = new URL(target.url);
+    const addresses = await dns.promises.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true });
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new Error(`Webhook host ${hostname} resolves to a private address`);
+    }
+
+    const response = await axios.post(target.url, { event: 'price_alert', alert }, {
+      headers: { 'Content-Type': 'application/json', ...(target.headers || {}) },
+      timeout: 10000,
+      maxRedirects: 0
+    });
+
+    return { status: response.status };
+  }
+
+  /**
+   * Send the alert as a plain-text email
+   */
+  async sendEmail(alert, target) {
+    if (!target.to) {
+      throw new Error('Email target requires a to address');
+    }
+
+    if (!this.transport) {
+      this.transport = nodemailer.createTransport(this.smtpConfig);
+    }
+
+    const info = await this.transport.sendMail({
+      from: this.emailFrom,
+      to: target.to,
+      subject: `Price alert: ${alert.label} is now $${alert.price.toFixed(2)}`,
+      text: this.formatEmailBody(alert)
+    });
+
+    return { messageId: info.messageId };
+  }
+
+  /**
+   * Format the email body for an alert
+   */
+  formatEmailBody(alert) {
+    const lines = [
+      `${alert.label}`,
+      '',
+      alert.message,
+      '',
+      `Current price: $${alert.price.toFixed(2)}`
+    ];
+
+    if (alert.targetPrice) lines.push(`Target price:  $${alert.targetPrice.toFixed(2)}`);
+    if (alert.bookedPrice) lines.push(`Booked price:  $${alert.bookedPrice.toFixed(2)}`);
+    if (alert.link) lines.push('', `Book: ${alert.link}`);
+
+    lines.push('', `Watch ID: ${alert.watchId}`, `Checked at: ${alert.createdAt}`);
+    return lines.join('\n');
+  }
+}
+
+module.exports = AlertNotifier;
@@ -0,0 +1,337 @@
+/**
+ * Amadeus API Client
+ *
+ * Single HTTP client for every Amadeus integration (flights, hotels, air
+ * traffic analytics):
+ * - One OAuth2 token cache shared by all services
+ * - Automatic token refresh and retry when a request comes back 401
+ * - 429 back-off that honours the Retry-After header
+ * - Explicit environment selection with AMADEUS_ENV=test|production
+ *   (AMADEUS_BASE_URL optionally overrides the host, e.g. for a proxy; an
+ *   override pointing at an Amadeus host sets the environment reported)
+ * - Air traffic analytics keeps its own client on production, as before
+ *   the shared client existed (see FlightTrafficAnalyzer)
+ * - Request tracing: every call gets a trace ID (sent as ama-client-ref)
+ *   and a summary is kept for /api/amadeus/status; set AMADEUS_TRACE=true
+ *   to also log each call
+ *
+ * With PROVIDER_MODE=record/replay, responses are saved to / served from
+ * fixtures (see ProviderFixtureStore); replayed requests need no credentials.
+ *
+ * Paths include the API version, e.g. request('GET', '/v2/shopping/flight-offers').
+ */
+
+const axios = require('axios');
+const ProviderFixtureStore = require('./ProviderFixtureStore');
+
+const HOSTS = {
+  test: 'https://test.api.amadeus.com',
+  production: 'https://api.amadeus.com'
+};
+
+const MAX_TRACES = 100;
+
+// Shared clients by environment and host
+const sharedInstances = new Map();
+
+class AmadeusClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - Defaults to AMADEUS_API_KEY
+   * @param {string} options.apiSecret - Defaults to AMADEUS_API_SECRET
+   * @param {string} options.environment - 'test' | 'production' (default: AMADEUS_ENV or 'test')
+   * @param {string} options.baseUrl - Host override (default: AMADEUS_BASE_URL or the environment's host)
+   * @param {number} options.maxRetries - Retries for 429 responses (default: 3)
+   * @param {boolean} options.trace - Log every request (default: AMADEUS_TRACE === 'true')
+   * @param {ProviderFixtureStore} options.fixtures - Record/replay store (default: shared store)
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.AMADEUS_API_KEY;
+    this.apiSecret = options.apiSecret !== undefined ? options.apiSecret : process.env.AMADEUS_API_SECRET;
+    this.configuredEnvironment = AmadeusClient.resolveEnvironment(options.environment);
+    this.baseUrl = AmadeusClient.resolveBaseUrl(options.baseUrl, this.configuredEnvironment);
+    // Requests go wherever the host points, so that decides the environment
+    this.environment = AmadeusClient.environmentForHost(this.baseUrl) || this.configuredEnvironment;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+    this.maxRetryDelayMs = options.maxRetryDelayMs || 30000;
+    this.trace = options.trace !== undefined ? options.trace : process.env.AMADEUS_TRACE === 'true';
+    this.fixtures = options.fixtures || ProviderFixtureStore.getInstance();
+
+    this.accessToken = null;
+    this.tokenExpiry = null;
+    this.tokenRequest = null;
+    this.traces = [];
+  }
+
+  /**
+   * Shared client for the configured credentials, one per environment and
+   * host. A new client is created when the credentials no longer match
+   * (e.g. rotated keys).
+   * @param {Object} options - environment and baseUrl, as for the constructor
+   */
+  static getInstance(options = {}) {
+    const environment = AmadeusClient.resolveEnvironment(options.environment);
+    const key = `${environment}|${AmadeusClient.resolveBaseUrl(options.baseUrl, environment)}`;
+    const shared = sharedInstances.get(key);
+
+    if (!shared ||
+        shared.apiKey !== process.env.AMADEUS_API_KEY ||
+        shared.apiSecret !== process.env.AMADEUS_API_SECRET) {
+      sharedInstances.set(key, new AmadeusClient({ environment, baseUrl: options.baseUrl }));
+    }
+    return sharedInstances.get(key);
+  }
+
+  /**
+   * Validate the requested environment name
+   */
+  static resolveEnvironment(environment) {
+    const selected = (environment || process.env.AMADEUS_ENV || 'test').toLowerCase();
+    if (!HOSTS[selected]) {
+      throw new Error(`Invalid Amadeus environment "${selected}". Use "test" or "production".`);
+    }
+    return selected;
+  }
+
+  /**
+   * Default host for an environment
+   */
+  static hostFor(environment) {
+    return HOSTS[AmadeusClient.resolveEnvironment(environment)];
+  }
+
+  /**
+   * Environment an Amadeus host belongs to, or null for other hosts (proxies)
+   */
+  static environmentForHost(baseUrl) {
+    let hostname;
+    try {
+      hostname = new URL(baseUrl).hostname;
+    } catch (error) {
+      return null;
+    }
+    const match = Object.entries(HOSTS).find(([, host]) => new URL(host).hostname === hostname);
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Host for the environment; overrides may include a version suffix
+   * (e.g. https://test.api.amadeus.com/v3), which is stripped.
+   */
+  static resolveBaseUrl(baseUrl, environment) {
+    const override = baseUrl || process.env.AMADEUS_BASE_URL;
+    if (!override) {
+      return HOSTS[environment];
+    }
+    return override.replace(/\/+$/, '').replace(/\/v\d+$/, '');
+  }
+
+  /**
+   * Check if Amadeus credentials are configured (replay mode needs none)
+   */
+  isConfigured() {
+    return this.fixtures.isReplay() || !!(this.apiKey && this.apiSecret);
+  }
+
+  /**
+   * Get an OAuth2 access token, reusing the cached one while it is valid.
+   * Concurrent callers share a single token request.
+   * @param {boolean} forceRefresh - Ignore the cached token
+   */
+  async getAccessToken(forceRefresh = false) {
+    if (!this.isConfigured()) {
+      throw new Error('Amadeus API credentials not configured. Set AMADEUS_API_KEY and AMADEUS_API_SECRET environment variables.');
+    }
+
+    // Replayed requests never reach Amadeus
+    if (this.fixtures.isReplay()) {
+      return 'replay';
+    }
+
+    if (!forceRefresh && this.accessToken && this.tokenExpiry && new Date() < this.tokenExpiry) {
+      return this.accessToken;
+    }
+
+    if (!this.tokenRequest) {
+      this.tokenRequest = this.fetchAccessToken().finally(() => {
+        this.tokenRequest = null;
+      });
+    }
+    return this.tokenRequest;
+  }
+
+  /**
+   * Request a new token from the OAuth2 endpoint
+   */
+  async fetchAccessToken() {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/v1/security/oauth2/token`,
+        new URLSearchParams({
+          grant_type: 'client_credentials',
+          client_id: this.apiKey,
+          client_secret: this.apiSecret
+        }),
+        {
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          }
+        }
+      );
+
+      this.accessToken = response.data.access_token;
+      // Set expiry 5 minutes before actual expiry for safety
+      this.tokenExpiry = new Date(Date.now() + (response.data.expires_in - 300) * 1000);
+
+      return this.accessToken;
+    } catch (error) {
+      console.error('Amadeus authentication failed:', error.response?.data || error.message);
+      throw new Error(`Amadeus authentication failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop the cached token so the next request authenticates again
+   */
+  invalidateToken() {
+    this.accessToken = null;
+    this.tokenExpiry = null;
+  }
+
+  /**
+   * Make an authenticated request.
+   * Retries once with a fresh token on 401 and backs off on 429.
+   * Errors are rethrown as received from axios so callers can inspect error.response.
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Versioned API path, e.g. '/v2/shopping/flight-offers'
+   * @param {Object} options - { params, data }
+   * @returns {Object} Response body
+   */
+  async request(method, path, options = {}) {
+    const { params = null, data = null } = options;
+
+    return this.fixtures.wrap('amadeus', `${method} ${path}`, { ...(params || {}), body: data }, () =>
+      this.send(method, path, params, data)
+    );
+  }
+
+  /**
+   * Send a request to Amadeus with token refresh, back-off and tracing
+   */
+  async send(method, path, params, data) {
+    const traceId = `amadeus_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const startedAt = Date.now();
+    const retries = [];
+    let refreshedToken = false;
+
+    for (let attempt = 0; ; attempt++) {
+      const token = await this.getAccessToken();
+
+      const config = {
+        method,
+        url: `${this.baseUrl}${path}`,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          'ama-client-ref': traceId
+        }
+      };
+      if (data) config.data = data;
+      if (params) config.params = params;
+
+      try {
+        const response = await axios(config);
+        this.recordTrace({ traceId, method, path, status: response?.status || 200, startedAt, retries });
+        return response.data;
+      } catch (error) {
+        const status = error.response?.status;
+
+        if (status === 401 && !refreshedToken) {
+          refreshedToken = true;
+          retries.push({ status, reason: 'token_refresh' });
+          this.invalidateToken();
+          continue;
+        }
+
+        if (status === 429 && attempt < this.maxRetries) {
+          const delayMs = this.getRetryDelay(error.response.headers, attempt);
+          retries.push({ status, reason: 'rate_limited', delayMs });
+          await new Promise(resolve => setTimeout(resolve, delayMs));
+          continue;
+        }
+
+        this.recordTrace({ traceId, method, path, status: status || null, startedAt, retries, error: error.message });
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Delay before retrying a 429: Retry-After (seconds or HTTP date) when
+   * present, otherwise exponential back-off (1s, 2s, 4s, ...)
+   */
+  getRetryDelay(headers = {}, attempt) {
+    const retryAfter = headers['retry-after'] || headers['Retry-After'];
+    let delayMs = 1000 * Math.pow(2, attempt);
+
+    if (retryAfter !== undefined) {
+      const seconds = Number(retryAfter);
+      delayMs = Number.isFinite(seconds)
+        ? seconds * 1000
+        : Math.max(0, new Date(retryAfter).getTime() - Date.now());
+    }
+
+    return Math.min(Number.isFinite(delayMs) ? delayMs : 1000, this.maxRetryDelayMs);
+  }
+
+  /**
+   * Keep a summary of a finished request
+   */
+  recordTrace({ traceId, method, path, status, startedAt, retries, error }) {
+    const trace = {
+      traceId,
+      method,
+      path,
+      status,
+      durationMs: Date.now() - startedAt,
+      retries,
+      error: error || null,
+      timestamp: new Date().toISOString()
+    };
+
+    this.traces.push(trace);
+    if (this.traces.length > MAX_TRACES) {
+      this.traces.shift();
+    }
+
+    if (this.trace) {
+      const retryNote = retries.length > 0 ? ` after ${retries.length} retr${retries.length === 1 ? 'y' : 'ies'}` : '';
+      console.log(`[amadeus] ${traceId} ${method} ${path} -> ${status || 'ERR'} in ${trace.durationMs}ms${retryNote}`);
+    }
+  }
+
+  /**
+   * Most recent request traces (newest first)
+   */
+  getTraces(limit = 20) {
+    return this.traces.slice(-limit).reverse();
+  }
+
+  /**
+   * Client configuration and token state for status endpoints
+   */
+  getStatus() {
+    return {
+      configured: this.isConfigured(),
+      environment: this.environment,
+      configuredEnvironment: this.configuredEnvironment,
+      baseUrl: this.baseUrl,
+      tokenValid: !!(this.accessToken && this.tokenExpiry && new Date() < this.tokenExpiry),
+      tokenExpiresAt: this.tokenExpiry ? new Date(this.tokenExpiry).toISOString() : null,
+      requestsTraced: this.traces.length
+    };
+  }
+}
+
+module.exports = AmadeusClient;
@@ -12,87 +12,43 @@
  * including corporate discounts, promotional rates, and negotiated deals.
  */
 
-const axios = require('axios');
+const AmadeusClient = require('./AmadeusClient');
+const ResponseCache = require('./ResponseCache');
 
 class AmadeusHotelService {
-  constructor() {
-    this.apiKey = process.env.AMADEUS_API_KEY;
-    this.apiSecret = process.env.AMADEUS_API_SECRET;
-    this.baseURL = 'https://api.amadeus.com/v3'; // Production
-    this.testURL = 'https://test.api.amadeus.com/v3'; // Test
-    this.authURL = 'https://api.amadeus.com/v1/security/oauth2/token';
-    this.testAuthURL = 'https://test.api.amadeus.com/v1/security/oauth2/token';
-    
-    this.accessToken = null;
-    this.tokenExpiry = null;
-    
-    // Use production if keys are set, otherwise test
-    this.useProduction = !!(this.apiKey && this.apiSecret);
-    this.currentBaseURL = this.useProduction ? this.baseURL : this.testURL;
-    this.currentAuthURL = this.useProduction ? this.authURL : this.testAuthURL;
+  /**
+   * @param {Object} options
+   * @param {AmadeusClient} options.client - Amadeus HTTP client (default: shared client)
+   */
+  constructor(options = {}) {
+    this.client = options.client || AmadeusClient.getInstance();
+    this.cache = ResponseCache.getInstance();
   }
 
   /**
    * Get OAuth access token
    */
   async getAccessToken() {
-    // Return cached token if still valid
-    if (this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
-      return this.accessToken;
-    }
-
-    if (!this.apiKey || !this.apiSecret) {
-      throw new Error('Amadeus API credentials not configured');
-    }
-
-    try {
-      const response = await axios.post(
-        this.currentAuthURL,
-        new URLSearchParams({
-          grant_type: 'client_credentials',
-          client_id: this.apiKey,
-          client_secret: this.apiSecret
-        }),
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded'
-          }
-        }
-      );
-
-      this.accessToken = response.data.access_token;
-      // Token expires in 30 minutes, refresh 5 minutes early
-      this.tokenExpiry = Date.now() + ((response.data.expires_in - 300) * 1000);
-      
-      return this.accessToken;
-    } catch (error) {
-      throw new Error(`Amadeus authentication failed: ${error.message}`);
-    }
+    return this.client.getAccessToken();
   }
 
   /**
    * Get Orlando hotel IDs from Amadeus Hotel List API
    */
   async getOrlandoHotelIds(radius = 50) {
-    const token = await this.getAccessToken();
+    await this.getAccessToken();
     
     try {
-      const response = await axios.get(
-        `${this.currentBaseURL}/reference-data/locations/hotels/by-city`,
-        {
-          params: {
-            cityCode: 'ORL',
-            radius: radius,
-            radiusUnit: 'KM',
-            hotelSource: 'ALL'
-          },
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
+      const response = await this.client.request('GET', '/v1/reference-data/locations/hotels/by-city', {
+        params: {
+          cityCode: 'ORL',
+          radius: radius,
+          radiusUnit: 'KM',
+          hotelSource: 'ALL'
         }
-      );
+      });
 
-      return response.data.data.map(hotel => ({
+      return response.data.map(hotel => ({
         hotelId: hotel.hotelId,
         name: hotel.name,
         chainCode: hotel.chainCode,
@@ -110,8 +66,6 @@ class AmadeusHotelService {
    * Search hotels with detailed offers
    */
   async searchHotels(params) {
-    const token = await this.getAccessToken();
-    
     const {
       hotelIds,
       checkInDate,
@@ -130,59 +84,53 @@ class AmadeusHotelService {
       throw new Error('Hotel IDs are required');
     }
 
-    try {
-      const searchParams = {
-        hotelIds: Array.isArray(hotelIds) ? hotelIds.join(',') : hotelIds,
-        adults,
-        roomQuantity,
-        currency,
-        countryOfResidence,
-        bestRateOnly
-      };
+    const searchParams = {
+      hotelIds: Array.isArray(hotelIds) ? hotelIds.join(',') : hotelIds,
+      adults,
+      roomQuantity,
+      currency,
+      countryOfResidence,
+      bestRateOnly
+    };
 
-      // Add optional parameters
-      if (checkInDate) searchParams.checkInDate = checkInDate;
-      if (checkOutDate) searchParams.checkOutDate = checkOutDate;
-      if (priceRange) searchParams.priceRange = priceRange;
-      if (paymentPolicy) searchParams.paymentPolicy = paymentPolicy;
-      if (boardType) searchParams.boardType = boardType;
-
-      const response = await axios.get(
-        `${this.currentBaseURL}/shopping/hotel-offers`,
-        {
-          params: searchParams,
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
+    // Add optional parameters
+    if (checkInDate) searchParams.checkInDate = checkInDate;
+    if (checkOutDate) searchParams.checkOutDate = checkOutDate;
+    if (priceRange) searchParams.priceRange = priceRange;
+    if (paymentPolicy) searchParams.paymentPolicy = paymentPolicy;
+    if (boardType) searchParams.boardType = boardType;
+
+    // Cache the raw offers so a cache hit skips both the token and the search
+    const offers = await this.cache.wrap('amadeus-hotels:hotel-offers', searchParams, async () => {
+      await this.getAccessToken();
+
+      try {
+        const response = await this.client.request('GET', '/v3/shopping/hotel-offers', {
+          params: searchParams
+        });
+
+        return response.data;
+      } catch (error) {
+        if (error.response) {
+          throw new Error(`Amadeus API error: ${error.response.data.errors?.[0]?.detail || error.message}`);
         }
-      );
-
-      return this.processHotelOffers(response.data.data);
-    } catch (error) {
-      if (error.response) {
-        throw new Error(`Amadeus API error: ${error.response.data.errors?.[0]?.detail || error.message}`);
+        throw new Error(`Hotel search failed: ${error.message}`);
       }
-      throw new Error(`Hotel search failed: ${error.message}`);
-    }
+    });
+
+    return this.processHotelOffers(offers);
   }
 
   /**
    * Get detailed pricing for a specific offer
    */
   async getOfferPricing(offerId) {
-    const token = await this.getAccessToken();
+    await this.getAccessToken();
     
     try {
-      const response = await axios.get(
-        `${this.currentBaseURL}/shopping/hotel-offers/${offerId}`,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        }
-      );
+      const response = await this.client.request('GET', `/v3/shopping/hotel-offers/${offerId}`);
 
-      return response.data.data;
+      return response.data;
     } catch (error) {
       throw new Error(`Failed to get offer pricing: ${error.message}`);
     }
@@ -461,13 +409,13 @@ class AmadeusHotelService {
       return {
         status: 'healthy',
         authenticated: !!token,
-        environment: this.useProduction ? 'production' : 'test'
+        environment: this.client.environment
       };
     } catch (error) {
       return {
         status: 'unhealthy',
         error: error.message,
-        environment: this.useProduction ? 'production' : 'test'
+        environment: this.client.environment
       };
     }
   }
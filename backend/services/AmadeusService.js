@@ -1,4 +1,8 @@
-const axios = require('axios');
+const AmadeusClient = require('./AmadeusClient');
+const PriceHistoryStore = require('./PriceHistoryStore');
+const ResponseCache = require('./ResponseCache');
+const FlightFareEnricher = require('./FlightFareEnricher');
+const AirportTransferModel = require('./AirportTransferModel');
 
 /**
  * Amadeus Flight Service
@@ -9,14 +13,25 @@ const axios = require('axios');
  * Required Environment Variables:
  * - AMADEUS_API_KEY: Your Amadeus API Key
  * - AMADEUS_API_SECRET: Your Amadeus API Secret
+ * - AMADEUS_ENV: 'test' (default) or 'production'
+ *
+ * Each offer carries its fare brand, bag allowances and refundability
+ * (`fare`) and an all-in cost with the party's bag and seat fees
+ * (`allInCost`, see FlightFareEnricher).
  */
 class AmadeusService {
-  constructor() {
-    this.apiKey = process.env.AMADEUS_API_KEY;
-    this.apiSecret = process.env.AMADEUS_API_SECRET;
-    this.baseUrl = process.env.AMADEUS_BASE_URL || 'https://test.api.amadeus.com';
-    this.accessToken = null;
-    this.tokenExpiry = null;
+  /**
+   * @param {Object} options
+   * @param {AmadeusClient} options.client - Amadeus HTTP client (default: shared client)
+   * @param {FlightFareEnricher} options.fareEnricher - Fare brand, bags and all-in cost
+   * @param {AirportTransferModel} options.transferModel - Airport to hotel ground transfers
+   */
+  constructor(options = {}) {
+    this.client = options.client || AmadeusClient.getInstance();
+    this.fareEnricher = options.fareEnricher || new FlightFareEnricher();
+    this.transferModel = options.transferModel || new AirportTransferModel();
+    this.priceHistoryStore = PriceHistoryStore.getInstance();
+    this.cache = ResponseCache.getInstance();
     
     // Orlando airport codes
     this.orlandoAirports = {
@@ -25,79 +40,83 @@ class AmadeusService {
     };
   }
 
+  // Credentials, token and host live on the shared client
+  get apiKey() { return this.client.apiKey; }
+  set apiKey(value) { this.client.apiKey = value; }
+
+  get apiSecret() { return this.client.apiSecret; }
+  set apiSecret(value) { this.client.apiSecret = value; }
+
+  get accessToken() { return this.client.accessToken; }
+  set accessToken(value) { this.client.accessToken = value; }
+
+  get tokenExpiry() { return this.client.tokenExpiry; }
+  set tokenExpiry(value) { this.client.tokenExpiry = value; }
+
+  get baseUrl() { return this.client.baseUrl; }
+
   /**
    * Check if Amadeus credentials are configured
    */
   isConfigured() {
-    return !!(this.apiKey && this.apiSecret);
+    return this.client.isConfigured();
   }
 
   /**
    * Get OAuth2 access token from Amadeus
    */
   async getAccessToken() {
-    // Return cached token if still valid
-    if (this.accessToken && this.tokenExpiry && new Date() < this.tokenExpiry) {
-      return this.accessToken;
-    }
-
-    if (!this.isConfigured()) {
-      throw new Error('Amadeus API credentials not configured. Set AMADEUS_API_KEY and AMADEUS_API_SECRET environment variables.');
-    }
-
-    try {
-      const response = await axios.post(
-        `${this.baseUrl}/v1/security/oauth2/token`,
-        new URLSearchParams({
-          grant_type: 'client_credentials',
-          client_id: this.apiKey,
-          client_secret: this.apiSecret
-        }),
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded'
-          }
-        }
-      );
-
-      this.accessToken = response.data.access_token;
-      // Set expiry 5 minutes before actual expiry for safety
-      this.tokenExpiry = new Date(Date.now() + (response.data.expires_in - 300) * 1000);
-      
-      return this.accessToken;
-    } catch (error) {
-      console.error('Amadeus authentication failed:', error.response?.data || error.message);
-      throw new Error(`Amadeus authentication failed: ${error.message}`);
-    }
+    return this.client.getAccessToken();
   }
 
   /**
    * Make authenticated API call to Amadeus
    */
   async makeAPICall(method, endpoint, data = null, params = null) {
-    const token = await this.getAccessToken();
+    // Only idempotent lookups are cached; pricing confirmations always go upstream
+    if (method === 'GET') {
+      return this.cache.wrap(`amadeus:${endpoint}`, params || {}, () =>
+        this.sendRequest(method, endpoint, data, params)
+      );
+    }
 
-    try {
-      const config = {
-        method,
-        url: `${this.baseUrl}${endpoint}`,
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      };
+    return this.sendRequest(method, endpoint, data, params);
+  }
 
-      if (data) config.data = data;
-      if (params) config.params = params;
+  /**
+   * Send an authenticated request to Amadeus
+   */
+  async sendRequest(method, endpoint, data, params) {
+    // Authentication errors surface as-is; only API errors are rewrapped below
+    await this.getAccessToken();
 
-      const response = await axios(config);
-      return response.data;
+    try {
+      return await this.client.request(method, endpoint, { data, params });
     } catch (error) {
       console.error('Amadeus API call failed:', error.response?.data || error.message);
       throw new Error(`Amadeus API error: ${error.response?.data?.errors?.[0]?.detail || error.message}`);
     }
   }
 
+  /**
+   * Validate party and bag counts for a flight search
+   * @returns {string[]} Validation errors
+   */
+  validatePassengers({ adults, children, checkedBags, carryOns } = {}) {
+    const errors = [];
+
+    if (adults !== undefined && (!Number.isInteger(adults) || adults < 1)) {
+      errors.push('adults must be a whole number of at least 1');
+    }
+    [['children', children], ['checkedBags', checkedBags], ['carryOns', carryOns]].forEach(([name, value]) => {
+      if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+        errors.push(`${name} must be a whole number of 0 or more`);
+      }
+    });
+
+    return errors;
+  }
+
   /**
    * Search for flights to Orlando
    * @param {Object} options - Search parameters
@@ -112,6 +131,9 @@ class AmadeusService {
    * @param {string} options.currencyCode - Currency code (default: 'USD')
    * @param {number} options.maxPrice - Maximum price filter
    * @param {number} options.max - Maximum number of results (default: 50)
+   * @param {number} options.checkedBags - Checked bags per traveler for the all-in cost (default: 1)
+   * @param {number} options.carryOns - Carry-on bags per traveler (default: 1)
+   * @param {boolean} options.seatSelection - Include seat fees (default: when children travel)
    */
   async searchFlights(options = {}) {
     const {
@@ -148,7 +170,30 @@ class AmadeusService {
     if (maxPrice) params.maxPrice = maxPrice;
 
     const response = await this.makeAPICall('GET', '/v2/shopping/flight-offers', null, params);
-    return this.processFlightResults(response, options);
+    const results = this.processFlightResults(response, options);
+    this.recordFlightPrices(results.data, params);
+    return results;
+  }
+
+  /**
+   * Record the lowest fare seen for a route and dates in the price history store
+   */
+  recordFlightPrices(flights, params) {
+    if (flights.length === 0) return;
+
+    const cheapest = flights.reduce((min, flight) =>
+      flight.price.total < min.price.total ? flight : min
+    , flights[0]);
+
+    this.priceHistoryStore.record({
+      category: 'flight',
+      subjectId: `${params.originLocationCode}-${params.destinationLocationCode}`,
+      startDate: params.departureDate,
+      endDate: params.returnDate,
+      price: cheapest.price.total,
+      currency: cheapest.price.currency,
+      source: 'amadeus'
+    });
   }
 
   /**
@@ -184,6 +229,90 @@ class AmadeusService {
     };
   }
 
+  /**
+   * Compare flying into MCO, SFB and TPA (and from alternate origins) by
+   * effective total cost: the cheapest all-in fare for each origin and
+   * airport plus the ground transfer to the hotel area and back.
+   *
+   * @param {Object} options - searchFlights options plus:
+   * @param {Array} options.originAlternates - Other origin airports to search (up to 3, see AirportTransferModel.validate)
+   * @param {Array} options.airports - Arrival airports (default: MCO, SFB, TPA)
+   * @param {string} options.hotelArea - Where the party is staying (default: 'DISNEY')
+   * @param {string} options.transferMode - RIDESHARE (default) or RENTAL_CAR
+   * @returns {Object} { comparisons (lowest effective total first), best, baseline, errors, searchParameters }
+   */
+  async searchOrlandoArea(options = {}) {
+    const {
+      origin,
+      originAlternates = [],
+      airports = ['MCO', 'SFB', 'TPA'],
+      hotelArea = 'DISNEY',
+      transferMode = 'RIDESHARE',
+      ...searchOptions
+    } = options;
+
+    if (!origin || !searchOptions.departureDate) {
+      throw new Error('Origin and departure date are required');
+    }
+
+    const origins = [...new Set([origin, ...originAlternates].map(code => code.toUpperCase()))];
+    const destinations = [...new Set(airports.map(code => code.toUpperCase()))];
+    const travelers = (searchOptions.adults || 1) + (searchOptions.children || 0);
+    const comparisons = [];
+    const errors = [];
+
+    for (const from of origins) {
+      for (const destination of destinations) {
+        try {
+          const flights = await this.searchFlights({ ...searchOptions, origin: from, destination });
+          if (flights.data.length === 0) {
+            errors.push({ origin: from, destination, error: 'No flights found' });
+            continue;
+          }
+
+          const flight = flights.data.reduce((min, offer) =>
+            offer.allInCost.total < min.allInCost.total ? offer : min
+          , flights.data[0]);
+          const transfer = this.transferModel.estimate(destination, hotelArea, {
+            mode: transferMode,
+            travelers,
+            roundTrip: Boolean(searchOptions.returnDate)
+          });
+
+          comparisons.push({
+            origin: from,
+            destination,
+            flight,
+            flightCount: flights.data.length,
+            flightCost: flight.allInCost.total,
+            transfer,
+            effectiveTotal: Math.round((flight.allInCost.total + transfer.cost) * 100) / 100,
+            // Takeoff to hotel on arrival day
+            doorToHotelMinutes: this.parseDurationMinutes(flight.outbound.duration) + transfer.oneWayMinutes
+          });
+        } catch (error) {
+          console.error(`Orlando-area search failed for ${from}-${destination}:`, error.message);
+          errors.push({ origin: from, destination, error: error.message });
+        }
+      }
+    }
+
+    comparisons.sort((a, b) => a.effectiveTotal - b.effectiveTotal);
+
+    const baseline = comparisons.find(c => c.origin === origins[0] && c.destination === 'MCO') || null;
+    comparisons.forEach(comparison => {
+      comparison.savingsVsMco = baseline ? Math.round((baseline.effectiveTotal - comparison.effectiveTotal) * 100) / 100 : null;
+    });
+
+    return {
+      comparisons,
+      best: comparisons[0] || null,
+      baseline,
+      errors,
+      searchParameters: { ...searchOptions, origins, airports: destinations, hotelArea, transferMode }
+    };
+  }
+
   /**
    * Get flight price confirmation and check availability
    * @param {Object} flightOffer - Flight offer from search results
@@ -309,6 +438,12 @@ class AmadeusService {
         
         // Traveler pricing details
         travelerPricings: offer.travelerPricings,
+
+        // Fare brand, included bags and refundability
+        fare: this.fareEnricher.extractFare(offer),
+
+        // Fare plus the party's bag and seat fees
+        allInCost: this.fareEnricher.estimateAllInCost(offer, searchOptions),
         
         // Validation
         validatingAirlineCodes: offer.validatingAirlineCodes,
@@ -490,6 +625,17 @@ class AmadeusService {
     ];
   }
 
+  /**
+   * Minutes in an ISO 8601 duration (e.g. PT2H35M)
+   */
+  parseDurationMinutes(isoDuration) {
+    const match = String(isoDuration || '').match(/P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?/);
+    if (!match) return 0;
+
+    const [, days = 0, hours = 0, minutes = 0] = match;
+    return parseInt(days) * 1440 + parseInt(hours) * 60 + parseInt(minutes);
+  }
+
   /**
    * Format duration from ISO 8601 to readable string
    */
@@ -0,0 +1,368 @@
+/**
+ * Auth Service
+ *
+ * User accounts and sessions:
+ * - Passwords hashed with scrypt (per-user salt, constant-time comparison),
+ *   off the event loop; unknown emails are checked against a dummy hash so
+ *   login time doesn't reveal which accounts exist
+ * - Opaque bearer tokens; only a SHA-256 of each token is stored, so a
+ *   leaked users.json can't be replayed as a session
+ * - Sessions expire after AUTH_SESSION_TTL_HOURS (default: 30 days) and are
+ *   revoked on logout
+ * - Travel preferences (budget, travelStyle, favoriteDestinations) live on
+ *   the account so other features can personalize results via
+ *   getPreferences(userId) or req.user (see middleware())
+ *
+ * Accounts and sessions persist through JsonFileStore ('users.json').
+ */
+
+const crypto = require('crypto');
+const util = require('util');
+const JsonFileStore = require('./JsonFileStore');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+const SESSION_TTL_HOURS = parseInt(process.env.AUTH_SESSION_TTL_HOURS || '720');
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Well-formed hash no password matches, so unknown emails cost a full scrypt
+const DUMMY_PASSWORD_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(128)}`;
+
+const DEFAULT_PREFERENCES = {
+  budget: null,
+  favoriteDestinations: ['Orlando, FL'],
+  travelStyle: null
+};
+
+let sharedInstance = null;
+
+class AuthService {
+  /**
+   * @param {Object} options - JsonFileStore options (filePath, flushDelay) and sessionTtlHours
+   */
+  constructor(options = {}) {
+    this.store = new JsonFileStore('users.json', { users: {}, sessions: {} }, options);
+    this.sessionTtlHours = options.sessionTtlHours || SESSION_TTL_HOURS;
+  }
+
+  /**
+   * Shared account store used by the auth routes and middleware
+   */
+  static getInstance() {
+    if (!sharedInstance) {
+      sharedInstance = new AuthService();
+    }
+    return sharedInstance;
+  }
+
+  /**
+   * Express middleware: attaches req.user when a valid
+   * `Authorization: Bearer <token>` header is present. Anonymous requests
+   * pass through untouched.
+   */
+  static middleware() {
+    return (req, res, next) => {
+      const token = AuthService.getBearerToken(req);
+      req.user = token ? AuthService.getInstance().getUserByToken(token) : null;
+      if (req.user) req.authToken = token;
+      next();
+    };
+  }
+
+  /**
+   * Express middleware: rejects requests without a signed-in user
+   */
+  static requireAuth() {
+    return (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required'
+        });
+      }
+      next();
+    };
+  }
+
+  static getBearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Hash a password as 'scrypt$<salt>$<hash>'
+   */
+  async hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = (await scrypt(password, salt, 64)).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+  }
+
+  /**
+   * Check a password against a stored hash
+   */
+  async verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  /**
+   * Validate a registration request
+   * @returns {Array} List of validation error messages (empty when valid)
+   */
+  validateRegistration({ email, password, name, preferences } = {}) {
+    const errors = [];
+
+    if (!EMAIL_PATTERN.test(this.normalizeEmail(email))) {
+      errors.push('A valid email is required');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      errors.push('name must be a non-empty string');
+    }
+    if (preferences !== undefined) {
+      errors.push(...this.validatePreferences(preferences));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a (partial) preferences object
+   * @returns {Array} List of validation error messages (empty when valid)
+   */
+  validatePreferences(preferences) {
+    const errors = [];
+
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+      return ['preferences must be an object'];
+    }
+
+    const { budget, travelStyle, favoriteDestinations } = preferences;
+
+    if (budget !== undefined && budget !== null && !(parseFloat(budget) > 0)) {
+      errors.push('preferences.budget must be a positive number');
+    }
+    if (travelStyle !== undefined && travelStyle !== null && typeof travelStyle !== 'string') {
+      errors.push('preferences.travelStyle must be a string');
+    }
+    if (favoriteDestinations !== undefined &&
+        (!Array.isArray(favoriteDestinations) || favoriteDestinations.some(item => typeof item !== 'string'))) {
+      errors.push('preferences.favoriteDestinations must be an array of strings');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Find a stored user (including password hash) by email
+   */
+  findUserByEmail(email) {
+    const normalized = this.normalizeEmail(email);
+    return Object.values(this.store.load().users).find(user => user.email === normalized) || null;
+  }
+
+  /**
+   * Create an account and sign it in
+   * @returns {Promise<Object|null>} { user, token, expiresAt }, or null when the email is taken
+   */
+  async register({ email, password, name, preferences = {} }) {
+    if (this.findUserByEmail(email)) {
+      return null;
+    }
+
+    const passwordHash = await this.hashPassword(password);
+    // Another registration may have taken the email while hashing
+    if (this.findUserByEmail(email)) {
+      return null;
+    }
+
+    const data = this.store.load();
+    const now = new Date().toISOString();
+    const id = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const normalizedEmail = this.normalizeEmail(email);
+
+    data.users[id] = {
+      id,
+      email: normalizedEmail,
+      name: name ? name.trim() : normalizedEmail.split('@')[0],
+      passwordHash,
+      preferences: this.mergePreferences(DEFAULT_PREFERENCES, preferences),
+      createdAt: now,
+      updatedAt: now,
+      lastLoginAt: now
+    };
+    this.store.save();
+
+    return this.createSession(data.users[id]);
+  }
+
+  /**
+   * Sign in with email and password
+   * @returns {Promise<Object|null>} { user, token, expiresAt }, or null for bad credentials
+   */
+  async login(email, password) {
+    const user = this.findUserByEmail(email);
+    const matches = await this.verifyPassword(
+      typeof password === 'string' ? password : '',
+      user ? user.passwordHash : DUMMY_PASSWORD_HASH
+    );
+
+    if (!user || typeof password !== 'string' || !matches) {
+      return null;
+    }
+
+    user.lastLoginAt = new Date().toISOString();
+    return this.createSession(user);
+  }
+
+  /**
+   * Issue a new session token for a user
+   */
+  createSession(user) {
+    const data = this.store.load();
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    const expiresAt = new Date(now + this.sessionTtlHours * 60 * 60 * 1000).toISOString();
+
+    this.pruneExpiredSessions();
+    data.sessions[this.hashToken(token)] = {
+      userId: user.id,
+      createdAt: new Date(now).toISOString(),
+      expiresAt
+    };
+    this.store.save();
+
+    return { user: this.toPublicUser(user), token, expiresAt };
+  }
+
+  /**
+   * Revoke a session token
+   * @returns {boolean} Whether a session was revoked
+   */
+  logout(token) {
+    const data = this.store.load();
+    const key = this.hashToken(token);
+
+    if (!data.sessions[key]) {
+      return false;
+    }
+
+    delete data.sessions[key];
+    this.store.save();
+    return true;
+  }
+
+  /**
+   * Resolve a session token to its user
+   * @returns {Object|null} Public user, or null when the token is unknown or expired
+   */
+  getUserByToken(token) {
+    const data = this.store.load();
+    const key = this.hashToken(token);
+    const session = data.sessions[key];
+
+    if (!session) {
+      return null;
+    }
+
+    if (new Date(session.expiresAt) <= new Date()) {
+      delete data.sessions[key];
+      this.store.save();
+      return null;
+    }
+
+    const user = data.users[session.userId];
+    return user ? this.toPublicUser(user) : null;
+  }
+
+  /**
+   * Get a user by ID
+   */
+  getUser(userId) {
+    const user = this.store.load().users[userId];
+    return user ? this.toPublicUser(user) : null;
+  }
+
+  /**
+   * Travel preferences for a user (defaults when the user is unknown)
+   */
+  getPreferences(userId) {
+    const user = userId ? this.store.load().users[userId] : null;
+    return { ...DEFAULT_PREFERENCES, ...(user?.preferences || {}) };
+  }
+
+  /**
+   * Update a user's name and/or preferences. Preferences are merged, so
+   * clients can send only the fields that changed.
+   * @returns {Object|null} Updated public user, or null when not found
+   */
+  updateUser(userId, { name, preferences } = {}) {
+    const data = this.store.load();
+    const user = data.users[userId];
+
+    if (!user) {
+      return null;
+    }
+
+    if (name !== undefined) user.name = String(name).trim();
+    if (preferences !== undefined) user.preferences = this.mergePreferences(user.preferences, preferences);
+    user.updatedAt = new Date().toISOString();
+    this.store.save();
+
+    return this.toPublicUser(user);
+  }
+
+  mergePreferences(current, updates) {
+    const merged = { ...current };
+
+    if (updates.budget !== undefined) {
+      merged.budget = updates.budget === null ? null : parseFloat(updates.budget);
+    }
+    if (updates.travelStyle !== undefined) merged.travelStyle = updates.travelStyle;
+    if (updates.favoriteDestinations !== undefined) merged.favoriteDestinations = [...updates.favoriteDestinations];
+
+    return merged;
+  }
+
+  /**
+   * Drop sessions that have expired
+   */
+  pruneExpiredSessions() {
+    const data = this.store.load();
+    const now = new Date();
+
+    Object.entries(data.sessions).forEach(([key, session]) => {
+      if (new Date(session.expiresAt) <= now) {
+        delete data.sessions[key];
+      }
+    });
+  }
+
+  /**
+   * User without credentials, safe to return from the API
+   */
+  toPublicUser(user) {
+    const { passwordHash, ...publicUser } = user;
+    return JSON.parse(JSON.stringify(publicUser));
+  }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,234 @@
+/**
+ * Car Rental Quote
+ *
+ * Normalized rental quote produced by every car rental provider, so rates
+ * from different sources can be compared line by line:
+ * company, pickup location (on/off airport), ACRISS car class, daily rate,
+ * base total, taxes, airport concession fees, mileage and fuel policy.
+ *
+ * Snippet-mined promos from CarRentalService.searchCarRentals are attached
+ * as `dealHints` (see CarRentalService.attachDealHints).
+ */
+
+// ACRISS (SIPP) code positions: category, type, transmission/drive, fuel/air
+const ACRISS_CATEGORIES = {
+  M: 'Mini',
+  N: 'Mini Elite',
+  E: 'Economy',
+  H: 'Economy Elite',
+  C: 'Compact',
+  D: 'Compact Elite',
+  I: 'Intermediate',
+  J: 'Intermediate Elite',
+  S: 'Standard',
+  R: 'Standard Elite',
+  F: 'Fullsize',
+  G: 'Fullsize Elite',
+  P: 'Premium',
+  U: 'Premium Elite',
+  L: 'Luxury',
+  W: 'Luxury Elite',
+  O: 'Oversize',
+  X: 'Special'
+};
+
+const ACRISS_TYPES = {
+  B: '2-3 Door',
+  C: '2/4 Door',
+  D: '4-5 Door',
+  W: 'Wagon/Estate',
+  V: 'Passenger Van',
+  L: 'Limousine',
+  S: 'Sport',
+  T: 'Convertible',
+  F: 'SUV',
+  J: 'Open Air All Terrain',
+  X: 'Special',
+  P: 'Pick up Regular Cab',
+  Q: 'Pick up Extended Cab',
+  Z: 'Special Offer Car',
+  E: 'Coupe',
+  M: 'Monospace',
+  R: 'Recreational Vehicle',
+  H: 'Motor Home',
+  Y: '2 Wheel Vehicle',
+  N: 'Roadster',
+  G: 'Crossover',
+  K: 'Commercial Van/Truck'
+};
+
+const ACRISS_TRANSMISSIONS = {
+  M: 'Manual',
+  N: 'Manual 4WD',
+  C: 'Manual AWD',
+  A: 'Automatic',
+  B: 'Automatic 4WD',
+  D: 'Automatic AWD'
+};
+
+// Fuel/air letters that mean no air conditioning
+const NO_AIR_CONDITIONING = ['N', 'Q', 'I', 'C', 'S', 'B', 'F', 'Z', 'X'];
+
+// Car types accepted by the search routes, mapped to a representative ACRISS code
+const CAR_TYPES = {
+  economy: 'ECAR',
+  compact: 'CCAR',
+  midsize: 'ICAR',
+  intermediate: 'ICAR',
+  standard: 'SCAR',
+  fullsize: 'FCAR',
+  premium: 'PCAR',
+  luxury: 'LCAR',
+  suv: 'IFAR',
+  minivan: 'MVAR',
+  convertible: 'STAR'
+};
+
+const LOCATION_TYPES = ['ON_AIRPORT', 'OFF_AIRPORT'];
+
+const FUEL_POLICIES = ['FULL_TO_FULL', 'PREPAID', 'SAME_TO_SAME', 'UNKNOWN'];
+
+const roundCurrency = amount => Math.round(amount * 100) / 100;
+
+class CarRentalQuote {
+  /**
+   * @param {Object} fields
+   * @param {string} fields.provider - Provider name
+   * @param {string} fields.company - Rental company
+   * @param {Object} fields.location - { name, code, type: 'ON_AIRPORT'|'OFF_AIRPORT', shuttle, milesFromAirport }
+   * @param {string} fields.acriss - ACRISS car class code (e.g. 'ICAR')
+   * @param {string} fields.pickupDate - YYYY-MM-DD
+   * @param {string} fields.returnDate - YYYY-MM-DD
+   * @param {Object} fields.price - { dailyRate, baseTotal, taxes, airportFees, otherFees, total, currency }
+   * @param {Object} fields.mileage - { unlimited, includedMiles, extraMileCharge }
+   * @param {string} fields.fuelPolicy - One of FUEL_POLICIES
+   * @param {boolean} fields.estimated - Price comes from a rate table, not a live quote
+   */
+  constructor(fields = {}) {
+    const rentalDays = CarRentalQuote.calculateRentalDays(fields.pickupDate, fields.returnDate);
+    const acriss = String(fields.acriss || '').toUpperCase();
+    const price = fields.price || {};
+
+    const baseTotal = price.baseTotal !== undefined
+      ? price.baseTotal
+      : (price.dailyRate || 0) * rentalDays;
+    const taxes = price.taxes || 0;
+    const airportFees = price.airportFees || 0;
+    const otherFees = price.otherFees || 0;
+
+    this.id = fields.id || `${fields.provider}_${fields.company}_${fields.location?.code || fields.location?.name}_${acriss}_${fields.pickupDate}`
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, '-');
+    this.provider = fields.provider;
+    this.company = fields.company;
+    this.location = {
+      name: fields.location?.name || null,
+      code: fields.location?.code || null,
+      type: LOCATION_TYPES.includes(fields.location?.type) ? fields.location.type : 'ON_AIRPORT',
+      shuttle: !!fields.location?.shuttle,
+      milesFromAirport: fields.location?.milesFromAirport ?? (fields.location?.type === 'OFF_AIRPORT' ? null : 0)
+    };
+    this.carClass = CarRentalQuote.decodeAcriss(acriss);
+    this.pickupDate = fields.pickupDate;
+    this.returnDate = fields.returnDate;
+    this.rentalDays = rentalDays;
+    this.price = {
+      currency: price.currency || 'USD',
+      dailyRate: roundCurrency(price.dailyRate !== undefined ? price.dailyRate : baseTotal / rentalDays),
+      baseTotal: roundCurrency(baseTotal),
+      taxes: roundCurrency(taxes),
+      airportFees: roundCurrency(airportFees),
+      otherFees: roundCurrency(otherFees),
+      total: roundCurrency(price.total !== undefined ? price.total : baseTotal + taxes + airportFees + otherFees)
+    };
+    this.price.allInDailyRate = roundCurrency(this.price.total / rentalDays);
+    this.mileage = {
+      unlimited: fields.mileage?.unlimited !== false,
+      includedMiles: fields.mileage?.includedMiles ?? null,
+      extraMileCharge: fields.mileage?.extraMileCharge ?? null
+    };
+    this.fuelPolicy = FUEL_POLICIES.includes(fields.fuelPolicy) ? fields.fuelPolicy : 'UNKNOWN';
+    this.estimated = !!fields.estimated;
+    this.bookingLink = fields.bookingLink || null;
+    this.dealHints = [];
+    this.tollCost = null;
+    this.retrievedAt = fields.retrievedAt || new Date().toISOString();
+  }
+
+  /**
+   * Attach a TollCostModel estimate: the cheapest way to pay tolls, and the
+   * rental total including it
+   */
+  applyTollCost(estimate) {
+    this.tollCost = {
+      option: estimate.cheapest.option,
+      label: estimate.cheapest.label,
+      total: estimate.cheapest.total,
+      rentalProgramTotal: estimate.options[0].total,
+      expectedTolls: estimate.tolls.transponderTotal
+    };
+    this.price.totalWithTolls = roundCurrency(this.price.total + estimate.cheapest.total);
+    return this;
+  }
+
+  /**
+   * Rental days between two dates (partial days round up, minimum 1)
+   */
+  static calculateRentalDays(pickupDate, returnDate) {
+    const days = Math.ceil((new Date(returnDate) - new Date(pickupDate)) / (1000 * 60 * 60 * 24));
+    return Number.isFinite(days) && days > 0 ? days : 1;
+  }
+
+  /**
+   * Describe an ACRISS code, e.g. 'IFAR' -> Intermediate SUV, Automatic
+   */
+  static decodeAcriss(code) {
+    const acriss = String(code || '').toUpperCase();
+    const category = ACRISS_CATEGORIES[acriss[0]] || null;
+    const type = ACRISS_TYPES[acriss[1]] || null;
+    const transmission = ACRISS_TRANSMISSIONS[acriss[2]] || null;
+    const airConditioning = acriss[3] ? !NO_AIR_CONDITIONING.includes(acriss[3]) : null;
+
+    return {
+      acriss,
+      category,
+      type,
+      transmission,
+      airConditioning,
+      description: [category, type, transmission].filter(Boolean).join(' ') || null
+    };
+  }
+
+  /**
+   * ACRISS code for a car type name ('suv' -> 'IFAR'); ACRISS codes pass through
+   * @returns {string|null}
+   */
+  static resolveCarType(carType) {
+    if (!carType) return null;
+
+    const value = String(carType).trim();
+    if (CAR_TYPES[value.toLowerCase()]) return CAR_TYPES[value.toLowerCase()];
+    if (/^[A-Z]{4}$/i.test(value) && ACRISS_CATEGORIES[value[0].toUpperCase()]) return value.toUpperCase();
+
+    return null;
+  }
+
+  /**
+   * Car type names accepted by resolveCarType
+   */
+  static getCarTypes() {
+    return { ...CAR_TYPES };
+  }
+
+  /**
+   * Whether this quote satisfies a requested car class. A full ACRISS code
+   * matches on category and type (transmission/air are rarely a choice in
+   * the US), so 'IFAR' matches any intermediate SUV.
+   */
+  matchesCarClass(acriss) {
+    if (!acriss) return true;
+    return this.carClass.acriss.slice(0, 2) === acriss.slice(0, 2);
+  }
+}
+
+module.exports = CarRentalQuote;
@@ -1,14 +1,55 @@
 const axios = require('axios');
 const SerpApiService = require('./SerpApiService');
+const PriceHistoryStore = require('./PriceHistoryStore');
+const CarRentalQuote = require('./CarRentalQuote');
+const RateTableCarRentalProvider = require('./RateTableCarRentalProvider');
+const TollCostModel = require('./TollCostModel');
+const AirportTransferModel = require('./AirportTransferModel');
+const DiscountStackingOptimizer = require('./DiscountStackingOptimizer');
 
 /**
  * Car Rental Service
  * Discovers car rental deals for Orlando using SerpApi Google Search
- * and processes results to find the best rates
+ * and processes results to find the best rates.
+ *
+ * getQuotes() returns normalized CarRentalQuote objects from pluggable quote
+ * providers (see RateTableCarRentalProvider for the interface), with the
+ * snippet-mined deals attached to matching quotes as deal hints.
+ * analyzeReservation() re-quotes a booked rental to find rebooks and
+ * split rentals that beat what was paid. optimizeDiscounts() finds the best
+ * legal stack of discount programs, coupons and rebates per quote.
  */
 class CarRentalService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Array} options.providers - Quote providers (default: [RateTableCarRentalProvider])
+   * @param {TollCostModel} options.tollCostModel - Toll cost estimates
+   * @param {AirportTransferModel} options.transferModel - Rideshare rates to off-airport counters
+   * @param {DiscountStackingOptimizer} options.stackingOptimizer - Discount combination search
+   */
+  constructor(options = {}) {
     this.serpApi = new SerpApiService();
+    this.priceHistoryStore = PriceHistoryStore.getInstance();
+    this.providers = options.providers || [new RateTableCarRentalProvider()];
+
+    this.tollCostModel = options.tollCostModel || new TollCostModel();
+    this.stackingOptimizer = options.stackingOptimizer || new DiscountStackingOptimizer();
+
+    // Getting from the terminal to an off-airport counter and back:
+    // rideshares are priced by the airport transfer model
+    this.transferModel = options.transferModel || new AirportTransferModel({ tollCostModel: this.tollCostModel });
+    this.transferRates = {
+      shuttleExtraMinutes: 20        // Wait + ride each way on a rental shuttle
+    };
+
+    // Re-shopping a booked rental (see analyzeReservation)
+    this.reshopSettings = {
+      minimumSavings: 5.00,          // Smaller savings aren't worth a rebook
+      minSegmentDays: 1,             // Shortest contract in a split rental
+      weeklyRateDays: [5, 7],        // Rental lengths where weekly pricing usually starts
+      maxExtraDays: 3,               // Furthest a booking is stretched to reach weekly pricing
+      maxRentalDays: 30              // Every split point is quoted, so longer rentals aren't re-shopped
+    };
     this.popularRentalCompanies = [
       'Enterprise', 'Hertz', 'Budget', 'Avis', 'National',
       'Alamo', 'Dollar', 'Thrifty', 'Sixt', 'Fox Rent A Car'
@@ -69,6 +110,603 @@ class CarRentalService {
     });
   }
 
+  /**
+   * Validate pickup and return dates. Re-shopped rentals are also capped at
+   * reshopSettings.maxRentalDays.
+   * @returns {Array} List of validation error messages (empty when valid)
+   */
+  validateRentalDates({ pickupDate, returnDate } = {}, { reshop = false } = {}) {
+    const errors = [];
+
+    [['pickupDate', pickupDate], ['returnDate', returnDate]].forEach(([field, value]) => {
+      if (value !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime()))) {
+        errors.push(`${field} must be a valid date (YYYY-MM-DD)`);
+      }
+    });
+
+    if (errors.length === 0 && pickupDate && returnDate) {
+      const { maxRentalDays } = this.reshopSettings;
+
+      if (new Date(returnDate) <= new Date(pickupDate)) {
+        errors.push('returnDate must be after pickupDate');
+      } else if (reshop && CarRentalQuote.calculateRentalDays(pickupDate, returnDate) > maxRentalDays) {
+        errors.push(`returnDate must be within ${maxRentalDays} days of pickupDate to re-shop`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate quote search parameters
+   * @returns {Array} List of validation error messages (empty when valid)
+   */
+  validateQuoteSearch(options = {}) {
+    const { pickupDate, returnDate, carType } = options;
+    const errors = this.validateRentalDates({ pickupDate, returnDate });
+
+    if (carType && !CarRentalQuote.resolveCarType(carType)) {
+      errors.push(`Unknown car type "${carType}". Use an ACRISS code or one of: ${Object.keys(CarRentalQuote.getCarTypes()).join(', ')}`);
+    }
+
+    errors.push(...TollCostModel.validateItinerary(options.itinerary));
+
+    return errors;
+  }
+
+  /**
+   * Validate an existing reservation for re-shopping
+   * @returns {Array} List of validation error messages (empty when valid)
+   */
+  validateReservation(reservation = {}) {
+    const errors = [];
+    const { company, pickupDate, returnDate, carType, price, locationType } = reservation;
+
+    if (!company) {
+      errors.push('company is required');
+    }
+    if (!pickupDate || !returnDate) {
+      errors.push('pickupDate and returnDate are required');
+    }
+    if (!(parseFloat(price) > 0)) {
+      errors.push('price must be a positive number (the reservation total)');
+    }
+    if (locationType && !['ON_AIRPORT', 'OFF_AIRPORT'].includes(locationType)) {
+      errors.push('locationType must be ON_AIRPORT or OFF_AIRPORT');
+    }
+
+    errors.push(...this.validateRentalDates({ pickupDate, returnDate }, { reshop: true }));
+    errors.push(...this.validateQuoteSearch({ carType }));
+
+    return errors;
+  }
+
+  /**
+   * Get structured rental quotes from every provider, cheapest total first
+   * @param {Object} options - Search parameters
+   * @param {string} options.pickupDate - Pickup date (YYYY-MM-DD)
+   * @param {string} options.returnDate - Return date (YYYY-MM-DD)
+   * @param {string} options.pickupLocation - Pickup location (default: MCO Airport)
+   * @param {string} options.carType - Car type name or ACRISS code
+   * @param {boolean} options.includeDealHints - Attach snippet-mined deals (default: true)
+   * @param {Array} options.itinerary - Planned drives for toll estimates (see TollCostModel)
+   * @param {boolean} options.ownsTransponder - Traveler has a SunPass/E-PASS
+   * @returns {Object} { quotes, providers, dealHints, searchParameters }
+   */
+  async getQuotes(options = {}) {
+    const search = {
+      pickupDate: options.pickupDate || this.getDefaultPickupDate(),
+      returnDate: options.returnDate || this.getDefaultReturnDate(),
+      pickupLocation: options.pickupLocation || 'MCO Airport',
+      carClass: CarRentalQuote.resolveCarType(options.carType)
+    };
+
+    const providerResults = await Promise.all(this.providers.map(async provider => {
+      try {
+        const quotes = await provider.searchQuotes(search);
+        return { name: provider.name, success: true, quotes };
+      } catch (error) {
+        console.error(`Car rental quotes failed for provider ${provider.name}:`, error.message);
+        return { name: provider.name, success: false, error: error.message, quotes: [] };
+      }
+    }));
+
+    const quotes = providerResults
+      .flatMap(result => result.quotes)
+      .filter(quote => quote.matchesCarClass(search.carClass));
+
+    let deals = [];
+    if (options.includeDealHints !== false) {
+      deals = await this.searchCarRentals({
+        pickupDate: search.pickupDate,
+        returnDate: search.returnDate,
+        pickupLocation: search.pickupLocation,
+        carType: options.carType || ''
+      });
+    }
+    const unmatched = this.attachDealHints(quotes, deals);
+    this.attachTollCosts(quotes, options);
+
+    this.recordQuotePrices(quotes);
+    quotes.sort((a, b) => a.price.total - b.price.total);
+
+    return {
+      quotes,
+      providers: providerResults.map(({ quotes: providerQuotes, ...result }) => ({
+        ...result,
+        count: providerQuotes.length
+      })),
+      dealHints: {
+        total: deals.length,
+        attached: deals.length - unmatched.length,
+        unmatched
+      },
+      searchParameters: search
+    };
+  }
+
+  /**
+   * Compare the true cost of renting at the airport counters vs. off-airport
+   * counters: base rate, Florida surcharge, airport fees, taxes, the company
+   * toll program and the shuttle/rideshare trip to the off-site lot (both
+   * ways). Reports the break-even for going off-airport.
+   *
+   * @param {Object} options - getQuotes options plus:
+   * @param {string} options.carType - Car type or ACRISS code (default: 'midsize')
+   * @param {number} options.travelers - Party size, for rideshare vehicle size (default: 2)
+   * @param {boolean} options.useTollProgram - Include the rental toll program fee (default: true)
+   * @param {Array} options.itinerary - Planned drives; sets the days with tolls for per-use programs
+   * @returns {Object} Per-location costs, best on/off-airport picks and break-even
+   */
+  async compareLocationCosts(options = {}) {
+    const travelers = options.travelers || 2;
+    const useTollProgram = options.useTollProgram !== false;
+    const { quotes, searchParameters } = await this.getQuotes({
+      ...options,
+      carType: options.carType || 'midsize',
+      includeDealHints: false
+    });
+
+    // Cheapest quote per company counter
+    const cheapestByCounter = new Map();
+    quotes.forEach(quote => {
+      const key = `${quote.company}|${quote.location.type}|${quote.location.code || quote.location.name}`;
+      if (!cheapestByCounter.has(key) || quote.price.total < cheapestByCounter.get(key).price.total) {
+        cheapestByCounter.set(key, quote);
+      }
+    });
+
+    const locations = [...cheapestByCounter.values()]
+      .map(quote => this.calculateLocationCost(quote, { travelers, useTollProgram, itinerary: options.itinerary }))
+      .sort((a, b) => a.trueTotal - b.trueTotal);
+
+    const onAirport = locations.filter(l => l.location.type === 'ON_AIRPORT');
+    const offAirport = locations.filter(l => l.location.type === 'OFF_AIRPORT');
+    const bestOnAirport = onAirport[0] || null;
+    const bestOffAirport = offAirport[0] || null;
+
+    const byCompany = [...new Set(locations.map(l => l.company))]
+      .map(company => {
+        const on = onAirport.find(l => l.company === company);
+        const off = offAirport.find(l => l.company === company);
+        return on && off ? { company, ...this.calculateBreakEven(on, off) } : null;
+      })
+      .filter(Boolean);
+
+    return {
+      searchParameters: { ...searchParameters, travelers, useTollProgram },
+      rentalDays: quotes[0]?.rentalDays || CarRentalQuote.calculateRentalDays(searchParameters.pickupDate, searchParameters.returnDate),
+      locations,
+      bestOnAirport,
+      bestOffAirport,
+      breakEven: bestOnAirport && bestOffAirport ? this.calculateBreakEven(bestOnAirport, bestOffAirport) : null,
+      byCompany,
+      estimated: quotes.some(quote => quote.estimated)
+    };
+  }
+
+  /**
+   * True cost of one counter's quote, itemized. The toll program fee is
+   * included (tolls themselves are the same at every counter).
+   */
+  calculateLocationCost(quote, { travelers = 2, useTollProgram = true, itinerary } = {}) {
+    const { tollDays } = this.tollCostModel.estimateItineraryTolls(itinerary, quote.rentalDays);
+    const tollProgram = useTollProgram
+      ? this.estimateTollProgramCost(quote.company, quote.rentalDays, tollDays)
+      : { name: null, cost: 0 };
+    const transfer = this.estimateTransferCost(quote.location, travelers);
+    const costs = {
+      base: quote.price.baseTotal,
+      floridaSurcharge: quote.price.otherFees,
+      airportFees: quote.price.airportFees,
+      taxes: quote.price.taxes,
+      tollProgram: tollProgram.cost,
+      transfer: transfer.roundTripCost
+    };
+    const round = amount => Math.round(amount * 100) / 100;
+
+    return {
+      company: quote.company,
+      location: quote.location,
+      carClass: quote.carClass,
+      quoteId: quote.id,
+      rentalDays: quote.rentalDays,
+      costs,
+      tollProgram: tollProgram.name,
+      transfer,
+      rentalTotal: quote.price.total,
+      trueTotal: round(Object.values(costs).reduce((sum, cost) => sum + cost, 0)),
+      trueDailyRate: round(Object.values(costs).reduce((sum, cost) => sum + cost, 0) / quote.rentalDays)
+    };
+  }
+
+  /**
+   * Rental company toll program fee for a rental (see TollCostModel.getProgramFee)
+   */
+  estimateTollProgramCost(company, rentalDays, tollDays = rentalDays) {
+    return {
+      name: this.tollCostModel.getProgram(company).name,
+      cost: this.tollCostModel.getProgramFee(company, rentalDays, tollDays)
+    };
+  }
+
+  /**
+   * Round-trip cost and time to reach a counter from the terminal.
+   * Airport counters need no transfer; shuttle lots are free but slower;
+   * other off-airport counters are a rideshare each way.
+   */
+  estimateTransferCost(location, travelers = 2) {
+    if (location.type === 'ON_AIRPORT') {
+      return { mode: 'NONE', oneWayCost: 0, roundTripCost: 0, extraMinutes: 0 };
+    }
+
+    if (location.shuttle) {
+      return {
+        mode: 'SHUTTLE',
+        oneWayCost: 0,
+        roundTripCost: 0,
+        extraMinutes: this.transferRates.shuttleExtraMinutes * 2
+      };
+    }
+
+    const miles = location.milesFromAirport ?? 15;
+    const fare = this.transferModel.rideshareFare(miles, travelers);
+
+    return {
+      mode: 'RIDESHARE',
+      oneWayCost: fare,
+      roundTripCost: Math.round(fare * 2 * 100) / 100,
+      extraMinutes: this.transferModel.rates.rideshareWaitMinutes * 2,
+      milesFromAirport: miles
+    };
+  }
+
+  /**
+   * Break-even between an airport counter and an off-airport counter:
+   * how much the off-airport rental saves before the transfer, the most a
+   * transfer can cost before the airport wins, and the shortest rental
+   * (in days) for which the daily savings pay for the transfer.
+   */
+  calculateBreakEven(onAirport, offAirport) {
+    const round = amount => Math.round(amount * 100) / 100;
+    const offBeforeTransfer = offAirport.trueTotal - offAirport.costs.transfer;
+    const maxTransferCost = round(onAirport.trueTotal - offBeforeTransfer);
+    const savingsPerDay = maxTransferCost / onAirport.rentalDays;
+    const netSavings = round(onAirport.trueTotal - offAirport.trueTotal);
+
+    let breakEvenDays = null;
+    if (offAirport.costs.transfer === 0) {
+      breakEvenDays = savingsPerDay > 0 ? 1 : null;
+    } else if (savingsPerDay > 0) {
+      breakEvenDays = Math.ceil(offAirport.costs.transfer / savingsPerDay);
+    }
+
+    let recommendation;
+    if (netSavings > 0) {
+      recommendation = `Rent off-airport at ${offAirport.location.name}: saves $${netSavings.toFixed(2)} ` +
+        `after $${offAirport.costs.transfer.toFixed(2)} in transfers (about ${offAirport.transfer.extraMinutes} extra minutes).`;
+    } else if (breakEvenDays) {
+      recommendation = `Rent at the airport. ${offAirport.location.name} only pays off for rentals of ${breakEvenDays}+ days.`;
+    } else {
+      recommendation = `Rent at the airport. ${offAirport.location.name} is not cheaper even before the transfer.`;
+    }
+
+    return {
+      onAirport: { company: onAirport.company, location: onAirport.location.name, trueTotal: onAirport.trueTotal },
+      offAirport: { company: offAirport.company, location: offAirport.location.name, trueTotal: offAirport.trueTotal },
+      savingsBeforeTransfer: maxTransferCost,
+      transferCost: offAirport.costs.transfer,
+      netSavings,
+      maxTransferCost: Math.max(0, maxTransferCost),
+      breakEvenDays,
+      cheaper: netSavings > 0 ? 'OFF_AIRPORT' : 'ON_AIRPORT',
+      recommendation
+    };
+  }
+
+  /**
+   * Re-shop an existing reservation. Re-quotes the booked car class and
+   * reports whether any of these beat what was paid:
+   * - REBOOK: the same dates at today's rate
+   * - SPLIT: two back-to-back contracts (cheapest split point), e.g. when
+   *   rates drop after a peak week
+   * - WEEKLY_RATE: booking up to a weekly-rate length and returning early
+   *
+   * @param {Object} reservation
+   * @param {string} reservation.company - Company the car is booked with
+   * @param {string} reservation.carType - Car type name or ACRISS code
+   * @param {string} reservation.pickupDate - Pickup date (YYYY-MM-DD)
+   * @param {string} reservation.returnDate - Return date (YYYY-MM-DD)
+   * @param {number} reservation.price - Reservation total, taxes and fees included
+   * @param {string} reservation.pickupLocation - Pickup location (default: MCO Airport)
+   * @param {string} reservation.locationType - Only consider ON_AIRPORT or OFF_AIRPORT counters
+   * @param {boolean} reservation.allowCompanySwitch - Also consider other companies (default: false)
+   * @returns {Object} Options cheapest first, every split point, the best option and a recommendation
+   */
+  async analyzeReservation(reservation) {
+    const round = amount => Math.round(amount * 100) / 100;
+    const { minimumSavings, minSegmentDays, weeklyRateDays, maxExtraDays } = this.reshopSettings;
+    const bookedPrice = parseFloat(reservation.price);
+    const rentalDays = CarRentalQuote.calculateRentalDays(reservation.pickupDate, reservation.returnDate);
+    const cheapestByRange = new Map();
+
+    // Cheapest eligible quote for a date range; each range is quoted once
+    const cheapestFor = async (pickupDate, returnDate) => {
+      const key = `${pickupDate}|${returnDate}`;
+      if (!cheapestByRange.has(key)) {
+        const { quotes } = await this.getQuotes({
+          pickupDate,
+          returnDate,
+          pickupLocation: reservation.pickupLocation,
+          carType: reservation.carType,
+          includeDealHints: false
+        });
+        cheapestByRange.set(key, quotes.find(quote => this.isReshopCandidate(quote, reservation)) || null);
+      }
+      return cheapestByRange.get(key);
+    };
+
+    const options = [];
+
+    const rebook = await cheapestFor(reservation.pickupDate, reservation.returnDate);
+    if (rebook) {
+      options.push(this.buildReshopOption('REBOOK', [rebook], bookedPrice));
+    }
+
+    const splitPoints = [];
+    let bestSplit = null;
+    for (let day = minSegmentDays; day <= rentalDays - minSegmentDays; day++) {
+      const splitDate = this.addDays(reservation.pickupDate, day);
+      const first = await cheapestFor(reservation.pickupDate, splitDate);
+      const second = first ? await cheapestFor(splitDate, reservation.returnDate) : null;
+      if (!first || !second) continue;
+
+      const total = round(first.price.total + second.price.total);
+      splitPoints.push({ date: splitDate, firstDays: first.rentalDays, secondDays: second.rentalDays, total });
+      if (!bestSplit || total < bestSplit.total) {
+        bestSplit = { total, quotes: [first, second] };
+      }
+    }
+    if (bestSplit) {
+      options.push(this.buildReshopOption('SPLIT', bestSplit.quotes, bookedPrice));
+    }
+
+    const weeklyLengths = weeklyRateDays.filter(days => days > rentalDays && days - rentalDays <= maxExtraDays);
+    for (const days of weeklyLengths) {
+      const quote = await cheapestFor(reservation.pickupDate, this.addDays(reservation.pickupDate, days));
+      if (quote) {
+        options.push(this.buildReshopOption('WEEKLY_RATE', [quote], bookedPrice, reservation.returnDate));
+      }
+    }
+
+    options.sort((a, b) => a.total - b.total);
+    const best = options[0] && options[0].savings >= minimumSavings ? options[0] : null;
+
+    return {
+      reservation: {
+        company: reservation.company,
+        carClass: CarRentalQuote.resolveCarType(reservation.carType),
+        pickupDate: reservation.pickupDate,
+        returnDate: reservation.returnDate,
+        rentalDays,
+        price: bookedPrice
+      },
+      options,
+      splitPoints,
+      best,
+      recommendation: best
+        ? `${best.description}: saves $${best.savings.toFixed(2)} vs. the $${bookedPrice.toFixed(2)} reservation.`
+        : `Keep the reservation. Nothing saves $${minimumSavings.toFixed(2)} or more right now.`,
+      estimated: [...cheapestByRange.values()].some(quote => quote && quote.estimated),
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Whether a quote can replace the reservation: same company (unless
+   * switching is allowed) and the same kind of counter when one is given
+   */
+  isReshopCandidate(quote, reservation) {
+    if (!reservation.allowCompanySwitch && quote.company.toLowerCase() !== String(reservation.company).toLowerCase()) {
+      return false;
+    }
+    return !reservation.locationType || quote.location.type === reservation.locationType;
+  }
+
+  /**
+   * One re-shop option: the contracts to book, their total and the savings
+   * vs. the reservation. WEEKLY_RATE options are returned early, on returnDate.
+   */
+  buildReshopOption(type, quotes, bookedPrice, returnDate = null) {
+    const round = amount => Math.round(amount * 100) / 100;
+    const total = round(quotes.reduce((sum, quote) => sum + quote.price.total, 0));
+    const contracts = quotes.map(quote => ({
+      quoteId: quote.id,
+      company: quote.company,
+      location: quote.location.name,
+      acriss: quote.carClass.acriss,
+      pickupDate: quote.pickupDate,
+      returnDate: quote.returnDate,
+      rentalDays: quote.rentalDays,
+      total: quote.price.total
+    }));
+
+    let description;
+    let caveat = null;
+    if (type === 'SPLIT') {
+      const [first, second] = contracts;
+      description = `Split into ${first.company} for ${first.rentalDays} days, then ${second.company} for ${second.rentalDays} days from ${second.pickupDate}`;
+      caveat = 'Needs a counter visit on the split date to close the first contract and open the second.';
+    } else if (type === 'WEEKLY_RATE') {
+      description = `Book ${contracts[0].company} for ${contracts[0].rentalDays} days to get weekly pricing and return on ${returnDate}`;
+      caveat = 'Some companies re-rate early returns or charge an early return fee; check the terms before booking.';
+    } else {
+      description = `Rebook ${contracts[0].company} at today's rate`;
+    }
+
+    return {
+      type,
+      total,
+      savings: round(bookedPrice - total),
+      description,
+      caveat,
+      contracts
+    };
+  }
+
+  /**
+   * Find the best legal combination of discounts for the cheapest quotes:
+   * the quote's deal hints (one discount program such as AAA or a corporate
+   * CDP, plus one coupon) and any offers the traveler adds, like portal
+   * cashback or card credits (see DiscountStackingOptimizer).
+   *
+   * @param {Object} options - getQuotes options plus:
+   * @param {string} options.company - Only this company's quotes
+   * @param {Array} options.extraOffers - Traveler-supplied offers
+   * @param {number} options.top - Quotes to optimize, cheapest first (default: 5)
+   * @returns {Object} { results (lowest effective cost first), best, searchParameters }
+   */
+  async optimizeDiscounts(options = {}) {
+    const { quotes, searchParameters } = await this.getQuotes(options);
+    const extraOffers = options.extraOffers || [];
+
+    const results = quotes
+      .filter(quote => !options.company || quote.company.toLowerCase() === String(options.company).toLowerCase())
+      .slice(0, options.top || 5)
+      .map(quote => ({
+        quote,
+        stacking: this.stackingOptimizer.optimize(quote.price.total, [...this.buildStackingOffers(quote), ...extraOffers])
+      }))
+      .sort((a, b) => a.stacking.best.effectiveCost - b.stacking.best.effectiveCost);
+
+    return {
+      results,
+      best: results[0] || null,
+      searchParameters
+    };
+  }
+
+  /**
+   * Stacking offers from a quote's deal hints. Member and corporate programs
+   * are the rate (one per contract); promo codes are coupons on top. Hints
+   * without a percent or dollar value are skipped.
+   */
+  buildStackingOffers(quote) {
+    const programs = {
+      'Corporate Discount': 'Corporate discount program (CDP) from your employer',
+      'AAA Member Discount': 'AAA membership card',
+      'Military Discount': 'Military or veteran ID',
+      'Costco Member Deal': 'Costco membership'
+    };
+
+    return quote.dealHints
+      .filter(hint => hint.discountPercent > 0 || hint.estimatedSavings > 0)
+      .map((hint, index) => {
+        const isProgram = Boolean(programs[hint.dealType]);
+        const value = hint.discountPercent > 0 ? { percent: hint.discountPercent } : { amount: hint.estimatedSavings };
+
+        return {
+          id: `${quote.id}-hint-${index + 1}`,
+          label: hint.promoCode ? `${hint.dealType} (${hint.promoCode})` : hint.dealType,
+          category: isProgram ? 'RATE' : 'COUPON',
+          ...value,
+          code: hint.promoCode || null,
+          channel: hint.dealType === 'Costco Member Deal' ? 'Costco Travel' : `${quote.company} direct`,
+          tags: [hint.dealType],
+          eligibility: programs[hint.dealType] || null
+        };
+      });
+  }
+
+  /**
+   * Add the cheapest way to pay tolls to each quote (one estimate per company
+   * and rental length, since quotes from the same company share a program)
+   */
+  attachTollCosts(quotes, { itinerary, ownsTransponder } = {}) {
+    const estimates = new Map();
+
+    quotes.forEach(quote => {
+      const key = `${quote.company}|${quote.rentalDays}`;
+      if (!estimates.has(key)) {
+        estimates.set(key, this.tollCostModel.estimate({
+          company: quote.company,
+          rentalDays: quote.rentalDays,
+          itinerary,
+          ownsTransponder
+        }));
+      }
+      quote.applyTollCost(estimates.get(key));
+    });
+  }
+
+  /**
+   * Attach snippet-mined deals to quotes from the same company
+   * @returns {Array} Deal hints that matched no quote (e.g. company 'Various')
+   */
+  attachDealHints(quotes, deals) {
+    const unmatched = [];
+
+    deals.forEach(deal => {
+      const hint = {
+        title: deal.title,
+        dealType: deal.dealType,
+        promoCode: deal.promoCode,
+        discountPercent: deal.discountPercent,
+        estimatedSavings: deal.estimatedSavings,
+        advertisedDailyRate: deal.dailyRate ?? null,
+        link: deal.link,
+        confidence: deal.confidence
+      };
+      const matching = quotes.filter(quote => quote.company.toLowerCase() === String(deal.company).toLowerCase());
+
+      if (matching.length === 0) {
+        unmatched.push({ company: deal.company, ...hint });
+        return;
+      }
+      matching.forEach(quote => quote.dealHints.push(hint));
+    });
+
+    return unmatched;
+  }
+
+  /**
+   * Record live (non-estimated) quote rates in the price history store
+   */
+  recordQuotePrices(quotes) {
+    quotes
+      .filter(quote => !quote.estimated)
+      .forEach(quote => {
+        this.priceHistoryStore.record({
+          category: 'car',
+          subjectId: `${quote.company}@${quote.location.code || quote.location.name}:${quote.carClass.acriss}`,
+          startDate: quote.pickupDate,
+          endDate: quote.returnDate,
+          price: quote.price.dailyRate,
+          source: quote.provider
+        });
+      });
+  }
+
   /**
    * Build optimized search queries for car rental deals
    */
@@ -175,9 +813,28 @@ class CarRentalService {
 
     // Remove duplicates and rank by confidence
     const uniqueDeals = this.deduplicateDeals(deals);
+    this.recordDealPrices(uniqueDeals);
     return this.rankDeals(uniqueDeals);
   }
 
+  /**
+   * Record advertised daily rates in the price history store
+   */
+  recordDealPrices(deals) {
+    deals
+      .filter(deal => deal.dailyRate && deal.company !== 'Various')
+      .forEach(deal => {
+        this.priceHistoryStore.record({
+          category: 'car',
+          subjectId: `${deal.company}@${deal.pickupLocation}`,
+          startDate: deal.pickupDate,
+          endDate: deal.returnDate,
+          price: deal.dailyRate,
+          source: deal.source
+        });
+      });
+  }
+
   /**
    * Process company-specific results
    */
@@ -243,6 +900,7 @@ class CarRentalService {
       promoCode: this.extractPromoCode(snippet),
       discountPercent: this.extractDiscountPercent(snippet),
       estimatedSavings: this.estimateSavings(snippet),
+      dailyRate: this.extractDailyRate(snippet),
       pickupLocation: searchParams.pickupLocation,
       pickupDate: searchParams.pickupDate,
       returnDate: searchParams.returnDate,
@@ -350,6 +1008,26 @@ class CarRentalService {
     return null;
   }
 
+  /**
+   * Extract an advertised daily rate in dollars from text
+   */
+  extractDailyRate(text) {
+    const patterns = [
+      /\$(\d+(?:\.\d{2})?)\s*(?:\/|per\s*)\s*day/i,
+      /\$(\d+(?:\.\d{2})?)\s*a\s*day/i,
+      /from\s*\$(\d+(?:\.\d{2})?)\s*daily/i
+    ];
+
+    for (const pattern of patterns) {
+      const match = text.match(pattern);
+      if (match && match[1]) {
+        return parseFloat(match[1]);
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Calculate confidence score for a deal
    */
@@ -414,6 +1092,15 @@ class CarRentalService {
     });
   }
 
+  /**
+   * Date string (YYYY-MM-DD) a number of days after another
+   */
+  addDays(date, days) {
+    const result = new Date(date);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().split('T')[0];
+  }
+
   /**
    * Get default pickup date (tomorrow)
    */
@@ -0,0 +1,473 @@
+/**
+ * Deal Rule Engine
+ *
+ * Turns hotel promo terms into machine-readable rules and prices a concrete
+ * stay under them. Orlando offers are rarely a flat discount: "stay 4 pay 3",
+ * "30% off 5+ nights", "Sun–Thu nights only", "book by Dec 15 for travel
+ * through Feb 28", "cannot be combined with other offers".
+ *
+ * Rules:
+ * {
+ *   discount: { type: 'PERCENT'|'AMOUNT_PER_NIGHT'|'AMOUNT_PER_STAY', value, upTo } | null,
+ *   freeNights: { stay, pay, repeat } | null,   // stay 4 pay 3; repeat: every 4th night
+ *   minNights, maxNights,
+ *   validDays: [0-6] | null,                    // nights the discount applies to (0 = Sunday)
+ *   bookBy: 'YYYY-MM-DD' | null,
+ *   travelWindow: { from, to } | null,          // nights the discount applies to
+ *   stacking: { combinable: true|false|null, exclusions: [] },
+ *   code: 'SAVE25' | null,
+ *   terms: ['PERCENT_OFF', 'MIN_NIGHTS', ...],  // What was recognized
+ *   sources: ['TEXT', 'STRUCTURED']
+ * }
+ *
+ * Valid days and the travel window are night masks: nights outside them pay
+ * the regular rate, and the deal doesn't apply if no night qualifies.
+ *
+ * An "up to" discount (upTo: true) is priced at its maximum, but the
+ * evaluation is flagged upTo so callers treat the savings as a best case.
+ */
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DAY = '\\b(sun|mon|tue|wed|thu|fri|sat)(?:day|s|sday|nesday|rsday|rs|r|urday)?\\.?(?![a-z])';
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+const DATE = `(${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s*\\d{4})?|\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?|\\d{4}-\\d{2}-\\d{2}|${MONTH}(?:\\s+\\d{4})?)`;
+const RANGE = '\\s*(?:-|to|through|thru|and)\\s*';
+const DAY_RANGE = '\\s*(?:-|to|through|thru)\\s*';
+
+const round = amount => Math.round(amount * 100) / 100;
+const toDate = date => new Date(`${date}T00:00:00Z`);
+const formatDate = date => date.toISOString().split('T')[0];
+
+class DealRuleEngine {
+  /**
+   * Empty rule set
+   */
+  static emptyRules() {
+    return {
+      discount: null,
+      freeNights: null,
+      minNights: null,
+      maxNights: null,
+      validDays: null,
+      bookBy: null,
+      travelWindow: null,
+      stacking: { combinable: null, exclusions: [] },
+      code: null,
+      terms: [],
+      sources: []
+    };
+  }
+
+  /**
+   * Date in promo text ("Dec 15", "December 15, 2026", "12/15", "2026-12-15",
+   * "December") as YYYY-MM-DD. A bare month means its first or last day;
+   * a missing year is the next occurrence after the reference date.
+   */
+  static parseDate(text, { endOfMonth = false, referenceDate = new Date() } = {}) {
+    const value = text.trim().toLowerCase();
+    const reference = toDate(formatDate(new Date(referenceDate)));
+    let year = null;
+    let month;
+    let day = null;
+
+    let match;
+    if ((match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+      return value;
+    } else if ((match = value.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/))) {
+      month = parseInt(match[1]) - 1;
+      day = parseInt(match[2]);
+      if (match[3]) year = match[3].length === 2 ? 2000 + parseInt(match[3]) : parseInt(match[3]);
+    } else if ((match = value.match(/^([a-z]+)\.?(?:\s+(\d{1,2})(?:st|nd|rd|th)?)?(?:,?\s*(\d{4}))?$/))) {
+      month = MONTHS.indexOf(match[1].slice(0, 3));
+      day = match[2] ? parseInt(match[2]) : null;
+      if (match[3]) year = parseInt(match[3]);
+    }
+
+    if (month === undefined || month < 0 || month > 11) return null;
+
+    const build = y => {
+      const dayOfMonth = day || (endOfMonth ? new Date(Date.UTC(y, month + 1, 0)).getUTCDate() : 1);
+      return new Date(Date.UTC(y, month, dayOfMonth));
+    };
+
+    if (year === null) {
+      year = reference.getUTCFullYear();
+      if (build(year) < reference) year += 1;
+    }
+
+    const date = build(year);
+    return isNaN(date.getTime()) ? null : formatDate(date);
+  }
+
+  /**
+   * Day-of-week index from a name like "Thu", "Thurs" or "Thursday"
+   */
+  static dayIndex(name) {
+    return DAY_NAMES.findIndex(day => day.toLowerCase() === name.slice(0, 3).toLowerCase());
+  }
+
+  /**
+   * Parse free-text promo terms into rules
+   * @param {string} text - Offer title and/or snippet
+   * @param {Object} options
+   * @param {Date|string} options.referenceDate - For dates without a year (default: today)
+   * @returns {Object} Rules (terms is empty when nothing was recognized)
+   */
+  parseTerms(text, { referenceDate = new Date() } = {}) {
+    const rules = DealRuleEngine.emptyRules();
+    if (!text) return rules;
+
+    const original = String(text).replace(/[–—]/g, '-');
+    let lower = original.toLowerCase();
+    const dateOptions = { referenceDate };
+    const found = term => rules.terms.push(term);
+    let match;
+
+    // Free nights: stay 4 pay 3 / stay 3 get the 4th free / 4th night free / buy 3 get 1 free
+    if ((match = lower.match(/stay\s*(\d+)\s*(?:nights?)?\s*,?\s*(?:and\s*)?pay\s*(?:for\s*)?(?:only\s*)?(\d+)/))) {
+      rules.freeNights = { stay: parseInt(match[1]), pay: parseInt(match[2]), repeat: /\bevery\b/.test(lower) };
+    } else if ((match = lower.match(/stay\s*(\d+)\s*(?:nights?)?\s*,?\s*(?:and\s*)?get\s*(?:the\s*)?(\d+)(st|nd|rd|th)?\s*(?:nights?\s*)?free/))) {
+      // "get the 4th free" names the free night; "get 1 free" counts them
+      const pay = parseInt(match[1]);
+      rules.freeNights = { stay: match[3] ? parseInt(match[2]) : pay + parseInt(match[2]), pay, repeat: /\bevery\b/.test(lower) };
+    } else if ((match = lower.match(/(\d+)(?:st|nd|rd|th)\s*night\s*(?:is\s*)?free/))) {
+      rules.freeNights = { stay: parseInt(match[1]), pay: parseInt(match[1]) - 1, repeat: /\bevery\b/.test(lower) };
+    } else if ((match = lower.match(/(?:buy|pay for)\s*(\d+)\s*(?:nights?)?\s*,?\s*get\s*(\d+)\s*(?:nights?\s*)?free/))) {
+      const pay = parseInt(match[1]);
+      rules.freeNights = { stay: pay + parseInt(match[2]), pay, repeat: /\bevery\b/.test(lower) };
+    }
+    if (rules.freeNights && rules.freeNights.pay < rules.freeNights.stay && rules.freeNights.pay >= 0) {
+      found('FREE_NIGHTS');
+    } else {
+      rules.freeNights = null;
+    }
+
+    // Discount
+    if ((match = lower.match(/\$(\d+(?:\.\d{2})?)\s*off\s*(?:per|a|each|every)\s*night/)) ||
+        (match = lower.match(/save\s*\$(\d+(?:\.\d{2})?)\s*(?:per|a|each|every)\s*night/))) {
+      rules.discount = { type: 'AMOUNT_PER_NIGHT', value: parseFloat(match[1]), upTo: false };
+      found('AMOUNT_OFF');
+    } else if ((match = lower.match(/(up to\s*)?(\d{1,2}(?:\.\d+)?)\s*%\s*(?:off|discount|savings)/)) ||
+               (match = lower.match(/sav(?:e|ings of)\s*(up to\s*)?(\d{1,2}(?:\.\d+)?)\s*%/))) {
+      rules.discount = { type: 'PERCENT', value: parseFloat(match[2]), upTo: Boolean(match[1]) };
+      found('PERCENT_OFF');
+    } else if ((match = lower.match(/\$(\d+(?:\.\d{2})?)\s*off/)) || (match = lower.match(/save\s*\$(\d+(?:\.\d{2})?)/))) {
+      rules.discount = { type: 'AMOUNT_PER_STAY', value: parseFloat(match[1]), upTo: false };
+      found('AMOUNT_OFF');
+    }
+
+    // Length of stay
+    if ((match = lower.match(/(\d+)\s*\+\s*(?:-\s*)?nights?/)) ||
+        (match = lower.match(/(?:minimum|min\.?)\s*(?:length of\s*)?(?:stay\s*)?(?:of\s*)?(\d+)\s*nights?/)) ||
+        (match = lower.match(/(\d+)[-\s]night\s*minimum/)) ||
+        (match = lower.match(/(?:on|for|with)\s+(?:a|an|any)?\s*(\d+)[-\s]nights?\s+(?:or longer\s+)?(?:stay|package|vacation)/)) ||
+        (match = lower.match(/(\d+)\s*(?:or more\s*nights?|nights?\s*or\s*(?:more|longer))/))) {
+      rules.minNights = parseInt(match[1]);
+      found('MIN_NIGHTS');
+    } else if (rules.freeNights) {
+      rules.minNights = rules.freeNights.stay;
+    }
+    if ((match = lower.match(/(?:maximum|max\.?)\s*(?:stay\s*)?(?:of\s*)?(\d+)\s*nights?/))) {
+      rules.maxNights = parseInt(match[1]);
+      found('MAX_NIGHTS');
+    }
+
+    // Valid nights: Sun-Thu / Sunday through Thursday / Friday and Saturday nights / weeknights
+    if ((match = lower.match(new RegExp(`${DAY}${DAY_RANGE}${DAY}`)))) {
+      const from = DealRuleEngine.dayIndex(match[1]);
+      const to = DealRuleEngine.dayIndex(match[2]);
+      rules.validDays = [];
+      for (let day = from; ; day = (day + 1) % 7) {
+        rules.validDays.push(day);
+        if (day === to) break;
+      }
+    } else if ((match = lower.match(new RegExp(`${DAY}(?:\\s*(?:,|and|&|or)\\s*${DAY})+\\s+nights?`)))) {
+      rules.validDays = [...match[0].matchAll(new RegExp(DAY, 'g'))].map(day => DealRuleEngine.dayIndex(day[1]));
+    } else if (/week\s*nights?|mid-?week/.test(lower)) {
+      rules.validDays = [0, 1, 2, 3, 4];
+    } else if (/weekend nights?|weekends? only/.test(lower)) {
+      rules.validDays = [5, 6];
+    }
+    if (rules.validDays) {
+      rules.validDays.sort((a, b) => a - b);
+      found('VALID_DAYS');
+    }
+
+    // Book by (removed from the text so "book by" isn't read as a travel date)
+    const bookBy = new RegExp(`book\\w*\\s+(?:must be made\\s+)?(?:by|before|no later than|through|thru|until)\\s+${DATE}`);
+    if ((match = lower.match(bookBy))) {
+      rules.bookBy = DealRuleEngine.parseDate(match[1], { ...dateOptions, endOfMonth: true });
+      if (rules.bookBy) found('BOOK_BY');
+      lower = lower.replace(match[0], ' ');
+    }
+
+    // Travel window ("between"/"from" optional: "valid for travel Jan 5 - Mar 31, 2027")
+    if ((match = lower.match(new RegExp(`(?:travel|stays?|valid|check[- ]?in)[a-z\\s]{0,15}?\\b(?:(?:from|between)\\s+)?${DATE}${RANGE}${DATE}`)))) {
+      let from = DealRuleEngine.parseDate(match[1], dateOptions);
+      const to = DealRuleEngine.parseDate(match[2], { ...dateOptions, endOfMonth: true });
+      // A start without a year belongs before the end ("Nov 1 - Mar 31, 2027")
+      if (from && to && from > to && !/\d{4}/.test(match[1])) {
+        from = `${parseInt(from.slice(0, 4)) - 1}${from.slice(4)}`;
+      }
+      rules.travelWindow = { from, to };
+    } else if ((match = lower.match(new RegExp(`(?:travel|stays?|valid)[a-z\\s]{0,15}?\\b(?:by|through|thru|until)\\s+${DATE}`)))) {
+      rules.travelWindow = { from: null, to: DealRuleEngine.parseDate(match[1], { ...dateOptions, endOfMonth: true }) };
+    }
+    if (rules.travelWindow && (rules.travelWindow.from || rules.travelWindow.to)) {
+      found('TRAVEL_WINDOW');
+    } else {
+      rules.travelWindow = null;
+    }
+
+    // Stacking
+    if (/can ?not be combined|not combinable|may not be combined|not valid (?:with|in conjunction with) (?:any )?other|no other (?:discounts|offers)/.test(lower)) {
+      rules.stacking.combinable = false;
+      found('NOT_COMBINABLE');
+    } else if (/combinable with|can be combined with|stacks? with/.test(lower)) {
+      rules.stacking.combinable = true;
+      found('COMBINABLE');
+    }
+    if ((match = lower.match(/(?:not valid|excludes?|excluding)\s+(?:with|on|for)?\s*([a-z ,&/-]+?)(?:\.|;|$)/))) {
+      rules.stacking.exclusions = match[1]
+        .split(/\s*(?:,|\/|&|\band\b|\bor\b)\s*/)
+        .map(item => item.trim())
+        .filter(item => item && !/^(?:any )?other\b/.test(item));
+    }
+
+    // Promo code (codes are upper case in the original text)
+    if ((match = original.match(/\b(?:[Pp]romo(?:tional)?\s+)?(?:[Cc]ode|[Uu]se)\s*[:-]?\s*([A-Z][A-Z0-9]{2,})\b/))) {
+      rules.code = match[1];
+      found('CODE');
+    }
+
+    if (rules.terms.length > 0) rules.sources.push('TEXT');
+    return rules;
+  }
+
+  /**
+   * Rules from a structured offer (e.g. a provider feed)
+   * @param {Object} terms - { percentOff, amountOffPerNight, amountOff, stayNights, payNights, repeat,
+   *   minNights, maxNights, validDays (names or 0-6), bookBy, travelFrom, travelTo, combinable, exclusions, code }
+   */
+  fromStructured(terms = {}) {
+    const rules = DealRuleEngine.emptyRules();
+    const found = term => rules.terms.push(term);
+
+    if (terms.percentOff > 0) {
+      rules.discount = { type: 'PERCENT', value: terms.percentOff, upTo: false };
+      found('PERCENT_OFF');
+    } else if (terms.amountOffPerNight > 0) {
+      rules.discount = { type: 'AMOUNT_PER_NIGHT', value: terms.amountOffPerNight, upTo: false };
+      found('AMOUNT_OFF');
+    } else if (terms.amountOff > 0) {
+      rules.discount = { type: 'AMOUNT_PER_STAY', value: terms.amountOff, upTo: false };
+      found('AMOUNT_OFF');
+    }
+    if (terms.stayNights > 0 && terms.payNights >= 0 && terms.payNights < terms.stayNights) {
+      rules.freeNights = { stay: terms.stayNights, pay: terms.payNights, repeat: Boolean(terms.repeat) };
+      found('FREE_NIGHTS');
+    }
+    if (terms.minNights > 0) {
+      rules.minNights = terms.minNights;
+      found('MIN_NIGHTS');
+    } else if (rules.freeNights) {
+      rules.minNights = rules.freeNights.stay;
+    }
+    if (terms.maxNights > 0) {
+      rules.maxNights = terms.maxNights;
+      found('MAX_NIGHTS');
+    }
+    if (Array.isArray(terms.validDays) && terms.validDays.length > 0) {
+      rules.validDays = terms.validDays
+        .map(day => (typeof day === 'number' ? day : DealRuleEngine.dayIndex(String(day))))
+        .filter(day => day >= 0 && day <= 6)
+        .sort((a, b) => a - b);
+      found('VALID_DAYS');
+    }
+    if (terms.bookBy) {
+      rules.bookBy = terms.bookBy;
+      found('BOOK_BY');
+    }
+    if (terms.travelFrom || terms.travelTo) {
+      rules.travelWindow = { from: terms.travelFrom || null, to: terms.travelTo || null };
+      found('TRAVEL_WINDOW');
+    }
+    if (typeof terms.combinable === 'boolean') {
+      rules.stacking.combinable = terms.combinable;
+      found(terms.combinable ? 'COMBINABLE' : 'NOT_COMBINABLE');
+    }
+    if (Array.isArray(terms.exclusions)) {
+      rules.stacking.exclusions = [...terms.exclusions];
+    }
+    if (terms.code) {
+      rules.code = terms.code;
+      found('CODE');
+    }
+
+    if (rules.terms.length > 0) rules.sources.push('STRUCTURED');
+    return rules;
+  }
+
+  /**
+   * Rules for an offer from its promo text and/or structured terms.
+   * Structured terms win where both say something.
+   */
+  buildRules({ text, terms } = {}, options = {}) {
+    const parsed = this.parseTerms(text, options);
+    return terms ? this.mergeRules(parsed, this.fromStructured(terms)) : parsed;
+  }
+
+  /**
+   * Merge rules parsed from text with rules from structured terms;
+   * structured values win where both say something
+   */
+  mergeRules(parsed, structured) {
+    const merged = { ...parsed };
+    Object.keys(structured).forEach(key => {
+      if (['terms', 'sources', 'stacking'].includes(key)) return;
+      if (structured[key] !== null) merged[key] = structured[key];
+    });
+
+    merged.stacking = {
+      combinable: structured.stacking.combinable ?? parsed.stacking.combinable,
+      exclusions: [...new Set([...parsed.stacking.exclusions, ...structured.stacking.exclusions])]
+    };
+    merged.terms = [...new Set([...parsed.terms, ...structured.terms])];
+    merged.sources = [...parsed.sources, ...structured.sources];
+    return merged;
+  }
+
+  /**
+   * Validate a stay to price
+   * @returns {string[]} Validation errors
+   */
+  validateStay({ checkInDate, checkOutDate, nightlyRate, nightlyRates } = {}) {
+    const errors = [];
+    const checkIn = toDate(checkInDate);
+    const checkOut = toDate(checkOutDate);
+
+    if (!checkInDate || isNaN(checkIn.getTime())) errors.push('checkInDate must be a YYYY-MM-DD date');
+    if (!checkOutDate || isNaN(checkOut.getTime())) errors.push('checkOutDate must be a YYYY-MM-DD date');
+    if (errors.length === 0 && checkOut <= checkIn) errors.push('checkOutDate must be after checkInDate');
+
+    if (nightlyRates !== undefined) {
+      const nights = errors.length === 0 ? Math.round((checkOut - checkIn) / (1000 * 60 * 60 * 24)) : null;
+      if (!Array.isArray(nightlyRates) || nightlyRates.some(rate => !(rate > 0))) {
+        errors.push('nightlyRates must be an array of positive numbers');
+      } else if (nights !== null && nightlyRates.length !== nights) {
+        errors.push(`nightlyRates must have one rate per night (${nights})`);
+      }
+    } else if (!(nightlyRate > 0)) {
+      errors.push('nightlyRate must be a positive number');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Price a stay under a deal's rules
+   * @param {Object|null} rules - From parseTerms/fromStructured/buildRules (null: no deal)
+   * @param {Object} stay
+   * @param {string} stay.checkInDate - YYYY-MM-DD
+   * @param {string} stay.checkOutDate - YYYY-MM-DD
+   * @param {number} stay.nightlyRate - Regular rate for every night, or
+   * @param {number[]} stay.nightlyRates - Regular rate per night
+   * @param {string} stay.bookingDate - YYYY-MM-DD (default: today)
+   * @returns {Object} { eligible, reasons, nights, baseTotal, total, savings, discountedNights, freeNights, upTo, nightly }
+   *   (upTo: the discount is "up to" its value, so total and savings are a best case)
+   */
+  evaluate(rules, { checkInDate, checkOutDate, nightlyRate, nightlyRates, bookingDate } = {}) {
+    const checkIn = toDate(checkInDate);
+    const nightCount = Math.round((toDate(checkOutDate) - checkIn) / (1000 * 60 * 60 * 24));
+    const travelFrom = rules?.travelWindow?.from;
+    const travelTo = rules?.travelWindow?.to;
+
+    const nightly = Array.from({ length: nightCount }, (_, index) => {
+      const date = new Date(checkIn.getTime() + index * 24 * 60 * 60 * 1000);
+      const dateString = formatDate(date);
+      const rate = nightlyRates ? nightlyRates[index] : nightlyRate;
+      const qualifies = Boolean(rules) &&
+        (!rules.validDays || rules.validDays.includes(date.getUTCDay())) &&
+        (!travelFrom || dateString >= travelFrom) &&
+        (!travelTo || dateString <= travelTo);
+
+      return { date: dateString, day: DAY_NAMES[date.getUTCDay()], rate, price: rate, qualifies, free: false };
+    });
+
+    const baseTotal = nightly.reduce((sum, night) => sum + night.rate, 0);
+    const result = {
+      eligible: false,
+      reasons: [],
+      nights: nightCount,
+      baseTotal: round(baseTotal),
+      total: round(baseTotal),
+      savings: 0,
+      discountedNights: 0,
+      freeNights: 0,
+      upTo: Boolean(rules?.discount?.upTo),
+      nightly
+    };
+
+    if (!rules || (!rules.discount && !rules.freeNights)) {
+      result.reasons.push('No discount terms');
+      return result;
+    }
+
+    const booked = bookingDate || formatDate(new Date());
+    const qualifying = nightly.filter(night => night.qualifies);
+
+    if (rules.minNights && nightCount < rules.minNights) result.reasons.push(`Requires a stay of at least ${rules.minNights} nights`);
+    if (rules.maxNights && nightCount > rules.maxNights) result.reasons.push(`Limited to stays of ${rules.maxNights} nights or fewer`);
+    if (rules.bookBy && booked > rules.bookBy) result.reasons.push(`Must be booked by ${rules.bookBy}`);
+    if (qualifying.length === 0) {
+      result.reasons.push('No nights of this stay fall on the valid days or travel dates');
+    } else if (rules.freeNights && !rules.discount && qualifying.length < rules.freeNights.stay) {
+      result.reasons.push(`Needs ${rules.freeNights.stay} qualifying nights for a free night (has ${qualifying.length})`);
+    }
+
+    if (result.reasons.length > 0) return result;
+
+    // Free nights go to the cheapest qualifying nights
+    if (rules.freeNights) {
+      const { stay, pay, repeat } = rules.freeNights;
+      const blocks = repeat ? Math.floor(qualifying.length / stay) : (qualifying.length >= stay ? 1 : 0);
+      [...qualifying]
+        .sort((a, b) => a.rate - b.rate)
+        .slice(0, blocks * (stay - pay))
+        .forEach(night => {
+          night.free = true;
+          night.price = 0;
+        });
+    }
+
+    if (rules.discount && rules.discount.type !== 'AMOUNT_PER_STAY') {
+      qualifying.filter(night => !night.free).forEach(night => {
+        night.price = rules.discount.type === 'PERCENT'
+          ? night.rate * (1 - rules.discount.value / 100)
+          : Math.max(0, night.rate - rules.discount.value);
+      });
+    }
+
+    nightly.forEach(night => {
+      night.price = round(night.price);
+    });
+
+    let total = nightly.reduce((sum, night) => sum + night.price, 0);
+    if (rules.discount?.type === 'AMOUNT_PER_STAY') {
+      total = Math.max(0, total - rules.discount.value);
+    }
+
+    result.eligible = true;
+    result.total = round(total);
+    result.savings = round(baseTotal - total);
+    result.freeNights = nightly.filter(night => night.free).length;
+    result.discountedNights = rules.discount?.type === 'AMOUNT_PER_STAY'
+      ? qualifying.length
+      : nightly.filter(night => night.price < night.rate).length;
+    return result;
+  }
+}
+
+module.exports = DealRuleEngine;
@@ -7,19 +7,26 @@
  * Features:
  * - Tests all standard Amadeus rate codes
  * - Discovers hidden/insider codes
- * - Validates eligibility requirements
+ * - Validates eligibility requirements against the traveler's profile
+ *   (memberships, military/government status, age, employer codes) and
+ *   lists the rates they'd qualify for with a different profile
  * - Calculates actual savings
  * - Ranks codes by value
+ * - Finds the best legal stack of a rate with coupons, gift cards,
+ *   cashback and card offers (see DiscountStackingOptimizer)
  * - Provides usage instructions
  * 
  * Designed for real-money bookings with maximum accuracy.
  */
 
 const AmadeusHotelService = require('./AmadeusHotelService');
+const TravelerProfileService = require('./TravelerProfileService');
+const DiscountStackingOptimizer = require('./DiscountStackingOptimizer');
 
 class DiscountCodeValidator {
-  constructor() {
-    this.amadeusService = new AmadeusHotelService();
+  constructor(options = {}) {
+    this.amadeusService = options.amadeusService || new AmadeusHotelService();
+    this.stackingOptimizer = options.stackingOptimizer || new DiscountStackingOptimizer();
     
     // Comprehensive discount code database
     this.discountCodes = this.loadDiscountCodes();
@@ -30,9 +37,13 @@ class DiscountCodeValidator {
    * 
    * @param {Object} hotel - Hotel data
    * @param {Object} searchParams - Search parameters
+   * @param {Object} travelerProfile - Traveler eligibility profile (see TravelerProfileService);
+   *   restricted rates the profile doesn't cover are moved to `qualifyIf`
+   * @param {Array} extraOffers - Coupons, gift cards, cashback or card offers to
+   *   stack on top of a rate (see DiscountStackingOptimizer)
    * @returns {Object} Validated discount codes with savings
    */
-  async discoverDiscounts(hotel, searchParams) {
+  async discoverDiscounts(hotel, searchParams, travelerProfile = {}, extraOffers = []) {
     const { checkInDate, checkOutDate, adults = 2, rooms = 1 } = searchParams;
     
     // Get baseline price (no discount)
@@ -42,20 +53,26 @@ class DiscountCodeValidator {
       return {
         success: false,
         error: 'No baseline price available',
-        availableDiscounts: []
+        availableDiscounts: [],
+        qualifyIf: []
       };
     }
     
-    // Test all discount codes
-    const testResults = await this.testAllCodes(hotel, searchParams, baselinePrice);
+    const profile = TravelerProfileService.normalizeProfile(travelerProfile);
+    
+    // Test all discount codes, plus the traveler's employer codes
+    const testResults = await this.testAllCodes(hotel, searchParams, baselinePrice, this.getProfileCodes(profile));
     
     // Filter and rank valid discounts
-    const validDiscounts = testResults
+    const workingDiscounts = testResults
       .filter(result => result.isValid && result.savings > 0)
       .sort((a, b) => b.savingsAmount - a.savingsAmount);
     
-    // Identify stackable discounts
-    const stackableDiscounts = this.identifyStackableDiscounts(validDiscounts);
+    // Keep only rates this traveler can claim
+    const { eligible: validDiscounts, qualifyIf } = this.applyTravelerProfile(workingDiscounts, profile);
+    
+    // Best legal combination of a rate and the traveler's other offers
+    const stacking = this.identifyStackableDiscounts(validDiscounts, baselinePrice, extraOffers);
     
     // Get best discount
     const bestDiscount = validDiscounts.length > 0 ? validDiscounts[0] : null;
@@ -65,23 +82,142 @@ class DiscountCodeValidator {
       baselinePrice,
       availableDiscounts: validDiscounts,
       bestDiscount,
-      stackableDiscounts,
+      stacking,
       totalCodesTest: testResults.length,
       validCodesFound: validDiscounts.length,
       maxSavings: bestDiscount ? bestDiscount.savingsAmount : 0,
-      maxSavingsPercent: bestDiscount ? bestDiscount.savings : 0
+      maxSavingsPercent: bestDiscount ? bestDiscount.savings : 0,
+      travelerProfile: profile,
+      qualifyIf
     };
   }
 
+  /**
+   * Split working discounts into those the traveler can claim and a
+   * "you'd qualify if..." list for the rest (best savings first)
+   */
+  applyTravelerProfile(discounts, travelerProfile = {}) {
+    const profile = TravelerProfileService.normalizeProfile(travelerProfile);
+    const eligible = [];
+    const qualifyIf = [];
+
+    discounts.forEach(discount => {
+      const check = this.checkRequirements(discount.requires, profile);
+
+      if (check.eligible) {
+        eligible.push(discount);
+      } else {
+        qualifyIf.push({
+          code: discount.code,
+          type: discount.type,
+          description: discount.description,
+          savings: discount.savings,
+          savingsAmount: discount.savingsAmount,
+          discountedPrice: discount.discountedPrice,
+          eligibility: discount.eligibility,
+          requirement: check.requirement,
+          qualifyIf: check.qualifyIf
+        });
+      }
+    });
+
+    return { eligible, qualifyIf };
+  }
+
+  /**
+   * Extra codes to test from the traveler's profile (employer corporate codes)
+   */
+  getProfileCodes(profile) {
+    return profile.corporateCodes.map(({ employer, code }) => ({
+      code,
+      type: 'CORPORATE',
+      description: employer ? `${employer} Corporate Rate` : 'Employer Corporate Rate',
+      eligibility: `Employee of ${employer || 'the company holding this code'}`,
+      requires: { corporateCode: code },
+      confidence: 85
+    }));
+  }
+
+  /**
+   * Check a code's structured requirements against a normalized profile
+   * @returns {Object} { eligible, reason, requirement?, qualifyIf? }
+   */
+  checkRequirements(requires, profile) {
+    if (!requires) {
+      return { eligible: true, reason: 'No restrictions' };
+    }
+
+    if (requires.memberships && !requires.memberships.some(item => profile.memberships.includes(item))) {
+      const labels = requires.memberships.map(TravelerProfileService.getMembershipLabel).join(' or ');
+      return {
+        eligible: false,
+        reason: `${labels} membership required`,
+        requirement: `Valid ${labels} membership`,
+        qualifyIf: `you were a ${labels} member`
+      };
+    }
+
+    if (requires.affiliations && !requires.affiliations.some(item => profile.affiliations.includes(item))) {
+      const labels = requires.affiliations.map(TravelerProfileService.getAffiliationLabel).join(' or ');
+      return {
+        eligible: false,
+        reason: `Must be ${labels}`,
+        requirement: `Proof of status as ${labels}`,
+        qualifyIf: `you were ${labels}`
+      };
+    }
+
+    if (requires.minAge) {
+      const minimumAge = TravelerProfileService.getMinimumAge(profile);
+      if (minimumAge === null || minimumAge < requires.minAge) {
+        return {
+          eligible: false,
+          reason: `Age ${requires.minAge}+ required`,
+          requirement: `Must be ${requires.minAge} years or older`,
+          qualifyIf: `a traveler in your party were ${requires.minAge} or older`
+        };
+      }
+    }
+
+    if (requires.corporateCode) {
+      const codes = profile.corporateCodes.map(entry => entry.code);
+      const hasCode = requires.corporateCode === true ? codes.length > 0 : codes.includes(requires.corporateCode);
+      if (!hasCode) {
+        return {
+          eligible: false,
+          reason: 'Employer corporate code required',
+          requirement: 'Corporate rate code from your employer',
+          qualifyIf: 'your employer had a negotiated corporate rate (add its code to your traveler profile)'
+        };
+      }
+    }
+
+    if (requires.booking) {
+      const bookings = {
+        convention: 'you were booking through a convention or event room block',
+        tour_group: 'you were booking as part of a tour operator group'
+      };
+      return {
+        eligible: false,
+        reason: 'Only available for group bookings',
+        requirement: requires.booking === 'convention' ? 'Convention or event room block' : 'Tour operator group booking',
+        qualifyIf: bookings[requires.booking] || 'you were booking as part of a group'
+      };
+    }
+
+    return { eligible: true, reason: 'All requirements met' };
+  }
+
   /**
    * Test all discount codes
    */
-  async testAllCodes(hotel, searchParams, baselinePrice) {
+  async testAllCodes(hotel, searchParams, baselinePrice, extraCodes = []) {
     const results = [];
+    const testsViaApi = hotel.source === 'amadeus' && hotel.hotelId;
     
     // Test each code category
-    for (const category of Object.keys(this.discountCodes)) {
-      const codes = this.discountCodes[category];
+    for (const category of [...Object.keys(this.discountCodes), 'profile']) {
+      const codes = category === 'profile' ? extraCodes : this.discountCodes[category];
       
       for (const codeData of codes) {
         try {
@@ -92,10 +228,10 @@ class DiscountCodeValidator {
             baselinePrice
           );
           
-          results.push(result);
+          results.push({ ...result, requires: codeData.requires || null });
           
-          // Rate limiting - wait 100ms between requests
-          await this.sleep(100);
+          // Rate limiting - wait 100ms between API requests
+          if (testsViaApi) await this.sleep(100);
         } catch (error) {
           console.warn(`Failed to test code ${codeData.code}:`, error.message);
           results.push({
@@ -212,6 +348,9 @@ class DiscountCodeValidator {
       'MILITARY': 0.25,         // 25%
       'GOVERNMENT': 0.20,       // 20%
       'AAA': 0.12,              // 12%
+      'AARP': 0.10,             // 10%
+      'MEMBERSHIP': 0.10,       // 10%
+      'FIRST_RESPONDER': 0.15,  // 15%
       'SENIOR': 0.15,           // 15%
       'TRAVEL_INDUSTRY': 0.25,  // 25%
       'PACKAGE': 0.18,          // 18%
@@ -227,35 +366,40 @@ class DiscountCodeValidator {
   }
 
   /**
-   * Identify stackable discounts
+   * Find the best legal stack of one rate code and any extra offers.
+   * Rate codes never combine with each other (one rate per booking).
+   * @returns {Object} DiscountStackingOptimizer result
    */
-  identifyStackableDiscounts(validDiscounts) {
-    // Some discount codes can be stacked
-    // This is hotel-specific, but we can identify potential combinations
-    
-    const stackable = [];
-    
-    // Example: AAA + Senior might stack
-    const aaaDiscount = validDiscounts.find(d => d.code === 'AAA');
-    const seniorDiscount = validDiscounts.find(d => d.code === 'SRS');
-    
-    if (aaaDiscount && seniorDiscount) {
-      stackable.push([aaaDiscount, seniorDiscount]);
-    }
-    
-    // Corporate + Package might stack
-    const corpDiscount = validDiscounts.find(d => d.code === 'COR');
-    const pkgDiscount = validDiscounts.find(d => d.code === 'PKG');
-    
-    if (corpDiscount && pkgDiscount) {
-      stackable.push([corpDiscount, pkgDiscount]);
-    }
-    
-    return stackable.flat();
+  identifyStackableDiscounts(validDiscounts, baselinePrice, extraOffers = []) {
+    return this.stackingOptimizer.optimize(parseFloat(baselinePrice), [
+      ...this.buildStackingOffers(validDiscounts),
+      ...extraOffers
+    ]);
+  }
+
+  /**
+   * Shape working rate codes as stacking offers
+   */
+  buildStackingOffers(validDiscounts) {
+    return validDiscounts.map(discount => ({
+      id: `rate-${discount.code}`,
+      label: discount.description,
+      category: 'RATE',
+      price: discount.discountedPrice,
+      code: discount.code,
+      // Costco rates are only bookable through Costco Travel
+      channel: discount.code === 'CTV' ? 'Costco Travel' : 'hotel direct',
+      tags: [discount.type],
+      // Package rates already bundle their discount and take no promo codes
+      excludes: discount.type === 'PACKAGE' ? ['COUPON'] : [],
+      eligibility: discount.eligibility || null
+    }));
   }
 
   /**
    * Validate eligibility for a discount code
+   * @param {string} code - Discount code
+   * @param {Object} userProfile - Traveler profile (see TravelerProfileService)
    */
   validateEligibility(code, userProfile = {}) {
     const codeInfo = this.findCodeInfo(code);
@@ -267,59 +411,8 @@ class DiscountCodeValidator {
       };
     }
     
-    // Check eligibility requirements
-    if (!codeInfo.eligibility) {
-      return {
-        eligible: true,
-        reason: 'No restrictions'
-      };
-    }
-    
-    // Check specific requirements
-    if (codeInfo.eligibility.includes('Military') && !userProfile.isMilitary) {
-      return {
-        eligible: false,
-        reason: 'Military ID required',
-        requirement: 'Valid military ID or veteran status'
-      };
-    }
-    
-    if (codeInfo.eligibility.includes('Government') && !userProfile.isGovernment) {
-      return {
-        eligible: false,
-        reason: 'Government employee ID required',
-        requirement: 'Valid government employee credentials'
-      };
-    }
-    
-    if (codeInfo.eligibility.includes('AAA') && !userProfile.hasAAA) {
-      return {
-        eligible: false,
-        reason: 'AAA membership required',
-        requirement: 'Valid AAA/CAA membership'
-      };
-    }
-    
-    if (codeInfo.eligibility.includes('Senior') && !userProfile.isSenior) {
-      return {
-        eligible: false,
-        reason: 'Age 55+ required',
-        requirement: 'Must be 55 years or older'
-      };
-    }
-    
-    if (codeInfo.eligibility.includes('Travel Industry') && !userProfile.isTravelAgent) {
-      return {
-        eligible: false,
-        reason: 'Travel industry credentials required',
-        requirement: 'Valid travel agent ID or industry credentials'
-      };
-    }
-    
-    return {
-      eligible: true,
-      reason: 'All requirements met'
-    };
+    const { qualifyIf, ...result } = this.checkRequirements(codeInfo.requires, TravelerProfileService.normalizeProfile(userProfile));
+    return result;
   }
 
   /**
@@ -422,28 +515,55 @@ class DiscountCodeValidator {
    * Get verification documents required
    */
   getVerificationDocuments(codeInfo) {
-    if (!codeInfo.eligibility) return [];
+    const requires = codeInfo.requires;
+    if (!requires) return [];
     
     const docs = [];
+    const memberships = requires.memberships || [];
+    const affiliations = requires.affiliations || [];
     
-    if (codeInfo.eligibility.includes('Military')) {
+    if (affiliations.includes('military') || affiliations.includes('veteran')) {
       docs.push('Military ID', 'VA Card', 'DD Form 214');
     }
     
-    if (codeInfo.eligibility.includes('Government')) {
+    if (affiliations.includes('government')) {
       docs.push('Government Employee ID', 'Federal Badge');
     }
     
-    if (codeInfo.eligibility.includes('AAA')) {
+    if (affiliations.includes('first_responder')) {
+      docs.push('Department ID', 'First Responder Credentials');
+    }
+    
+    if (affiliations.includes('travel_industry')) {
+      docs.push('IATA Card', 'Travel Agent ID', 'Industry Credentials');
+    }
+    
+    if (memberships.includes('aaa')) {
       docs.push('AAA Membership Card', 'CAA Membership Card');
     }
     
-    if (codeInfo.eligibility.includes('Senior')) {
+    if (memberships.includes('aarp')) {
+      docs.push('AARP Membership Card');
+    }
+    
+    if (memberships.includes('costco')) {
+      docs.push('Costco Membership Card');
+    }
+    
+    if (memberships.includes('travelsavers')) {
+      docs.push('TravelSavers Agency Credentials');
+    }
+    
+    if (requires.minAge) {
       docs.push('Driver\'s License', 'Passport', 'Government ID showing age');
     }
     
-    if (codeInfo.eligibility.includes('Travel Industry')) {
-      docs.push('IATA Card', 'Travel Agent ID', 'Industry Credentials');
+    if (requires.corporateCode) {
+      docs.push('Company ID', 'Business Card');
+    }
+    
+    if (requires.booking) {
+      docs.push('Group or Event Booking Confirmation');
     }
     
     return docs;
@@ -467,48 +587,51 @@ class DiscountCodeValidator {
     return {
       // Standard Amadeus Rate Codes
       standard: [
-        { code: 'PRO', type: 'PROMOTIONAL', description: 'Promotional Rate', eligibility: null, confidence: 90 },
-        { code: 'COR', type: 'CORPORATE', description: 'Corporate Rate', eligibility: 'Corporate account or business travel', confidence: 85 },
-        { code: 'GOV', type: 'GOVERNMENT', description: 'Government Rate', eligibility: 'Government employee ID required', confidence: 85 },
-        { code: 'MIL', type: 'MILITARY', description: 'Military Rate', eligibility: 'Military ID or veteran status required', confidence: 90 },
-        { code: 'PKG', type: 'PACKAGE', description: 'Package Rate', eligibility: null, confidence: 80 },
-        { code: 'CON', type: 'CONVENTION', description: 'Convention Rate', eligibility: 'Convention attendee', confidence: 75 },
-        { code: 'FAM', type: 'FAMILY', description: 'Family Rate', eligibility: null, confidence: 80 }
+        { code: 'PRO', type: 'PROMOTIONAL', description: 'Promotional Rate', eligibility: null, requires: null, confidence: 90 },
+        { code: 'COR', type: 'CORPORATE', description: 'Corporate Rate', eligibility: 'Corporate account or business travel', requires: { corporateCode: true }, confidence: 85 },
+        { code: 'GOV', type: 'GOVERNMENT', description: 'Government Rate', eligibility: 'Government employee ID required', requires: { affiliations: ['government'] }, confidence: 85 },
+        { code: 'MIL', type: 'MILITARY', description: 'Military Rate', eligibility: 'Military ID or veteran status required', requires: { affiliations: ['military', 'veteran'] }, confidence: 90 },
+        { code: 'PKG', type: 'PACKAGE', description: 'Package Rate', eligibility: null, requires: null, confidence: 80 },
+        { code: 'CON', type: 'CONVENTION', description: 'Convention Rate', eligibility: 'Convention attendee', requires: { booking: 'convention' }, confidence: 75 },
+        { code: 'FAM', type: 'FAMILY', description: 'Family Rate', eligibility: null, requires: null, confidence: 80 }
       ],
       
       // Common Discount Codes
       common: [
-        { code: 'AAA', type: 'AAA', description: 'AAA/CAA Member Rate', eligibility: 'Valid AAA or CAA membership', confidence: 95 },
-        { code: 'SRS', type: 'SENIOR', description: 'Senior Citizen Rate', eligibility: 'Age 55+ or 60+ depending on hotel', confidence: 90 },
-        { code: 'TVL', type: 'TRAVEL_INDUSTRY', description: 'Travel Industry Rate', eligibility: 'Valid travel agent ID or IATA card', confidence: 85 },
-        { code: 'WKD', type: 'WEEKEND', description: 'Weekend Rate', eligibility: null, confidence: 85 },
-        { code: 'DAY', type: 'DAY_ROOM', description: 'Day Room Rate', eligibility: null, confidence: 70 }
+        { code: 'AAA', type: 'AAA', description: 'AAA/CAA Member Rate', eligibility: 'Valid AAA or CAA membership', requires: { memberships: ['aaa'] }, confidence: 95 },
+        { code: 'SRS', type: 'SENIOR', description: 'Senior Citizen Rate', eligibility: 'Age 55+ or 60+ depending on hotel', requires: { minAge: 55 }, confidence: 90 },
+        { code: 'TVL', type: 'TRAVEL_INDUSTRY', description: 'Travel Industry Rate', eligibility: 'Valid travel agent ID or IATA card', requires: { affiliations: ['travel_industry'] }, confidence: 85 },
+        { code: 'WKD', type: 'WEEKEND', description: 'Weekend Rate', eligibility: null, requires: null, confidence: 85 },
+        { code: 'DAY', type: 'DAY_ROOM', description: 'Day Room Rate', eligibility: null, requires: null, confidence: 70 },
+        { code: 'ARP', type: 'AARP', description: 'AARP Member Rate', eligibility: 'Valid AARP membership', requires: { memberships: ['aarp'] }, confidence: 85 },
+        { code: 'CTV', type: 'MEMBERSHIP', description: 'Costco Travel Member Rate', eligibility: 'Costco membership, booked through Costco Travel', requires: { memberships: ['costco'] }, confidence: 75 },
+        { code: 'FRS', type: 'FIRST_RESPONDER', description: 'First Responder Rate', eligibility: 'Police, fire, EMS or healthcare first responder ID', requires: { affiliations: ['first_responder'] }, confidence: 75 }
       ],
       
       // Travel Agent Codes
       travelAgent: [
-        { code: 'WTT', type: 'TRAVEL_INDUSTRY', description: 'Travel Agent Rate', eligibility: 'Valid travel agent credentials', confidence: 80 },
-        { code: 'RNE', type: 'NEGOTIATED', description: 'Negotiated Rate', eligibility: 'Pre-negotiated corporate or agency rate', confidence: 75 },
-        { code: 'TSA', type: 'TRAVEL_INDUSTRY', description: 'TravelSavers Rate', eligibility: 'TravelSavers member', confidence: 70 },
-        { code: 'TS8', type: 'TRAVEL_INDUSTRY', description: 'TravelSavers Deals', eligibility: 'TravelSavers member', confidence: 70 }
+        { code: 'WTT', type: 'TRAVEL_INDUSTRY', description: 'Travel Agent Rate', eligibility: 'Valid travel agent credentials', requires: { affiliations: ['travel_industry'] }, confidence: 80 },
+        { code: 'RNE', type: 'NEGOTIATED', description: 'Negotiated Rate', eligibility: 'Pre-negotiated corporate or agency rate', requires: { corporateCode: true }, confidence: 75 },
+        { code: 'TSA', type: 'TRAVEL_INDUSTRY', description: 'TravelSavers Rate', eligibility: 'TravelSavers member', requires: { memberships: ['travelsavers'] }, confidence: 70 },
+        { code: 'TS8', type: 'TRAVEL_INDUSTRY', description: 'TravelSavers Deals', eligibility: 'TravelSavers member', requires: { memberships: ['travelsavers'] }, confidence: 70 }
       ],
       
       // Insider/Hidden Codes
       insider: [
-        { code: 'Z01', type: 'INSIDER', description: 'Amadeus Training Rate 1', eligibility: 'Amadeus agents only', confidence: 50 },
-        { code: 'Z02', type: 'INSIDER', description: 'Amadeus Training Rate 2', eligibility: 'Amadeus agents only', confidence: 50 },
-        { code: 'Z03', type: 'INSIDER', description: 'Amadeus Training Rate 3', eligibility: 'Amadeus agents only', confidence: 50 },
-        { code: 'Z04', type: 'INSIDER', description: 'Amadeus Training Rate 4', eligibility: 'Amadeus agents only', confidence: 50 },
-        { code: 'Z05', type: 'INSIDER', description: 'Amadeus Training Rate 5', eligibility: 'Amadeus agents only', confidence: 50 },
-        { code: 'Z06', type: 'INSIDER', description: 'Amadeus Training Rate 6', eligibility: 'Amadeus agents only', confidence: 50 },
-        { code: 'IPAHD', type: 'INSIDER', description: 'IPA Hot Deals', eligibility: 'Industry partners', confidence: 60 },
-        { code: 'IPAHE', type: 'INSIDER', description: 'IPA Special Rate', eligibility: 'Industry partners', confidence: 60 }
+        { code: 'Z01', type: 'INSIDER', description: 'Amadeus Training Rate 1', eligibility: 'Amadeus agents only', requires: { affiliations: ['travel_industry'] }, confidence: 50 },
+        { code: 'Z02', type: 'INSIDER', description: 'Amadeus Training Rate 2', eligibility: 'Amadeus agents only', requires: { affiliations: ['travel_industry'] }, confidence: 50 },
+        { code: 'Z03', type: 'INSIDER', description: 'Amadeus Training Rate 3', eligibility: 'Amadeus agents only', requires: { affiliations: ['travel_industry'] }, confidence: 50 },
+        { code: 'Z04', type: 'INSIDER', description: 'Amadeus Training Rate 4', eligibility: 'Amadeus agents only', requires: { affiliations: ['travel_industry'] }, confidence: 50 },
+        { code: 'Z05', type: 'INSIDER', description: 'Amadeus Training Rate 5', eligibility: 'Amadeus agents only', requires: { affiliations: ['travel_industry'] }, confidence: 50 },
+        { code: 'Z06', type: 'INSIDER', description: 'Amadeus Training Rate 6', eligibility: 'Amadeus agents only', requires: { affiliations: ['travel_industry'] }, confidence: 50 },
+        { code: 'IPAHD', type: 'INSIDER', description: 'IPA Hot Deals', eligibility: 'Industry partners', requires: { affiliations: ['travel_industry'] }, confidence: 60 },
+        { code: 'IPAHE', type: 'INSIDER', description: 'IPA Special Rate', eligibility: 'Industry partners', requires: { affiliations: ['travel_industry'] }, confidence: 60 }
       ],
       
       // Tour Operator Codes
       tour: [
-        { code: 'TUR', type: 'TOUR', description: 'Tour Operator Rate', eligibility: 'Tour group booking', confidence: 70 },
-        { code: 'STP', type: 'TOUR', description: 'Stopover Rate', eligibility: null, confidence: 75 }
+        { code: 'TUR', type: 'TOUR', description: 'Tour Operator Rate', eligibility: 'Tour group booking', requires: { booking: 'tour_group' }, confidence: 70 },
+        { code: 'STP', type: 'TOUR', description: 'Stopover Rate', eligibility: null, requires: null, confidence: 75 }
       ]
     };
   }
@@ -0,0 +1,279 @@
+/**
+ * Discount Stacking Optimizer
+ *
+ * Finds the cheapest legal combination of rates, codes and promos for one
+ * booking (hotel stay or car rental) and the step-by-step path to book it.
+ *
+ * Offer:
+ * {
+ *   id, label,
+ *   category: 'RATE' | 'COUPON' | 'GIFT_CARD' | 'CASHBACK' | 'CARD_OFFER',
+ *   price | percent | amount,   // RATE may set the price outright
+ *   maxValue, minSpend,         // Optional cap and spend threshold
+ *   code, channel,              // Where it must be booked, as shown in the booking path
+ *                               // (free text, e.g. 'hotel direct', 'Costco Travel')
+ *   tags: ['AAA'],
+ *   excludes: ['PACKAGE'],      // Offer IDs, categories or tags it can't be used with
+ *   combinable: false,          // Can't be used with any other offer
+ *   stacksWithAnything: true,   // e.g. portal cashback; overrides other offers' exclusions
+ *   eligibility                 // Proof needed, shown in the booking path
+ * }
+ *
+ * Compatibility, in order: one offer per category; stacksWithAnything;
+ * one booking channel; combinable: false; explicit excludes (either way).
+ *
+ * Pricing: RATE, then COUPON, gives the checkout price; discounted gift
+ * cards lower what you pay; cashback and card credits come back later.
+ */
+
+const CATEGORIES = ['RATE', 'COUPON', 'GIFT_CARD', 'CASHBACK', 'CARD_OFFER'];
+const MAX_OFFERS = 20;
+
+const round = amount => Math.round(amount * 100) / 100;
+
+class DiscountStackingOptimizer {
+  /**
+   * Validate candidate offers
+   * @returns {string[]} Validation errors
+   */
+  validateOffers(offers) {
+    const errors = [];
+
+    if (!Array.isArray(offers)) {
+      return ['offers must be an array'];
+    }
+    if (offers.length > MAX_OFFERS) {
+      errors.push(`At most ${MAX_OFFERS} offers can be combined`);
+    }
+
+    const ids = new Set();
+    offers.forEach((offer, index) => {
+      const name = offer?.id ? `Offer ${offer.id}` : `Offer ${index + 1}`;
+
+      if (!offer || !offer.id) {
+        errors.push(`${name}: id is required`);
+      } else if (ids.has(offer.id)) {
+        errors.push(`${name}: duplicate id`);
+      } else {
+        ids.add(offer.id);
+      }
+      if (!offer || !CATEGORIES.includes(offer.category)) {
+        errors.push(`${name}: category must be one of ${CATEGORIES.join(', ')}`);
+        return;
+      }
+
+      const values = ['price', 'percent', 'amount'].filter(key => offer[key] !== undefined && offer[key] !== null);
+      if (values.length !== 1) {
+        errors.push(`${name}: set exactly one of price, percent or amount`);
+      } else if (values[0] === 'price' && offer.category !== 'RATE') {
+        errors.push(`${name}: only RATE offers can set a price`);
+      } else if (!(offer[values[0]] >= 0) || (values[0] === 'percent' && offer.percent > 100)) {
+        errors.push(`${name}: ${values[0]} must be a non-negative number${values[0] === 'percent' ? ' up to 100' : ''}`);
+      }
+      if (offer.excludes !== undefined && !Array.isArray(offer.excludes)) {
+        errors.push(`${name}: excludes must be an array`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Why two offers can't be used together, or null if they can
+   */
+  conflictReason(a, b) {
+    if (a.category === b.category) {
+      return `Only one ${a.category.toLowerCase().replace('_', ' ')} per booking`;
+    }
+    if (a.stacksWithAnything || b.stacksWithAnything) return null;
+
+    if (a.channel && b.channel && a.channel !== b.channel) {
+      return `${a.label} is booked through ${a.channel}, ${b.label} through ${b.channel}`;
+    }
+
+    const closed = [a, b].find(offer => offer.combinable === false);
+    if (closed) return `${closed.label} can't be combined with other offers`;
+
+    const matches = (offer, other) => (offer.excludes || []).some(rule => {
+      const key = String(rule).toUpperCase();
+      return key === String(other.id).toUpperCase() ||
+        key === other.category ||
+        (other.tags || []).some(tag => String(tag).toUpperCase() === key);
+    });
+    if (matches(a, b)) return `${a.label} excludes ${b.label}`;
+    if (matches(b, a)) return `${b.label} excludes ${a.label}`;
+
+    return null;
+  }
+
+  /**
+   * Value of a percent/amount offer on a price, after its spend threshold and cap
+   */
+  offerValue(offer, price) {
+    if (offer.minSpend && price < offer.minSpend) return 0;
+    const value = offer.percent !== undefined && offer.percent !== null ? price * (offer.percent / 100) : offer.amount;
+    return Math.min(value, offer.maxValue ?? Infinity, price);
+  }
+
+  /**
+   * Price a set of compatible offers
+   * @returns {Object} { checkoutPrice, outOfPocket, rebates, effectiveCost, savings, values }
+   */
+  priceCombination(basePrice, offers) {
+    const byCategory = category => offers.find(offer => offer.category === category);
+    const values = {};
+
+    let price = basePrice;
+    const rate = byCategory('RATE');
+    if (rate) {
+      const ratePrice = rate.price !== undefined && rate.price !== null ? Math.min(rate.price, basePrice) : basePrice - this.offerValue(rate, basePrice);
+      values[rate.id] = basePrice - ratePrice;
+      price = ratePrice;
+    }
+
+    const coupon = byCategory('COUPON');
+    if (coupon) {
+      values[coupon.id] = this.offerValue(coupon, price);
+      price -= values[coupon.id];
+    }
+    const checkoutPrice = price;
+
+    const giftCard = byCategory('GIFT_CARD');
+    let outOfPocket = checkoutPrice;
+    if (giftCard) {
+      values[giftCard.id] = this.offerValue(giftCard, checkoutPrice);
+      outOfPocket -= values[giftCard.id];
+    }
+
+    let rebates = 0;
+    ['CASHBACK', 'CARD_OFFER'].forEach(category => {
+      const offer = byCategory(category);
+      if (!offer) return;
+      values[offer.id] = this.offerValue(offer, checkoutPrice);
+      rebates += values[offer.id];
+    });
+
+    const effectiveCost = outOfPocket - rebates;
+    Object.keys(values).forEach(id => {
+      values[id] = round(values[id]);
+    });
+
+    return {
+      checkoutPrice: round(checkoutPrice),
+      outOfPocket: round(outOfPocket),
+      rebates: round(rebates),
+      effectiveCost: round(effectiveCost),
+      savings: round(basePrice - effectiveCost),
+      values
+    };
+  }
+
+  /**
+   * Step-by-step booking path for a combination: set up rebates first,
+   * then book, then pay, then claim
+   */
+  buildBookingPath(offers, pricing) {
+    const steps = [];
+    const add = (phase, action, offer) => steps.push({
+      step: steps.length + 1,
+      phase,
+      action,
+      offerId: offer ? offer.id : null,
+      value: offer ? pricing.values[offer.id] : null
+    });
+    const byCategory = category => offers.find(offer => offer.category === category);
+
+    const giftCard = byCategory('GIFT_CARD');
+    const cashback = byCategory('CASHBACK');
+    const cardOffer = byCategory('CARD_OFFER');
+    const rate = byCategory('RATE');
+    const coupon = byCategory('COUPON');
+
+    if (giftCard) add('PREPARE', `Buy $${pricing.checkoutPrice} in ${giftCard.label} gift cards`, giftCard);
+    if (cardOffer) add('PREPARE', `Activate ${cardOffer.label} on the card you'll pay with`, cardOffer);
+    if (cashback) add('PREPARE', `Start from ${cashback.label} and click through so the booking tracks`, cashback);
+
+    const channel = offers.find(offer => offer.channel)?.channel;
+    if (rate) {
+      add('BOOK', `Book the ${rate.label}${rate.code ? ` (rate code ${rate.code})` : ''}${channel ? ` through ${channel}` : ''}`, rate);
+    } else {
+      add('BOOK', `Book the regular rate${channel ? ` through ${channel}` : ''}`, null);
+    }
+    if (coupon) add('BOOK', `Enter ${coupon.code ? `code ${coupon.code}` : coupon.label} at checkout`, coupon);
+
+    add('PAY', giftCard
+      ? `Pay $${pricing.checkoutPrice} with the gift cards ($${pricing.outOfPocket} out of pocket)`
+      : `Pay $${pricing.checkoutPrice}${cardOffer ? ` with the card carrying ${cardOffer.label}` : ''}`, null);
+
+    offers.filter(offer => offer.eligibility).forEach(offer => {
+      add('VERIFY', `Bring proof for ${offer.label}: ${offer.eligibility}`, offer);
+    });
+    [cashback, cardOffer].filter(Boolean).forEach(offer => {
+      add('CLAIM', `Confirm the ${offer.label} credit posts after the stay or rental`, offer);
+    });
+
+    return steps;
+  }
+
+  /**
+   * Find the best legal combination of offers
+   * @param {number} basePrice - Price with no offers
+   * @param {Array} offers - Candidate offers (see validateOffers)
+   * @param {Object} options
+   * @param {number} options.alternatives - Runner-up combinations to return (default: 3)
+   * @returns {Object} { basePrice, best, alternatives, unused, combinationsChecked }
+   */
+  optimize(basePrice, offers, { alternatives = 3 } = {}) {
+    const candidates = offers.map(offer => ({ label: offer.id, tags: [], excludes: [], ...offer }));
+    const combinations = [];
+
+    const search = (index, chosen) => {
+      if (index === candidates.length) {
+        combinations.push(chosen);
+        return;
+      }
+      search(index + 1, chosen);
+
+      const offer = candidates[index];
+      if (chosen.every(other => this.conflictReason(other, offer) === null)) {
+        search(index + 1, [...chosen, offer]);
+      }
+    };
+    search(0, []);
+
+    const evaluated = combinations
+      .map(chosen => ({ offers: chosen, pricing: this.priceCombination(basePrice, chosen) }))
+      // Offers that add nothing only add steps
+      .filter(({ offers: chosen, pricing }) => chosen.every(offer => pricing.values[offer.id] > 0))
+      .sort((a, b) => a.pricing.effectiveCost - b.pricing.effectiveCost || a.offers.length - b.offers.length);
+
+    const describe = ({ offers: chosen, pricing }) => ({
+      offers: chosen.map(offer => ({ id: offer.id, label: offer.label, category: offer.category, code: offer.code || null, value: pricing.values[offer.id] })),
+      checkoutPrice: pricing.checkoutPrice,
+      outOfPocket: pricing.outOfPocket,
+      rebates: pricing.rebates,
+      effectiveCost: pricing.effectiveCost,
+      savings: pricing.savings,
+      savingsPercent: basePrice > 0 ? Math.round((pricing.savings / basePrice) * 1000) / 10 : 0,
+      bookingPath: this.buildBookingPath(chosen, pricing)
+    });
+
+    const [best, ...rest] = evaluated;
+    const unused = candidates
+      .filter(offer => !best.offers.includes(offer))
+      .map(offer => {
+        const conflict = best.offers.map(chosen => this.conflictReason(chosen, offer)).find(Boolean);
+        return { id: offer.id, label: offer.label, reason: conflict || 'Adds no savings to this booking' };
+      });
+
+    return {
+      basePrice: round(basePrice),
+      best: describe(best),
+      alternatives: rest.slice(0, alternatives).map(describe),
+      unused,
+      combinationsChecked: combinations.length
+    };
+  }
+}
+
+module.exports = DiscountStackingOptimizer;
@@ -9,22 +9,42 @@
  * by accessing both consumer and professional travel channels simultaneously.
  * 
  * Key Features:
- * - Deduplication of hotels across sources
- * - Price comparison and best rate selection
+ * - Deduplication of hotels across sources (HotelIdentityResolver)
+ * - Price comparison and best rate selection on all-in stay cost
+ *   (StayCostNormalizer: taxes, resort fees, parking)
  * - Confidence scoring based on multiple data points
  * - Exclusive rate identification
  * - Savings calculation across sources
+ * - Flexible-date grid search across a check-in window
  */
 
 const SerpApiService = require('./SerpApiService');
 const AmadeusHotelService = require('./AmadeusHotelService');
 const PriceErrorDetector = require('./PriceErrorDetector');
+const PriceHistoryStore = require('./PriceHistoryStore');
+const HotelIdentityResolver = require('./HotelIdentityResolver');
+const StayCostNormalizer = require('./StayCostNormalizer');
+
+// Upper bounds for flexible-date search options (all whole numbers from 1)
+const FLEX_LIMITS = {
+  concurrency: 5,
+  maxStays: 60,
+  top: 60
+};
 
 class DualSourceHotelAggregator {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {HotelIdentityResolver} options.identityResolver - Cross-source hotel matching (default: shared registry)
+   * @param {StayCostNormalizer} options.stayCostNormalizer - All-in stay cost breakdowns
+   */
+  constructor(options = {}) {
     this.serpApi = new SerpApiService();
     this.amadeusApi = new AmadeusHotelService();
-    this.priceErrorDetector = new PriceErrorDetector();
+    this.priceHistoryStore = PriceHistoryStore.getInstance();
+    this.priceErrorDetector = new PriceErrorDetector(this.priceHistoryStore);
+    this.identityResolver = options.identityResolver || HotelIdentityResolver.getInstance();
+    this.stayCostNormalizer = options.stayCostNormalizer || new StayCostNormalizer();
   }
 
   /**
@@ -52,6 +72,11 @@ class DualSourceHotelAggregator {
 
     console.log(`Found ${serpHotels.length} hotels from SerpAPI, ${amadeusHotels.length} from Amadeus`);
 
+    // Price every offer as an all-in stay before comparing sources
+    [...serpHotels, ...amadeusHotels].forEach(hotel => {
+      hotel.stayCost = this.stayCostNormalizer.normalize(hotel, { checkInDate, checkOutDate });
+    });
+
     // Merge and deduplicate
     const mergedHotels = this.mergeHotels(serpHotels, amadeusHotels);
 
@@ -59,6 +84,9 @@ class DualSourceHotelAggregator {
     const errorAnalysis = this.priceErrorDetector.batchAnalyze(mergedHotels);
     const hotelsWithErrors = mergedHotels; // Use all hotels, error info is in errorAnalysis
 
+    // Persist observed prices after analysis so they don't skew their own comparison
+    this.recordObservedPrices(mergedHotels);
+
     // Rank hotels by savings potential
     const rankedHotels = this.rankHotelsBySavings(hotelsWithErrors);
 
@@ -102,7 +130,7 @@ class DualSourceHotelAggregator {
         reviews: hotel.reviews,
         amenities: hotel.amenities,
         location: {
-          address: hotel.link,
+          address: hotel.address || null,
           gpsCoordinates: hotel.gps_coordinates
         },
         images: hotel.images,
@@ -148,73 +176,126 @@ class DualSourceHotelAggregator {
   }
 
   /**
-   * Merge hotels from both sources and deduplicate
+   * Merge hotels from both sources. HotelIdentityResolver decides which
+   * results are the same property; a property listed more than once by
+   * one source keeps its cheapest rate. Prices are compared on the all-in
+   * stay cost when the offers were normalized.
    */
   mergeHotels(serpHotels, amadeusHotels) {
-    const hotelMap = new Map();
+    const groups = new Map();
+    const addToGroup = (hotel, source) => {
+      const resolution = this.identityResolver.resolve(hotel);
+      if (!groups.has(resolution.canonicalId)) {
+        groups.set(resolution.canonicalId, { canonical: resolution.hotel, resolutions: [] });
+      }
 
-    // Add SerpAPI hotels
-    serpHotels.forEach(hotel => {
-      const key = this.generateHotelKey(hotel.hotelName, hotel.location);
-      hotelMap.set(key, {
-        ...hotel,
-        sources: ['serpapi'],
-        serpApiData: hotel,
-        amadeusData: null
-      });
-    });
+      const group = groups.get(resolution.canonicalId);
+      group.resolutions.push({ source, sourceId: resolution.sourceId, matchedBy: resolution.matchedBy, score: resolution.score });
+      if (!group[source] || this.getComparableTotal(hotel) < this.getComparableTotal(group[source])) {
+        group[source] = hotel;
+      }
+    };
 
-    // Add or merge Amadeus hotels
-    amadeusHotels.forEach(hotel => {
-      const key = this.generateHotelKey(hotel.hotelName, hotel.location);
-      
-      if (hotelMap.has(key)) {
+    serpHotels.forEach(hotel => addToGroup(hotel, 'serpapi'));
+    amadeusHotels.forEach(hotel => addToGroup(hotel, 'amadeus'));
+
+    return Array.from(groups.values()).map(({ canonical, resolutions, serpapi, amadeus }) => {
+      let merged;
+
+      if (serpapi && amadeus) {
         // Hotel exists in both sources - merge data
-        const existing = hotelMap.get(key);
-        hotelMap.set(key, {
-          ...existing,
+        const serpApiTotal = this.getComparableTotal(serpapi);
+        const amadeusTotal = this.getComparableTotal(amadeus);
+        const betterSource = serpApiTotal < amadeusTotal ? 'serpapi' : 'amadeus';
+
+        merged = {
+          ...serpapi,
           sources: ['serpapi', 'amadeus'],
-          amadeusData: hotel,
+          serpApiData: serpapi,
+          amadeusData: amadeus,
           // Use best price from either source
-          bestPrice: Math.min(existing.price || Infinity, hotel.price || Infinity),
+          bestPrice: Math.min(serpApiTotal, amadeusTotal),
+          stayCost: (betterSource === 'serpapi' ? serpapi : amadeus).stayCost || null,
           priceComparison: {
-            serpApiPrice: existing.price,
-            amadeusPrice: hotel.price,
-            savings: Math.abs((existing.price || 0) - (hotel.price || 0)),
-            betterSource: (existing.price || Infinity) < (hotel.price || Infinity) ? 'serpapi' : 'amadeus'
+            serpApiPrice: serpApiTotal,
+            amadeusPrice: amadeusTotal,
+            savings: Number.isFinite(serpApiTotal) && Number.isFinite(amadeusTotal)
+              ? Math.round(Math.abs(serpApiTotal - amadeusTotal) * 100) / 100
+              : 0,
+            betterSource,
+            basis: serpapi.stayCost && amadeus.stayCost ? 'ALL_IN_STAY' : 'LISTED_PRICE'
           }
-        });
+        };
+      } else if (serpapi) {
+        merged = {
+          ...serpapi,
+          sources: ['serpapi'],
+          serpApiData: serpapi,
+          amadeusData: null
+        };
       } else {
         // Hotel only in Amadeus
-        hotelMap.set(key, {
-          ...hotel,
+        merged = {
+          ...amadeus,
           sources: ['amadeus'],
           serpApiData: null,
-          amadeusData: hotel,
+          amadeusData: amadeus,
           exclusiveToSource: 'amadeus'
-        });
+        };
       }
+
+      return {
+        ...merged,
+        canonicalId: canonical.id,
+        identity: {
+          canonicalId: canonical.id,
+          name: canonical.name,
+          brand: canonical.brand,
+          chain: canonical.chain,
+          resolutions
+        },
+        propertyId: this.priceHistoryStore.getHotelPropertyId(merged)
+      };
     });
+  }
+
+  /**
+   * Price to compare offers by: the all-in stay total when normalized,
+   * otherwise the listed price
+   */
+  getComparableTotal(hotel) {
+    return hotel.stayCost ? hotel.stayCost.total : this.parsePrice(hotel.price);
+  }
 
-    return Array.from(hotelMap.values());
+  /**
+   * Numeric price from a number or a display string like "$189"
+   * (Infinity when missing, so unpriced results never win)
+   */
+  parsePrice(price) {
+    const value = typeof price === 'string' ? parseFloat(price.replace(/[^0-9.]/g, '')) : parseFloat(price);
+    return Number.isFinite(value) && value > 0 ? value : Infinity;
   }
 
   /**
-   * Generate unique hotel key for deduplication
+   * Record every source price seen for each merged hotel in the price history
+   * store: the all-in nightly price when normalized, tagged with its basis so
+   * it is never averaged with listed prices
    */
-  generateHotelKey(name, location) {
-    // Normalize hotel name for matching
-    const normalizedName = name
-      .toLowerCase()
-      .replace(/[^a-z0-9]/g, '')
-      .substring(0, 20); // First 20 chars
-
-    // Use location if available
-    const locationKey = location?.latitude && location?.longitude
-      ? `${Math.round(location.latitude * 100)}_${Math.round(location.longitude * 100)}`
-      : 'unknown';
-
-    return `${normalizedName}_${locationKey}`;
+  recordObservedPrices(hotels) {
+    hotels.forEach(hotel => {
+      [hotel.serpApiData, hotel.amadeusData].filter(Boolean).forEach(observed => {
+        this.priceHistoryStore.record({
+          category: 'hotel',
+          subjectId: hotel.propertyId,
+          startDate: observed.checkInDate,
+          endDate: observed.checkOutDate,
+          price: StayCostNormalizer.comparablePrice(observed),
+          currency: observed.currency,
+          source: observed.source,
+          basis: StayCostNormalizer.priceBasis(observed)
+        });
+      });
+    });
   }
 
   /**
@@ -442,6 +523,238 @@ class DualSourceHotelAggregator {
     return recommendations;
   }
 
+  /**
+   * Whole-stay prices for a merged hotel from each source that quoted it:
+   * the all-in stay cost when normalized. Otherwise SerpAPI quotes nightly
+   * rates and Amadeus quotes the stay total. Each entry carries its basis
+   * ('ALL_IN' | 'LISTED', see StayCostNormalizer.priceBasis).
+   */
+  getStayPrices(hotel, nights) {
+    const prices = [];
+    const serp = hotel.serpApiData?.rawData;
+    const amadeus = hotel.amadeusData;
+
+    if (hotel.serpApiData?.stayCost) {
+      prices.push({ source: 'serpapi', price: hotel.serpApiData.stayCost.total });
+    } else if (serp?.total_rate?.extracted_lowest) {
+      prices.push({ source: 'serpapi', price: serp.total_rate.extracted_lowest });
+    } else if (serp?.rate_per_night?.extracted_lowest) {
+      prices.push({ source: 'serpapi', price: serp.rate_per_night.extracted_lowest * nights });
+    } else if (hotel.serpApiData?.price) {
+      const nightly = parseFloat(String(hotel.serpApiData.price).replace(/[^0-9.]/g, ''));
+      if (nightly > 0) prices.push({ source: 'serpapi', price: nightly * nights });
+    }
+
+    if (amadeus?.stayCost) {
+      prices.push({ source: 'amadeus', price: amadeus.stayCost.total });
+    } else if (amadeus?.totalPrice > 0) {
+      prices.push({ source: 'amadeus', price: amadeus.totalPrice });
+    }
+
+    const offers = { serpapi: hotel.serpApiData, amadeus };
+    return prices.map(entry => ({
+      ...entry,
+      price: Math.round(entry.price * 100) / 100,
+      basis: StayCostNormalizer.priceBasis(offers[entry.source])
+    }));
+  }
+
+  /**
+   * Build the check-in/check-out combinations for a flexible window.
+   * Windows larger than maxStays are sampled evenly across the range.
+   */
+  buildStayCombinations(checkInFrom, checkInTo, nightsOptions, maxStays) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const start = new Date(`${checkInFrom}T00:00:00Z`);
+    const end = new Date(`${checkInTo}T00:00:00Z`);
+    const stays = [];
+
+    for (let day = start.getTime(); day <= end.getTime(); day += dayMs) {
+      nightsOptions.forEach(nights => {
+        stays.push({
+          checkInDate: new Date(day).toISOString().split('T')[0],
+          checkOutDate: new Date(day + nights * dayMs).toISOString().split('T')[0],
+          nights
+        });
+      });
+    }
+
+    if (stays.length <= maxStays) {
+      return { stays, sampled: false };
+    }
+
+    const step = maxStays > 1 ? (stays.length - 1) / (maxStays - 1) : 0;
+    const sampled = [];
+    for (let i = 0; i < maxStays; i++) {
+      sampled.push(stays[Math.round(i * step)]);
+    }
+    return { stays: sampled, sampled: true };
+  }
+
+  /**
+   * Run async work over items with at most `limit` in flight
+   */
+  async mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        try {
+          results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+        } catch (error) {
+          results[index] = { status: 'rejected', reason: error };
+        }
+      }
+    });
+
+    await Promise.all(runners);
+    return results;
+  }
+
+  /**
+   * Validate flexible-date search options when present
+   * @returns {string[]} Validation errors
+   */
+  validateFlexSearch(params = {}) {
+    return Object.entries(FLEX_LIMITS)
+      .filter(([name, max]) => params[name] !== undefined &&
+        (!Number.isInteger(params[name]) || params[name] < 1 || params[name] > max))
+      .map(([name, max]) => `${name} must be a whole number from 1 to ${max}`);
+  }
+
+  /**
+   * Flexible-date search: run the dual-source search for every stay in a
+   * check-in window and build a date x price grid per hotel.
+   *
+   * @param {Object} params
+   * @param {string} params.checkInFrom - Earliest check-in (YYYY-MM-DD)
+   * @param {string} params.checkInTo - Latest check-in (YYYY-MM-DD)
+   * @param {number|Array} params.nights - Stay length(s), e.g. 5 or [4, 5]
+   * @param {number} params.concurrency - Parallel searches (default: 3, max: 5)
+   * @param {number} params.maxStays - Stay combinations to search (default: 30, max: 60)
+   * @param {number} params.top - Cheapest combinations to return (default: 10, max: 60)
+   * @returns {Object} Grid per hotel and the cheapest combinations overall
+   */
+  async flexSearch(params) {
+    const {
+      location = 'Orlando, FL',
+      checkInFrom,
+      checkInTo,
+      nights,
+      adults = 2,
+      rooms = 1,
+      currency = 'USD',
+      concurrency = 3,
+      maxStays = 30,
+      top = 10
+    } = params;
+
+    const nightsOptions = (Array.isArray(nights) ? nights : [nights]).map(n => parseInt(n));
+    const { stays, sampled } = this.buildStayCombinations(
+      checkInFrom,
+      checkInTo,
+      nightsOptions,
+      Math.max(1, Math.min(maxStays, FLEX_LIMITS.maxStays))
+    );
+
+    const searches = await this.mapWithConcurrency(stays, Math.max(1, Math.min(concurrency, FLEX_LIMITS.concurrency)), stay =>
+      this.searchHotels({ location, adults, rooms, currency, ...stay })
+    );
+
+    const hotelGrid = new Map();
+    const combinations = [];
+
+    searches.forEach((search, stayIndex) => {
+      if (search.status !== 'fulfilled') return;
+
+      const stay = stays[stayIndex];
+      search.value.hotels.forEach(hotel => {
+        const prices = this.getStayPrices(hotel, stay.nights);
+        if (prices.length === 0) return;
+
+        const best = prices.reduce((min, entry) => entry.price < min.price ? entry : min, prices[0]);
+
+        if (!hotelGrid.has(hotel.propertyId)) {
+          hotelGrid.set(hotel.propertyId, {
+            propertyId: hotel.propertyId,
+            hotelName: hotel.hotelName,
+            rating: hotel.rating,
+            sources: new Set(),
+            bestSavingsScore: 0,
+            prices: new Array(stays.length).fill(null)
+          });
+        }
+
+        const entry = hotelGrid.get(hotel.propertyId);
+        hotel.sources.forEach(source => entry.sources.add(source));
+        entry.bestSavingsScore = Math.max(entry.bestSavingsScore, hotel.savingsScore || 0);
+        entry.prices[stayIndex] = {
+          totalPrice: best.price,
+          nightlyPrice: Math.round((best.price / stay.nights) * 100) / 100,
+          source: best.source,
+          priceError: hotel.priceError ? hotel.priceError.severity : null
+        };
+
+        combinations.push({
+          propertyId: hotel.propertyId,
+          hotelName: hotel.hotelName,
+          rating: hotel.rating,
+          ...stay,
+          totalPrice: best.price,
+          nightlyPrice: entry.prices[stayIndex].nightlyPrice,
+          source: best.source,
+          savingsScore: hotel.savingsScore,
+          link: hotel.link
+        });
+      });
+    });
+
+    const hotels = Array.from(hotelGrid.values()).map(entry => {
+      const quoted = entry.prices
+        .map((price, index) => price && { ...stays[index], ...price })
+        .filter(Boolean)
+        .sort((a, b) => a.nightlyPrice - b.nightlyPrice);
+
+      return {
+        ...entry,
+        sources: Array.from(entry.sources),
+        staysQuoted: quoted.length,
+        cheapestStay: quoted[0],
+        mostExpensiveStay: quoted[quoted.length - 1],
+        flexibilitySavings: Math.round((quoted[quoted.length - 1].nightlyPrice - quoted[0].nightlyPrice) * quoted[0].nights * 100) / 100
+      };
+    }).sort((a, b) => a.cheapestStay.nightlyPrice - b.cheapestStay.nightlyPrice);
+
+    const cheapestByStay = stays.map((stay, index) => {
+      const quotes = hotels.map(hotel => hotel.prices[index]).filter(Boolean);
+      return {
+        ...stay,
+        hotelsQuoted: quotes.length,
+        lowestTotal: quotes.length > 0 ? Math.min(...quotes.map(quote => quote.totalPrice)) : null
+      };
+    });
+
+    return {
+      stays,
+      hotels,
+      cheapestCombinations: combinations
+        .sort((a, b) => a.nightlyPrice - b.nightlyPrice)
+        .slice(0, top),
+      cheapestByStay,
+      summary: {
+        staysSearched: stays.length,
+        staysFailed: searches.filter(search => search.status !== 'fulfilled').length,
+        sampled,
+        hotelsFound: hotels.length,
+        concurrency: Math.max(1, Math.min(concurrency, FLEX_LIMITS.concurrency))
+      },
+      searchParams: params,
+      timestamp: new Date().toISOString()
+    };
+  }
+
   /**
    * Health check for both services
    */
@@ -0,0 +1,374 @@
+/**
+ * Door-to-Door Fare Calendar
+ *
+ * For every departure/return pair in a month, puts the cheapest flight
+ * total (Amadeus flight-dates search) next to an estimated hotel total for
+ * the same stay, so the cheapest week for the whole trip stands out rather
+ * than the cheapest week for flights alone.
+ *
+ * Hotel totals come from one of:
+ * - HISTORY: stored nightly all-in prices (PriceHistoryStore) for the exact
+ *   stay, or HISTORY_NEARBY when only stays starting within a week were seen
+ * - LIVE: a DualSourceHotelAggregator search, run for the cheapest flight
+ *   pairs only (falls back to history for the rest)
+ *
+ * Every pair is priced with the same hotel, all-in: the propertyId when
+ * given, otherwise the hotel quoted for the most stays (then the cheapest).
+ * Listed live rates are ignored. Flight-dates fares are per traveler and are multiplied out for
+ * the party.
+ */
+
+const AmadeusService = require('./AmadeusService');
+const DualSourceHotelAggregator = require('./DualSourceHotelAggregator');
+const PriceHistoryStore = require('./PriceHistoryStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOTEL_SOURCES = ['history', 'live'];
+const MAX_ROOMS = 9;
+
+// Request defaults, shared by validateRequest and buildCalendar
+const DEFAULTS = {
+  minNights: 3,
+  maxNights: 7,
+  adults: 2,
+  children: 0,
+  rooms: 1,
+  hotelSource: 'history',
+  maxHotelSearches: 10
+};
+
+const round = amount => Math.round(amount * 100) / 100;
+
+class FareCalendarService {
+  /**
+   * @param {Object} options
+   * @param {AmadeusService} options.amadeusService - Flight-dates search
+   * @param {DualSourceHotelAggregator} options.hotelAggregator - Live hotel searches
+   * @param {PriceHistoryStore} options.priceHistoryStore - Stored hotel prices (default: shared store)
+   */
+  constructor(options = {}) {
+    this.amadeusService = options.amadeusService || new AmadeusService();
+    this.hotelAggregator = options.hotelAggregator || new DualSourceHotelAggregator();
+    this.priceHistoryStore = options.priceHistoryStore || PriceHistoryStore.getInstance();
+
+    this.settings = {
+      nearbyDays: 7,             // Stored stays starting this close count as HISTORY_NEARBY
+      maxLiveSearches: 20,       // Cap on live hotel searches per calendar
+      liveConcurrency: 3
+    };
+  }
+
+  /**
+   * Validate a calendar request (after applying the defaults, so a lone
+   * min or max night count is checked against the other's default)
+   * @returns {string[]} Validation errors
+   */
+  validateRequest({
+    origin,
+    month,
+    minNights = DEFAULTS.minNights,
+    maxNights = DEFAULTS.maxNights,
+    adults,
+    children,
+    rooms,
+    hotelSource,
+    maxHotelSearches
+  } = {}) {
+    const errors = [];
+
+    if (!origin || !/^[A-Za-z]{3}$/.test(origin)) {
+      errors.push('origin must be a 3-letter airport code');
+    }
+    if (!month || !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      errors.push('month must be YYYY-MM');
+    }
+    [['minNights', minNights], ['maxNights', maxNights]].forEach(([name, value]) => {
+      if (!Number.isInteger(value) || value < 1 || value > 15) {
+        errors.push(`${name} must be a whole number from 1 to 15`);
+      }
+    });
+    if (Number.isInteger(minNights) && Number.isInteger(maxNights) && minNights > maxNights) {
+      errors.push('minNights must not be more than maxNights');
+    }
+    if (adults !== undefined && (!Number.isInteger(adults) || adults < 1)) {
+      errors.push('adults must be at least 1');
+    }
+    if (children !== undefined && (!Number.isInteger(children) || children < 0)) {
+      errors.push('children must be 0 or more');
+    }
+    if (rooms !== undefined && (!Number.isInteger(rooms) || rooms < 1 || rooms > MAX_ROOMS)) {
+      errors.push(`rooms must be a whole number from 1 to ${MAX_ROOMS}`);
+    }
+    if (maxHotelSearches !== undefined &&
+        (!Number.isInteger(maxHotelSearches) || maxHotelSearches < 0 || maxHotelSearches > this.settings.maxLiveSearches)) {
+      errors.push(`maxHotelSearches must be a whole number from 0 to ${this.settings.maxLiveSearches}`);
+    }
+    if (hotelSource !== undefined && !HOTEL_SOURCES.includes(hotelSource)) {
+      errors.push(`hotelSource must be one of ${HOTEL_SOURCES.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * First and last day of a YYYY-MM month
+   */
+  getMonthRange(month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const last = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+    return { from: `${month}-01`, to: `${month}-${String(last).padStart(2, '0')}` };
+  }
+
+  /**
+   * Monday of the week a date falls in
+   */
+  getWeekOf(date) {
+    const day = new Date(`${date}T00:00:00Z`);
+    return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS).toISOString().split('T')[0];
+  }
+
+  /**
+   * Stored all-in nightly hotel prices, grouped by property
+   */
+  loadHotelHistory(propertyId) {
+    const subjects = propertyId
+      ? [propertyId]
+      : this.priceHistoryStore.listSubjects('hotel').map(subject => subject.subjectId);
+
+    return subjects.map(subjectId => ({
+      propertyId: subjectId,
+      observations: this.priceHistoryStore.getObservations(subjectId, { category: 'hotel', basis: 'ALL_IN' })
+    })).filter(entry => entry.observations.length > 0);
+  }
+
+  /**
+   * Hotel totals for a stay from stored prices, per property: the exact
+   * stay when that hotel was seen for it (HISTORY), otherwise its stays
+   * starting within nearbyDays (median nightly, HISTORY_NEARBY)
+   * @returns {Map<string, Object>} propertyId -> { total, source }
+   */
+  quoteHotelsFromHistory(history, { checkInDate, checkOutDate, nights }, rooms = 1) {
+    const checkIn = new Date(`${checkInDate}T00:00:00Z`).getTime();
+    const median = values => {
+      const sorted = [...values].sort((a, b) => a - b);
+      return sorted[Math.floor(sorted.length / 2)];
+    };
+
+    const exact = entry => entry.startDate === checkInDate && entry.endDate === checkOutDate;
+    const nearby = entry => entry.startDate &&
+      Math.abs(new Date(`${entry.startDate}T00:00:00Z`).getTime() - checkIn) <= this.settings.nearbyDays * DAY_MS;
+
+    const quotes = new Map();
+    history.forEach(({ propertyId, observations }) => {
+      const exactPrices = observations.filter(exact).map(entry => entry.price);
+      const nearbyPrices = observations.filter(nearby).map(entry => entry.price);
+
+      if (exactPrices.length > 0) {
+        quotes.set(propertyId, { total: round(Math.min(...exactPrices) * nights * rooms), source: 'HISTORY' });
+      } else if (nearbyPrices.length > 0) {
+        quotes.set(propertyId, { total: round(median(nearbyPrices) * nights * rooms), source: 'HISTORY_NEARBY' });
+      }
+    });
+    return quotes;
+  }
+
+  /**
+   * Hotel totals for a stay from a live dual-source search, per property.
+   * Only ALL_IN prices count, so live cells compare with the all-in history
+   * cells; hotels with listed rates only are left out.
+   * @returns {Map<string, Object>} propertyId -> { total, source: 'LIVE' }
+   */
+  async quoteHotelsLive(stay, { adults, rooms, propertyId }) {
+    const search = await this.hotelAggregator.searchHotels({ ...stay, adults, rooms });
+    const quotes = new Map();
+    search.hotels
+      .filter(hotel => !propertyId || hotel.propertyId === propertyId)
+      .forEach(hotel => {
+        const prices = this.hotelAggregator.getStayPrices(hotel, stay.nights)
+          .filter(entry => entry.basis === 'ALL_IN')
+          .map(entry => entry.price);
+        if (prices.length > 0) {
+          quotes.set(hotel.propertyId, { total: round(Math.min(...prices)), source: 'LIVE' });
+        }
+      });
+    return quotes;
+  }
+
+  /**
+   * The one hotel every pair is priced with, so neighbouring totals compare
+   * the same property: the hotel quoted for the most stays, then the lowest
+   * average nightly total
+   * @param {Object[]} stays - [{ quotes, nights }]
+   * @returns {string|null} propertyId
+   */
+  pickHotel(stays) {
+    const stats = new Map();
+    stays.forEach(({ quotes, nights }) => {
+      quotes.forEach((quote, propertyId) => {
+        const entry = stats.get(propertyId) || { propertyId, stays: 0, nightly: 0 };
+        entry.stays += 1;
+        entry.nightly += quote.total / nights;
+        stats.set(propertyId, entry);
+      });
+    });
+
+    const ranked = [...stats.values()].sort((a, b) =>
+      b.stays - a.stays || a.nightly / a.stays - b.nightly / b.stays
+    );
+    return ranked.length > 0 ? ranked[0].propertyId : null;
+  }
+
+  /**
+   * Build the calendar
+   *
+   * @param {Object} options
+   * @param {string} options.origin - Origin airport
+   * @param {string} options.destination - Destination airport (default: 'MCO')
+   * @param {string} options.month - Departure month (YYYY-MM)
+   * @param {number} options.minNights - Shortest trip (default: 3)
+   * @param {number} options.maxNights - Longest trip (default: 7)
+   * @param {number} options.adults - Adults (default: 2)
+   * @param {number} options.children - Children (default: 0)
+   * @param {number} options.rooms - Hotel rooms (default: 1, at most 9)
+   * @param {boolean} options.nonStop - Nonstop flights only
+   * @param {string} options.hotelSource - 'history' (default) or 'live'
+   * @param {number} options.maxHotelSearches - Live searches, cheapest flights first (default: 10, at most 20)
+   * @param {string} options.propertyId - Price this hotel instead of the picked one
+   * @returns {Object} { pairs, byDepartureDate, weeks, cheapest, cheapestFlightOnly, range, summary }
+   */
+  async buildCalendar(options) {
+    const {
+      origin,
+      destination = 'MCO',
+      month,
+      minNights = DEFAULTS.minNights,
+      maxNights = DEFAULTS.maxNights,
+      adults = DEFAULTS.adults,
+      children = DEFAULTS.children,
+      rooms = DEFAULTS.rooms,
+      nonStop = false,
+      hotelSource = DEFAULTS.hotelSource,
+      maxHotelSearches = DEFAULTS.maxHotelSearches,
+      propertyId
+    } = options;
+
+    const { from, to } = this.getMonthRange(month);
+    const fares = await this.amadeusService.searchCheapestDates({
+      origin,
+      destination,
+      departureDate: `${from},${to}`,
+      duration: `${minNights},${maxNights}`,
+      nonStop
+    });
+
+    const travelers = adults + children;
+    const pairs = fares.data
+      .filter(fare => fare.returnDate && fare.departureDate >= from && fare.departureDate <= to)
+      .map(fare => ({
+        departureDate: fare.departureDate,
+        returnDate: fare.returnDate,
+        nights: Math.round((new Date(fare.returnDate) - new Date(fare.departureDate)) / DAY_MS),
+        flightPerTraveler: fare.price.total,
+        flightTotal: round(fare.price.total * travelers),
+        currency: fare.price.currency
+      }))
+      .filter(pair => pair.nights >= minNights && pair.nights <= maxNights);
+
+    // Live hotel searches for the cheapest flights; everything else from history
+    const liveQuotes = new Map();
+    let liveSearches = 0;
+    if (hotelSource === 'live') {
+      const limit = Math.max(0, Math.min(maxHotelSearches, this.settings.maxLiveSearches));
+      const stays = [...pairs]
+        .sort((a, b) => a.flightTotal - b.flightTotal)
+        .slice(0, limit)
+        .map(pair => ({ checkInDate: pair.departureDate, checkOutDate: pair.returnDate, nights: pair.nights }));
+
+      const results = await this.hotelAggregator.mapWithConcurrency(stays, this.settings.liveConcurrency, stay =>
+        this.quoteHotelsLive(stay, { adults, rooms, propertyId })
+      );
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled' && result.value) {
+          liveQuotes.set(`${stays[index].checkInDate}|${stays[index].checkOutDate}`, result.value);
+        }
+      });
+      liveSearches = stays.length;
+    }
+
+    // Every quote per stay (live over history for the same hotel), then one
+    // hotel across the month so the totals stay comparable
+    const history = this.loadHotelHistory(propertyId);
+    const stayQuotes = pairs.map(pair => {
+      const quotes = this.quoteHotelsFromHistory(history, { checkInDate: pair.departureDate, checkOutDate: pair.returnDate, nights: pair.nights }, rooms);
+      const live = liveQuotes.get(`${pair.departureDate}|${pair.returnDate}`);
+      if (live) live.forEach((quote, id) => quotes.set(id, quote));
+      return { quotes, nights: pair.nights };
+    });
+    const hotelPropertyId = propertyId || this.pickHotel(stayQuotes);
+
+    pairs.forEach((pair, index) => {
+      const { quotes } = stayQuotes[index];
+      const hotel = hotelPropertyId ? quotes.get(hotelPropertyId) : null;
+
+      pair.hotelTotal = hotel ? hotel.total : null;
+      pair.hotelSource = hotel ? hotel.source : null;
+      pair.hotelBasis = hotel ? 'ALL_IN' : null;
+      pair.hotelPropertyId = hotel ? hotelPropertyId : null;
+      pair.hotelsQuoted = quotes.size;
+      pair.total = hotel ? round(pair.flightTotal + hotel.total) : null;
+      pair.weekOf = this.getWeekOf(pair.departureDate);
+    });
+
+    pairs.sort((a, b) => a.departureDate.localeCompare(b.departureDate) || a.nights - b.nights);
+
+    const priced = pairs.filter(pair => pair.total !== null);
+    const byTotal = [...priced].sort((a, b) => a.total - b.total);
+    const cheapestIn = list => list.reduce((min, pair) =>
+      !min || (pair.total ?? Infinity) < (min.total ?? Infinity) ? pair : min
+    , null);
+
+    const byDepartureDate = [...new Set(pairs.map(pair => pair.departureDate))].map(date => {
+      const options = pairs.filter(pair => pair.departureDate === date);
+      const cheapestFlight = options.reduce((min, pair) => pair.flightTotal < min.flightTotal ? pair : min, options[0]);
+      return { date, cheapest: cheapestIn(options), cheapestFlight };
+    });
+
+    const weeks = [...new Set(pairs.map(pair => pair.weekOf))].map(weekOf => {
+      const options = pairs.filter(pair => pair.weekOf === weekOf);
+      return { weekOf, pairs: options.length, cheapest: cheapestIn(options) };
+    });
+
+    const cheapestFlightOnly = pairs.reduce((min, pair) => !min || pair.flightTotal < min.flightTotal ? pair : min, null);
+
+    return {
+      origin: origin.toUpperCase(),
+      destination: destination.toUpperCase(),
+      month,
+      party: { adults, children, rooms },
+      pairs,
+      byDepartureDate,
+      weeks,
+      cheapest: byTotal.slice(0, 5),
+      cheapestFlightOnly,
+      range: {
+        minTotal: byTotal.length > 0 ? byTotal[0].total : null,
+        maxTotal: byTotal.length > 0 ? byTotal[byTotal.length - 1].total : null,
+        minFlightTotal: pairs.length > 0 ? Math.min(...pairs.map(pair => pair.flightTotal)) : null,
+        maxFlightTotal: pairs.length > 0 ? Math.max(...pairs.map(pair => pair.flightTotal)) : null
+      },
+      summary: {
+        pairsFound: pairs.length,
+        pairsWithHotel: priced.length,
+        hotelSource,
+        hotelPropertyId,
+        liveHotelSearches: liveSearches,
+        // How much the door-to-door pick saves over booking the cheapest flight
+        doorToDoorSavings: byTotal.length > 0 && cheapestFlightOnly && cheapestFlightOnly.total !== null
+          ? round(cheapestFlightOnly.total - byTotal[0].total)
+          : null
+      }
+    };
+  }
+}
+
+module.exports = FareCalendarService;
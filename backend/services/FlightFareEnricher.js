@@ -0,0 +1,235 @@
+/**
+ * Flight Fare Enricher
+ *
+ * Reads what an Amadeus flight offer actually includes from
+ * travelerPricings[].fareDetailsBySegment (fare brand, checked and cabin
+ * bags, seat selection, refundability) and prices what the party still has
+ * to add on: bag fees each way and seat assignments on every segment. The
+ * result is an all-in cost, so a basic-economy fare that looks cheapest
+ * isn't ranked ahead of a main-cabin fare that is cheaper once bags and
+ * seats are paid for.
+ *
+ * Fees are typical published US domestic prices (paid online, per
+ * direction) and should be treated as estimates. Lap infants
+ * (HELD_INFANT) take no seat and no bag allowance.
+ */
+
+// Per-airline fees: carry-on (when not included), checked bags by position
+// (the last one repeats), and a standard seat assignment per segment.
+// basicNoCarryOn: basic fares only allow a personal item.
+const AIRLINE_FEES = {
+  AA: { name: 'American Airlines', carryOn: 0, checkedBags: [35, 45, 150], seat: 25 },
+  DL: { name: 'Delta Air Lines', carryOn: 0, checkedBags: [35, 45, 150], seat: 25 },
+  UA: { name: 'United Airlines', carryOn: 40, checkedBags: [35, 45, 150], seat: 25, basicNoCarryOn: true },
+  WN: { name: 'Southwest Airlines', carryOn: 0, checkedBags: [35, 45, 150], seat: 29 },
+  B6: { name: 'JetBlue', carryOn: 39, checkedBags: [35, 50, 150], seat: 20, basicNoCarryOn: true },
+  AS: { name: 'Alaska Airlines', carryOn: 0, checkedBags: [35, 45, 150], seat: 20 },
+  NK: { name: 'Spirit Airlines', carryOn: 59, checkedBags: [55, 70, 90], seat: 25, ultraLowCost: true },
+  F9: { name: 'Frontier Airlines', carryOn: 65, checkedBags: [60, 75, 100], seat: 25, ultraLowCost: true },
+  G4: { name: 'Allegiant Air', carryOn: 45, checkedBags: [45, 55, 75], seat: 20, ultraLowCost: true },
+  SY: { name: 'Sun Country Airlines', carryOn: 45, checkedBags: [40, 50, 75], seat: 20, ultraLowCost: true },
+  MX: { name: 'Breeze Airways', carryOn: 40, checkedBags: [40, 50, 75], seat: 20, ultraLowCost: true }
+};
+
+const DEFAULT_FEES = { name: 'Other airline', carryOn: 0, checkedBags: [35, 45, 150], seat: 25 };
+
+// Brand codes and labels airlines use for fares without seat choice or changes
+const BASIC_BRAND = /BASIC|BARE|ECONOMY LIGHT/i;
+
+// Least to most restrictive; an offer gets its most restrictive known terms
+const REFUNDABILITY = ['UNKNOWN', 'REFUNDABLE', 'REFUNDABLE_WITH_FEE', 'NON_REFUNDABLE'];
+
+const round = amount => Math.round(amount * 100) / 100;
+
+class FlightFareEnricher {
+  /**
+   * Fee table for an airline (IATA code)
+   */
+  static getAirlineFees(code) {
+    const fees = AIRLINE_FEES[String(code || '').toUpperCase()];
+    return fees ? { code: code.toUpperCase(), ...fees } : { code: null, ...DEFAULT_FEES };
+  }
+
+  /**
+   * Airline whose bag rules apply: the validating carrier, else the first
+   * marketing carrier
+   */
+  getFareCarrier(offer) {
+    return offer.validatingAirlineCodes?.[0] || offer.itineraries?.[0]?.segments?.[0]?.carrierCode || null;
+  }
+
+  /**
+   * Bags included for a segment, as a count. Weight-only allowances
+   * (e.g. 23 KG) count as one bag.
+   */
+  countBags(allowance) {
+    if (!allowance) return null;
+    if (allowance.quantity !== undefined) return allowance.quantity;
+    return allowance.weight > 0 ? 1 : 0;
+  }
+
+  /**
+   * Find an amenity by description or type on a segment
+   */
+  findAmenity(details, pattern, type) {
+    return (details.amenities || []).find(amenity =>
+      (type && amenity.amenityType === type) || pattern.test(amenity.description || '')
+    ) || null;
+  }
+
+  /**
+   * What one traveler's fare includes. Across segments the most
+   * restrictive allowance wins.
+   */
+  extractTravelerFare(travelerPricing, offer, fees) {
+    const segments = travelerPricing.fareDetailsBySegment || [];
+    const first = segments[0] || {};
+    const brand = first.brandedFare || null;
+    const brandLabel = first.brandedFareLabel || null;
+    const basicEconomy = segments.some(details =>
+      BASIC_BRAND.test(details.brandedFare || '') || BASIC_BRAND.test(details.brandedFareLabel || '')
+    );
+
+    const minimum = values => {
+      const known = values.filter(value => value !== null);
+      return known.length > 0 ? Math.min(...known) : null;
+    };
+
+    let checkedBags = minimum(segments.map(details => this.countBags(details.includedCheckedBags)));
+    if (checkedBags === null) checkedBags = 0;
+
+    let cabinBags = minimum(segments.map(details => this.countBags(details.includedCabinBags)));
+    if (cabinBags === null) {
+      cabinBags = fees.ultraLowCost || (basicEconomy && fees.basicNoCarryOn) ? 0 : 1;
+    }
+
+    const seatAmenities = segments.map(details => this.findAmenity(details, /SEAT/i, 'PRE_RESERVED_SEAT')).filter(Boolean);
+    const seatSelectionIncluded = seatAmenities.length > 0
+      ? seatAmenities.every(amenity => !amenity.isChargeable)
+      : !basicEconomy && !fees.ultraLowCost;
+
+    return {
+      travelerId: travelerPricing.travelerId,
+      travelerType: travelerPricing.travelerType || 'ADULT',
+      price: travelerPricing.price?.total ? parseFloat(travelerPricing.price.total) : null,
+      brand,
+      brandLabel,
+      cabin: first.cabin || null,
+      basicEconomy,
+      includedCheckedBags: checkedBags,
+      includedCabinBags: cabinBags,
+      seatSelectionIncluded,
+      refundability: this.getRefundability(segments, offer, basicEconomy)
+    };
+  }
+
+  /**
+   * REFUNDABLE, REFUNDABLE_WITH_FEE, NON_REFUNDABLE or UNKNOWN, from the
+   * pricing options, the refund amenity, then the fare brand
+   */
+  getRefundability(segments, offer, basicEconomy) {
+    if (offer.pricingOptions?.refundableFare === true) return 'REFUNDABLE';
+
+    const refunds = segments.map(details => this.findAmenity(details, /REFUND/i)).filter(Boolean);
+    if (refunds.length > 0) {
+      return refunds.every(amenity => !amenity.isChargeable) ? 'REFUNDABLE' : 'REFUNDABLE_WITH_FEE';
+    }
+    if (offer.pricingOptions?.refundableFare === false || basicEconomy) return 'NON_REFUNDABLE';
+
+    return 'UNKNOWN';
+  }
+
+  /**
+   * Summarize the fare for the whole offer: brand and allowances of the
+   * first seated traveler, and the most restrictive refund terms
+   */
+  extractFare(offer) {
+    const fees = FlightFareEnricher.getAirlineFees(this.getFareCarrier(offer));
+    const travelers = (offer.travelerPricings || []).map(pricing => this.extractTravelerFare(pricing, offer, fees));
+    const lead = travelers.find(traveler => traveler.travelerType !== 'HELD_INFANT') || travelers[0];
+
+    if (!lead) {
+      return { brand: null, brandLabel: null, cabin: null, basicEconomy: false, refundability: 'UNKNOWN', travelers: [] };
+    }
+
+    const refundability = travelers
+      .map(traveler => traveler.refundability)
+      .sort((a, b) => REFUNDABILITY.indexOf(b) - REFUNDABILITY.indexOf(a))[0];
+
+    return {
+      brand: lead.brand,
+      brandLabel: lead.brandLabel,
+      cabin: lead.cabin,
+      basicEconomy: travelers.some(traveler => traveler.basicEconomy),
+      includedCheckedBags: lead.includedCheckedBags,
+      includedCabinBags: lead.includedCabinBags,
+      seatSelectionIncluded: lead.seatSelectionIncluded,
+      refundability,
+      travelers
+    };
+  }
+
+  /**
+   * Price the fare plus the bags and seats the party needs
+   *
+   * @param {Object} offer - Raw Amadeus flight offer
+   * @param {Object} options
+   * @param {number} options.checkedBags - Checked bags per traveler (default: 1)
+   * @param {number} options.carryOns - Carry-on bags per traveler (default: 1)
+   * @param {boolean} options.seatSelection - Pay for seats where they aren't
+   *   included (default: when children travel, so the family sits together)
+   * @param {number} options.children - Children in the party
+   * @returns {Object} { currency, fare, bagFees, seatFees, total, perTraveler, airline, assumptions, breakdown }
+   */
+  estimateAllInCost(offer, options = {}) {
+    const {
+      checkedBags = 1,
+      carryOns = 1,
+      children = 0
+    } = options;
+    const seatSelection = options.seatSelection ?? children > 0;
+
+    const fees = FlightFareEnricher.getAirlineFees(this.getFareCarrier(offer));
+    const fare = this.extractFare(offer);
+    const directions = (offer.itineraries || []).length || 1;
+    const segmentCount = (offer.itineraries || []).reduce((sum, itinerary) => sum + itinerary.segments.length, 0) || 1;
+    const bagFee = position => fees.checkedBags[Math.min(position, fees.checkedBags.length - 1)];
+
+    const breakdown = fare.travelers
+      .filter(traveler => traveler.travelerType !== 'HELD_INFANT')
+      .map(traveler => {
+        let bags = 0;
+        for (let position = traveler.includedCheckedBags; position < checkedBags; position++) {
+          bags += bagFee(position);
+        }
+        bags += Math.max(carryOns - traveler.includedCabinBags, 0) * fees.carryOn;
+
+        return {
+          travelerId: traveler.travelerId,
+          travelerType: traveler.travelerType,
+          bagFees: round(bags * directions),
+          seatFees: seatSelection && !traveler.seatSelectionIncluded ? round(fees.seat * segmentCount) : 0
+        };
+      });
+
+    const fareTotal = parseFloat(offer.price?.grandTotal || offer.price?.total) || 0;
+    const bagFees = round(breakdown.reduce((sum, traveler) => sum + traveler.bagFees, 0));
+    const seatFees = round(breakdown.reduce((sum, traveler) => sum + traveler.seatFees, 0));
+    const total = round(fareTotal + bagFees + seatFees);
+    const travelers = fare.travelers.length || 1;
+
+    return {
+      currency: offer.price?.currency || 'USD',
+      fare: round(fareTotal),
+      bagFees,
+      seatFees,
+      total,
+      perTraveler: round(total / travelers),
+      airline: { code: fees.code, name: fees.name },
+      assumptions: { checkedBags, carryOns, seatSelection },
+      breakdown
+    };
+  }
+}
+
+module.exports = FlightFareEnricher;
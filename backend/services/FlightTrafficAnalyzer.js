@@ -7,22 +7,60 @@
  * - Correlate flight traffic with hotel/theme park pricing
  * - Predict optimal booking windows based on demand
  * - Generate savings recommendations based on traffic trends
+ * - Compare arriving vs. departing demand
+ * - Recommend alternate airports (Sanford, Tampa, Melbourne) for months
+ *   when they sit in a lower traffic band than Orlando International
+ * - Compare several years: year-over-year deltas, shifting peaks and a
+ *   next-year projection with a confidence band
  * 
- * Uses real historical data from Amadeus for Orlando (MCO)
+ * Uses real historical data from Amadeus for Orlando (MCO) and nearby
+ * Florida airports (SFB, TPA, MLB)
  */
 
-const axios = require('axios');
+const AmadeusClient = require('./AmadeusClient');
+const ResponseCache = require('./ResponseCache');
+
+const BUSIEST_PERIOD_PATH = '/v1/travel/analytics/air-traffic/busiest-period';
 
 class FlightTrafficAnalyzer {
-  constructor(amadeusApiKey, amadeusApiSecret) {
-    this.apiKey = amadeusApiKey;
-    this.apiSecret = amadeusApiSecret;
-    this.baseUrl = process.env.AMADEUS_API_BASE || 'https://api.amadeus.com/v1'; // Use production API
-    this.accessToken = null;
-    this.tokenExpiry = null;
+  /**
+   * Traffic analytics have always called production (the test environment
+   * has little historical data), whatever AMADEUS_ENV says for flights and
+   * hotels. AMADEUS_ANALYTICS_ENV picks another environment;
+   * AMADEUS_ANALYTICS_BASE_URL (or the legacy AMADEUS_API_BASE) overrides
+   * the host.
+   */
+  static getAnalyticsClient() {
+    const environment = process.env.AMADEUS_ANALYTICS_ENV || 'production';
+    return AmadeusClient.getInstance({
+      environment,
+      baseUrl: process.env.AMADEUS_ANALYTICS_BASE_URL || process.env.AMADEUS_API_BASE || AmadeusClient.hostFor(environment)
+    });
+  }
+
+  /**
+   * @param {Object} options
+   * @param {AmadeusClient} options.client - Amadeus HTTP client (default: shared production client)
+   * @param {string} options.cityCode - Default airport (default: 'MCO')
+   * @param {ResponseCache} options.cache - Response cache (default: shared cache)
+   */
+  constructor(options = {}) {
+    this.client = options.client || FlightTrafficAnalyzer.getAnalyticsClient();
+    this.cache = options.cache || ResponseCache.getInstance();
 
     // Orlando-specific configuration
-    this.cityCode = 'MCO'; // Orlando International Airport
+    this.cityCode = options.cityCode || 'MCO'; // Orlando International Airport
+
+    // Airports that serve Orlando trips, with typical drive time to the theme park area
+    this.airports = {
+      MCO: { name: 'Orlando International Airport', driveMinutesToParks: 25 },
+      SFB: { name: 'Orlando Sanford International Airport', driveMinutesToParks: 50 },
+      TPA: { name: 'Tampa International Airport', driveMinutesToParks: 85 },
+      MLB: { name: 'Melbourne Orlando International Airport', driveMinutesToParks: 75 }
+    };
+
+    // Traffic categories from quietest to busiest
+    this.categoryOrder = ['LOW_SEASON', 'MODERATE', 'BUSY', 'PEAK_SEASON'];
     
     // Traffic score interpretation thresholds
     this.thresholds = {
@@ -39,74 +77,66 @@ class FlightTrafficAnalyzer {
       moderate: 1.00,   // Normal pricing
       low: 0.70         // 30% discount opportunity
     };
+
+    // Month windows checked for shifting peaks across years
+    this.peakWindows = {
+      annual: { label: 'Busiest month of the year', months: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] },
+      springBreak: { label: 'Spring break', months: [2, 3, 4] },
+      summer: { label: 'Summer vacation', months: [6, 7, 8] },
+      holidays: { label: 'Holiday season', months: [11, 12] }
+    };
+
+    // Year-over-year trend and projection tuning
+    this.trendSettings = {
+      stableDelta: 0.5,       // Average YoY change below this is STABLE
+      minimumBand: 0.5,       // Narrowest projection band (+/- score points)
+      bandWidthFactor: 1.5    // Band half-width = spread x factor
+    };
   }
 
   /**
-   * Get Amadeus OAuth access token
+   * Normalize and validate an airport code
+   * @returns {string|null} Upper-case code, or null when unsupported
    */
-  async getAccessToken() {
-    // Check if we have a valid token
-    if (this.accessToken && this.tokenExpiry && new Date() < this.tokenExpiry) {
-      return this.accessToken;
-    }
-
-    try {
-      const response = await axios.post(
-        process.env.AMADEUS_AUTH_URL || 'https://api.amadeus.com/v1/security/oauth2/token',
-        new URLSearchParams({
-          grant_type: 'client_credentials',
-          client_id: this.apiKey,
-          client_secret: this.apiSecret
-        }),
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded'
-          }
-        }
-      );
+  resolveCityCode(cityCode) {
+    const code = String(cityCode || this.cityCode).toUpperCase();
+    return this.airports[code] ? code : null;
+  }
 
-      this.accessToken = response.data.access_token;
-      // Set expiry to 5 minutes before actual expiry for safety
-      this.tokenExpiry = new Date(Date.now() + (response.data.expires_in - 300) * 1000);
-      
-      return this.accessToken;
-    } catch (error) {
-      console.error('Failed to get Amadeus access token:', error.response?.data || error.message);
-      throw new Error('Authentication failed');
-    }
+  /**
+   * Supported airport codes
+   */
+  getSupportedAirports() {
+    return Object.entries(this.airports).map(([cityCode, airport]) => ({ cityCode, ...airport }));
   }
 
   /**
    * Fetch busiest period data from Amadeus
    * @param {string} year - Year in YYYY format (e.g., "2025")
    * @param {string} direction - "ARRIVING" or "DEPARTING"
+   * @param {string} cityCode - Airport code (default: this.cityCode)
    * @returns {Object} Traffic data by month
    */
-  async fetchBusiestPeriod(year = '2025', direction = 'ARRIVING') {
+  async fetchBusiestPeriod(year = '2025', direction = 'ARRIVING', cityCode = this.cityCode) {
     try {
-      const token = await this.getAccessToken();
-
-      const response = await axios.get(
-        `${this.baseUrl}/travel/analytics/air-traffic/busiest-period`,
-        {
-          params: {
-            cityCode: this.cityCode,
-            period: year,
-            direction: direction
-          },
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        }
+      const params = {
+        cityCode,
+        period: year,
+        direction: direction
+      };
+
+      // Historical traffic rarely changes, so repeated analyses reuse the cached response
+      const response = await this.cache.wrap(`amadeus:${BUSIEST_PERIOD_PATH}`, params, () =>
+        this.client.request('GET', BUSIEST_PERIOD_PATH, { params })
       );
 
       return {
         success: true,
-        data: response.data.data,
-        meta: response.data.meta,
+        data: response.data,
+        meta: response.meta,
         year,
         direction,
-        cityCode: this.cityCode
+        cityCode
       };
     } catch (error) {
       console.error('Failed to fetch busiest period data:', error.response?.data || error.message);
@@ -118,21 +148,44 @@ class FlightTrafficAnalyzer {
           detail: error.message 
         },
         year,
-        direction
+        direction,
+        cityCode
+      };
+    }
+  }
+
+  /**
+   * Fetch one direction and return its processed monthly scores
+   * @returns {Object} { success, monthlyScores } or { success: false, error, details }
+   */
+  async fetchMonthlyScores(year, direction = 'ARRIVING', cityCode = this.cityCode) {
+    const result = await this.fetchBusiestPeriod(year, direction, cityCode);
+
+    if (!result.success) {
+      return {
+        success: false,
+        error: 'Failed to fetch traffic data',
+        details: result.error
       };
     }
+
+    return {
+      success: true,
+      monthlyScores: this.processMonthlyScores(result.data || [])
+    };
   }
 
   /**
    * Analyze traffic patterns and generate insights
    * @param {string} year - Year to analyze
+   * @param {string} cityCode - Airport code (default: this.cityCode)
    * @returns {Object} Comprehensive traffic analysis
    */
-  async analyzeTrafficPatterns(year = '2025') {
+  async analyzeTrafficPatterns(year = '2025', cityCode = this.cityCode) {
     // Fetch both arriving and departing traffic
     const [arrivingData, departingData] = await Promise.all([
-      this.fetchBusiestPeriod(year, 'ARRIVING'),
-      this.fetchBusiestPeriod(year, 'DEPARTING')
+      this.fetchBusiestPeriod(year, 'ARRIVING', cityCode),
+      this.fetchBusiestPeriod(year, 'DEPARTING', cityCode)
     ]);
 
     if (!arrivingData.success) {
@@ -155,15 +208,26 @@ class FlightTrafficAnalyzer {
     // Calculate price predictions
     const pricePredictions = this.predictPriceImpact(monthlyScores);
 
+    // Departing demand, in the same shapes so both directions chart side by side
+    const departingScores = departingData.success ? this.processMonthlyScores(departingData.data) : [];
+
     return {
       success: true,
       year,
-      cityCode: this.cityCode,
+      cityCode,
+      airport: this.airports[cityCode] || null,
       analysisDate: new Date().toISOString(),
       monthlyScores,
       patterns,
       recommendations,
       pricePredictions,
+      departing: departingData.success
+        ? {
+          monthlyScores: departingScores,
+          pricePredictions: this.predictPriceImpact(departingScores)
+        }
+        : null,
+      directionComparison: this.compareDirections(monthlyScores, departingScores),
       rawData: {
         arriving: arrivingData.data,
         departing: departingData.success ? departingData.data : null
@@ -417,16 +481,18 @@ class FlightTrafficAnalyzer {
    * Get traffic score for a specific month
    * @param {number} month - Month number (1-12)
    * @param {string} year - Year in YYYY format
+   * @param {string} cityCode - Airport code (default: this.cityCode)
    * @returns {Object} Traffic data for that month
    */
-  async getMonthTrafficScore(month, year = '2025') {
-    const analysis = await this.analyzeTrafficPatterns(year);
+  async getMonthTrafficScore(month, year = '2025', cityCode = this.cityCode) {
+    // Only arriving traffic is needed; no full analysis
+    const arriving = await this.fetchMonthlyScores(year, 'ARRIVING', cityCode);
     
-    if (!analysis.success) {
-      return { success: false, error: analysis.error };
+    if (!arriving.success) {
+      return { success: false, error: arriving.error };
     }
 
-    const monthData = analysis.monthlyScores.find(m => m.monthNumber === month);
+    const monthData = arriving.monthlyScores.find(m => m.monthNumber === month);
     
     if (!monthData) {
       return { 
@@ -435,10 +501,11 @@ class FlightTrafficAnalyzer {
       };
     }
 
-    const prediction = analysis.pricePredictions.find(p => p.monthNumber === month);
+    const [prediction] = this.predictPriceImpact([monthData]);
 
     return {
       success: true,
+      cityCode,
       month: monthData.month,
       trafficScore: monthData.score,
       category: monthData.category,
@@ -452,18 +519,21 @@ class FlightTrafficAnalyzer {
    * Compare multiple months for optimal booking
    * @param {Array<number>} months - Array of month numbers to compare
    * @param {string} year - Year in YYYY format
+   * @param {string} cityCode - Airport code (default: this.cityCode)
    * @returns {Object} Comparison results
    */
-  async compareMonths(months, year = '2025') {
-    const analysis = await this.analyzeTrafficPatterns(year);
+  async compareMonths(months, year = '2025', cityCode = this.cityCode) {
+    const arriving = await this.fetchMonthlyScores(year, 'ARRIVING', cityCode);
     
-    if (!analysis.success) {
-      return { success: false, error: analysis.error };
+    if (!arriving.success) {
+      return { success: false, error: arriving.error };
     }
 
+    const pricePredictions = this.predictPriceImpact(arriving.monthlyScores);
+
     const comparisons = months.map(monthNum => {
-      const monthData = analysis.monthlyScores.find(m => m.monthNumber === monthNum);
-      const prediction = analysis.pricePredictions.find(p => p.monthNumber === monthNum);
+      const monthData = arriving.monthlyScores.find(m => m.monthNumber === monthNum);
+      const prediction = pricePredictions.find(p => p.monthNumber === monthNum);
       
       return {
         month: monthData.month,
@@ -485,6 +555,7 @@ class FlightTrafficAnalyzer {
 
     return {
       success: true,
+      cityCode,
       comparisons,
       bestMonth: {
         month: best.month,
@@ -517,6 +588,369 @@ class FlightTrafficAnalyzer {
     };
   }
 
+  /**
+   * Compare arriving and departing demand month by month.
+   * Months where arrivals clearly outweigh departures mean more visitors in
+   * town (hotel pressure); departure-heavy months are when locals and
+   * visitors are leaving.
+   */
+  compareDirections(arrivingScores, departingScores) {
+    if (departingScores.length === 0) {
+      return null;
+    }
+
+    const months = arrivingScores.map(arriving => {
+      const departing = departingScores.find(d => d.monthNumber === arriving.monthNumber);
+      const netFlow = departing ? arriving.score - departing.score : null;
+
+      let dominantDirection = 'BALANCED';
+      if (netFlow !== null && netFlow >= 1) dominantDirection = 'ARRIVING';
+      if (netFlow !== null && netFlow <= -1) dominantDirection = 'DEPARTING';
+
+      return {
+        month: arriving.month,
+        monthNumber: arriving.monthNumber,
+        arrivingScore: arriving.score,
+        departingScore: departing ? departing.score : null,
+        netFlow,
+        dominantDirection
+      };
+    });
+
+    return {
+      months,
+      arrivalHeavyMonths: months.filter(m => m.dominantDirection === 'ARRIVING').map(m => m.month),
+      departureHeavyMonths: months.filter(m => m.dominantDirection === 'DEPARTING').map(m => m.month)
+    };
+  }
+
+  /**
+   * Compare traffic at Orlando-area airports and recommend an alternate
+   * airport for months when it sits in a lower traffic band than the primary
+   *
+   * @param {string} year - Year in YYYY format
+   * @param {Object} options
+   * @param {string} options.primary - Airport the trip would normally use (default: this.cityCode)
+   * @param {Array<string>} options.alternates - Airports to compare (default: all other supported airports)
+   * @returns {Object} Per-airport price predictions, chart series and recommendations
+   */
+  async compareAirports(year = '2025', options = {}) {
+    const primary = options.primary || this.cityCode;
+    const alternates = (options.alternates || Object.keys(this.airports)).filter(code => code !== primary);
+    const cityCodes = [primary, ...alternates];
+
+    // Sequential to stay within Amadeus rate limits
+    const analyses = {};
+    for (const cityCode of cityCodes) {
+      analyses[cityCode] = await this.analyzeTrafficPatterns(year, cityCode);
+    }
+
+    if (!analyses[primary].success) {
+      return {
+        success: false,
+        error: `Failed to fetch traffic data for ${primary}`,
+        details: analyses[primary].details
+      };
+    }
+
+    const airports = cityCodes.map(cityCode => {
+      const analysis = analyses[cityCode];
+      return {
+        cityCode,
+        ...this.airports[cityCode],
+        success: analysis.success,
+        error: analysis.success ? undefined : analysis.error,
+        averageScore: analysis.success ? analysis.patterns.averageScore : null,
+        pricePredictions: analysis.success ? analysis.pricePredictions : []
+      };
+    });
+
+    // One row per month with every airport's score, for side-by-side charts
+    const chart = analyses[primary].monthlyScores.map(month => {
+      const row = { month: month.month, monthNumber: month.monthNumber };
+      airports.forEach(airport => {
+        const prediction = airport.pricePredictions.find(p => p.monthNumber === month.monthNumber);
+        row[airport.cityCode] = prediction ? prediction.trafficScore : null;
+      });
+      return row;
+    });
+
+    const recommendations = this.recommendAlternateAirports(
+      analyses[primary].pricePredictions,
+      airports.filter(airport => airport.cityCode !== primary && airport.success),
+      primary
+    );
+
+    return {
+      success: true,
+      year,
+      primary,
+      airports,
+      chart,
+      recommendations,
+      summary: recommendations.length > 0
+        ? `${recommendations.length} month(s) where an alternate airport is in a lower traffic band than ${primary}`
+        : `${primary} is never in a higher traffic band than the alternates in ${year}`
+    };
+  }
+
+  /**
+   * For each month, pick the alternate airport in the lowest traffic band
+   * below the primary's band (ties go to the shorter drive)
+   */
+  recommendAlternateAirports(primaryPredictions, alternates, primary) {
+    const recommendations = [];
+
+    primaryPredictions.forEach(primaryMonth => {
+      const primaryBand = this.categoryOrder.indexOf(primaryMonth.category);
+
+      const candidates = alternates
+        .map(airport => ({
+          airport,
+          prediction: airport.pricePredictions.find(p => p.monthNumber === primaryMonth.monthNumber)
+        }))
+        .filter(({ prediction }) => prediction && this.categoryOrder.indexOf(prediction.category) < primaryBand)
+        .sort((a, b) =>
+          this.categoryOrder.indexOf(a.prediction.category) - this.categoryOrder.indexOf(b.prediction.category) ||
+          a.airport.driveMinutesToParks - b.airport.driveMinutesToParks
+        );
+
+      if (candidates.length === 0) return;
+
+      const { airport, prediction } = candidates[0];
+      const extraDriveMinutes = airport.driveMinutesToParks - this.airports[primary].driveMinutesToParks;
+      const priceDifference = Math.round((1 - prediction.priceMultiplier / primaryMonth.priceMultiplier) * 100);
+
+      recommendations.push({
+        month: primaryMonth.month,
+        monthNumber: primaryMonth.monthNumber,
+        primary: {
+          cityCode: primary,
+          trafficScore: primaryMonth.trafficScore,
+          category: primaryMonth.category
+        },
+        alternate: {
+          cityCode: airport.cityCode,
+          name: airport.name,
+          trafficScore: prediction.trafficScore,
+          category: prediction.category,
+          driveMinutesToParks: airport.driveMinutesToParks
+        },
+        expectedPriceDifference: `-${priceDifference}%`,
+        extraDriveMinutes,
+        recommendation: `Fly into ${airport.name} (${airport.cityCode}) in ${primaryMonth.month}: ` +
+          `${prediction.category.replace('_', ' ').toLowerCase()} traffic vs. ${primaryMonth.category.replace('_', ' ').toLowerCase()} at ${primary}, ` +
+          `about ${extraDriveMinutes} extra minutes to the parks.`
+      });
+    });
+
+    return recommendations;
+  }
+
+  /**
+   * Compare traffic across several years and project the next one
+   *
+   * @param {string|number} fromYear - First year (YYYY)
+   * @param {string|number} toYear - Last year (YYYY)
+   * @param {string} cityCode - Airport code (default: this.cityCode)
+   * @returns {Object} Per-year scores, year-over-year deltas per month,
+   *   peak shifts and a next-year projection
+   */
+  async analyzeTrend(fromYear, toYear, cityCode = this.cityCode) {
+    const years = [];
+
+    // Sequential to stay within Amadeus rate limits; each year is cached
+    for (let year = Number(fromYear); year <= Number(toYear); year++) {
+      const result = await this.fetchMonthlyScores(String(year), 'ARRIVING', cityCode);
+      years.push({ year, ...result });
+    }
+
+    const available = years.filter(y => y.success && y.monthlyScores.length > 0);
+    const missingYears = years.filter(y => !available.includes(y)).map(y => String(y.year));
+
+    if (available.length < 2) {
+      return {
+        success: false,
+        error: 'Not enough traffic history',
+        details: `At least 2 years with traffic data are needed; found ${available.length} between ${fromYear} and ${toYear}`,
+        missingYears
+      };
+    }
+
+    const months = this.calculateYearOverYear(available);
+    const projection = this.projectNextYear(months, available[available.length - 1].year + 1);
+    const peakShifts = this.detectPeakShifts(available);
+    const shifting = peakShifts.filter(window => window.shifts.length > 0);
+
+    return {
+      success: true,
+      cityCode,
+      airport: this.airports[cityCode] || null,
+      from: String(fromYear),
+      to: String(toYear),
+      years: available.map(y => ({
+        year: String(y.year),
+        averageScore: (y.monthlyScores.reduce((sum, m) => sum + m.score, 0) / y.monthlyScores.length).toFixed(2),
+        monthlyScores: y.monthlyScores
+      })),
+      missingYears,
+      yearOverYear: months,
+      peakShifts,
+      projection,
+      summary: {
+        risingMonths: months.filter(m => m.trend === 'RISING').map(m => m.month),
+        fallingMonths: months.filter(m => m.trend === 'FALLING').map(m => m.month),
+        shiftingPeaks: shifting.map(window => window.label),
+        description: shifting.length > 0
+          ? `Peaks moved between years: ${shifting.map(w => w.shifts[w.shifts.length - 1].description).join('; ')}`
+          : `Peak months held steady from ${available[0].year} to ${available[available.length - 1].year}`
+      }
+    };
+  }
+
+  /**
+   * Per-month scores by year with the change between consecutive years
+   * @param {Array} years - [{ year, monthlyScores }] in ascending order
+   */
+  calculateYearOverYear(years) {
+    const months = [];
+
+    for (let monthNumber = 1; monthNumber <= 12; monthNumber++) {
+      const points = years
+        .map(y => ({ year: y.year, entry: y.monthlyScores.find(m => m.monthNumber === monthNumber) }))
+        .filter(point => point.entry)
+        .map(point => ({ year: point.year, score: point.entry.score, month: point.entry.month }));
+
+      if (points.length === 0) continue;
+
+      const deltas = points.slice(1).map((point, index) => ({
+        fromYear: String(points[index].year),
+        toYear: String(point.year),
+        delta: point.score - points[index].score
+      }));
+      const averageDelta = deltas.length > 0
+        ? deltas.reduce((sum, d) => sum + d.delta, 0) / deltas.length
+        : 0;
+
+      let trend = 'STABLE';
+      if (averageDelta >= this.trendSettings.stableDelta) trend = 'RISING';
+      if (averageDelta <= -this.trendSettings.stableDelta) trend = 'FALLING';
+
+      months.push({
+        month: points[0].month,
+        monthNumber,
+        scores: points.reduce((byYear, point) => ({ ...byYear, [point.year]: point.score }), {}),
+        points: points.map(point => ({ year: point.year, score: point.score })),
+        deltas,
+        averageDelta: Math.round(averageDelta * 100) / 100,
+        trend
+      });
+    }
+
+    return months;
+  }
+
+  /**
+   * Find the busiest month of each peak window per year and report when it moves.
+   * On a tie the previous year's peak month keeps the title, so equal scores
+   * don't read as a shift.
+   */
+  detectPeakShifts(years) {
+    return Object.entries(this.peakWindows).map(([window, { label, months }]) => {
+      const peaks = [];
+
+      years.forEach(y => {
+        const candidates = y.monthlyScores.filter(m => months.includes(m.monthNumber));
+        if (candidates.length === 0) return;
+
+        const previous = peaks[peaks.length - 1];
+        const topScore = Math.max(...candidates.map(m => m.score));
+        const tied = candidates.filter(m => m.score === topScore);
+        const peak = (previous && tied.find(m => m.monthNumber === previous.monthNumber)) || tied[0];
+
+        peaks.push({ year: String(y.year), month: peak.month, monthNumber: peak.monthNumber, score: peak.score });
+      });
+
+      const shifts = peaks.slice(1)
+        .filter((peak, index) => peak.monthNumber !== peaks[index].monthNumber)
+        .map(peak => {
+          const before = peaks[peaks.indexOf(peak) - 1];
+          const monthsMoved = peak.monthNumber - before.monthNumber;
+
+          return {
+            fromYear: before.year,
+            toYear: peak.year,
+            from: before.month,
+            to: peak.month,
+            monthsMoved,
+            direction: monthsMoved < 0 ? 'EARLIER' : 'LATER',
+            description: `${label} peak moved from ${before.month} (${before.year}) to ${peak.month} (${peak.year})`
+          };
+        });
+
+      return { window, label, peaks, shifts };
+    });
+  }
+
+  /**
+   * Project each month's score for the next year with a least-squares line
+   * through its history. The band widens with how far the history strays
+   * from the line (or, with only two years, with the size of the change).
+   */
+  projectNextYear(months, nextYear) {
+    const projectedMonths = months.map(month => {
+      const { points } = month;
+      const n = points.length;
+      const meanYear = points.reduce((sum, p) => sum + p.year, 0) / n;
+      const meanScore = points.reduce((sum, p) => sum + p.score, 0) / n;
+      const sxx = points.reduce((sum, p) => sum + Math.pow(p.year - meanYear, 2), 0);
+      const slope = sxx > 0
+        ? points.reduce((sum, p) => sum + (p.year - meanYear) * (p.score - meanScore), 0) / sxx
+        : 0;
+
+      const predict = year => meanScore + slope * (year - meanYear);
+      const spread = n > 2
+        ? Math.sqrt(points.reduce((sum, p) => sum + Math.pow(p.score - predict(p.year), 2), 0) / (n - 2))
+        : Math.abs(slope);
+      const halfWidth = Math.max(this.trendSettings.minimumBand, spread * this.trendSettings.bandWidthFactor);
+
+      const clamp = score => Math.round(Math.min(10, Math.max(1, score)) * 10) / 10;
+      const score = clamp(predict(nextYear));
+      const low = clamp(score - halfWidth);
+      const high = clamp(score + halfWidth);
+
+      let confidence = 'LOW';
+      if (n >= 4 && halfWidth <= 1) confidence = 'HIGH';
+      else if (n >= 3 && halfWidth <= 2) confidence = 'MEDIUM';
+
+      return {
+        month: month.month,
+        monthNumber: month.monthNumber,
+        projectedScore: score,
+        band: { low, high },
+        category: this.categorizeTrafficScore(score),
+        categoryRange: {
+          low: this.categorizeTrafficScore(low),
+          high: this.categorizeTrafficScore(high)
+        },
+        priceMultiplier: this.getMultiplierForScore(score),
+        trendPerYear: Math.round(slope * 100) / 100,
+        confidence,
+        basedOnYears: n
+      };
+    });
+
+    return {
+      year: String(nextYear),
+      method: 'Least-squares trend per month across the requested years',
+      months: projectedMonths,
+      bestMonths: [...projectedMonths]
+        .sort((a, b) => a.projectedScore - b.projectedScore || a.band.high - b.band.high)
+        .slice(0, 3)
+        .map(m => ({ month: m.month, projectedScore: m.projectedScore, band: m.band, confidence: m.confidence }))
+    };
+  }
+
   /**
    * Get price multiplier for a traffic score
    */
@@ -11,10 +11,12 @@
  * Uses advanced statistical methods and machine learning
  */
 
+const PriceHistoryStore = require('./PriceHistoryStore');
+
 class HistoricalPriceAnalyzer {
-  constructor() {
-    // In production, this would connect to a real database
-    this.historicalData = new Map();
+  constructor(priceHistoryStore = PriceHistoryStore.getInstance()) {
+    // Persistent price history recorded by the search services
+    this.historicalData = priceHistoryStore;
     
     // Orlando-specific event calendar
     this.orlandoEvents = {
@@ -120,6 +122,16 @@ class HistoricalPriceAnalyzer {
     };
   }
 
+  /**
+   * Load a property's recorded price history from the persistent store
+   * @param {string} propertyId - Property identifier
+   * @param {Object} filters - Optional category/startDate/endDate/since filters
+   * @returns {Array} Array of {date, price} objects
+   */
+  getStoredHistory(propertyId, filters = {}) {
+    return this.historicalData.getPriceSeries(propertyId, filters);
+  }
+
   /**
    * Calculate comprehensive statistics
    */
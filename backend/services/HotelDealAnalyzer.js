@@ -4,14 +4,21 @@
  * https://github.com/darshann25/Find-The-Best-Hotel-Deal.git
  * 
  * This service implements the same deal analysis logic but adapted for Node.js
- * and integrated with our real-time hotel data sources.
+ * and integrated with our real-time hotel data sources. Promo terms (minimum
+ * stay, valid nights, book-by/travel windows, stay-pay free nights) are
+ * parsed into rules by DealRuleEngine and priced against the actual stay.
  */
 
 const SerpApiService = require('./SerpApiService');
+const DealRuleEngine = require('./DealRuleEngine');
+
+// Confidence multiplier for "up to X% off" deals, priced at their maximum
+const UP_TO_CONFIDENCE_FACTOR = 0.5;
 
 class HotelDealAnalyzer {
   constructor() {
     this.serpApi = new SerpApiService();
+    this.ruleEngine = new DealRuleEngine();
     this.deals = new Map(); // hotelName -> Array of deals
   }
 
@@ -127,6 +134,7 @@ class HotelDealAnalyzer {
                   link: result.link,
                   dealType: this.extractDealType(result.title, result.snippet),
                   discountAmount: this.extractDiscountAmount(result.snippet),
+                  rules: this.ruleEngine.parseTerms(`${result.title}. ${result.snippet}`),
                   source: 'serpapi_google_light',
                   confidence: this.calculateConfidence(result),
                   timestamp: new Date().toISOString()
@@ -147,7 +155,8 @@ class HotelDealAnalyzer {
   }
 
   /**
-   * Combine real-time data with deal information
+   * Combine real-time data with deal information. Deals from structured
+   * sources may carry `terms` (see DealRuleEngine.fromStructured).
    */
   combineDealSources(realTimeData, dealData) {
     const combinedDeals = [];
@@ -166,6 +175,7 @@ class HotelDealAnalyzer {
         dealType: 'Standard Rate',
         confidence: hotel.confidence,
         source: hotel.source,
+        rules: null,
         applicableDays: 0,
         totalDays: 0,
         isBestDeal: false
@@ -184,6 +194,7 @@ class HotelDealAnalyzer {
         }
         
         const basePrice = this.findBasePrice(deal.hotelName, realTimeData);
+        const textRules = deal.rules || this.ruleEngine.parseTerms(deal.snippet);
         const savings = Math.round(basePrice * (discountPercent / 100));
         
         // FIXED: Prevent negative prices
@@ -210,6 +221,7 @@ class HotelDealAnalyzer {
           dealType: deal.dealType,
           confidence: deal.confidence,
           source: deal.source,
+          rules: deal.terms ? this.ruleEngine.mergeRules(textRules, this.ruleEngine.fromStructured(deal.terms)) : textRules,
           applicableDays: 0,
           totalDays: 0,
           isBestDeal: false
@@ -224,13 +236,34 @@ class HotelDealAnalyzer {
   }
 
   /**
-   * Analyze deals using the original algorithm logic
+   * Analyze deals using the original algorithm logic. With stay dates, each
+   * deal is priced under its rules and originalPrice, discountedPrice and
+   * savings are for the whole stay (the nightly rate moves to nightlyRate);
+   * deals whose terms the stay doesn't meet save nothing. "Up to" discounts
+   * are priced at their maximum with lowered confidence.
    */
   analyzeDeals(deals, params) {
-    const { checkInDate, checkOutDate, duration } = params;
+    const { checkInDate, checkOutDate, duration, bookingDate } = params;
     
     // Calculate applicable days for each deal
     deals.forEach(deal => {
+      if (checkInDate && checkOutDate && deal.originalPrice > 0) {
+        deal.nightlyRate = deal.nightlyRate || deal.originalPrice;
+        deal.stayPrice = this.ruleEngine.evaluate(deal.rules, {
+          checkInDate,
+          checkOutDate,
+          nightlyRate: deal.nightlyRate,
+          bookingDate
+        });
+        deal.eligible = deal.stayPrice.eligible;
+        deal.originalPrice = deal.stayPrice.baseTotal;
+        deal.discountedPrice = deal.stayPrice.total;
+        deal.savings = deal.stayPrice.savings;
+        if (deal.stayPrice.eligible && deal.stayPrice.upTo && deal.confidence) {
+          deal.confidence = Math.round(deal.confidence * UP_TO_CONFIDENCE_FACTOR * 100) / 100;
+        }
+      }
+
       deal.applicableDays = this.calculateApplicableDays(deal, params);
       deal.totalDays = duration;
     });
@@ -267,12 +300,11 @@ class HotelDealAnalyzer {
   }
 
   /**
-   * Calculate applicable days for a deal
+   * Calculate applicable days for a deal: nights its rules discount, or the
+   * whole stay when it wasn't priced against dates
    */
   calculateApplicableDays(deal, params) {
-    // For now, assume all days are applicable
-    // In a full implementation, this would check deal validity dates
-    return params.duration;
+    return deal.stayPrice ? deal.stayPrice.discountedNights : params.duration;
   }
 
   /**
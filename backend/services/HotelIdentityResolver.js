@@ -0,0 +1,541 @@
+/**
+ * Hotel Identity Resolver
+ *
+ * Decides which SerpApi and Amadeus results are the same property, so
+ * price comparisons and "exclusive rate" flags compare like with like.
+ * Each result is matched against a persisted registry of canonical hotels
+ * using:
+ * - Name token similarity (brand, filler and city words removed; truncated
+ *   GDS names match on prefixes)
+ * - Brand/chain detection from names and Amadeus chain codes. Two
+ *   different brands never merge.
+ * - Normalized street addresses, when a source provides one
+ * - Haversine distance between coordinates
+ *
+ * A source ID (Amadeus hotelId, Google property token) is remembered once
+ * resolved. Manual overrides pin a source ID to a canonical hotel, or to a
+ * new ID to split a bad merge.
+ *
+ * Registry shape (hotel-registry.json):
+ * {
+ *   hotels:    { [canonicalId]: { id, name, names, brand, chain, latitude, longitude, address, sourceIds, createdAt, updatedAt } },
+ *   sources:   { [sourceId]: canonicalId },
+ *   overrides: { [sourceId]: canonicalId }
+ * }
+ */
+
+const JsonFileStore = require('./JsonFileStore');
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Brands most specific first; a name matching several aliases takes the longest
+const BRANDS = [
+  { brand: 'Waldorf Astoria', chain: 'Hilton', aliases: ['waldorf astoria'], chainCodes: ['WA'] },
+  { brand: 'Signia', chain: 'Hilton', aliases: ['signia'], chainCodes: [] },
+  { brand: 'Hilton Garden Inn', chain: 'Hilton', aliases: ['hilton garden inn'], chainCodes: ['GI'] },
+  { brand: 'Hampton Inn', chain: 'Hilton', aliases: ['hampton inn', 'hampton by hilton'], chainCodes: ['HX'] },
+  { brand: 'DoubleTree', chain: 'Hilton', aliases: ['doubletree', 'double tree'], chainCodes: ['DT'] },
+  { brand: 'Embassy Suites', chain: 'Hilton', aliases: ['embassy suites'], chainCodes: ['ES'] },
+  { brand: 'Homewood Suites', chain: 'Hilton', aliases: ['homewood suites'], chainCodes: ['HG'] },
+  { brand: 'Hilton', chain: 'Hilton', aliases: ['hilton'], chainCodes: ['HH'] },
+  { brand: 'Ritz-Carlton', chain: 'Marriott', aliases: ['ritz carlton'], chainCodes: ['RZ'] },
+  { brand: 'JW Marriott', chain: 'Marriott', aliases: ['jw marriott'], chainCodes: [] },
+  { brand: 'Courtyard', chain: 'Marriott', aliases: ['courtyard'], chainCodes: ['CY'] },
+  { brand: 'Fairfield Inn', chain: 'Marriott', aliases: ['fairfield inn', 'fairfield by marriott'], chainCodes: ['FN'] },
+  { brand: 'Residence Inn', chain: 'Marriott', aliases: ['residence inn'], chainCodes: ['RC'] },
+  { brand: 'SpringHill Suites', chain: 'Marriott', aliases: ['springhill suites'], chainCodes: ['XV'] },
+  { brand: 'Sheraton', chain: 'Marriott', aliases: ['sheraton'], chainCodes: ['SI'] },
+  { brand: 'Westin', chain: 'Marriott', aliases: ['westin'], chainCodes: ['WI'] },
+  { brand: 'Marriott', chain: 'Marriott', aliases: ['marriott'], chainCodes: ['MC'] },
+  { brand: 'Hyatt Regency', chain: 'Hyatt', aliases: ['hyatt regency'], chainCodes: [] },
+  { brand: 'Hyatt Place', chain: 'Hyatt', aliases: ['hyatt place'], chainCodes: [] },
+  { brand: 'Hyatt', chain: 'Hyatt', aliases: ['hyatt'], chainCodes: ['HY'] },
+  { brand: 'Holiday Inn Express', chain: 'IHG', aliases: ['holiday inn express'], chainCodes: [] },
+  { brand: 'Holiday Inn', chain: 'IHG', aliases: ['holiday inn'], chainCodes: ['HI'] },
+  { brand: 'Crowne Plaza', chain: 'IHG', aliases: ['crowne plaza'], chainCodes: ['CP'] },
+  { brand: 'Best Western', chain: 'Best Western', aliases: ['best western'], chainCodes: ['BW'] },
+  { brand: 'Days Inn', chain: 'Wyndham', aliases: ['days inn'], chainCodes: ['DI'] },
+  { brand: 'La Quinta', chain: 'Wyndham', aliases: ['la quinta'], chainCodes: ['LQ'] },
+  { brand: 'Wyndham', chain: 'Wyndham', aliases: ['wyndham'], chainCodes: ['WY'] },
+  { brand: 'Four Seasons', chain: 'Four Seasons', aliases: ['four seasons'], chainCodes: ['FS'] }
+];
+
+// Words that say nothing about which property it is
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'at', 'by', 'in', 'of', 'on', 'the',
+  'hotel', 'resort', 'spa', 'area', 'orlando', 'florida', 'fl', 'usa'
+]);
+
+// Spellings of the same place, normalized before tokenizing
+const NAME_PHRASES = [
+  [/\binternational drive\b/g, 'idrive'],
+  [/\bi drive\b/g, 'idrive'],
+  [/\blake buena vista\b/g, 'lbv']
+];
+
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st',
+  avenue: 'ave',
+  boulevard: 'blvd',
+  drive: 'dr',
+  road: 'rd',
+  parkway: 'pkwy',
+  lane: 'ln',
+  court: 'ct',
+  circle: 'cir',
+  highway: 'hwy',
+  place: 'pl',
+  trail: 'trl',
+  north: 'n',
+  south: 's',
+  east: 'e',
+  west: 'w'
+};
+
+const SOURCES = ['amadeus', 'serpapi'];
+
+let sharedInstance = null;
+
+class HotelIdentityResolver {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.filePath - Override storage file (null = memory only)
+   * @param {Object} options.thresholds - Match threshold overrides (see this.thresholds)
+   */
+  constructor(options = {}) {
+    this.store = new JsonFileStore('hotel-registry.json', { hotels: {}, sources: {}, overrides: {} }, options);
+
+    this.thresholds = {
+      match: 0.75,                 // Score needed to merge with a canonical hotel
+      nameOnlyMatch: 0.9,          // Name similarity needed when there is no location to compare
+      maxDistanceMeters: 500,      // Further apart than this is never the same property
+      ...(options.thresholds || {})
+    };
+    this.weights = { name: 0.6, location: 0.3, brand: 0.1 };
+  }
+
+  /**
+   * Shared registry used by all services in this process
+   */
+  static getInstance() {
+    if (!sharedInstance) {
+      sharedInstance = new HotelIdentityResolver();
+    }
+    return sharedInstance;
+  }
+
+  /**
+   * Stable source ID for a search result ('amadeus:HLORL123',
+   * 'serpapi:<property token>'), or null when the source gives none
+   */
+  static getSourceId(hotel) {
+    if (hotel.source === 'amadeus' && hotel.hotelId) return `amadeus:${hotel.hotelId}`;
+    if (hotel.rawData?.property_token) return `serpapi:${hotel.rawData.property_token}`;
+    return null;
+  }
+
+  /**
+   * Lowercase name with punctuation, possessives and known place spellings normalized
+   */
+  static normalizeName(name) {
+    let normalized = String(name || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/['’]s\b/g, '')
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+
+    NAME_PHRASES.forEach(([pattern, replacement]) => {
+      normalized = normalized.replace(pattern, replacement);
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Brand and parent chain from the hotel name, falling back to the
+   * Amadeus chain code for the chain
+   * @returns {Object} { brand, chain } (either may be null)
+   */
+  static detectBrand(name, chainCode = null) {
+    const padded = ` ${HotelIdentityResolver.normalizeName(name)} `;
+    let match = null;
+
+    BRANDS.forEach(entry => {
+      entry.aliases.forEach(alias => {
+        if (padded.includes(` ${alias} `) && (!match || alias.length > match.alias.length)) {
+          match = { entry, alias };
+        }
+      });
+    });
+
+    if (match) {
+      return { brand: match.entry.brand, chain: match.entry.chain };
+    }
+
+    const byCode = chainCode && BRANDS.find(entry => entry.chainCodes.includes(String(chainCode).toUpperCase()));
+    return { brand: null, chain: byCode ? byCode.chain : null };
+  }
+
+  /**
+   * Distinctive name tokens: brand and chain words, filler words and city
+   * words removed, plurals folded
+   */
+  static nameTokens(name, brand = null) {
+    let normalized = ` ${HotelIdentityResolver.normalizeName(name)} `;
+
+    const entry = BRANDS.find(candidate => candidate.brand === brand);
+    if (entry) {
+      [...entry.aliases, entry.chain.toLowerCase()].forEach(alias => {
+        normalized = normalized.split(` ${alias} `).join(' ');
+      });
+    }
+
+    return [...new Set(normalized
+      .split(' ')
+      .filter(token => token && !STOP_WORDS.has(token))
+      .map(token => (token.length > 4 && token.endsWith('s') ? token.slice(0, -1) : token)))];
+  }
+
+  /**
+   * Similarity of two token lists (0-1): the average of the Dice coefficient
+   * and the overlap coefficient. Tokens match when equal or when one is a
+   * prefix of the other (GDS names are often truncated).
+   */
+  static tokenSimilarity(tokensA, tokensB) {
+    if (tokensA.length === 0 && tokensB.length === 0) return 1;
+    if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+    const unmatched = [...tokensB];
+    let shared = 0;
+    tokensA.forEach(token => {
+      const index = unmatched.findIndex(other =>
+        other === token ||
+        (Math.min(other.length, token.length) >= 3 && (other.startsWith(token) || token.startsWith(other)))
+      );
+      if (index !== -1) {
+        unmatched.splice(index, 1);
+        shared++;
+      }
+    });
+
+    const dice = (2 * shared) / (tokensA.length + tokensB.length);
+    const overlap = shared / Math.min(tokensA.length, tokensB.length);
+    return (dice + overlap) / 2;
+  }
+
+  /**
+   * Street address reduced to number and street, with suffixes and
+   * directions abbreviated and units dropped. Accepts a string or an
+   * Amadeus address ({ lines: [...] }).
+   * @returns {string|null} null when it doesn't look like a street address
+   */
+  static normalizeAddress(address) {
+    const line = typeof address === 'string' ? address : address?.lines?.[0];
+    if (!line) return null;
+
+    const normalized = line
+      .split(',')[0]
+      .toLowerCase()
+      .replace(/\b(suite|ste|unit|apt)\s*\w+/g, '')
+      .replace(/#\s*\w+/g, '')
+      .replace(/[^a-z0-9 ]+/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => ADDRESS_ABBREVIATIONS[word] || word)
+      .join(' ');
+
+    return /^\d+\s+\S/.test(normalized) ? normalized : null;
+  }
+
+  /**
+   * Great-circle distance in meters between two { latitude, longitude } points
+   */
+  static distanceMeters(a, b) {
+    const toRadians = degrees => (degrees * Math.PI) / 180;
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLon = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+  }
+
+  /**
+   * Identity attributes of a search result from either source
+   */
+  extractIdentity(hotel) {
+    const location = hotel.location || {};
+    const coordinates = location.gpsCoordinates || location;
+    const latitude = parseFloat(coordinates.latitude);
+    const longitude = parseFloat(coordinates.longitude);
+    const { brand, chain } = HotelIdentityResolver.detectBrand(hotel.hotelName || hotel.name, hotel.chainCode);
+
+    return {
+      sourceId: HotelIdentityResolver.getSourceId(hotel),
+      name: hotel.hotelName || hotel.name || 'Unknown hotel',
+      brand,
+      chain,
+      latitude: Number.isFinite(latitude) ? latitude : null,
+      longitude: Number.isFinite(longitude) ? longitude : null,
+      address: HotelIdentityResolver.normalizeAddress(location.address || hotel.address)
+    };
+  }
+
+  /**
+   * Score how likely a search result and a canonical hotel are the same property
+   * @returns {Object} { score, distanceMeters, nameSimilarity, rejected } (rejected: reason or null)
+   */
+  compare(candidate, canonical) {
+    const result = { score: 0, distanceMeters: null, nameSimilarity: 0, rejected: null };
+
+    if (candidate.brand && canonical.brand && candidate.brand !== canonical.brand) {
+      result.rejected = 'BRAND_CONFLICT';
+      return result;
+    }
+    if (candidate.chain && canonical.chain && candidate.chain !== canonical.chain) {
+      result.rejected = 'CHAIN_CONFLICT';
+      return result;
+    }
+
+    const hasCoordinates = hotel => hotel.latitude !== null && hotel.longitude !== null;
+    if (hasCoordinates(candidate) && hasCoordinates(canonical)) {
+      result.distanceMeters = Math.round(HotelIdentityResolver.distanceMeters(candidate, canonical));
+      if (result.distanceMeters > this.thresholds.maxDistanceMeters) {
+        result.rejected = 'TOO_FAR';
+        return result;
+      }
+    }
+
+    const brand = candidate.brand || canonical.brand;
+    const tokens = HotelIdentityResolver.nameTokens(candidate.name, brand);
+    result.nameSimilarity = Math.max(...(canonical.names || [canonical.name]).map(name =>
+      HotelIdentityResolver.tokenSimilarity(tokens, HotelIdentityResolver.nameTokens(name, brand))
+    ));
+
+    const addressMatch = candidate.address && canonical.address ? candidate.address === canonical.address : null;
+    if (addressMatch === false && result.distanceMeters === null) {
+      result.rejected = 'ADDRESS_MISMATCH';
+      return result;
+    }
+
+    // Nothing to place either hotel: only a near-identical name will do
+    if (result.distanceMeters === null && !addressMatch) {
+      result.score = result.nameSimilarity >= this.thresholds.nameOnlyMatch ? result.nameSimilarity : 0;
+      return result;
+    }
+
+    const locationScore = addressMatch
+      ? 1
+      : 1 - result.distanceMeters / this.thresholds.maxDistanceMeters;
+    let brandScore = 0.5;
+    if (candidate.brand && candidate.brand === canonical.brand) brandScore = 1;
+
+    result.score = Math.round((
+      this.weights.name * result.nameSimilarity +
+      this.weights.location * locationScore +
+      this.weights.brand * brandScore
+    ) * 1000) / 1000;
+
+    return result;
+  }
+
+  /**
+   * Resolve a search result to its canonical hotel, registering a new one
+   * when nothing matches
+   * @returns {Object} { canonicalId, hotel, sourceId, matchedBy: 'OVERRIDE'|'SOURCE_ID'|'MATCH'|'NEW', score }
+   */
+  resolve(hotel) {
+    const data = this.store.load();
+    const candidate = this.extractIdentity(hotel);
+    const { sourceId } = candidate;
+
+    if (sourceId && data.overrides[sourceId]) {
+      const canonicalId = data.overrides[sourceId];
+      if (!data.hotels[canonicalId]) {
+        data.hotels[canonicalId] = this.buildCanonical(canonicalId, candidate);
+      }
+      return this.link(canonicalId, candidate, 'OVERRIDE', null);
+    }
+
+    if (sourceId && data.hotels[data.sources[sourceId]]) {
+      return this.link(data.sources[sourceId], candidate, 'SOURCE_ID', null);
+    }
+
+    let best = null;
+    Object.values(data.hotels).forEach(canonical => {
+      if (sourceId && this.hasOtherSourceId(canonical, sourceId)) return;
+
+      const comparison = this.compare(candidate, canonical);
+      if (!comparison.rejected && (!best || comparison.score > best.score)) {
+        best = { id: canonical.id, score: comparison.score };
+      }
+    });
+
+    if (best && best.score >= this.thresholds.match) {
+      return this.link(best.id, candidate, 'MATCH', best.score);
+    }
+
+    const canonicalId = this.generateCanonicalId(candidate.name);
+    data.hotels[canonicalId] = this.buildCanonical(canonicalId, candidate);
+    return this.link(canonicalId, candidate, 'NEW', null);
+  }
+
+  /**
+   * Whether a canonical hotel already holds a different ID from the same
+   * source (one Amadeus property never merges with another)
+   */
+  hasOtherSourceId(canonical, sourceId) {
+    const source = sourceId.split(':')[0];
+    return canonical.sourceIds.some(id => id !== sourceId && id.split(':')[0] === source);
+  }
+
+  buildCanonical(id, candidate) {
+    const now = new Date().toISOString();
+    return {
+      id,
+      name: candidate.name,
+      names: [candidate.name],
+      brand: candidate.brand,
+      chain: candidate.chain,
+      latitude: candidate.latitude,
+      longitude: candidate.longitude,
+      address: candidate.address,
+      sourceIds: [],
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Record a resolution: remember the source ID and any new name, and fill
+   * in attributes the canonical hotel was missing
+   */
+  link(canonicalId, candidate, matchedBy, score) {
+    const data = this.store.load();
+    const canonical = data.hotels[canonicalId];
+    let changed = matchedBy === 'NEW';
+
+    if (candidate.sourceId && !canonical.sourceIds.includes(candidate.sourceId)) {
+      canonical.sourceIds.push(candidate.sourceId);
+      data.sources[candidate.sourceId] = canonicalId;
+      changed = true;
+    }
+    if (!canonical.names.includes(candidate.name)) {
+      canonical.names.push(candidate.name);
+      changed = true;
+    }
+    ['brand', 'chain', 'latitude', 'longitude', 'address'].forEach(field => {
+      if ((canonical[field] === null || canonical[field] === undefined) && candidate[field] !== null) {
+        canonical[field] = candidate[field];
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      canonical.updatedAt = new Date().toISOString();
+      this.store.save();
+    }
+
+    return { canonicalId, hotel: canonical, sourceId: candidate.sourceId, matchedBy, score };
+  }
+
+  /**
+   * Canonical ID from the hotel name (hotel-<slug>, suffixed when taken)
+   */
+  generateCanonicalId(name) {
+    const data = this.store.load();
+    const slug = HotelIdentityResolver.normalizeName(name).replace(/ /g, '-') || 'unknown';
+    let id = `hotel-${slug}`;
+    for (let suffix = 2; data.hotels[id]; suffix++) {
+      id = `hotel-${slug}-${suffix}`;
+    }
+    return id;
+  }
+
+  /**
+   * Validate a manual override
+   * @returns {Array} List of validation error messages (empty when valid)
+   */
+  validateOverride({ sourceId, canonicalId } = {}) {
+    const errors = [];
+    const source = String(sourceId || '').split(':')[0];
+
+    if (!sourceId || !SOURCES.includes(source) || String(sourceId).length <= source.length + 1) {
+      errors.push(`sourceId must look like <source>:<id> with source one of: ${SOURCES.join(', ')}`);
+    }
+    if (!canonicalId || !/^hotel-[a-z0-9-]+$/.test(canonicalId)) {
+      errors.push('canonicalId must look like hotel-<slug>');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Pin a source ID to a canonical hotel. An ID not in the registry yet
+   * creates that hotel on the source's next search result (splits a bad merge).
+   * @returns {Object} { sourceId, canonicalId, previousCanonicalId }
+   */
+  setOverride(sourceId, canonicalId) {
+    const data = this.store.load();
+    const previousCanonicalId = data.sources[sourceId] || null;
+
+    if (previousCanonicalId && data.hotels[previousCanonicalId]) {
+      const previous = data.hotels[previousCanonicalId];
+      previous.sourceIds = previous.sourceIds.filter(id => id !== sourceId);
+    }
+    delete data.sources[sourceId];
+    data.overrides[sourceId] = canonicalId;
+
+    const canonical = data.hotels[canonicalId];
+    if (canonical) {
+      if (!canonical.sourceIds.includes(sourceId)) {
+        canonical.sourceIds.push(sourceId);
+      }
+      data.sources[sourceId] = canonicalId;
+    }
+
+    this.store.save();
+    return { sourceId, canonicalId, previousCanonicalId };
+  }
+
+  /**
+   * Remove a manual override; the source ID is matched again on its next result
+   * @returns {boolean} Whether an override existed
+   */
+  removeOverride(sourceId) {
+    const data = this.store.load();
+    if (!data.overrides[sourceId]) return false;
+
+    const canonical = data.hotels[data.overrides[sourceId]];
+    if (canonical) {
+      canonical.sourceIds = canonical.sourceIds.filter(id => id !== sourceId);
+    }
+    delete data.overrides[sourceId];
+    delete data.sources[sourceId];
+    this.store.save();
+    return true;
+  }
+
+  getOverrides() {
+    return { ...this.store.load().overrides };
+  }
+
+  getHotel(canonicalId) {
+    return this.store.load().hotels[canonicalId] || null;
+  }
+
+  /**
+   * Canonical hotels, optionally filtered by a name query
+   */
+  listHotels({ q } = {}) {
+    const query = q ? HotelIdentityResolver.normalizeName(q) : null;
+    return Object.values(this.store.load().hotels)
+      .filter(hotel => !query || hotel.names.some(name => HotelIdentityResolver.normalizeName(name).includes(query)))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+}
+
+module.exports = HotelIdentityResolver;
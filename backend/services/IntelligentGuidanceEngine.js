@@ -20,9 +20,11 @@
 const HistoricalPriceAnalyzer = require('./HistoricalPriceAnalyzer');
 const PriceErrorDetector = require('./PriceErrorDetector');
 const PredictiveBookingOptimizer = require('./PredictiveBookingOptimizer');
+const DiscountCodeValidator = require('./DiscountCodeValidator');
 
 class IntelligentGuidanceEngine {
-  constructor() {
+  constructor(options = {}) {
+    this.discountValidator = options.discountValidator || new DiscountCodeValidator();
     this.historicalAnalyzer = new HistoricalPriceAnalyzer();
     this.priceErrorDetector = new PriceErrorDetector();
     this.predictiveOptimizer = new PredictiveBookingOptimizer();
@@ -37,7 +39,7 @@ class IntelligentGuidanceEngine {
    * Generate comprehensive, hyper-specific guidance for a hotel booking
    * 
    * @param {Object} hotel - Hotel data with pricing and availability
-   * @param {Object} context - User context (dates, party size, preferences)
+   * @param {Object} context - User context (dates, party size, preferences, travelerProfile)
    * @param {Object} marketData - Current market conditions
    * @returns {Object} Detailed guidance with actionable recommendations
    */
@@ -642,19 +644,17 @@ class IntelligentGuidanceEngine {
       });
     }
     
-    // Strategy 2: Code stacking (if available)
-    if (discountAnalysis.stackableDiscounts && discountAnalysis.stackableDiscounts.length > 1) {
-      const totalSavings = discountAnalysis.stackableDiscounts.reduce((sum, d) => sum + d.savingsAmount, 0);
-      const totalPercent = discountAnalysis.stackableDiscounts.reduce((sum, d) => sum + d.savings, 0);
-      
+    // Strategy 2: Best legal stack of a rate with other offers (if more than one applies)
+    const stack = discountAnalysis.stacking?.best;
+    if (stack && stack.offers.length > 1) {
       strategies.push({
         name: 'Stackable Discounts',
-        description: 'Combine multiple codes for maximum savings',
-        codes: discountAnalysis.stackableDiscounts.map(d => d.code),
-        estimatedSavings: totalSavings,
-        savingsPercent: totalPercent,
+        description: `Combine ${stack.offers.map(offer => offer.label).join(' + ')}`,
+        codes: stack.offers.map(offer => offer.code).filter(Boolean),
+        estimatedSavings: stack.savings,
+        savingsPercent: stack.savingsPercent,
         confidence: 70,
-        note: 'Verify with hotel that codes can be combined'
+        bookingPath: stack.bookingPath
       });
     }
     
@@ -679,7 +679,9 @@ class IntelligentGuidanceEngine {
     
     return {
       strategies,
-      bestStrategy
+      bestStrategy,
+      // Rates the traveler's profile doesn't cover, with what would unlock them
+      qualifyIf: discountAnalysis.qualifyIf || []
     };
   }
 
@@ -934,12 +936,14 @@ class IntelligentGuidanceEngine {
   }
 
   async analyzeAvailableDiscounts(hotel, context) {
-    // This would integrate with the DiscountCodeValidator
-    // For now, return mock data structure
+    // Only rates the traveler's profile qualifies for; the rest come back in qualifyIf
+    const discounts = await this.discountValidator.discoverDiscounts(hotel, context, context.travelerProfile);
+
     return {
-      availableDiscounts: [],
-      bestDiscount: null,
-      stackableDiscounts: []
+      availableDiscounts: discounts.availableDiscounts,
+      bestDiscount: discounts.bestDiscount || null,
+      stacking: discounts.stacking || null,
+      qualifyIf: discounts.qualifyIf
     };
   }
 
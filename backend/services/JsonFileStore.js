@@ -0,0 +1,103 @@
+/**
+ * JSON File Store
+ *
+ * Minimal file-backed persistence for services whose state must survive
+ * restarts (price history, watchlists, accounts, ...).
+ *
+ * - Data is held in memory and loaded lazily on first access
+ * - Changes are flushed to disk shortly after they happen (debounced)
+ * - Writes go to a temp file first and are renamed into place, so a crash
+ *   mid-write never leaves a truncated store behind
+ *
+ * Files live in DATA_DIR (default: backend/data). Under Jest (NODE_ENV=test)
+ * stores stay in memory unless an explicit filePath is passed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+class JsonFileStore {
+  /**
+   * @param {string} fileName - File name inside DATA_DIR (e.g. 'price-history.json')
+   * @param {Object} defaults - Initial shape of the data when no file exists
+   * @param {Object} options
+   * @param {string|null} options.filePath - Explicit path; null keeps the store in memory
+   * @param {number} options.flushDelay - Debounce delay for writes in ms (default: 1000)
+   */
+  constructor(fileName, defaults = {}, options = {}) {
+    const defaultPath = process.env.NODE_ENV === 'test' ? null : path.join(DATA_DIR, fileName);
+
+    this.filePath = options.filePath !== undefined ? options.filePath : defaultPath;
+    this.defaults = defaults;
+    this.flushDelay = options.flushDelay !== undefined ? options.flushDelay : 1000;
+    this.data = null;
+    this.flushTimer = null;
+
+    if (this.filePath) {
+      // Make sure pending changes hit the disk on shutdown
+      process.once('exit', () => this.flush());
+    }
+  }
+
+  /**
+   * Load data from disk (once) and return the in-memory object
+   */
+  load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    this.data = JSON.parse(JSON.stringify(this.defaults));
+
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      try {
+        const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.data = { ...this.data, ...stored };
+      } catch (error) {
+        console.error(`Failed to read data file ${this.filePath}:`, error.message);
+      }
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Mark data as changed and schedule a write
+   */
+  save() {
+    if (!this.filePath || this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+    // Never keep the process alive just to persist
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+
+  /**
+   * Write data to disk immediately
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    if (!this.filePath || !this.data) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.data));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error(`Failed to write data file ${this.filePath}:`, error.message);
+    }
+  }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,70 @@
+/**
+ * In-Memory LRU Cache Adapter
+ *
+ * Default storage backend for ResponseCache. Entries expire after their TTL
+ * and the least recently used entry is evicted once maxEntries is reached.
+ *
+ * Adapter interface (shared with RedisCacheAdapter):
+ * - get(key)               -> Promise<string|undefined>
+ * - set(key, value, ttl)   -> Promise (ttl in seconds)
+ * - delete(key)            -> Promise
+ * - clear()                -> Promise
+ * - getInfo()              -> { type, ... }
+ */
+
+class LRUCacheAdapter {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Maximum cached responses (default: 500)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (this.entries.size > this.maxEntries) {
+      // Map iteration order is insertion order, so the first key is the LRU entry
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  getInfo() {
+    return {
+      type: 'memory-lru',
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      evictions: this.evictions
+    };
+  }
+}
+
+module.exports = LRUCacheAdapter;
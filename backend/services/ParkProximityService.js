@@ -0,0 +1,325 @@
+/**
+ * Park Proximity Service
+ *
+ * Location intelligence for hotels: how long it takes to get from a hotel
+ * to each Disney and Universal park, and which official perks the hotel
+ * comes with (Disney Skyliner, monorail and buses, Universal water taxis
+ * and walking paths, early park entry).
+ *
+ * Travel times are estimates from straight-line distance:
+ * - Drive: road distance at an average Orlando speed, plus the time from
+ *   the parking lot to the gate (the Magic Kingdom lot is across the lagoon)
+ * - Walk: only within walking range
+ * - Official transport: typical door-to-gate minutes including the wait
+ *
+ * The park access score (0-100) rewards short trips to the parks the
+ * traveler cares about and adds a bonus for early entry benefits.
+ */
+
+const HotelIdentityResolver = require('./HotelIdentityResolver');
+
+// Park gates, with minutes from the guest parking lot to the gate
+const PARKS = {
+  MAGIC_KINGDOM: { name: 'Magic Kingdom', resort: 'DISNEY', latitude: 28.4177, longitude: -81.5812, arrivalMinutes: 25 },
+  EPCOT: { name: 'EPCOT', resort: 'DISNEY', latitude: 28.3747, longitude: -81.5494, arrivalMinutes: 10 },
+  HOLLYWOOD_STUDIOS: { name: "Disney's Hollywood Studios", resort: 'DISNEY', latitude: 28.3575, longitude: -81.5583, arrivalMinutes: 10 },
+  ANIMAL_KINGDOM: { name: "Disney's Animal Kingdom", resort: 'DISNEY', latitude: 28.3553, longitude: -81.5901, arrivalMinutes: 10 },
+  UNIVERSAL_STUDIOS: { name: 'Universal Studios Florida', resort: 'UNIVERSAL', latitude: 28.4754, longitude: -81.4680, arrivalMinutes: 15 },
+  ISLANDS_OF_ADVENTURE: { name: 'Islands of Adventure', resort: 'UNIVERSAL', latitude: 28.4711, longitude: -81.4716, arrivalMinutes: 15 },
+  EPIC_UNIVERSE: { name: 'Epic Universe', resort: 'UNIVERSAL', latitude: 28.4405, longitude: -81.4460, arrivalMinutes: 10 }
+};
+
+const DISNEY_PARKS = ['MAGIC_KINGDOM', 'EPCOT', 'HOLLYWOOD_STUDIOS', 'ANIMAL_KINGDOM'];
+
+// Default distance from a resort's location a hotel may be to count as it
+const PERK_RADIUS_METERS = 800;
+
+// Hotels that come with official perks. A hotel is one of these when its
+// name has the keyword and it is within radiusMeters of the resort, or,
+// without coordinates, when its name is exactly the official name, so a
+// "Riviera Motel" in Kissimmee doesn't get the Skyliner.
+// group: DISNEY (Disney-owned), DISNEY_AREA (early entry only), UNIVERSAL
+const PERK_HOTELS = {
+  CONTEMPORARY: { group: 'DISNEY', name: "Disney's Contemporary Resort", keyword: 'contemporary', latitude: 28.4149, longitude: -81.5746 },
+  POLYNESIAN: { group: 'DISNEY', name: "Disney's Polynesian Village Resort", keyword: 'polynesian', latitude: 28.4051, longitude: -81.5848 },
+  GRAND_FLORIDIAN: { group: 'DISNEY', name: "Disney's Grand Floridian Resort & Spa", keyword: 'grand floridian', latitude: 28.4114, longitude: -81.5878 },
+  WILDERNESS_LODGE: { group: 'DISNEY', name: "Disney's Wilderness Lodge", keyword: 'wilderness lodge', latitude: 28.4085, longitude: -81.5743 },
+  FORT_WILDERNESS: { group: 'DISNEY', name: "Disney's Fort Wilderness Resort & Campground", keyword: 'fort wilderness', latitude: 28.4036, longitude: -81.5651, radiusMeters: 1500 },
+  BOARDWALK: { group: 'DISNEY', name: "Disney's BoardWalk Inn", keyword: 'boardwalk', latitude: 28.3677, longitude: -81.5555 },
+  BEACH_CLUB: { group: 'DISNEY', name: "Disney's Beach Club Resort", keyword: 'beach club', latitude: 28.3697, longitude: -81.5583 },
+  YACHT_CLUB: { group: 'DISNEY', name: "Disney's Yacht Club Resort", keyword: 'yacht club', latitude: 28.3704, longitude: -81.5593 },
+  ANIMAL_KINGDOM_LODGE: { group: 'DISNEY', name: "Disney's Animal Kingdom Lodge", keyword: 'animal kingdom lodge', latitude: 28.3537, longitude: -81.6026 },
+  CORONADO_SPRINGS: { group: 'DISNEY', name: "Disney's Coronado Springs Resort", keyword: 'coronado springs', latitude: 28.3657, longitude: -81.5732, radiusMeters: 1200 },
+  CARIBBEAN_BEACH: { group: 'DISNEY', name: "Disney's Caribbean Beach Resort", keyword: 'caribbean beach', latitude: 28.3657, longitude: -81.5434, radiusMeters: 1000 },
+  RIVIERA: { group: 'DISNEY', name: "Disney's Riviera Resort", keyword: 'riviera', latitude: 28.3680, longitude: -81.5472 },
+  ART_OF_ANIMATION: { group: 'DISNEY', name: "Disney's Art of Animation Resort", keyword: 'art of animation', latitude: 28.3516, longitude: -81.5460 },
+  POP_CENTURY: { group: 'DISNEY', name: "Disney's Pop Century Resort", keyword: 'pop century', latitude: 28.3508, longitude: -81.5425 },
+  PORT_ORLEANS_FRENCH_QUARTER: { group: 'DISNEY', name: "Disney's Port Orleans Resort - French Quarter", keyword: 'port orleans', latitude: 28.3822, longitude: -81.5357 },
+  PORT_ORLEANS_RIVERSIDE: { group: 'DISNEY', name: "Disney's Port Orleans Resort - Riverside", keyword: 'port orleans', latitude: 28.3871, longitude: -81.5389 },
+  SARATOGA_SPRINGS: { group: 'DISNEY', name: "Disney's Saratoga Springs Resort & Spa", keyword: 'saratoga springs', latitude: 28.3796, longitude: -81.5255 },
+  OLD_KEY_WEST: { group: 'DISNEY', name: "Disney's Old Key West Resort", keyword: 'old key west', latitude: 28.3817, longitude: -81.5296 },
+  ALL_STAR_MOVIES: { group: 'DISNEY', name: "Disney's All-Star Movies Resort", keyword: 'all star movies', latitude: 28.3375, longitude: -81.5755 },
+  ALL_STAR_MUSIC: { group: 'DISNEY', name: "Disney's All-Star Music Resort", keyword: 'all star music', latitude: 28.3396, longitude: -81.5735 },
+  ALL_STAR_SPORTS: { group: 'DISNEY', name: "Disney's All-Star Sports Resort", keyword: 'all star sports', latitude: 28.3434, longitude: -81.5690 },
+  SWAN: { group: 'DISNEY_AREA', name: 'Walt Disney World Swan', keyword: 'swan', latitude: 28.3653, longitude: -81.5609 },
+  DOLPHIN: { group: 'DISNEY_AREA', name: 'Walt Disney World Dolphin', keyword: 'dolphin', latitude: 28.3669, longitude: -81.5617 },
+  SHADES_OF_GREEN: { group: 'DISNEY_AREA', name: 'Shades of Green', keyword: 'shades of green', latitude: 28.4091, longitude: -81.5942 },
+  FOUR_SEASONS: { group: 'DISNEY_AREA', name: 'Four Seasons Resort Orlando at Walt Disney World Resort', keyword: 'four seasons resort orlando', latitude: 28.4015, longitude: -81.5697 },
+  WALDORF_ASTORIA: { group: 'DISNEY_AREA', name: 'Waldorf Astoria Orlando', keyword: 'waldorf astoria orlando', latitude: 28.3595, longitude: -81.5132 },
+  BONNET_CREEK: { group: 'DISNEY_AREA', name: 'Hilton Orlando Bonnet Creek', keyword: 'bonnet creek', latitude: 28.3600, longitude: -81.5150, radiusMeters: 1200 },
+  HARD_ROCK: { group: 'UNIVERSAL', name: 'Hard Rock Hotel at Universal Orlando', keyword: 'hard rock hotel', latitude: 28.4753, longitude: -81.4657 },
+  PORTOFINO_BAY: { group: 'UNIVERSAL', name: 'Loews Portofino Bay Hotel at Universal Orlando', keyword: 'portofino bay', latitude: 28.4804, longitude: -81.4627 },
+  ROYAL_PACIFIC: { group: 'UNIVERSAL', name: 'Loews Royal Pacific Resort at Universal Orlando', keyword: 'royal pacific', latitude: 28.4665, longitude: -81.4673 },
+  SAPPHIRE_FALLS: { group: 'UNIVERSAL', name: 'Loews Sapphire Falls Resort at Universal Orlando', keyword: 'sapphire falls', latitude: 28.4653, longitude: -81.4621 },
+  AVENTURA: { group: 'UNIVERSAL', name: "Universal's Aventura Hotel", keyword: 'aventura', latitude: 28.4629, longitude: -81.4667 },
+  CABANA_BAY: { group: 'UNIVERSAL', name: "Universal's Cabana Bay Beach Resort", keyword: 'cabana bay', latitude: 28.4620, longitude: -81.4697 },
+  ENDLESS_SUMMER: {
+    group: 'UNIVERSAL',
+    name: "Universal's Endless Summer Resort - Dockside Inn and Suites",
+    aliases: ["Universal's Endless Summer Resort - Surfside Inn and Suites"],
+    keyword: 'endless summer',
+    latitude: 28.4564,
+    longitude: -81.4704,
+    radiusMeters: 1000
+  },
+  STELLA_NOVA: { group: 'UNIVERSAL', name: 'Universal Stella Nova Resort', keyword: 'stella nova', latitude: 28.4425, longitude: -81.4395 },
+  TERRA_LUNA: { group: 'UNIVERSAL', name: 'Universal Terra Luna Resort', keyword: 'terra luna', latitude: 28.4432, longitude: -81.4385 },
+  HELIOS_GRAND: { group: 'UNIVERSAL', name: 'Universal Helios Grand Hotel', keyword: 'helios grand', latitude: 28.4386, longitude: -81.4472 }
+};
+
+const hotelsIn = group => Object.keys(PERK_HOTELS).filter(id => PERK_HOTELS[id].group === group);
+const DISNEY_HOTELS = hotelsIn('DISNEY');
+const UNIVERSAL_HOTELS = hotelsIn('UNIVERSAL');
+const UNIVERSAL_PREMIER_HOTELS = ['HARD_ROCK', 'PORTOFINO_BAY', 'ROYAL_PACIFIC'];
+
+// Official transportation, by PERK_HOTELS ID. WALK minutes are computed
+// from distance.
+const TRANSPORT_PERKS = [
+  { id: 'DISNEY_MONORAIL', mode: 'MONORAIL', name: 'Disney monorail', parks: ['MAGIC_KINGDOM'], minutes: 10, hotels: ['CONTEMPORARY', 'POLYNESIAN', 'GRAND_FLORIDIAN'] },
+  { id: 'DISNEY_SKYLINER', mode: 'SKYLINER', name: 'Disney Skyliner', parks: ['EPCOT', 'HOLLYWOOD_STUDIOS'], minutes: 15, hotels: ['CARIBBEAN_BEACH', 'RIVIERA', 'ART_OF_ANIMATION', 'POP_CENTURY'] },
+  { id: 'DISNEY_BUS', mode: 'BUS', name: 'Disney resort bus', parks: DISNEY_PARKS, minutes: 25, hotels: DISNEY_HOTELS },
+  { id: 'MAGIC_KINGDOM_WALKWAY', mode: 'WALK', name: 'Walking path to Magic Kingdom', parks: ['MAGIC_KINGDOM'], hotels: ['CONTEMPORARY'] },
+  { id: 'EPCOT_WALKWAY', mode: 'WALK', name: 'EPCOT resort area walkway', parks: ['EPCOT', 'HOLLYWOOD_STUDIOS'], hotels: ['BOARDWALK', 'BEACH_CLUB', 'YACHT_CLUB', 'SWAN', 'DOLPHIN'] },
+  { id: 'UNIVERSAL_WALKWAY', mode: 'WALK', name: 'Walking path to Universal CityWalk', parks: ['UNIVERSAL_STUDIOS', 'ISLANDS_OF_ADVENTURE'], hotels: [...UNIVERSAL_PREMIER_HOTELS, 'SAPPHIRE_FALLS', 'AVENTURA', 'CABANA_BAY'] },
+  { id: 'UNIVERSAL_WATER_TAXI', mode: 'WATER_TAXI', name: 'Universal water taxi', parks: ['UNIVERSAL_STUDIOS', 'ISLANDS_OF_ADVENTURE'], minutes: 15, hotels: [...UNIVERSAL_PREMIER_HOTELS, 'SAPPHIRE_FALLS'] },
+  { id: 'UNIVERSAL_SHUTTLE', mode: 'SHUTTLE', name: 'Universal hotel shuttle', parks: ['UNIVERSAL_STUDIOS', 'ISLANDS_OF_ADVENTURE', 'EPIC_UNIVERSE'], minutes: 20, hotels: UNIVERSAL_HOTELS }
+];
+
+const PARK_BENEFITS = [
+  { id: 'DISNEY_EARLY_ENTRY', name: 'Early Theme Park Entry', resort: 'DISNEY', earlyEntry: true, hotels: [...DISNEY_HOTELS, ...hotelsIn('DISNEY_AREA')] },
+  { id: 'UNIVERSAL_EARLY_ADMISSION', name: 'Early Park Admission', resort: 'UNIVERSAL', earlyEntry: true, hotels: UNIVERSAL_HOTELS },
+  { id: 'UNIVERSAL_EXPRESS', name: 'Universal Express Unlimited', resort: 'UNIVERSAL', earlyEntry: false, hotels: UNIVERSAL_PREMIER_HOTELS }
+];
+
+const MODES = ['DRIVE', 'WALK', ...new Set(TRANSPORT_PERKS.map(perk => perk.mode))];
+
+class ParkProximityService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.settings - Travel model overrides
+   */
+  constructor(options = {}) {
+    this.settings = {
+      roadFactor: 1.4,        // Road distance vs. straight line
+      driveSpeedKmh: 40,      // Average including I-4 and resort traffic
+      walkFactor: 1.3,
+      walkSpeedKmh: 4.8,
+      maxWalkKm: 2,
+      bestMinutes: 10,        // Score 100 at or under
+      worstMinutes: 45,       // Score 0 at or over
+      benefitBonus: 10,       // Per early entry benefit
+      ...(options.settings || {})
+    };
+  }
+
+  /**
+   * Latitude/longitude of a search result or merged hotel, or null
+   */
+  static getCoordinates(hotel) {
+    const candidates = [hotel.location?.gpsCoordinates, hotel.location, hotel.amadeusData?.location];
+    for (const candidate of candidates) {
+      const latitude = parseFloat(candidate?.latitude);
+      const longitude = parseFloat(candidate?.longitude);
+      if (Number.isFinite(latitude) && Number.isFinite(longitude)) return { latitude, longitude };
+    }
+    return null;
+  }
+
+  /**
+   * The PERK_HOTELS ID a hotel is, or null. A name keyword needs the hotel
+   * located near the resort; an unlocated hotel needs the exact official name.
+   */
+  static findPerkHotel(name, coordinates) {
+    const match = Object.entries(PERK_HOTELS).find(([, resort]) => {
+      if (!coordinates) {
+        return [resort.name, ...(resort.aliases || [])].some(official => HotelIdentityResolver.normalizeName(official) === name);
+      }
+      return ` ${name} `.includes(` ${resort.keyword} `) &&
+        HotelIdentityResolver.distanceMeters(coordinates, resort) <= (resort.radiusMeters || PERK_RADIUS_METERS);
+    });
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Whether a transport perk or benefit applies to a PERK_HOTELS ID
+   */
+  static appliesTo(entry, perkHotel) {
+    return perkHotel !== null && entry.hotels.includes(perkHotel);
+  }
+
+  /**
+   * Parks and transport modes, for building filters
+   */
+  listParks() {
+    return {
+      parks: Object.entries(PARKS).map(([id, park]) => ({ id, name: park.name, resort: park.resort })),
+      modes: MODES,
+      perks: TRANSPORT_PERKS.map(({ id, mode, name, parks }) => ({ id, mode, name, parks })),
+      benefits: PARK_BENEFITS.map(({ id, name, resort, earlyEntry }) => ({ id, name, resort, earlyEntry }))
+    };
+  }
+
+  /**
+   * 0-100 from travel minutes (linear between best and worst)
+   */
+  accessScore(minutes) {
+    const { bestMinutes, worstMinutes } = this.settings;
+    if (minutes === null || minutes === undefined) return null;
+    if (minutes <= bestMinutes) return 100;
+    if (minutes >= worstMinutes) return 0;
+    return Math.round(((worstMinutes - minutes) / (worstMinutes - bestMinutes)) * 100);
+  }
+
+  /**
+   * Travel options from a hotel to one park
+   */
+  getParkAccess(parkId, coordinates, perks) {
+    const park = PARKS[parkId];
+    const options = [];
+    let distanceKm = null;
+    let walkMinutes = null;
+
+    if (coordinates) {
+      distanceKm = HotelIdentityResolver.distanceMeters(coordinates, park) / 1000;
+      const driveMinutes = (distanceKm * this.settings.roadFactor) / (this.settings.driveSpeedKmh / 60) + park.arrivalMinutes;
+      options.push({ mode: 'DRIVE', name: 'Drive and park', minutes: Math.round(driveMinutes) });
+
+      if (distanceKm <= this.settings.maxWalkKm) {
+        walkMinutes = Math.round((distanceKm * this.settings.walkFactor) / (this.settings.walkSpeedKmh / 60));
+      }
+    }
+
+    perks.filter(perk => perk.parks.includes(parkId)).forEach(perk => {
+      // A walking path needs the hotel's location to time it
+      const minutes = perk.mode === 'WALK' ? walkMinutes : perk.minutes;
+      if (minutes !== null) options.push({ mode: perk.mode, name: perk.name, minutes });
+    });
+
+    if (walkMinutes !== null && !options.some(option => option.mode === 'WALK')) {
+      options.push({ mode: 'WALK', name: 'Walk', minutes: walkMinutes });
+    }
+
+    options.sort((a, b) => a.minutes - b.minutes);
+    const best = options[0] || null;
+
+    return {
+      park: parkId,
+      name: park.name,
+      resort: park.resort,
+      distanceKm: distanceKm !== null ? Math.round(distanceKm * 10) / 10 : null,
+      driveMinutes: options.find(option => option.mode === 'DRIVE')?.minutes ?? null,
+      walkMinutes,
+      options,
+      bestMinutes: best ? best.minutes : null,
+      bestMode: best ? best.mode : null,
+      score: this.accessScore(best ? best.minutes : null)
+    };
+  }
+
+  /**
+   * Park access for a hotel
+   * @param {Object} hotel - Search result or merged hotel
+   * @param {Object} params
+   * @param {string[]} params.parks - Park IDs the traveler cares about (default: all)
+   * @returns {Object} { parks (nearest first), nearest, perkHotel, transport, benefits, earlyEntry, score }
+   *   score is null when neither the location nor any perk is known
+   */
+  analyze(hotel, { parks } = {}) {
+    const targetParks = parks && parks.length > 0 ? parks : Object.keys(PARKS);
+    const name = HotelIdentityResolver.normalizeName(hotel.hotelName);
+    const coordinates = ParkProximityService.getCoordinates(hotel);
+    const perkHotel = ParkProximityService.findPerkHotel(name, coordinates);
+    const perks = TRANSPORT_PERKS.filter(perk => ParkProximityService.appliesTo(perk, perkHotel));
+    const benefits = PARK_BENEFITS.filter(benefit => ParkProximityService.appliesTo(benefit, perkHotel));
+
+    const access = targetParks
+      .map(parkId => this.getParkAccess(parkId, coordinates, perks))
+      .sort((a, b) => (a.bestMinutes ?? Infinity) - (b.bestMinutes ?? Infinity));
+
+    // Best resort wins: a Universal hotel shouldn't be marked down for
+    // being far from Disney
+    const resortScores = [...new Set(access.map(park => park.resort))].map(resort => {
+      const scores = access.filter(park => park.resort === resort && park.score !== null).map(park => park.score);
+      return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+    }).filter(score => score !== null);
+
+    const targetResorts = new Set(access.map(park => park.resort));
+    const earlyEntry = benefits.filter(benefit => benefit.earlyEntry && targetResorts.has(benefit.resort));
+    const score = resortScores.length > 0
+      ? Math.min(100, Math.round(Math.max(...resortScores) + earlyEntry.length * this.settings.benefitBonus))
+      : null;
+
+    return {
+      located: coordinates !== null,
+      parks: access,
+      nearest: access[0]?.bestMinutes !== null ? access[0] : null,
+      perkHotel,
+      transport: perks.map(perk => perk.name),
+      benefits: benefits.map(benefit => benefit.name),
+      earlyEntry: earlyEntry.length > 0,
+      score
+    };
+  }
+
+  /**
+   * Validate park filters from a search request
+   * @returns {string[]} Validation errors
+   */
+  validateFilters({ nearPark, maxParkMinutes, parkTransport } = {}) {
+    const errors = [];
+
+    if (nearPark !== undefined && !PARKS[nearPark]) {
+      errors.push(`nearPark must be one of: ${Object.keys(PARKS).join(', ')}`);
+    }
+    if (maxParkMinutes !== undefined && !(Number(maxParkMinutes) > 0)) {
+      errors.push('maxParkMinutes must be a positive number');
+    }
+    if (parkTransport !== undefined && !MODES.includes(parkTransport)) {
+      errors.push(`parkTransport must be one of: ${MODES.join(', ')}`);
+    }
+    if ((maxParkMinutes !== undefined || parkTransport !== undefined) && nearPark === undefined) {
+      errors.push('nearPark is required with maxParkMinutes or parkTransport');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Whether a hotel's park access passes the search filters, e.g. within
+   * 10 minutes of Magic Kingdom, or on the Skyliner to EPCOT
+   */
+  matchesFilters(parkAccess, { nearPark, maxParkMinutes, parkTransport, earlyEntry } = {}) {
+    if (earlyEntry && !parkAccess.earlyEntry) return false;
+    if (!nearPark) return true;
+
+    const park = parkAccess.parks.find(access => access.park === nearPark);
+    if (!park) return false;
+
+    const options = parkTransport ? park.options.filter(option => option.mode === parkTransport) : park.options;
+    if (options.length === 0) return false;
+
+    return maxParkMinutes === undefined || options.some(option => option.minutes <= Number(maxParkMinutes));
+  }
+}
+
+module.exports = ParkProximityService;
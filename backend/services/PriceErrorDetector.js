@@ -11,10 +11,13 @@
  * These errors are often corrected within hours, so speed is critical.
  */
 
+const PriceHistoryStore = require('./PriceHistoryStore');
+const StayCostNormalizer = require('./StayCostNormalizer');
+
 class PriceErrorDetector {
-  constructor() {
-    // Historical price database (in production, use real database)
-    this.priceHistory = new Map();
+  constructor(priceHistoryStore = PriceHistoryStore.getInstance()) {
+    // Persistent price history recorded by the search services
+    this.priceHistory = priceHistoryStore;
     
     // Anomaly detection thresholds
     this.config = {
@@ -23,7 +26,8 @@ class PriceErrorDetector {
       minDiscountForError: 40,      // Minimum % discount to flag as potential error
       maxPriceDropPercent: 60,      // Maximum realistic price drop %
       confidenceThreshold: 0.85,    // Minimum confidence to flag as error
-      historicalWindowDays: 90      // Days of history to analyze
+      historicalWindowDays: 90,     // Days of history to analyze
+      stayWindowDays: 7             // Compare with stays starting this close to the offer's
     };
   }
 
@@ -343,6 +347,26 @@ class PriceErrorDetector {
     return 'LOW';
   }
 
+  /**
+   * Look up recorded prices for an offer (by propertyId, falling back to id).
+   * With a checkInDate, only stays starting near it count, so a normal
+   * peak-season price isn't flagged against off-peak history. Only prices on
+   * the offer's basis count (all-in when it has a stayCost, else listed).
+   */
+  getStoredPrices(offer) {
+    const propertyId = offer.propertyId || offer.id;
+    if (!propertyId) return [];
+
+    const since = new Date(Date.now() - this.config.historicalWindowDays * 24 * 60 * 60 * 1000).toISOString();
+    const filters = { since, basis: StayCostNormalizer.priceBasis(offer) };
+    if (offer.checkInDate) {
+      filters.startDate = offer.checkInDate;
+      filters.windowDays = this.config.stayWindowDays;
+    }
+
+    return this.priceHistory.getPrices(propertyId, filters);
+  }
+
   /**
    * Batch analyze multiple offers
    */
@@ -350,20 +374,24 @@ class PriceErrorDetector {
     const results = [];
     const pricesByType = {};
 
+    // Compare all-in nightly prices when offers carry a stay cost breakdown,
+    // so a low rate hiding a resort fee doesn't look like an error
+    const priced = offers.map(offer => ({ offer, price: StayCostNormalizer.comparablePrice(offer) }));
+
     // Group prices by property type for better comparison
-    offers.forEach(offer => {
+    priced.forEach(({ offer, price }) => {
       const type = offer.propertyType || 'hotel';
       if (!pricesByType[type]) pricesByType[type] = [];
-      pricesByType[type].push(offer.price);
+      if (price !== null) pricesByType[type].push(price);
     });
 
     // Analyze each offer
-    offers.forEach(offer => {
+    priced.forEach(({ offer, price }) => {
       const type = offer.propertyType || 'hotel';
-      const competitorPrices = pricesByType[type].filter(p => p !== offer.price);
-      const historical = historicalData[offer.id] || [];
+      const competitorPrices = pricesByType[type].filter(p => p !== price);
+      const historical = historicalData[offer.id] || this.getStoredPrices(offer);
       
-      const analysis = this.detectPriceError(offer, competitorPrices, historical);
+      const analysis = this.detectPriceError({ ...offer, price }, competitorPrices, historical);
       
       if (analysis.isPriceError) {
         results.push({
@@ -0,0 +1,216 @@
+/**
+ * Persistent Price History Store
+ *
+ * Records every price the engine observes so historical analysis and price
+ * error detection work from real, accumulated data instead of whatever the
+ * caller posts in a request body.
+ *
+ * Observations are keyed by category + subject + travel dates:
+ * - hotel:  property ID (Amadeus hotelId, Google property token or name slug)
+ * - flight: route (e.g. "JFK-MCO")
+ * - car:    rental company + pickup location
+ *
+ * Each observation also records its price basis: 'ALL_IN' for hotel prices
+ * that include taxes and desk fees (StayCostNormalizer), 'LISTED' for prices
+ * as quoted. Observations recorded without one count as 'LISTED'. Filter on
+ * it so all-in and listed prices are never averaged together.
+ *
+ * Backed by a JSON file in DATA_DIR (see JsonFileStore).
+ */
+
+const JsonFileStore = require('./JsonFileStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let sharedInstance = null;
+
+class PriceHistoryStore {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.filePath - Override storage file (null = memory only)
+   * @param {number} options.maxObservationsPerKey - Oldest observations are dropped past this
+   */
+  constructor(options = {}) {
+    this.store = new JsonFileStore('price-history.json', { observations: {} }, options);
+    this.maxObservationsPerKey = options.maxObservationsPerKey || 1000;
+  }
+
+  /**
+   * Shared store used by all services in this process
+   */
+  static getInstance() {
+    if (!sharedInstance) {
+      sharedInstance = new PriceHistoryStore();
+    }
+    return sharedInstance;
+  }
+
+  /**
+   * Build the storage key for a subject and its travel dates
+   */
+  buildKey(category, subjectId, startDate, endDate) {
+    return [category, subjectId, startDate || '', endDate || ''].join('|');
+  }
+
+  /**
+   * Derive a stable property ID for a hotel from any source
+   */
+  getHotelPropertyId(hotel) {
+    if (hotel.propertyId) return hotel.propertyId;
+    if (hotel.hotelId) return hotel.hotelId;
+    if (hotel.rawData?.property_token) return hotel.rawData.property_token;
+
+    const name = (hotel.hotelName || hotel.name || 'unknown')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+
+    return `hotel-${name}`;
+  }
+
+  /**
+   * Record a single price observation
+   * @param {Object} observation
+   * @param {string} observation.category - 'hotel' | 'flight' | 'car'
+   * @param {string} observation.subjectId - Property ID, route or rental key
+   * @param {string} observation.startDate - Check-in / departure / pickup date
+   * @param {string} observation.endDate - Check-out / return / drop-off date
+   * @param {number} observation.price - Observed price
+   * @param {string} observation.currency - Currency code (default: USD)
+   * @param {string} observation.source - Where the price came from
+   * @param {string} observation.basis - 'ALL_IN' | 'LISTED' (default: LISTED)
+   */
+  record(observation) {
+    // SerpApi prices can arrive as display strings like "$189"
+    const price = typeof observation.price === 'string'
+      ? parseFloat(observation.price.replace(/[^0-9.]/g, ''))
+      : parseFloat(observation.price);
+    if (!observation.subjectId || !Number.isFinite(price) || price <= 0) {
+      return null;
+    }
+
+    const data = this.store.load();
+    const key = this.buildKey(
+      observation.category,
+      observation.subjectId,
+      observation.startDate,
+      observation.endDate
+    );
+
+    const entry = {
+      price: Math.round(price * 100) / 100,
+      currency: observation.currency || 'USD',
+      source: observation.source || null,
+      basis: observation.basis || 'LISTED',
+      observedAt: observation.observedAt || new Date().toISOString()
+    };
+
+    if (!data.observations[key]) {
+      data.observations[key] = [];
+    }
+
+    const list = data.observations[key];
+    list.push(entry);
+    if (list.length > this.maxObservationsPerKey) {
+      list.splice(0, list.length - this.maxObservationsPerKey);
+    }
+
+    this.store.save();
+    return entry;
+  }
+
+  /**
+   * Get raw observations for a subject
+   * @param {string} subjectId - Property ID, route or rental key
+   * @param {Object} filters
+   * @param {string} filters.category - Restrict to a category
+   * @param {string} filters.startDate - Restrict to a check-in/departure date
+   * @param {string} filters.endDate - Restrict to a check-out/return date
+   * @param {number} filters.windowDays - With startDate, match stays starting up
+   *   to this many days either side of it instead (endDate is then ignored)
+   * @param {string} filters.since - Only observations on or after this ISO date
+   * @param {string} filters.basis - Only 'ALL_IN' or only 'LISTED' prices
+   * @returns {Array} Observations sorted oldest first
+   */
+  getObservations(subjectId, filters = {}) {
+    const { category, startDate, endDate, windowDays, since, basis } = filters;
+    const data = this.store.load();
+    const results = [];
+
+    Object.keys(data.observations).forEach(key => {
+      const [keyCategory, keySubject, keyStart, keyEnd] = key.split('|');
+
+      if (keySubject !== subjectId) return;
+      if (category && keyCategory !== category) return;
+      if (startDate && windowDays !== undefined) {
+        if (!keyStart || Math.abs(Date.parse(keyStart) - Date.parse(startDate)) > windowDays * DAY_MS) return;
+      } else {
+        if (startDate && keyStart !== startDate) return;
+        if (endDate && keyEnd !== endDate) return;
+      }
+
+      data.observations[key].forEach(entry => {
+        if (since && entry.observedAt < since) return;
+        if (basis && (entry.basis || 'LISTED') !== basis) return;
+        results.push({
+          ...entry,
+          basis: entry.basis || 'LISTED',
+          category: keyCategory,
+          subjectId: keySubject,
+          startDate: keyStart || null,
+          endDate: keyEnd || null
+        });
+      });
+    });
+
+    return results.sort((a, b) => a.observedAt.localeCompare(b.observedAt));
+  }
+
+  /**
+   * Get a daily price series in the {date, price} shape used by
+   * HistoricalPriceAnalyzer and PredictiveBookingOptimizer.
+   * Multiple observations on the same day collapse to the lowest price.
+   */
+  getPriceSeries(subjectId, filters = {}) {
+    const byDay = new Map();
+
+    this.getObservations(subjectId, filters).forEach(entry => {
+      const date = entry.observedAt.split('T')[0];
+      const existing = byDay.get(date);
+      if (!existing || entry.price < existing.price) {
+        byDay.set(date, { date, price: entry.price });
+      }
+    });
+
+    return Array.from(byDay.values());
+  }
+
+  /**
+   * Get plain price values (for PriceErrorDetector)
+   */
+  getPrices(subjectId, filters = {}) {
+    return this.getObservations(subjectId, filters).map(entry => entry.price);
+  }
+
+  /**
+   * List known subjects with observation counts
+   */
+  listSubjects(category = null) {
+    const data = this.store.load();
+    const subjects = new Map();
+
+    Object.keys(data.observations).forEach(key => {
+      const [keyCategory, keySubject] = key.split('|');
+      if (category && keyCategory !== category) return;
+
+      const id = `${keyCategory}|${keySubject}`;
+      const existing = subjects.get(id) || { category: keyCategory, subjectId: keySubject, observations: 0 };
+      existing.observations += data.observations[key].length;
+      subjects.set(id, existing);
+    });
+
+    return Array.from(subjects.values());
+  }
+}
+
+module.exports = PriceHistoryStore;
@@ -0,0 +1,211 @@
+/**
+ * Provider Fixture Store
+ *
+ * Record/replay of outbound provider calls (SerpApi, Amadeus) so the full
+ * pipeline — including response parsing — can run without live API keys.
+ *
+ * PROVIDER_MODE:
+ * - live (default): calls go straight to the provider
+ * - record: calls go to the provider and each response is saved as a fixture
+ * - replay: calls are served from fixtures; a missing fixture is an error
+ *
+ * Fixtures are JSON files in PROVIDER_FIXTURES_DIR (default:
+ * backend/fixtures/providers), one per request:
+ *   <provider>/<endpoint>/<hash of normalized params>.json
+ * API keys are never part of the key or the saved file.
+ *
+ * With PROVIDER_REPLAY_FALLBACK=true a replay miss falls back to the most
+ * recently recorded fixture for the same endpoint (handy for demos where
+ * dates differ from the recorded ones).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MODES = ['live', 'record', 'replay'];
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'providers');
+
+// Request parameters that must never end up in fixture files
+const SECRET_PARAMS = ['api_key', 'client_id', 'client_secret'];
+
+let sharedInstance = null;
+
+class ProviderFixtureStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode - 'live' | 'record' | 'replay' (default: PROVIDER_MODE or 'live')
+   * @param {string} options.directory - Fixture directory (default: PROVIDER_FIXTURES_DIR)
+   * @param {boolean} options.fallback - Serve the latest fixture for the endpoint on a replay miss
+   */
+  constructor(options = {}) {
+    this.mode = ProviderFixtureStore.resolveMode(options.mode);
+    this.directory = options.directory || process.env.PROVIDER_FIXTURES_DIR || FIXTURES_DIR;
+    this.fallback = options.fallback !== undefined
+      ? options.fallback
+      : process.env.PROVIDER_REPLAY_FALLBACK === 'true';
+    this.stats = { recorded: 0, replayed: 0, missing: 0 };
+  }
+
+  /**
+   * Shared store used by all provider services in this process
+   */
+  static getInstance() {
+    if (!sharedInstance) {
+      sharedInstance = new ProviderFixtureStore();
+    }
+    return sharedInstance;
+  }
+
+  /**
+   * Validate the requested mode name
+   */
+  static resolveMode(mode) {
+    const selected = (mode || process.env.PROVIDER_MODE || 'live').toLowerCase();
+    if (!MODES.includes(selected)) {
+      throw new Error(`Invalid PROVIDER_MODE "${selected}". Use one of: ${MODES.join(', ')}.`);
+    }
+    return selected;
+  }
+
+  isReplay() {
+    return this.mode === 'replay';
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  /**
+   * Copy of the request parameters without secrets or empty values, with
+   * keys sorted (recursively) so equal requests serialize identically
+   */
+  normalizeParams(params = {}) {
+    if (Array.isArray(params)) {
+      return params.map(value => (value && typeof value === 'object' ? this.normalizeParams(value) : value));
+    }
+
+    return Object.keys(params)
+      .filter(key => !SECRET_PARAMS.includes(key) && params[key] !== undefined && params[key] !== null && params[key] !== '')
+      .sort()
+      .reduce((normalized, key) => {
+        const value = params[key];
+        normalized[key] = value && typeof value === 'object' ? this.normalizeParams(value) : String(value);
+        return normalized;
+      }, {});
+  }
+
+  /**
+   * Directory holding all fixtures for one provider endpoint
+   */
+  getEndpointDirectory(provider, endpoint) {
+    const slug = endpoint.replace(/[^a-zA-Z0-9_-]+/g, '_').replace(/^_+|_+$/g, '');
+    return path.join(this.directory, provider, slug);
+  }
+
+  /**
+   * Fixture file path for a request
+   */
+  getFixturePath(provider, endpoint, params) {
+    const hash = crypto.createHash('sha1')
+      .update(JSON.stringify(this.normalizeParams(params)))
+      .digest('hex')
+      .substr(0, 16);
+    return path.join(this.getEndpointDirectory(provider, endpoint), `${hash}.json`);
+  }
+
+  /**
+   * Run a provider call according to the current mode.
+   *
+   * @param {string} provider - 'serpapi' | 'amadeus'
+   * @param {string} endpoint - Engine or method + path, e.g. 'google_hotels', 'GET /v2/shopping/flight-offers'
+   * @param {Object} params - Request parameters (and body) identifying the call
+   * @param {Function} fetcher - async () => response, used in live and record mode
+   */
+  async wrap(provider, endpoint, params, fetcher) {
+    if (this.mode === 'replay') {
+      return this.replay(provider, endpoint, params);
+    }
+
+    const response = await fetcher();
+
+    if (this.mode === 'record') {
+      this.record(provider, endpoint, params, response);
+    }
+
+    return response;
+  }
+
+  /**
+   * Save a response as a fixture. Failures are logged, never thrown, so
+   * recording can't break a live request.
+   */
+  record(provider, endpoint, params, response) {
+    const filePath = this.getFixturePath(provider, endpoint, params);
+
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify({
+        provider,
+        endpoint,
+        params: this.normalizeParams(params),
+        recordedAt: new Date().toISOString(),
+        response
+      }, null, 2));
+      this.stats.recorded++;
+    } catch (error) {
+      console.error(`Failed to record ${provider} fixture ${filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Load the recorded response for a request
+   */
+  replay(provider, endpoint, params) {
+    let filePath = this.getFixturePath(provider, endpoint, params);
+
+    if (!fs.existsSync(filePath) && this.fallback) {
+      filePath = this.findLatestFixture(provider, endpoint) || filePath;
+    }
+
+    if (!fs.existsSync(filePath)) {
+      this.stats.missing++;
+      throw new Error(`No recorded ${provider} fixture for ${endpoint} (${path.relative(this.directory, filePath)}). Record it with PROVIDER_MODE=record.`);
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    this.stats.replayed++;
+    return fixture.response;
+  }
+
+  /**
+   * Most recently recorded fixture for an endpoint, if any
+   */
+  findLatestFixture(provider, endpoint) {
+    const directory = this.getEndpointDirectory(provider, endpoint);
+    if (!fs.existsSync(directory)) {
+      return null;
+    }
+
+    const files = fs.readdirSync(directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.join(directory, file))
+      .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+
+    return files[0] || null;
+  }
+
+  /**
+   * Mode and record/replay counters for /api/health
+   */
+  getStatus() {
+    return {
+      mode: this.mode,
+      directory: this.directory,
+      fallback: this.fallback,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = ProviderFixtureStore;
@@ -0,0 +1,159 @@
+/**
+ * Rate Table Car Rental Provider
+ *
+ * Default quote source for CarRentalService. Builds estimated quotes for the
+ * Orlando rental counters from a table of typical base rates per company
+ * and car class, then applies Florida taxes and MCO airport fees, so the
+ * rest of the pipeline always has line-item prices to work with. Quotes are
+ * flagged `estimated: true`.
+ *
+ * Provider interface (implemented by any car rental quote source):
+ * - name                           -> string, reported on each quote
+ * - searchQuotes(search)           -> Promise<CarRentalQuote[]>
+ *     search: { pickupDate, returnDate, pickupLocation, carClass (ACRISS or null) }
+ * - getInfo()                      -> { name, type, estimated, ... }
+ */
+
+const CarRentalQuote = require('./CarRentalQuote');
+
+// Typical Orlando base daily rates (USD) by ACRISS code
+const BASE_DAILY_RATES = {
+  ECAR: 42,
+  CCAR: 45,
+  ICAR: 49,
+  SCAR: 53,
+  FCAR: 57,
+  PCAR: 72,
+  LCAR: 96,
+  IFAR: 64,
+  SFAR: 74,
+  FFAR: 88,
+  MVAR: 92,
+  STAR: 85
+};
+
+// Company pricing relative to the base table, plus their Orlando counters
+// (off-airport counters with road miles from MCO)
+const COMPANIES = {
+  Enterprise: { rateFactor: 1.05, offAirport: { name: 'Enterprise International Drive', code: 'ORLI', milesFromAirport: 12 } },
+  Hertz: { rateFactor: 1.12, offAirport: { name: 'Hertz Lake Buena Vista', code: 'ORLL', milesFromAirport: 19 } },
+  Budget: { rateFactor: 0.98, offAirport: { name: 'Budget Kissimmee', code: 'ORLK', milesFromAirport: 17 } },
+  Avis: { rateFactor: 1.08, offAirport: { name: 'Avis Disney Springs', code: 'ORLD', milesFromAirport: 21 } },
+  National: { rateFactor: 1.1 },
+  Alamo: { rateFactor: 0.96, offAirport: { name: 'Alamo International Drive', code: 'ORLA', milesFromAirport: 12 } },
+  Dollar: { rateFactor: 0.9 },
+  Thrifty: { rateFactor: 0.88 },
+  Sixt: { rateFactor: 0.94, offAirport: { name: 'Sixt Orlando International Drive', code: 'ORLS', milesFromAirport: 13 } },
+  'Fox Rent A Car': { rateFactor: 0.8, shuttleOnly: true, milesFromAirport: 3 }
+};
+
+class RateTableCarRentalProvider {
+  /**
+   * @param {Object} options
+   * @param {Object} options.rates - Base daily rates by ACRISS code
+   * @param {Object} options.companies - Company rate factors and off-airport counters
+   * @param {Object} options.fees - Tax and fee overrides (see this.fees)
+   */
+  constructor(options = {}) {
+    this.name = 'rate_table';
+    this.rates = { ...BASE_DAILY_RATES, ...(options.rates || {}) };
+    this.companies = options.companies || COMPANIES;
+
+    this.fees = {
+      salesTaxRate: 0.065,              // Florida 6% + Orange County 0.5%
+      rentalCarSurchargePerDay: 2.00,   // Florida rental car surcharge
+      airportConcessionRate: 0.1111,    // Concession fee recovery at MCO counters
+      customerFacilityChargePerDay: 2.50,
+      offAirportDiscount: 0.85,         // Off-airport counters price below the airport
+      weeklyDiscount: 0.85,             // Rentals of 5+ days get weekly pricing
+      ...(options.fees || {})
+    };
+  }
+
+  getInfo() {
+    return {
+      name: this.name,
+      type: 'rate_table',
+      estimated: true,
+      companies: Object.keys(this.companies).length,
+      carClasses: Object.keys(this.rates)
+    };
+  }
+
+  /**
+   * Estimated quotes for every company, counter and car class
+   * (only the requested class when search.carClass is set)
+   */
+  async searchQuotes(search) {
+    const rentalDays = CarRentalQuote.calculateRentalDays(search.pickupDate, search.returnDate);
+    const quotes = [];
+
+    Object.entries(this.companies).forEach(([company, config]) => {
+      this.getLocations(company, config).forEach(location => {
+        Object.keys(this.rates)
+          .filter(acriss => !search.carClass || acriss.slice(0, 2) === search.carClass.slice(0, 2))
+          .forEach(acriss => {
+            quotes.push(new CarRentalQuote({
+              provider: this.name,
+              company,
+              location,
+              acriss,
+              pickupDate: search.pickupDate,
+              returnDate: search.returnDate,
+              price: this.calculatePrice(this.rates[acriss] * config.rateFactor, rentalDays, location.type),
+              mileage: { unlimited: true },
+              fuelPolicy: 'FULL_TO_FULL',
+              estimated: true
+            }));
+          });
+      });
+    });
+
+    return quotes;
+  }
+
+  /**
+   * Counters a company rents from. Shuttle-only companies have no MCO
+   * terminal counter; their airport pickup is off-airport by shuttle.
+   */
+  getLocations(company, config) {
+    if (config.shuttleOnly) {
+      return [{
+        name: `${company} MCO (shuttle)`,
+        code: 'MCO',
+        type: 'OFF_AIRPORT',
+        shuttle: true,
+        milesFromAirport: config.milesFromAirport ?? null
+      }];
+    }
+
+    const locations = [{ name: `${company} Orlando International Airport`, code: 'MCO', type: 'ON_AIRPORT' }];
+    if (config.offAirport) {
+      locations.push({ ...config.offAirport, type: 'OFF_AIRPORT' });
+    }
+    return locations;
+  }
+
+  /**
+   * Line-item price for a rental. Airport concession recovery and the
+   * customer facility charge only apply at terminal counters; sales tax
+   * applies to the base rate and fees.
+   */
+  calculatePrice(baseDailyRate, rentalDays, locationType) {
+    let dailyRate = baseDailyRate;
+    if (locationType === 'OFF_AIRPORT') dailyRate *= this.fees.offAirportDiscount;
+    if (rentalDays >= 5) dailyRate *= this.fees.weeklyDiscount;
+    dailyRate = Math.round(dailyRate * 100) / 100;
+
+    const baseTotal = dailyRate * rentalDays;
+    const airportFees = locationType === 'ON_AIRPORT'
+      ? baseTotal * this.fees.airportConcessionRate + this.fees.customerFacilityChargePerDay * rentalDays
+      : 0;
+    const otherFees = this.fees.rentalCarSurchargePerDay * rentalDays;
+    const taxes = (baseTotal + airportFees + otherFees) * this.fees.salesTaxRate;
+
+    return { dailyRate, baseTotal, taxes, airportFees, otherFees };
+  }
+}
+
+module.exports = RateTableCarRentalProvider;
@@ -0,0 +1,70 @@
+/**
+ * Redis Cache Adapter
+ *
+ * Optional shared backend for ResponseCache, so several API instances reuse
+ * each other's SerpApi/Amadeus responses. Works with any Redis-compatible
+ * client exposing get/del and setEx (node-redis v4) or setex (ioredis).
+ *
+ * Enable with CACHE_BACKEND=redis and REDIS_URL; the `redis` package must be
+ * installed separately (it is not a default dependency).
+ */
+
+class RedisCacheAdapter {
+  /**
+   * @param {Object} client - Connected Redis client
+   * @param {Object} options
+   * @param {string} options.prefix - Key prefix (default: 'ose:cache:')
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.prefix = options.prefix || 'ose:cache:';
+  }
+
+  /**
+   * Create an adapter from REDIS_URL using the `redis` package
+   */
+  static fromEnv() {
+    const { createClient } = require('redis');
+    const client = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+
+    client.on('error', error => console.error('Redis cache error:', error.message));
+    client.connect().catch(error => console.error('Redis cache connection failed:', error.message));
+
+    return new RedisCacheAdapter(client);
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.prefix + key);
+    return value === null ? undefined : value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    const ttl = Math.max(1, Math.round(ttlSeconds));
+    if (typeof this.client.setEx === 'function') {
+      await this.client.setEx(this.prefix + key, ttl, value);
+    } else {
+      await this.client.setex(this.prefix + key, ttl, value);
+    }
+  }
+
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+
+  async clear() {
+    const keys = await this.client.keys(`${this.prefix}*`);
+    if (keys.length > 0) {
+      await this.client.del(keys);
+    }
+  }
+
+  getInfo() {
+    return {
+      type: 'redis',
+      prefix: this.prefix,
+      connected: this.client.isReady !== undefined ? this.client.isReady : null
+    };
+  }
+}
+
+module.exports = RedisCacheAdapter;
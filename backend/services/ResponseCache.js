@@ -0,0 +1,276 @@
+/**
+ * Shared Response Cache
+ *
+ * Caches upstream provider responses (SerpApi, Amadeus) so identical queries
+ * don't re-spend API credits and quota.
+ *
+ * - Pluggable storage: in-memory LRU by default, Redis with CACHE_BACKEND=redis
+ * - Per-engine TTLs, overridable with CACHE_TTL_<NAMESPACE> env vars
+ *   (e.g. CACHE_TTL_SERPAPI_GOOGLE_HOTELS=600)
+ * - Request-key normalization (parameter order, casing and whitespace of
+ *   free-text queries, empty values and API keys don't produce new keys)
+ * - Identical requests already in flight share one upstream call
+ * - Hit/miss stats per namespace (reported on /api/health)
+ * - Requests sent with `Cache-Control: no-cache` skip cached responses and
+ *   refresh them (see middleware())
+ *
+ * Under Jest (NODE_ENV=test) the shared cache is disabled unless
+ * CACHE_ENABLED=true, so provider tests always hit their mocks.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const LRUCacheAdapter = require('./LRUCacheAdapter');
+const RedisCacheAdapter = require('./RedisCacheAdapter');
+
+// Default TTLs in seconds, matched by longest namespace prefix (see getTtl)
+const DEFAULT_TTLS = {
+  'serpapi': 1800,
+  'serpapi:google_hotels': 1800,
+  'serpapi:google_light': 3600,
+  'serpapi:google_ai_mode': 3600,
+  'serpapi:bing': 3600,
+  'amadeus': 900,
+  'amadeus:/v2/shopping/flight-offers': 600,
+  'amadeus:/v1/shopping/flight-dates': 3600,
+  'amadeus:/v1/reference-data': 86400,
+  'amadeus:/v1/travel/analytics': 86400,
+  'amadeus-hotels': 900
+};
+
+// Free-text parameters where casing and spacing don't change the result
+const TEXT_PARAMS = ['q', 'location', 'keyword'];
+
+const requestContext = new AsyncLocalStorage();
+
+let sharedInstance = null;
+
+class ResponseCache {
+  /**
+   * @param {Object} options
+   * @param {Object} options.adapter - Storage adapter (default: LRUCacheAdapter)
+   * @param {boolean} options.enabled - Turn caching on/off
+   * @param {Object} options.ttls - TTL overrides by namespace (seconds)
+   * @param {number} options.defaultTtl - TTL when no namespace matches (seconds)
+   */
+  constructor(options = {}) {
+    const enabledByEnv = process.env.CACHE_ENABLED !== undefined
+      ? process.env.CACHE_ENABLED !== 'false'
+      : process.env.NODE_ENV !== 'test';
+
+    this.adapter = options.adapter || new LRUCacheAdapter({
+      maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '500')
+    });
+    this.enabled = options.enabled !== undefined ? options.enabled : enabledByEnv;
+    this.ttls = { ...DEFAULT_TTLS, ...(options.ttls || {}) };
+    this.defaultTtl = options.defaultTtl || parseInt(process.env.CACHE_DEFAULT_TTL_SECONDS || '900');
+    this.pending = new Map();
+    this.stats = {};
+  }
+
+  /**
+   * Shared cache used by all provider services in this process
+   */
+  static getInstance() {
+    if (!sharedInstance) {
+      let adapter;
+
+      if (process.env.CACHE_BACKEND === 'redis') {
+        try {
+          adapter = RedisCacheAdapter.fromEnv();
+        } catch (error) {
+          console.warn(`⚠️ WARNING: Redis cache unavailable (${error.message}). Falling back to in-memory cache.`);
+        }
+      }
+
+      sharedInstance = new ResponseCache({ adapter });
+    }
+    return sharedInstance;
+  }
+
+  /**
+   * Express middleware: requests sent with `Cache-Control: no-cache` (or
+   * `Pragma: no-cache`) bypass cached provider responses.
+   */
+  static middleware() {
+    return (req, res, next) => {
+      const cacheControl = `${req.get('Cache-Control') || ''} ${req.get('Pragma') || ''}`.toLowerCase();
+      const bypass = cacheControl.includes('no-cache') || cacheControl.includes('no-store');
+
+      requestContext.run({ bypass }, () => next());
+    };
+  }
+
+  /**
+   * Run a function with the cache bypassed for everything it calls
+   */
+  static runWithoutCache(fn) {
+    return requestContext.run({ bypass: true }, fn);
+  }
+
+  /**
+   * Whether the current request asked to bypass the cache
+   */
+  isBypassed() {
+    return !!requestContext.getStore()?.bypass;
+  }
+
+  /**
+   * TTL for a namespace. The namespace and each of its parent prefixes
+   * ('amadeus:/v1/reference-data/airlines' -> ... -> 'amadeus') are tried
+   * longest first, checking CACHE_TTL_<PREFIX> env vars, then configured TTLs.
+   */
+  getTtl(namespace) {
+    const candidates = [namespace];
+    let prefix = namespace;
+    while (/[:/]/.test(prefix)) {
+      prefix = prefix.replace(/[:/]+[^:/]*$/, '');
+      candidates.push(prefix);
+    }
+
+    for (const candidate of candidates) {
+      const envKey = `CACHE_TTL_${candidate.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '')}`;
+      if (process.env[envKey]) return parseInt(process.env[envKey]);
+      if (this.ttls[candidate]) return this.ttls[candidate];
+    }
+
+    return this.defaultTtl;
+  }
+
+  /**
+   * Normalize request parameters into a stable string
+   */
+  normalizeParams(params = {}) {
+    return Object.keys(params)
+      .filter(key => key !== 'api_key' && params[key] !== undefined && params[key] !== null && params[key] !== '')
+      .sort()
+      .map(key => {
+        let value = Array.isArray(params[key]) ? params[key].join(',') : String(params[key]).trim();
+        if (TEXT_PARAMS.includes(key)) {
+          value = value.toLowerCase().replace(/\s+/g, ' ');
+        }
+        return `${key}=${value}`;
+      })
+      .join('&');
+  }
+
+  /**
+   * Build a cache key for a namespace and request parameters
+   */
+  buildKey(namespace, params) {
+    const hash = crypto.createHash('sha1').update(this.normalizeParams(params)).digest('hex');
+    return `${namespace}:${hash}`;
+  }
+
+  /**
+   * Return a cached response, or call fetcher and cache its result.
+   * Errors are never cached.
+   *
+   * @param {string} namespace - Engine/endpoint, e.g. 'serpapi:google_hotels'
+   * @param {Object} params - Request parameters used to build the key
+   * @param {Function} fetcher - async () => response
+   * @param {Object} options - { ttl } override in seconds
+   */
+  async wrap(namespace, params, fetcher, options = {}) {
+    if (!this.enabled) {
+      return fetcher();
+    }
+
+    const key = this.buildKey(namespace, params);
+    const stats = this.getNamespaceStats(namespace);
+    const bypass = this.isBypassed();
+
+    if (bypass) {
+      stats.bypasses++;
+    } else {
+      try {
+        const cached = await this.adapter.get(key);
+        if (cached !== undefined) {
+          stats.hits++;
+          return JSON.parse(cached);
+        }
+      } catch (error) {
+        stats.errors++;
+        console.error(`Cache read failed for ${namespace}:`, error.message);
+      }
+
+      if (this.pending.has(key)) {
+        stats.hits++;
+        // Hand out a copy so callers can't mutate each other's results
+        return this.pending.get(key).then(response => JSON.parse(JSON.stringify(response)));
+      }
+      stats.misses++;
+    }
+
+    const request = (async () => {
+      const response = await fetcher();
+
+      try {
+        await this.adapter.set(key, JSON.stringify(response), options.ttl || this.getTtl(namespace));
+      } catch (error) {
+        stats.errors++;
+        console.error(`Cache write failed for ${namespace}:`, error.message);
+      }
+
+      return response;
+    })();
+
+    if (!bypass) {
+      this.pending.set(key, request);
+    }
+
+    try {
+      return await request;
+    } finally {
+      if (this.pending.get(key) === request) {
+        this.pending.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Drop every cached response
+   */
+  async clear() {
+    await this.adapter.clear();
+  }
+
+  getNamespaceStats(namespace) {
+    if (!this.stats[namespace]) {
+      this.stats[namespace] = { hits: 0, misses: 0, bypasses: 0, errors: 0 };
+    }
+    return this.stats[namespace];
+  }
+
+  /**
+   * Hit/miss statistics overall and per namespace
+   */
+  getStats() {
+    const totals = { hits: 0, misses: 0, bypasses: 0, errors: 0 };
+    const namespaces = {};
+
+    Object.entries(this.stats).forEach(([namespace, stats]) => {
+      Object.keys(totals).forEach(field => { totals[field] += stats[field]; });
+      namespaces[namespace] = {
+        ...stats,
+        hitRate: this.calculateHitRate(stats),
+        ttlSeconds: this.getTtl(namespace)
+      };
+    });
+
+    return {
+      enabled: this.enabled,
+      backend: this.adapter.getInfo(),
+      ...totals,
+      hitRate: this.calculateHitRate(totals),
+      namespaces
+    };
+  }
+
+  calculateHitRate(stats) {
+    const lookups = stats.hits + stats.misses;
+    return lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : 0;
+  }
+}
+
+module.exports = ResponseCache;
@@ -7,8 +7,11 @@
  * NO PLACEHOLDERS | NO FALLBACKS | REAL DATA ONLY
  */
 
+const DiscountStackingOptimizer = require('./DiscountStackingOptimizer');
+
 class SavingsOptimizer {
-  constructor() {
+  constructor(options = {}) {
+    this.stackingOptimizer = options.stackingOptimizer || new DiscountStackingOptimizer();
     this.priceHistoryCache = new Map();
     this.demandFactors = new Map();
   }
@@ -89,7 +92,8 @@ class SavingsOptimizer {
    * Calculate maximum possible savings across multiple deals
    * Uses dynamic programming for optimal deal selection
    * 
-   * @param {Array} deals - Array of available deals
+   * @param {Array} deals - Array of available deals; a deal with `stackingOffers`
+   *   (see DiscountStackingOptimizer) is priced at its best legal combination
    * @param {Object} constraints - Booking constraints (dates, budget, etc.)
    * @returns {Object} Optimal deal combination
    */
@@ -103,7 +107,7 @@ class SavingsOptimizer {
     }
 
     // Filter deals by constraints
-    const validDeals = deals.filter(deal => {
+    const validDeals = deals.map(deal => this.applyStacking(deal)).filter(deal => {
       if (constraints.maxPrice && deal.discountedPrice > constraints.maxPrice) {
         return false;
       }
@@ -171,6 +175,24 @@ class SavingsOptimizer {
     };
   }
 
+  /**
+   * Price a deal at the best legal combination of its stacking offers
+   * rather than its listed savings
+   */
+  applyStacking(deal) {
+    if (!Array.isArray(deal.stackingOffers) || deal.stackingOffers.length === 0) {
+      return deal;
+    }
+
+    const stacking = this.stackingOptimizer.optimize(deal.originalPrice, deal.stackingOffers);
+    return {
+      ...deal,
+      discountedPrice: stacking.best.effectiveCost,
+      savings: stacking.best.savings,
+      stacking
+    };
+  }
+
   /**
    * Calculate comprehensive value score for a deal
    * Considers price, savings, quality, and risk factors
@@ -313,6 +335,21 @@ class SavingsOptimizer {
         savings: carOpt.totalSavings,
         deals: carOpt.selectedDeals
       });
+
+      // Tolls (see TollCostModel): the cheapest way to pay, vs. the rental company's program
+      const tolled = carOpt.selectedDeals.filter(d => d.tollCost);
+      if (tolled.length > 0) {
+        const programCost = tolled.reduce((sum, d) => sum + d.tollCost.rentalProgramTotal, 0);
+        const tollCost = tolled.reduce((sum, d) => sum + d.tollCost.total, 0);
+        totalOriginalCost += programCost;
+        totalDiscountedCost += tollCost;
+        totalSavings += programCost - tollCost;
+        optimizations.push({
+          category: 'Tolls',
+          savings: programCost - tollCost,
+          deals: tolled.map(d => ({ company: d.company, ...d.tollCost }))
+        });
+      }
     }
 
     // Theme park optimization
@@ -342,6 +379,7 @@ class SavingsOptimizer {
       breakdown: {
         hotels: optimizations.find(o => o.category === 'Hotels')?.savings || 0,
         carRentals: optimizations.find(o => o.category === 'Car Rentals')?.savings || 0,
+        tolls: optimizations.find(o => o.category === 'Tolls')?.savings || 0,
         themeParks: optimizations.find(o => o.category === 'Theme Parks')?.savings || 0
       }
     };
@@ -1,12 +1,14 @@
 const axios = require('axios');
 const { RateLimiter } = require('limiter');
+const ResponseCache = require('./ResponseCache');
+const ProviderFixtureStore = require('./ProviderFixtureStore');
 
 // Load API key from environment variable (SECURE)
 const SERP_API_KEY = process.env.SERP_API_KEY;
 const BASE_URL = 'https://serpapi.com/search';
 
 // Validate API key exists
-if (!SERP_API_KEY) {
+if (!SERP_API_KEY && process.env.PROVIDER_MODE !== 'replay') {
   console.warn('⚠️ WARNING: SERP_API_KEY environment variable is not set. SerpApi calls will fail.');
 }
 
@@ -20,32 +22,42 @@ class SerpApiService {
   constructor() {
     this.apiKey = SERP_API_KEY;
     this.baseUrl = BASE_URL;
+    this.cache = ResponseCache.getInstance();
+    this.fixtures = ProviderFixtureStore.getInstance();
   }
 
   /**
-   * Generic API call with rate limiting
+   * Generic API call with rate limiting.
+   * Responses are cached per engine; cache hits don't use rate limit tokens.
+   * With PROVIDER_MODE=record/replay responses are saved to / served from fixtures.
    */
   async makeAPICall(params) {
-    if (!this.apiKey) {
+    if (!this.apiKey && !this.fixtures.isReplay()) {
       throw new Error('SERP_API_KEY environment variable is not configured');
     }
-    
-    try {
-      await limiter.removeTokens(1);
-      
-      const response = await axios.get(this.baseUrl, {
-        params: {
-          ...params,
-          api_key: this.apiKey
-        },
-        timeout: 15000 // Reduced from 30s to 15s for faster error handling
-      });
-
-      return response.data;
-    } catch (error) {
-      console.error('SerpApi call failed:', error.message);
-      throw new Error(`SerpApi error: ${error.message}`);
-    }
+
+    const engine = params.engine || 'google';
+
+    return this.cache.wrap(`serpapi:${engine}`, params, async () => {
+      try {
+        return await this.fixtures.wrap('serpapi', engine, params, async () => {
+          await limiter.removeTokens(1);
+
+          const response = await axios.get(this.baseUrl, {
+            params: {
+              ...params,
+              api_key: this.apiKey
+            },
+            timeout: 15000 // Reduced from 30s to 15s for faster error handling
+          });
+
+          return response.data;
+        });
+      } catch (error) {
+        console.error('SerpApi call failed:', error.message);
+        throw new Error(`SerpApi error: ${error.message}`);
+      }
+    });
   }
 
   /**
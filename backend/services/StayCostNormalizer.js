@@ -0,0 +1,235 @@
+/**
+ * Stay Cost Normalizer
+ *
+ * Turns a hotel offer from any source into the same all-in breakdown, so
+ * savings ranking, the advanced ranker and price error detection compare
+ * like with like. SerpApi quotes nightly or whole-stay prices, sometimes
+ * with taxes, sometimes without; Amadeus quotes a stay total with its own
+ * tax lines; neither includes the resort and parking fees Orlando hotels
+ * charge at the desk.
+ *
+ * Breakdown:
+ * {
+ *   nights, nightlyBase, baseTotal,
+ *   county, taxRate, taxes,             // Sales + tourist development tax on room and resort fee
+ *   resortFee, resortFeeTotal,          // Per night / whole stay
+ *   parking, parkingTotal,              // Per night / whole stay (sales tax only)
+ *   total, nightlyTotal,
+ *   estimated: { base, resortFee, parking }
+ * }
+ *
+ * County detection is approximate: address and name keywords first, then
+ * coordinates, then Orange County (most tourist hotels).
+ */
+
+const HotelIdentityResolver = require('./HotelIdentityResolver');
+
+// State + county sales tax, and the county tourist development tax
+const COUNTY_TAX_RATES = {
+  ORANGE: { name: 'Orange County', salesTax: 0.065, tourismTax: 0.06 },
+  OSCEOLA: { name: 'Osceola County', salesTax: 0.075, tourismTax: 0.06 },
+  POLK: { name: 'Polk County', salesTax: 0.07, tourismTax: 0.05 },
+  SEMINOLE: { name: 'Seminole County', salesTax: 0.07, tourismTax: 0.05 }
+};
+
+// Places outside Orange County that show up in Orlando searches
+const COUNTY_PLACES = {
+  OSCEOLA: ['kissimmee', 'celebration', 'saint cloud', 'st cloud', 'championsgate', 'reunion'],
+  POLK: ['davenport', 'haines city', 'winter haven', 'lakeland'],
+  SEMINOLE: ['sanford', 'lake mary', 'altamonte springs', 'longwood', 'oviedo']
+};
+
+// Brands that usually include parking and charge no resort fee
+const LIMITED_SERVICE_BRANDS = [
+  'Hampton Inn', 'Fairfield Inn', 'Holiday Inn Express', 'Days Inn', 'La Quinta',
+  'Best Western', 'Homewood Suites', 'SpringHill Suites', 'Hyatt Place'
+];
+
+const round = amount => Math.round(amount * 100) / 100;
+
+class StayCostNormalizer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.taxRates - County tax rate overrides (see COUNTY_TAX_RATES)
+   * @param {Object} options.feeEstimates - Nightly fee estimates by property category
+   */
+  constructor(options = {}) {
+    this.taxRates = { ...COUNTY_TAX_RATES, ...(options.taxRates || {}) };
+
+    // Typical nightly desk fees when the source doesn't list them
+    this.feeEstimates = {
+      resort: { resortFee: 35, parking: 25 },
+      disney: { resortFee: 0, parking: 20 },
+      hotel: { resortFee: 0, parking: 20 },
+      limitedService: { resortFee: 0, parking: 0 },
+      ...(options.feeEstimates || {})
+    };
+  }
+
+  /**
+   * Nights between two dates (minimum 1)
+   */
+  static getNights(checkInDate, checkOutDate) {
+    const nights = Math.round((new Date(checkOutDate) - new Date(checkInDate)) / (1000 * 60 * 60 * 24));
+    return Number.isFinite(nights) && nights > 0 ? nights : 1;
+  }
+
+  /**
+   * Nightly price to compare hotels by: the all-in nightly total when the
+   * offer was normalized, otherwise its listed price
+   * @returns {number|null}
+   */
+  static comparablePrice(hotel) {
+    if (hotel.stayCost) return hotel.stayCost.nightlyTotal;
+
+    const price = hotel.price || hotel.totalPrice;
+    const value = typeof price === 'string' ? parseFloat(price.replace(/[^0-9.]/g, '')) : parseFloat(price);
+    return Number.isFinite(value) && value > 0 ? value : null;
+  }
+
+  /**
+   * What comparablePrice measures for an offer: 'ALL_IN' or 'LISTED'
+   */
+  static priceBasis(hotel) {
+    return hotel && hotel.stayCost ? 'ALL_IN' : 'LISTED';
+  }
+
+  /**
+   * Taxing county for a hotel
+   * @returns {Object} { county, basis: 'ADDRESS'|'COORDINATES'|'DEFAULT' }
+   */
+  detectCounty(hotel) {
+    const address = hotel.location?.address || hotel.address;
+    const addressText = typeof address === 'string'
+      ? address
+      : [...(address?.lines || []), address?.cityName].filter(Boolean).join(' ');
+    const text = ` ${HotelIdentityResolver.normalizeName(`${addressText} ${hotel.hotelName || ''}`)} `;
+
+    const byPlace = Object.keys(COUNTY_PLACES).find(county =>
+      COUNTY_PLACES[county].some(place => text.includes(` ${place} `))
+    );
+    if (byPlace) return { county: byPlace, basis: 'ADDRESS' };
+
+    const coordinates = hotel.location?.gpsCoordinates || hotel.location || {};
+    const latitude = parseFloat(coordinates.latitude);
+    const longitude = parseFloat(coordinates.longitude);
+    if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+      if (latitude > 28.66) return { county: 'SEMINOLE', basis: 'COORDINATES' };
+      if (latitude < 28.3 && longitude > -81.65) return { county: 'OSCEOLA', basis: 'COORDINATES' };
+    }
+
+    return { county: 'ORANGE', basis: 'DEFAULT' };
+  }
+
+  /**
+   * Nightly resort fee and parking: from the offer when it lists them,
+   * otherwise estimated from the kind of property
+   */
+  estimateFees(hotel) {
+    const name = HotelIdentityResolver.normalizeName(hotel.hotelName);
+    const { brand } = HotelIdentityResolver.detectBrand(hotel.hotelName, hotel.chainCode);
+
+    let category = 'hotel';
+    if (/^disney\b/.test(name)) category = 'disney';
+    else if (LIMITED_SERVICE_BRANDS.includes(brand)) category = 'limitedService';
+    else if (/\bresort\b/.test(name)) category = 'resort';
+
+    const estimate = this.feeEstimates[category];
+    const listed = value => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : null);
+    const resortFee = listed(hotel.resortFee);
+    const parking = listed(hotel.parkingFee);
+
+    return {
+      category,
+      resortFee: resortFee !== null ? resortFee : estimate.resortFee,
+      parking: parking !== null ? parking : estimate.parking,
+      estimated: { resortFee: resortFee === null, parking: parking === null }
+    };
+  }
+
+  /**
+   * Nightly room rate before taxes and fees
+   * @returns {Object} { nightlyBase, estimated } (estimated when backed out of a tax-inclusive price)
+   */
+  extractNightlyBase(hotel, nights, roomTaxRate) {
+    const positive = value => {
+      const number = typeof value === 'string' ? parseFloat(value.replace(/[^0-9.]/g, '')) : parseFloat(value);
+      return Number.isFinite(number) && number > 0 ? number : null;
+    };
+
+    if (hotel.source === 'amadeus') {
+      if (positive(hotel.basePrice)) return { nightlyBase: hotel.basePrice / nights, estimated: false };
+      if (positive(hotel.totalPrice)) return { nightlyBase: hotel.totalPrice / nights / (1 + roomTaxRate), estimated: true };
+    }
+
+    const raw = hotel.rawData || {};
+    if (positive(raw.rate_per_night?.extracted_before_taxes_fees)) {
+      return { nightlyBase: raw.rate_per_night.extracted_before_taxes_fees, estimated: false };
+    }
+    if (positive(raw.total_rate?.extracted_before_taxes_fees)) {
+      return { nightlyBase: raw.total_rate.extracted_before_taxes_fees / nights, estimated: false };
+    }
+    if (positive(raw.rate_per_night?.extracted_lowest)) {
+      return { nightlyBase: raw.rate_per_night.extracted_lowest / (1 + roomTaxRate), estimated: true };
+    }
+    if (positive(raw.total_rate?.extracted_lowest)) {
+      return { nightlyBase: raw.total_rate.extracted_lowest / nights / (1 + roomTaxRate), estimated: true };
+    }
+
+    // Listed nightly price, assumed to include taxes
+    const listed = positive(hotel.pricePerNight) || positive(hotel.price);
+    return listed ? { nightlyBase: listed / (1 + roomTaxRate), estimated: true } : null;
+  }
+
+  /**
+   * Normalize one offer into the all-in breakdown
+   * @param {Object} hotel - SerpApi or Amadeus offer (as mapped by DualSourceHotelAggregator)
+   * @param {Object} stay
+   * @param {string} stay.checkInDate - YYYY-MM-DD
+   * @param {string} stay.checkOutDate - YYYY-MM-DD
+   * @param {boolean} stay.includeParking - Add overnight parking (default: true)
+   * @returns {Object|null} Breakdown, or null when the offer has no usable price
+   */
+  normalize(hotel, { checkInDate, checkOutDate, includeParking = true } = {}) {
+    const nights = StayCostNormalizer.getNights(checkInDate || hotel.checkInDate, checkOutDate || hotel.checkOutDate);
+    const { county } = this.detectCounty(hotel);
+    const rates = this.taxRates[county];
+    const roomTaxRate = rates.salesTax + rates.tourismTax;
+
+    const base = this.extractNightlyBase(hotel, nights, roomTaxRate);
+    if (!base) return null;
+
+    const fees = this.estimateFees(hotel);
+    const parking = includeParking ? fees.parking : 0;
+
+    const baseTotal = base.nightlyBase * nights;
+    const resortFeeTotal = fees.resortFee * nights;
+    const parkingTotal = parking * nights;
+    // Resort fees are taxed like the room; parking pays sales tax only
+    const taxes = (baseTotal + resortFeeTotal) * roomTaxRate + parkingTotal * rates.salesTax;
+    const total = baseTotal + resortFeeTotal + parkingTotal + taxes;
+
+    return {
+      currency: hotel.currency || 'USD',
+      nights,
+      nightlyBase: round(base.nightlyBase),
+      baseTotal: round(baseTotal),
+      county: rates.name,
+      taxRate: round(roomTaxRate * 1000) / 1000,
+      taxes: round(taxes),
+      resortFee: fees.resortFee,
+      resortFeeTotal: round(resortFeeTotal),
+      parking,
+      parkingTotal: round(parkingTotal),
+      total: round(total),
+      nightlyTotal: round(total / nights),
+      estimated: {
+        base: base.estimated,
+        resortFee: fees.estimated.resortFee,
+        parking: includeParking && fees.estimated.parking
+      }
+    };
+  }
+}
+
+module.exports = StayCostNormalizer;
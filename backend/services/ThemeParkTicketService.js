@@ -0,0 +1,582 @@
+/**
+ * Theme Park Ticket Pricing Service
+ *
+ * Models ticket products for the major Orlando-area resorts:
+ * - Walt Disney World
+ * - Universal Orlando Resort
+ * - SeaWorld Orlando
+ * - LEGOLAND Florida
+ *
+ * Features:
+ * - Date-based pricing (value / regular / peak / holiday demand tiers)
+ * - Multi-day tickets with per-day price decay
+ * - Park Hopper / park-to-park add-ons
+ * - Florida resident and military ticket variants
+ * - Child pricing and Florida sales tax
+ *
+ * None of the resorts publish a ticket pricing API, so prices are modeled
+ * from published price ranges and marked source: 'modeled_pricing'. Offers
+ * use the same shape as hotel and car deals (originalPrice, discountedPrice,
+ * savings, confidence, rating) so they plug straight into
+ * SavingsOptimizer.calculateTripSavingsPotential({ themeParks }).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ThemeParkTicketService {
+  constructor() {
+    // Multipliers applied to a resort's regular 1-day base price
+    this.demandTiers = {
+      value: 0.85,
+      regular: 1.0,
+      peak: 1.18,
+      holiday: 1.32
+    };
+    this.weekendMultiplier = 1.04;
+
+    this.resorts = this.loadResortCatalog();
+  }
+
+  /**
+   * Resort catalog: parks, base pricing, multi-day decay, add-ons and variants.
+   *
+   * multiDayFactors[n - 1] is the per-day price of an n-day ticket as a
+   * fraction of the 1-day price. Variants are discounts off the standard
+   * ticket, limited to the ticket lengths each resort actually sells them in.
+   */
+  loadResortCatalog() {
+    return {
+      disney: {
+        id: 'disney',
+        name: 'Walt Disney World Resort',
+        parks: ['Magic Kingdom', 'EPCOT', "Disney's Hollywood Studios", "Disney's Animal Kingdom"],
+        basePrice: 159,
+        childDiscount: 0.04,
+        childAges: '3-9',
+        onlineDiscount: 0,
+        taxRate: 0.065,
+        rating: 4.7,
+        maxDays: 10,
+        multiDayFactors: [1.0, 0.96, 0.93, 0.84, 0.72, 0.62, 0.55, 0.50, 0.46, 0.43],
+        usageWindow: { extraDays: 3 },
+        ticketName: 'Base Ticket',
+        addOns: {
+          park_hopper: {
+            name: 'Park Hopper',
+            description: 'Visit more than one theme park per day',
+            basePrice: 65,
+            perAdditionalDay: 7,
+            maxPrice: 95
+          },
+          park_hopper_plus: {
+            name: 'Park Hopper Plus',
+            description: 'Park Hopper plus water park and ESPN Wide World of Sports visits',
+            basePrice: 85,
+            perAdditionalDay: 7,
+            maxPrice: 115
+          }
+        },
+        variants: {
+          florida_resident: {
+            name: 'Florida Resident Discover Disney Ticket',
+            discount: 0.30,
+            days: [3, 4],
+            requirements: 'Valid Florida driver license or ID with a Florida address'
+          },
+          military: {
+            name: 'Disney Armed Forces Salute Ticket',
+            discount: 0.45,
+            days: [4, 5],
+            requirements: 'Active or retired U.S. military ID; purchase through base ITT/MWR office'
+          }
+        },
+        bookingUrl: 'https://disneyworld.disney.go.com/admission/tickets/'
+      },
+      universal: {
+        id: 'universal',
+        name: 'Universal Orlando Resort',
+        parks: ['Universal Studios Florida', 'Islands of Adventure', 'Epic Universe', 'Volcano Bay'],
+        basePrice: 139,
+        childDiscount: 0.04,
+        childAges: '3-9',
+        onlineDiscount: 0.08,
+        taxRate: 0.065,
+        rating: 4.7,
+        maxDays: 5,
+        multiDayFactors: [1.0, 0.92, 0.78, 0.65, 0.56],
+        usageWindow: { fixedDays: 14 },
+        ticketName: '1-Park Per Day Ticket',
+        addOns: {
+          park_to_park: {
+            name: 'Park-to-Park',
+            description: 'Visit Universal Studios Florida and Islands of Adventure on the same day (required to ride the Hogwarts Express)',
+            basePrice: 65,
+            perAdditionalDay: 15,
+            maxPrice: 125
+          }
+        },
+        variants: {
+          florida_resident: {
+            name: 'Florida Resident Ticket',
+            discount: 0.20,
+            days: [2, 3, 4],
+            requirements: 'Valid Florida driver license or ID with a Florida address'
+          },
+          military: {
+            name: 'Military Ticket',
+            discount: 0.20,
+            days: [2, 3, 4, 5],
+            requirements: 'Active, retired or veteran U.S. military ID; purchase through base ITT/MWR office'
+          }
+        },
+        bookingUrl: 'https://www.universalorlando.com/web/en/us/tickets-packages'
+      },
+      seaworld: {
+        id: 'seaworld',
+        name: 'SeaWorld Orlando',
+        parks: ['SeaWorld Orlando', 'Aquatica Orlando', 'Discovery Cove'],
+        basePrice: 119,
+        childDiscount: 0.05,
+        childAges: '3-9',
+        onlineDiscount: 0.25,
+        taxRate: 0.065,
+        rating: 4.5,
+        maxDays: 3,
+        multiDayFactors: [1.0, 0.75, 0.62],
+        usageWindow: { fixedDays: 7 },
+        ticketName: 'Single Park Ticket',
+        addOns: {
+          aquatica: {
+            name: 'Aquatica Add-On',
+            description: 'Add Aquatica water park admission',
+            basePrice: 40,
+            perAdditionalDay: 0,
+            maxPrice: 40
+          }
+        },
+        variants: {
+          florida_resident: {
+            name: 'Florida Resident Ticket',
+            discount: 0.30,
+            days: [1, 2, 3],
+            requirements: 'Valid Florida driver license or ID with a Florida address'
+          },
+          military: {
+            name: 'Waves of Honor Military Ticket',
+            discount: 0.30,
+            days: [1, 2, 3],
+            requirements: 'U.S. military ID; register with Waves of Honor before purchase'
+          }
+        },
+        bookingUrl: 'https://seaworld.com/orlando/tickets/'
+      },
+      legoland: {
+        id: 'legoland',
+        name: 'LEGOLAND Florida Resort',
+        parks: ['LEGOLAND Florida', 'Peppa Pig Theme Park'],
+        basePrice: 109,
+        childDiscount: 0.08,
+        childAges: '3-12',
+        onlineDiscount: 0.30,
+        taxRate: 0.07,
+        rating: 4.4,
+        maxDays: 3,
+        multiDayFactors: [1.0, 0.70, 0.55],
+        usageWindow: { extraDays: 2 },
+        ticketName: '1-Day Ticket',
+        addOns: {
+          peppa_pig: {
+            name: 'Peppa Pig Theme Park Add-On',
+            description: 'Add Peppa Pig Theme Park admission',
+            basePrice: 30,
+            perAdditionalDay: 0,
+            maxPrice: 30
+          }
+        },
+        variants: {
+          florida_resident: {
+            name: 'Florida Resident Ticket',
+            discount: 0.25,
+            days: [1, 2, 3],
+            requirements: 'Valid Florida driver license or ID with a Florida address'
+          },
+          military: {
+            name: 'Military Ticket',
+            discount: 0.30,
+            days: [1, 2, 3],
+            requirements: 'U.S. military ID'
+          }
+        },
+        bookingUrl: 'https://www.legoland.com/florida/tickets-passes/'
+      }
+    };
+  }
+
+  /**
+   * Get a resort by ID
+   */
+  getResort(resortId) {
+    const resort = this.resorts[String(resortId || '').toLowerCase()];
+    if (!resort) {
+      throw new Error(`Unknown resort: ${resortId}. Valid resorts: ${Object.keys(this.resorts).join(', ')}`);
+    }
+    return resort;
+  }
+
+  /**
+   * Summaries of all resorts and their ticket options
+   */
+  getResorts() {
+    return Object.values(this.resorts).map(resort => ({
+      id: resort.id,
+      name: resort.name,
+      parks: resort.parks,
+      maxDays: resort.maxDays,
+      childAges: resort.childAges,
+      addOns: Object.entries(resort.addOns).map(([id, addOn]) => ({
+        id,
+        name: addOn.name,
+        description: addOn.description
+      })),
+      variants: Object.entries(resort.variants).map(([id, variant]) => ({
+        id,
+        name: variant.name,
+        days: variant.days,
+        requirements: variant.requirements
+      })),
+      bookingUrl: resort.bookingUrl
+    }));
+  }
+
+  /**
+   * Validate a ticket length and party. days is checked against the
+   * resort's ticket table, or the longest ticket any resort sells when no
+   * resort is given (shorter resorts are capped in compareResorts).
+   * @returns {string[]} Validation errors
+   */
+  validateRequest({ resortId, days, adults, children } = {}) {
+    const errors = [];
+    const resort = this.resorts[String(resortId || '').toLowerCase()];
+    const maxDays = resort ? resort.maxDays : Math.max(...Object.values(this.resorts).map(entry => entry.maxDays));
+
+    if (days !== undefined && (!Number.isInteger(days) || days < 1 || days > maxDays)) {
+      errors.push(`days must be a whole number from 1 to ${maxDays}`);
+    }
+    if (adults !== undefined && (!Number.isInteger(adults) || adults < 1)) {
+      errors.push('adults must be a whole number of at least 1');
+    }
+    if (children !== undefined && (!Number.isInteger(children) || children < 0)) {
+      errors.push('children must be a whole number of 0 or more');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Parse a YYYY-MM-DD date as UTC midnight
+   */
+  parseDate(date) {
+    const parsed = new Date(`${date}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date)) || isNaN(parsed.getTime())) {
+      throw new Error(`Invalid date: ${date}. Expected YYYY-MM-DD`);
+    }
+    return parsed;
+  }
+
+  /**
+   * Format a UTC date as YYYY-MM-DD
+   */
+  formatDate(date) {
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Classify a visit date into a demand tier.
+   * Windows approximate the resorts' published calendars: holidays, spring
+   * break, summer and Thanksgiving are peak; January, back-to-school and
+   * early December are value.
+   */
+  getDemandTier(date) {
+    const parsed = typeof date === 'string' ? this.parseDate(date) : date;
+    const monthDay = (parsed.getUTCMonth() + 1) * 100 + parsed.getUTCDate();
+
+    if (monthDay >= 1220 || monthDay <= 102) return 'holiday';
+    if ((monthDay >= 310 && monthDay <= 420) ||
+        (monthDay >= 610 && monthDay <= 815) ||
+        (monthDay >= 1120 && monthDay <= 1130)) {
+      return 'peak';
+    }
+    if ((monthDay >= 106 && monthDay <= 210) ||
+        (monthDay >= 820 && monthDay <= 930) ||
+        (monthDay >= 1201 && monthDay <= 1215)) {
+      return 'value';
+    }
+    return 'regular';
+  }
+
+  /**
+   * Adult 1-day gate price for a resort on a given start date
+   */
+  getDailyPrice(resort, date) {
+    const parsed = typeof date === 'string' ? this.parseDate(date) : date;
+    const tier = this.getDemandTier(parsed);
+    const dayOfWeek = parsed.getUTCDay();
+    const isWeekend = dayOfWeek === 0 || dayOfWeek === 5 || dayOfWeek === 6;
+
+    let price = resort.basePrice * this.demandTiers[tier];
+    if (isWeekend) price *= this.weekendMultiplier;
+
+    return { price: Math.round(price), tier, isWeekend };
+  }
+
+  /**
+   * Price of an add-on for a ticket of the given length
+   */
+  getAddOnPrice(addOn, days) {
+    return Math.min(addOn.maxPrice, addOn.basePrice + addOn.perAdditionalDay * (days - 1));
+  }
+
+  /**
+   * Number of calendar days a ticket can be used within
+   */
+  getUsageWindowDays(resort, days) {
+    if (days === 1) return 1;
+    if (resort.usageWindow.fixedDays) return Math.max(days, resort.usageWindow.fixedDays);
+    return days + resort.usageWindow.extraDays;
+  }
+
+  /**
+   * Calculate the price of a ticket product for a party
+   *
+   * @param {Object} options
+   * @param {string} options.resortId - disney | universal | seaworld | legoland
+   * @param {string} options.startDate - First visit date (YYYY-MM-DD)
+   * @param {number} options.days - Ticket length
+   * @param {Array} options.addOns - Add-on IDs (e.g. ['park_hopper'])
+   * @param {number} options.adults - Tickets at adult price (10+)
+   * @param {number} options.children - Tickets at child price (under-3s are free)
+   * @param {string} options.variant - standard | florida_resident | military
+   * @param {boolean} options.atGate - Price as bought at the gate instead of online
+   * @returns {Object} Per-ticket and party pricing breakdown
+   */
+  calculateTicketPrice(options) {
+    const {
+      resortId,
+      startDate,
+      days = 1,
+      addOns = [],
+      adults = 2,
+      children = 0,
+      variant = 'standard',
+      atGate = false
+    } = options;
+
+    const resort = this.getResort(resortId);
+
+    if (!Number.isInteger(days) || days < 1 || days > resort.maxDays) {
+      throw new Error(`${resort.name} tickets are available for 1-${resort.maxDays} days`);
+    }
+
+    const variantConfig = variant === 'standard' ? null : resort.variants[variant];
+    if (variant !== 'standard' && !variantConfig) {
+      throw new Error(`${resort.name} does not offer a ${variant} ticket`);
+    }
+    if (variantConfig && !variantConfig.days.includes(days)) {
+      throw new Error(`${variantConfig.name} is only available as a ${variantConfig.days.join('/')}-day ticket`);
+    }
+
+    const daily = this.getDailyPrice(resort, startDate);
+    const perDayPrice = daily.price * resort.multiDayFactors[days - 1];
+
+    let adultTicket = perDayPrice * days;
+    if (!atGate) adultTicket *= 1 - resort.onlineDiscount;
+    if (variantConfig) adultTicket *= 1 - variantConfig.discount;
+    adultTicket = Math.round(adultTicket);
+    const childTicket = Math.round(adultTicket * (1 - resort.childDiscount));
+
+    const addOnDetails = addOns.map(addOnId => {
+      const addOn = resort.addOns[addOnId];
+      if (!addOn) {
+        throw new Error(`${resort.name} does not offer the ${addOnId} add-on`);
+      }
+      return { id: addOnId, name: addOn.name, pricePerTicket: this.getAddOnPrice(addOn, days) };
+    });
+    const addOnPerTicket = addOnDetails.reduce((sum, addOn) => sum + addOn.pricePerTicket, 0);
+
+    const tickets = adults + children;
+    const subtotal = adultTicket * adults + childTicket * children + addOnPerTicket * tickets;
+    const taxes = Math.round(subtotal * resort.taxRate * 100) / 100;
+    const total = Math.round((subtotal + taxes) * 100) / 100;
+
+    const usageWindowDays = this.getUsageWindowDays(resort, days);
+    const validThrough = new Date(this.parseDate(startDate).getTime() + (usageWindowDays - 1) * DAY_MS);
+
+    return {
+      resortId: resort.id,
+      startDate,
+      days,
+      variant,
+      demandTier: daily.tier,
+      isWeekend: daily.isWeekend,
+      adultTicketPrice: adultTicket + addOnPerTicket,
+      childTicketPrice: childTicket + addOnPerTicket,
+      pricePerDay: Math.round(((adultTicket + addOnPerTicket) / days) * 100) / 100,
+      addOns: addOnDetails,
+      subtotal,
+      taxes,
+      total,
+      usageWindowDays,
+      validThrough: this.formatDate(validThrough)
+    };
+  }
+
+  /**
+   * Build ticket offers for one resort.
+   *
+   * Every offer is compared against the standard gate price for the same
+   * ticket, so savings reflect buying online and any discount variant.
+   *
+   * @param {Object} options - Same as calculateTicketPrice, plus:
+   * @param {Object} options.eligibility - { isFloridaResident, isMilitary };
+   *   when omitted, all variants are returned and flagged with their requirements
+   * @returns {Array} Offers sorted cheapest first
+   */
+  getOffers(options) {
+    const { resortId, startDate, days = 1, addOns = [], adults = 2, children = 0, eligibility } = options;
+    const resort = this.getResort(resortId);
+
+    const gate = this.calculateTicketPrice({ resortId, startDate, days, addOns, adults, children, atGate: true });
+
+    const variantIds = ['standard', ...Object.keys(resort.variants)].filter(variant => {
+      if (variant !== 'standard' && !resort.variants[variant].days.includes(days)) return false;
+      if (!eligibility) return true;
+      if (variant === 'florida_resident') return !!eligibility.isFloridaResident;
+      if (variant === 'military') return !!eligibility.isMilitary;
+      return true;
+    });
+
+    const offers = variantIds.map(variant => {
+      const pricing = this.calculateTicketPrice({ resortId, startDate, days, addOns, adults, children, variant });
+      return this.buildOffer(resort, pricing, gate, { adults, children });
+    });
+
+    return offers.sort((a, b) => a.discountedPrice - b.discountedPrice);
+  }
+
+  /**
+   * Shape a priced ticket as a deal usable by SavingsOptimizer
+   */
+  buildOffer(resort, pricing, gate, party) {
+    const variantConfig = pricing.variant === 'standard' ? null : resort.variants[pricing.variant];
+    const addOnLabel = pricing.addOns.map(addOn => addOn.name).join(' + ');
+    const productName = [
+      `${pricing.days}-Day`,
+      variantConfig ? variantConfig.name : resort.ticketName,
+      addOnLabel ? `with ${addOnLabel}` : ''
+    ].filter(Boolean).join(' ');
+
+    const savings = Math.max(0, Math.round((gate.total - pricing.total) * 100) / 100);
+
+    return {
+      id: [resort.id, `${pricing.days}day`, pricing.variant, ...pricing.addOns.map(addOn => addOn.id)].join('_'),
+      category: 'theme_park',
+      resortId: resort.id,
+      resortName: resort.name,
+      productName,
+      variant: pricing.variant,
+      parks: resort.parks,
+      startDate: pricing.startDate,
+      validThrough: pricing.validThrough,
+      days: pricing.days,
+      demandTier: pricing.demandTier,
+      guests: party,
+      addOns: pricing.addOns,
+      adultTicketPrice: pricing.adultTicketPrice,
+      childTicketPrice: pricing.childTicketPrice,
+      pricePerDay: pricing.pricePerDay,
+      taxes: pricing.taxes,
+      originalPrice: gate.total,
+      discountedPrice: pricing.total,
+      savings,
+      savingsPercentage: gate.total > 0 ? Math.round((savings / gate.total) * 10000) / 100 : 0,
+      // Modeled prices; eligibility variants also depend on proof at purchase
+      confidence: variantConfig ? 0.65 : 0.75,
+      rating: resort.rating,
+      eligibility: variantConfig
+        ? { required: pricing.variant, requirements: variantConfig.requirements }
+        : null,
+      bookingUrl: resort.bookingUrl,
+      source: 'modeled_pricing'
+    };
+  }
+
+  /**
+   * Cheapest offer per resort for the same trip
+   *
+   * @param {Object} options - getOffers options with resorts: [resortIds]
+   *   (default: all) and addOns keyed by resort ID. Without eligibility,
+   *   only standard tickets are compared.
+   * @returns {Array} Best offer per resort, cheapest first
+   */
+  compareResorts(options) {
+    const { resorts = Object.keys(this.resorts), addOns = {}, days = 1, eligibility = {} } = options;
+    const results = [];
+
+    resorts.forEach(resortId => {
+      const resort = this.getResort(resortId);
+      const offers = this.getOffers({
+        ...options,
+        eligibility,
+        resortId: resort.id,
+        days: Math.min(days, resort.maxDays),
+        addOns: addOns[resort.id] || []
+      });
+      results.push(offers[0]);
+    });
+
+    return results.sort((a, b) => a.discountedPrice - b.discountedPrice);
+  }
+
+  /**
+   * Adult ticket price for each start date in a range, to find cheaper days to visit
+   *
+   * @param {string} resortId - Resort ID
+   * @param {Object} options - { startDate, endDate, days, addOns }
+   * @returns {Object} Daily prices plus the cheapest and most expensive dates
+   */
+  getPriceCalendar(resortId, options) {
+    const { startDate, endDate, days = 1, addOns = [] } = options;
+    const start = this.parseDate(startDate);
+    const end = this.parseDate(endDate);
+    const spanDays = Math.round((end - start) / DAY_MS) + 1;
+
+    if (spanDays < 1 || spanDays > 366) {
+      throw new Error('Calendar range must be between 1 and 366 days');
+    }
+
+    const calendar = [];
+    for (let i = 0; i < spanDays; i++) {
+      const date = this.formatDate(new Date(start.getTime() + i * DAY_MS));
+      const pricing = this.calculateTicketPrice({ resortId, startDate: date, days, addOns, adults: 1, children: 0 });
+      calendar.push({
+        date,
+        demandTier: pricing.demandTier,
+        adultTicketPrice: pricing.adultTicketPrice,
+        pricePerDay: pricing.pricePerDay
+      });
+    }
+
+    const sorted = [...calendar].sort((a, b) => a.adultTicketPrice - b.adultTicketPrice);
+
+    return {
+      resortId,
+      days,
+      calendar,
+      cheapest: sorted[0],
+      mostExpensive: sorted[sorted.length - 1],
+      potentialSavings: sorted[sorted.length - 1].adultTicketPrice - sorted[0].adultTicketPrice
+    };
+  }
+}
+
+module.exports = ThemeParkTicketService;
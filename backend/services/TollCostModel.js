@@ -0,0 +1,280 @@
+/**
+ * Toll Cost Model
+ *
+ * Central Florida roads around MCO (SR 417, SR 528, SR 408) are cashless
+ * toll roads, so every rental car either pays through the rental company's
+ * toll program or through the traveler's own transponder. This model
+ * estimates the tolls for a planned itinerary and prices each way to pay:
+ *
+ * - RENTAL_PROGRAM: the company's program. FLAT_DAILY programs charge every
+ *   rental day; PER_USE programs only charge days a toll is used. Both are
+ *   capped per rental, and tolls are billed at the program's rate
+ *   (transponder or the higher toll-by-plate rate).
+ * - BRING_YOUR_OWN: a SunPass/E-PASS compatible transponder; tolls at the
+ *   transponder rate, plus the cost of a SunPass Mini if the traveler
+ *   doesn't own one.
+ * - VISITOR_TOLL_PASS: the free Visitor Toll Pass hangtag for trips that
+ *   arrive at MCO; tolls at the lowest rate.
+ *
+ * Toll amounts are typical 2-axle totals per route and should be treated
+ * as estimates.
+ */
+
+// Places an itinerary can use, with accepted aliases
+const PLACES = {
+  MCO: { name: 'Orlando International Airport', aliases: ['mco', 'airport', 'orlando airport', 'orlando international airport'] },
+  SFB: { name: 'Orlando Sanford International Airport', aliases: ['sfb', 'sanford', 'sanford airport', 'orlando sanford international airport'] },
+  IDRIVE: { name: 'International Drive', aliases: ['i-drive', 'idrive', 'international drive', 'convention center'] },
+  DISNEY: { name: 'Walt Disney World', aliases: ['disney', 'wdw', 'walt disney world', 'disney world', 'disney springs'] },
+  UNIVERSAL: { name: 'Universal Orlando', aliases: ['universal', 'universal studios', 'universal orlando', 'epic universe'] },
+  LAKE_BUENA_VISTA: { name: 'Lake Buena Vista', aliases: ['lake buena vista', 'lbv'] },
+  KISSIMMEE: { name: 'Kissimmee', aliases: ['kissimmee', 'celebration'] },
+  DOWNTOWN: { name: 'Downtown Orlando', aliases: ['downtown', 'downtown orlando'] },
+  SEAWORLD: { name: 'SeaWorld Orlando', aliases: ['seaworld', 'sea world', 'seaworld orlando'] },
+  PORT_CANAVERAL: { name: 'Port Canaveral', aliases: ['port canaveral', 'cruise port', 'cocoa beach'] },
+  KENNEDY_SPACE_CENTER: { name: 'Kennedy Space Center', aliases: ['kennedy space center', 'ksc'] },
+  TAMPA: { name: 'Tampa', aliases: ['tampa', 'busch gardens'] },
+  LEGOLAND: { name: 'LEGOLAND Florida', aliases: ['legoland', 'winter haven'] }
+};
+
+// One-way toll totals on the usual toll route: [transponder, toll-by-plate]
+// Routes not listed use toll-free roads (I-4, US-192).
+const ROUTE_TOLLS = {
+  'DISNEY|MCO': { road: 'SR 417', transponder: 3.90, plate: 5.60 },
+  'IDRIVE|MCO': { road: 'SR 528', transponder: 1.60, plate: 2.30 },
+  'MCO|UNIVERSAL': { road: 'SR 528', transponder: 1.60, plate: 2.30 },
+  'MCO|SEAWORLD': { road: 'SR 528', transponder: 1.60, plate: 2.30 },
+  'LAKE_BUENA_VISTA|MCO': { road: 'SR 417 / SR 536', transponder: 3.20, plate: 4.60 },
+  'KISSIMMEE|MCO': { road: 'SR 417', transponder: 2.50, plate: 3.60 },
+  'DOWNTOWN|MCO': { road: 'SR 436 / SR 408', transponder: 1.30, plate: 1.90 },
+  'MCO|PORT_CANAVERAL': { road: 'SR 528', transponder: 4.40, plate: 6.30 },
+  'KENNEDY_SPACE_CENTER|MCO': { road: 'SR 528 / SR 407', transponder: 4.40, plate: 6.30 },
+  'MCO|TAMPA': { road: 'SR 417', transponder: 3.90, plate: 5.60 },
+  'LEGOLAND|MCO': { road: 'SR 417', transponder: 3.90, plate: 5.60 },
+  'IDRIVE|PORT_CANAVERAL': { road: 'SR 528', transponder: 6.00, plate: 8.60 },
+  'PORT_CANAVERAL|UNIVERSAL': { road: 'SR 528', transponder: 6.00, plate: 8.60 },
+  'PORT_CANAVERAL|SEAWORLD': { road: 'SR 528', transponder: 6.00, plate: 8.60 },
+  'DISNEY|PORT_CANAVERAL': { road: 'SR 417 / SR 528', transponder: 7.50, plate: 10.75 },
+  'IDRIVE|KENNEDY_SPACE_CENTER': { road: 'SR 528 / SR 407', transponder: 6.00, plate: 8.60 },
+  'DISNEY|KENNEDY_SPACE_CENTER': { road: 'SR 417 / SR 528', transponder: 7.50, plate: 10.75 },
+  'DISNEY|DOWNTOWN': { road: 'SR 429 / SR 408', transponder: 2.40, plate: 3.45 },
+  'DISNEY|SFB': { road: 'SR 417', transponder: 7.50, plate: 10.75 },
+  'LAKE_BUENA_VISTA|SFB': { road: 'SR 417', transponder: 6.50, plate: 9.30 },
+  'KISSIMMEE|SFB': { road: 'SR 417', transponder: 6.00, plate: 8.60 }
+};
+
+// Rental company toll programs (typical published Orlando pricing)
+const TOLL_PROGRAMS = {
+  Enterprise: { name: 'TollPass', pricing: 'PER_USE', dailyFee: 3.95, maxPerRental: 19.75, tollRate: 'PLATE' },
+  National: { name: 'TollPass', pricing: 'PER_USE', dailyFee: 3.95, maxPerRental: 19.75, tollRate: 'PLATE' },
+  Alamo: { name: 'TollPass', pricing: 'PER_USE', dailyFee: 3.95, maxPerRental: 19.75, tollRate: 'PLATE' },
+  Hertz: { name: 'PlatePass', pricing: 'PER_USE', dailyFee: 5.95, maxPerRental: 29.75, tollRate: 'PLATE' },
+  Dollar: { name: 'PlatePass', pricing: 'PER_USE', dailyFee: 5.95, maxPerRental: 29.75, tollRate: 'PLATE' },
+  Thrifty: { name: 'PlatePass', pricing: 'PER_USE', dailyFee: 5.95, maxPerRental: 29.75, tollRate: 'PLATE' },
+  Avis: { name: 'e-Toll', pricing: 'PER_USE', dailyFee: 5.95, maxPerRental: 29.75, tollRate: 'PLATE' },
+  Budget: { name: 'e-Toll', pricing: 'PER_USE', dailyFee: 5.95, maxPerRental: 29.75, tollRate: 'PLATE' },
+  Sixt: { name: 'Express Toll Service', pricing: 'FLAT_DAILY', dailyFee: 9.99, maxPerRental: 69.93, tollRate: 'INCLUDED' },
+  'Fox Rent A Car': { name: 'Toll Pass', pricing: 'FLAT_DAILY', dailyFee: 10.99, maxPerRental: 76.93, tollRate: 'INCLUDED' }
+};
+
+const DEFAULT_PROGRAM = { name: 'Toll program', pricing: 'PER_USE', dailyFee: 5.95, maxPerRental: 29.75, tollRate: 'PLATE' };
+
+// Used when no itinerary is given: airport to the Disney area and back
+const DEFAULT_ITINERARY = [
+  { from: 'MCO', to: 'DISNEY', day: 1 },
+  { from: 'DISNEY', to: 'MCO', day: 'last' }
+];
+
+const round = amount => Math.round(amount * 100) / 100;
+
+class TollCostModel {
+  /**
+   * @param {Object} options
+   * @param {Object} options.programs - Toll programs by company
+   * @param {Object} options.routeTolls - One-way tolls by 'PLACE|PLACE' key
+   * @param {number} options.transponderPrice - SunPass Mini price (default: 4.99)
+   * @param {boolean} options.visitorTollPass - Visitor Toll Pass available (default: true)
+   */
+  constructor(options = {}) {
+    this.programs = options.programs || TOLL_PROGRAMS;
+    this.routeTolls = options.routeTolls || ROUTE_TOLLS;
+    this.transponderPrice = options.transponderPrice !== undefined ? options.transponderPrice : 4.99;
+    this.visitorTollPass = options.visitorTollPass !== false;
+  }
+
+  /**
+   * Canonical place code for a name or alias (null when unknown)
+   */
+  static resolvePlace(place) {
+    const value = String(place || '').trim();
+    if (PLACES[value.toUpperCase()]) return value.toUpperCase();
+
+    const lower = value.toLowerCase();
+    const match = Object.entries(PLACES).find(([, { aliases }]) => aliases.includes(lower));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Places an itinerary can use
+   */
+  static getPlaces() {
+    return Object.entries(PLACES).map(([code, { name, aliases }]) => ({ code, name, aliases }));
+  }
+
+  /**
+   * Normalize an itinerary. Accepts legs ([{ from, to, day, times }]) or
+   * stops in order (['MCO', 'I-Drive', 'Disney', 'MCO']).
+   */
+  static normalizeItinerary(itinerary) {
+    if (!itinerary || itinerary.length === 0) return DEFAULT_ITINERARY.map(leg => ({ times: 1, ...leg }));
+
+    if (itinerary.every(stop => typeof stop === 'string')) {
+      return itinerary.slice(1).map((stop, index) => ({ from: itinerary[index], to: stop, times: 1 }));
+    }
+
+    return itinerary.map(leg => ({ ...leg, times: leg.times ?? 1 }));
+  }
+
+  /**
+   * Validate an itinerary
+   * @returns {Array} List of validation error messages (empty when valid)
+   */
+  static validateItinerary(itinerary) {
+    if (itinerary === undefined || itinerary === null) return [];
+    if (!Array.isArray(itinerary)) return ['itinerary must be an array of stops or legs'];
+
+    const errors = [];
+    TollCostModel.normalizeItinerary(itinerary).forEach((leg, index) => {
+      ['from', 'to'].forEach(field => {
+        if (!TollCostModel.resolvePlace(leg[field])) {
+          errors.push(`itinerary[${index}].${field} "${leg[field]}" is not a known place. Use: ${Object.keys(PLACES).join(', ')}`);
+        }
+      });
+      if (!Number.isInteger(leg.times) || leg.times < 1) {
+        errors.push(`itinerary[${index}].times must be a positive integer`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Tolls for one trip between two places (zero for toll-free routes)
+   */
+  getRouteToll(from, to) {
+    const key = [TollCostModel.resolvePlace(from), TollCostModel.resolvePlace(to)].sort().join('|');
+    return this.routeTolls[key] || { road: null, transponder: 0, plate: 0 };
+  }
+
+  /**
+   * Expected tolls for an itinerary at transponder and toll-by-plate rates,
+   * plus the number of rental days with at least one toll (drives PER_USE fees).
+   * Legs without a day are assumed to fall on separate days.
+   */
+  estimateItineraryTolls(itinerary, rentalDays) {
+    const legs = TollCostModel.normalizeItinerary(itinerary).map(leg => {
+      const toll = this.getRouteToll(leg.from, leg.to);
+      return {
+        from: TollCostModel.resolvePlace(leg.from),
+        to: TollCostModel.resolvePlace(leg.to),
+        day: leg.day === 'last' ? rentalDays : (leg.day || null),
+        times: leg.times,
+        road: toll.road,
+        transponder: round(toll.transponder * leg.times),
+        plate: round(toll.plate * leg.times)
+      };
+    });
+
+    const tolledLegs = legs.filter(leg => leg.transponder > 0);
+    const dated = new Set(tolledLegs.filter(leg => leg.day).map(leg => leg.day));
+    const undatedTrips = tolledLegs.filter(leg => !leg.day).reduce((sum, leg) => sum + leg.times, 0);
+
+    return {
+      legs,
+      transponderTotal: round(legs.reduce((sum, leg) => sum + leg.transponder, 0)),
+      plateTotal: round(legs.reduce((sum, leg) => sum + leg.plate, 0)),
+      tollDays: Math.min(rentalDays, dated.size + undatedTrips)
+    };
+  }
+
+  /**
+   * Toll program for a company
+   */
+  getProgram(company) {
+    return this.programs[company] || DEFAULT_PROGRAM;
+  }
+
+  /**
+   * Rental company program fee (capped per rental). FLAT_DAILY programs
+   * charge every rental day; PER_USE programs only days with tolls.
+   */
+  getProgramFee(company, rentalDays, tollDays = rentalDays) {
+    const program = this.getProgram(company);
+    const chargedDays = program.pricing === 'FLAT_DAILY' ? rentalDays : tollDays;
+    return round(Math.min(program.dailyFee * chargedDays, program.maxPerRental));
+  }
+
+  /**
+   * Price every way to pay tolls for a rental and pick the cheapest
+   *
+   * @param {Object} params
+   * @param {string} params.company - Rental company
+   * @param {number} params.rentalDays - Rental length in days
+   * @param {Array} params.itinerary - Stops or legs (default: MCO -> Disney -> MCO)
+   * @param {boolean} params.ownsTransponder - Traveler already has a SunPass/E-PASS
+   * @param {boolean} params.arrivesAtMco - Visitor Toll Pass eligibility (default: true)
+   * @returns {Object} { tolls, options, cheapest }
+   */
+  estimate({ company, rentalDays, itinerary, ownsTransponder = false, arrivesAtMco = true }) {
+    const tolls = this.estimateItineraryTolls(itinerary, rentalDays);
+    const program = this.getProgram(company);
+    const programFee = this.getProgramFee(company, rentalDays, tolls.tollDays);
+    const programTolls = { PLATE: tolls.plateTotal, TRANSPONDER: tolls.transponderTotal, INCLUDED: 0 }[program.tollRate];
+
+    const options = [{
+      option: 'RENTAL_PROGRAM',
+      label: `${company || 'Rental'} ${program.name}`,
+      pricing: program.pricing,
+      fees: programFee,
+      tolls: programTolls,
+      total: round(programFee + programTolls),
+      notes: program.pricing === 'FLAT_DAILY'
+        ? `Charged $${program.dailyFee.toFixed(2)} every rental day (max $${program.maxPerRental.toFixed(2)}), tolls included`
+        : `Charged $${program.dailyFee.toFixed(2)} per day with tolls (max $${program.maxPerRental.toFixed(2)}), plus tolls at ${program.tollRate === 'PLATE' ? 'toll-by-plate' : 'transponder'} rates`
+    }, {
+      option: 'BRING_YOUR_OWN',
+      label: ownsTransponder ? 'Your SunPass/E-PASS' : 'Buy a SunPass Mini',
+      pricing: null,
+      fees: ownsTransponder ? 0 : this.transponderPrice,
+      tolls: tolls.transponderTotal,
+      total: round((ownsTransponder ? 0 : this.transponderPrice) + tolls.transponderTotal),
+      notes: 'Decline the rental toll program at the counter and keep any in-car transponder box closed'
+    }];
+
+    if (this.visitorTollPass && arrivesAtMco) {
+      options.push({
+        option: 'VISITOR_TOLL_PASS',
+        label: 'Visitor Toll Pass',
+        pricing: null,
+        fees: 0,
+        tolls: tolls.transponderTotal,
+        total: tolls.transponderTotal,
+        notes: 'Free hangtag for MCO arrivals; reserve online, pick up at the airport and drop it off before departure'
+      });
+    }
+
+    // Ties go to the option with the least hassle (earlier in the list)
+    const cheapest = options.reduce((best, option) => option.total < best.total ? option : best, options[0]);
+
+    return {
+      company,
+      rentalDays,
+      tolls,
+      options,
+      cheapest,
+      savingsVsRentalProgram: round(options[0].total - cheapest.total)
+    };
+  }
+}
+
+module.exports = TollCostModel;
@@ -0,0 +1,192 @@
+/**
+ * Traveler Profile Service
+ *
+ * Saved eligibility profile for a signed-in user, used to show only the
+ * discount rates the traveler can legitimately claim (see
+ * DiscountCodeValidator.applyTravelerProfile).
+ *
+ * Profile shape:
+ * {
+ *   memberships: ['aaa', 'aarp', 'costco'],
+ *   affiliations: ['military', 'veteran', 'first_responder', 'government', 'travel_industry'],
+ *   ageBracket: 'under_50' | '50_54' | '55_59' | '60_64' | '65_plus',
+ *   corporateCodes: [{ employer: 'Acme Corp', code: 'ACM' }]
+ * }
+ *
+ * Profiles persist through JsonFileStore ('traveler-profiles.json'), keyed by user ID.
+ */
+
+const JsonFileStore = require('./JsonFileStore');
+
+const MEMBERSHIPS = {
+  aaa: 'AAA/CAA',
+  aarp: 'AARP',
+  costco: 'Costco',
+  travelsavers: 'TravelSavers'
+};
+
+const AFFILIATIONS = {
+  military: 'active-duty military',
+  veteran: 'a veteran',
+  first_responder: 'a first responder',
+  government: 'a government employee',
+  travel_industry: 'a travel industry professional'
+};
+
+// Lower bound of each age bracket
+const AGE_BRACKETS = {
+  under_50: 0,
+  '50_54': 50,
+  '55_59': 55,
+  '60_64': 60,
+  '65_plus': 65
+};
+
+let sharedInstance = null;
+
+class TravelerProfileService {
+  /**
+   * @param {Object} options - JsonFileStore options (filePath, flushDelay)
+   */
+  constructor(options = {}) {
+    this.store = new JsonFileStore('traveler-profiles.json', { profiles: {} }, options);
+  }
+
+  /**
+   * Shared profile store used by the API routes
+   */
+  static getInstance() {
+    if (!sharedInstance) {
+      sharedInstance = new TravelerProfileService();
+    }
+    return sharedInstance;
+  }
+
+  static getMembershipLabel(membership) {
+    return MEMBERSHIPS[membership] || membership;
+  }
+
+  static getAffiliationLabel(affiliation) {
+    return AFFILIATIONS[affiliation] || affiliation;
+  }
+
+  /**
+   * Youngest age covered by the profile's age bracket (null when unknown)
+   */
+  static getMinimumAge(profile) {
+    return profile.ageBracket ? AGE_BRACKETS[profile.ageBracket] : null;
+  }
+
+  /**
+   * Validate a traveler profile
+   * @returns {Array} List of validation error messages (empty when valid)
+   */
+  static validateProfile(profile) {
+    const errors = [];
+
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      return ['profile must be an object'];
+    }
+
+    const { memberships, affiliations, ageBracket, corporateCodes } = profile;
+
+    if (memberships !== undefined) {
+      if (!Array.isArray(memberships)) {
+        errors.push('memberships must be an array');
+      } else {
+        memberships.filter(item => !MEMBERSHIPS[String(item).toLowerCase()]).forEach(item => {
+          errors.push(`Unknown membership "${item}". Use: ${Object.keys(MEMBERSHIPS).join(', ')}`);
+        });
+      }
+    }
+
+    if (affiliations !== undefined) {
+      if (!Array.isArray(affiliations)) {
+        errors.push('affiliations must be an array');
+      } else {
+        affiliations.filter(item => !AFFILIATIONS[String(item).toLowerCase()]).forEach(item => {
+          errors.push(`Unknown affiliation "${item}". Use: ${Object.keys(AFFILIATIONS).join(', ')}`);
+        });
+      }
+    }
+
+    if (ageBracket !== undefined && ageBracket !== null && AGE_BRACKETS[ageBracket] === undefined) {
+      errors.push(`ageBracket must be one of: ${Object.keys(AGE_BRACKETS).join(', ')}`);
+    }
+
+    if (corporateCodes !== undefined) {
+      if (!Array.isArray(corporateCodes)) {
+        errors.push('corporateCodes must be an array');
+      } else {
+        corporateCodes.forEach((entry, index) => {
+          if (!entry || typeof entry.code !== 'string' || !entry.code.trim()) {
+            errors.push(`corporateCodes[${index}].code is required`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Canonical profile. Also accepts the older flag shape used by
+   * /api/hotels/validate-code (isMilitary, isGovernment, hasAAA, isSenior, isTravelAgent).
+   */
+  static normalizeProfile(profile = {}) {
+    const source = profile || {};
+    const memberships = new Set((source.memberships || []).map(item => String(item).toLowerCase()));
+    const affiliations = new Set((source.affiliations || []).map(item => String(item).toLowerCase()));
+    let ageBracket = source.ageBracket || null;
+
+    if (source.hasAAA) memberships.add('aaa');
+    if (source.isMilitary) affiliations.add('military');
+    if (source.isGovernment) affiliations.add('government');
+    if (source.isTravelAgent) affiliations.add('travel_industry');
+    if (source.isSenior && (ageBracket === null || AGE_BRACKETS[ageBracket] < 55)) ageBracket = '55_59';
+
+    return {
+      memberships: [...memberships].filter(item => MEMBERSHIPS[item]),
+      affiliations: [...affiliations].filter(item => AFFILIATIONS[item]),
+      ageBracket: AGE_BRACKETS[ageBracket] !== undefined ? ageBracket : null,
+      corporateCodes: (source.corporateCodes || [])
+        .filter(entry => entry && entry.code)
+        .map(entry => ({
+          employer: entry.employer ? String(entry.employer).trim() : null,
+          code: String(entry.code).trim().toUpperCase()
+        }))
+    };
+  }
+
+  /**
+   * Saved profile for a user (empty profile when none was saved)
+   */
+  getProfile(userId) {
+    const saved = userId ? this.store.load().profiles[userId] : null;
+    return saved ? JSON.parse(JSON.stringify(saved)) : TravelerProfileService.normalizeProfile({});
+  }
+
+  /**
+   * Whether the user has saved a profile
+   */
+  hasProfile(userId) {
+    return !!(userId && this.store.load().profiles[userId]);
+  }
+
+  /**
+   * Replace a user's saved profile
+   */
+  saveProfile(userId, profile) {
+    const data = this.store.load();
+
+    data.profiles[userId] = {
+      ...TravelerProfileService.normalizeProfile(profile),
+      updatedAt: new Date().toISOString()
+    };
+    this.store.save();
+
+    return this.getProfile(userId);
+  }
+}
+
+module.exports = TravelerProfileService;
@@ -0,0 +1,537 @@
+/**
+ * Whole-Trip Package Builder
+ *
+ * Builds complete, priced Orlando itineraries from the individual search
+ * services instead of stitching trips together by hand:
+ * - Flights (Amadeus)
+ * - Hotels (SerpAPI + Amadeus via DualSourceHotelAggregator)
+ * - Car rental (CarRentalService), including tolls (TollCostModel)
+ * - Theme park tickets (ThemeParkTicketService)
+ *
+ * For each candidate date pair in the travel window the components are
+ * searched in parallel, combined into itineraries and ranked by total cost
+ * or value. Every component carries its own originalPrice/price/savings so
+ * itineraries show where the savings come from.
+ */
+
+const AmadeusService = require('./AmadeusService');
+const DualSourceHotelAggregator = require('./DualSourceHotelAggregator');
+const CarRentalService = require('./CarRentalService');
+const ThemeParkTicketService = require('./ThemeParkTicketService');
+const SavingsOptimizer = require('./SavingsOptimizer');
+const TollCostModel = require('./TollCostModel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ITINERARIES = 50;
+
+class TripPlanner {
+  constructor(options = {}) {
+    this.amadeusService = options.amadeusService || new AmadeusService();
+    this.hotelAggregator = options.hotelAggregator || new DualSourceHotelAggregator();
+    this.carRentalService = options.carRentalService || new CarRentalService();
+    this.ticketService = options.ticketService || new ThemeParkTicketService();
+    this.savingsOptimizer = options.savingsOptimizer || new SavingsOptimizer();
+    this.tollCostModel = options.tollCostModel || new TollCostModel();
+
+    // Options per component combined into itineraries for each date pair
+    this.flightOptions = 3;
+    this.hotelOptions = 3;
+    this.maxDateOptions = 5;
+  }
+
+  /**
+   * Validate a trip request
+   * @returns {Array} List of validation error messages (empty when valid)
+   */
+  validateRequest(request) {
+    const errors = [];
+    const { origin, dates = {}, party = {}, budget, rankBy, tolls, maxItineraries } = request;
+
+    if (!origin || !/^[A-Za-z]{3}$/.test(origin)) {
+      errors.push('origin must be a 3-letter airport code');
+    }
+
+    const hasFixedDates = dates.departureDate && dates.returnDate;
+    const hasWindow = dates.earliestDeparture && dates.latestReturn && dates.nights;
+
+    if (!hasFixedDates && !hasWindow) {
+      errors.push('dates must include departureDate and returnDate, or earliestDeparture, latestReturn and nights');
+    } else if (hasWindow && !hasFixedDates) {
+      const windowDays = (new Date(dates.latestReturn) - new Date(dates.earliestDeparture)) / DAY_MS;
+      if (isNaN(windowDays) || windowDays < dates.nights) {
+        errors.push('dates window is shorter than the requested number of nights');
+      }
+    } else if (isNaN(new Date(dates.departureDate).getTime()) || isNaN(new Date(dates.returnDate).getTime())) {
+      errors.push('dates.departureDate and dates.returnDate must be YYYY-MM-DD dates');
+    } else if (new Date(dates.returnDate) <= new Date(dates.departureDate)) {
+      errors.push('dates.returnDate must be after dates.departureDate');
+    }
+
+    if (party.adults !== undefined && (!Number.isInteger(party.adults) || party.adults < 1)) {
+      errors.push('party.adults must be at least 1');
+    }
+    if (party.children !== undefined && (!Number.isInteger(party.children) || party.children < 0)) {
+      errors.push('party.children must be 0 or more');
+    }
+    if (budget !== undefined && (typeof budget !== 'number' || budget <= 0)) {
+      errors.push('budget must be a positive number');
+    }
+    if (rankBy !== undefined && !['cost', 'value'].includes(rankBy)) {
+      errors.push('rankBy must be cost or value');
+    }
+    if (tolls !== undefined) {
+      if (!tolls || typeof tolls !== 'object' || Array.isArray(tolls)) {
+        errors.push('tolls must be an object');
+      } else {
+        errors.push(...TollCostModel.validateItinerary(tolls.itinerary));
+      }
+    }
+    if (maxItineraries !== undefined &&
+        (!Number.isInteger(maxItineraries) || maxItineraries < 1 || maxItineraries > MAX_ITINERARIES)) {
+      errors.push(`maxItineraries must be a whole number from 1 to ${MAX_ITINERARIES}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Plan a trip and return ranked itineraries
+   *
+   * @param {Object} request
+   * @param {string} request.origin - Origin airport (e.g. JFK)
+   * @param {string} request.destination - Orlando airport (default: MCO)
+   * @param {Object} request.dates - { departureDate, returnDate } or
+   *   { earliestDeparture, latestReturn, nights, maxDateOptions }
+   * @param {Object} request.party - { adults, children }
+   * @param {number} request.budget - Total trip budget (USD)
+   * @param {boolean} request.includeCar - Add a rental car (default: true)
+   * @param {Object} request.tolls - { itinerary, ownsTransponder } for the car's toll estimate
+   * @param {Array} request.parks - [{ resort, days, addOns }] ticket requests
+   * @param {Object} request.eligibility - { isFloridaResident, isMilitary } for ticket variants
+   * @param {string} request.rankBy - 'value' (default) or 'cost'
+   * @param {number} request.maxItineraries - Itineraries to return (default: 10)
+   * @returns {Object} { itineraries, summary, searches, warnings }. When no
+   *   flights are found for a date pair, its itineraries leave out airfare
+   *   (missingComponents: ['flight']) and a warning says so. Those come after
+   *   every complete itinerary and are left out of the cost ranking, the
+   *   budget check and cheapestTotal.
+   */
+  async planTrip(request) {
+    const {
+      origin,
+      destination = 'MCO',
+      dates,
+      party = {},
+      budget = null,
+      includeCar = true,
+      tolls = {},
+      parks = [],
+      eligibility = {},
+      rankBy = 'value',
+      maxItineraries = 10
+    } = request;
+
+    const adults = party.adults || 2;
+    const children = party.children || 0;
+    const dateOptions = this.buildDateOptions(dates);
+    const itineraries = [];
+    const searchLog = [];
+    const warnings = [];
+
+    // Date pairs run one after another to stay inside provider rate limits
+    for (const dateOption of dateOptions) {
+      const components = await this.searchComponents({
+        origin: origin.toUpperCase(),
+        destination: destination.toUpperCase(),
+        ...dateOption,
+        adults,
+        children,
+        includeCar,
+        tolls,
+        parks,
+        eligibility
+      });
+
+      searchLog.push({
+        ...dateOption,
+        flights: components.flights.length,
+        hotels: components.hotels.length,
+        car: !!components.car,
+        tickets: components.tickets.length,
+        errors: components.errors
+      });
+
+      const stay = `${dateOption.departureDate} to ${dateOption.returnDate}`;
+      if (components.flights.length === 0) {
+        const reason = components.errors.flights ? ` (flight search failed: ${components.errors.flights})` : '';
+        warnings.push(`No flights found from ${origin.toUpperCase()} for ${stay}${reason}. Those itineraries leave out airfare.`);
+      }
+      if (components.hotels.length === 0) {
+        const reason = components.errors.hotels ? ` (hotel search failed: ${components.errors.hotels})` : '';
+        warnings.push(`No priced hotels found for ${stay}${reason}. No itineraries could be built for those dates.`);
+      }
+
+      itineraries.push(...this.buildItineraries(dateOption, components, { adults, children, budget }));
+    }
+
+    const ranked = this.rankItineraries(itineraries, rankBy, budget);
+    const complete = ranked.filter(itinerary => itinerary.missingComponents.length === 0);
+
+    return {
+      itineraries: ranked.slice(0, maxItineraries),
+      summary: {
+        itinerariesEvaluated: ranked.length,
+        withinBudget: budget ? ranked.filter(itinerary => itinerary.withinBudget).length : null,
+        cheapestTotal: complete.length > 0 ? Math.min(...complete.map(itinerary => itinerary.totals.totalCost)) : null,
+        bestValue: ranked.find(itinerary => itinerary.valueRank === 1) || null,
+        rankBy
+      },
+      searches: searchLog,
+      warnings
+    };
+  }
+
+  /**
+   * Candidate departure/return date pairs for the travel window.
+   * A flexible window is sampled evenly so the fan-out stays bounded.
+   */
+  buildDateOptions(dates) {
+    if (dates.departureDate && dates.returnDate) {
+      return [{
+        departureDate: dates.departureDate,
+        returnDate: dates.returnDate,
+        nights: Math.round((new Date(dates.returnDate) - new Date(dates.departureDate)) / DAY_MS)
+      }];
+    }
+
+    const nights = dates.nights;
+    const earliest = new Date(`${dates.earliestDeparture}T00:00:00Z`);
+    const latestDeparture = new Date(new Date(`${dates.latestReturn}T00:00:00Z`).getTime() - nights * DAY_MS);
+    const candidates = Math.round((latestDeparture - earliest) / DAY_MS) + 1;
+    const maxOptions = Math.min(dates.maxDateOptions || 3, this.maxDateOptions);
+    const count = Math.min(candidates, maxOptions);
+    const step = count > 1 ? (candidates - 1) / (count - 1) : 0;
+
+    const options = [];
+    for (let i = 0; i < count; i++) {
+      const departure = new Date(earliest.getTime() + Math.round(i * step) * DAY_MS);
+      options.push({
+        departureDate: departure.toISOString().split('T')[0],
+        returnDate: new Date(departure.getTime() + nights * DAY_MS).toISOString().split('T')[0],
+        nights
+      });
+    }
+
+    return options;
+  }
+
+  /**
+   * Search every component for one date pair in parallel.
+   * A failed component is reported in errors rather than failing the trip.
+   */
+  async searchComponents(params) {
+    const { origin, destination, departureDate, returnDate, nights, adults, children, includeCar, tolls = {}, parks, eligibility } = params;
+    const errors = {};
+
+    const [flightResult, hotelResult, carResult] = await Promise.allSettled([
+      this.amadeusService.searchFlights({ origin, destination, departureDate, returnDate, adults, children }),
+      this.hotelAggregator.searchHotels({
+        checkInDate: departureDate,
+        checkOutDate: returnDate,
+        adults,
+        rooms: Math.max(1, Math.ceil((adults + children) / 4))
+      }),
+      includeCar
+        ? this.carRentalService.searchCarRentals({ pickupDate: departureDate, returnDate, pickupLocation: `${destination} Airport` })
+        : Promise.resolve([])
+    ]);
+
+    let flights = [];
+    if (flightResult.status === 'fulfilled') {
+      flights = this.selectFlights(flightResult.value.data || []);
+    } else {
+      errors.flights = flightResult.reason.message;
+    }
+
+    let hotels = [];
+    if (hotelResult.status === 'fulfilled') {
+      hotels = this.selectHotels(hotelResult.value.hotels || [], nights);
+    } else {
+      errors.hotels = hotelResult.reason.message;
+    }
+
+    let car = null;
+    if (carResult.status === 'fulfilled') {
+      car = this.selectCar(carResult.value || [], nights, {
+        ...tolls,
+        arrivesAtMco: destination === 'MCO'
+      });
+    } else {
+      errors.car = carResult.reason.message;
+    }
+
+    const tickets = [];
+    parks.forEach(park => {
+      try {
+        const offers = this.ticketService.getOffers({
+          resortId: park.resort,
+          startDate: park.startDate || this.addDays(departureDate, 1),
+          days: park.days || 1,
+          addOns: park.addOns || [],
+          adults,
+          children,
+          eligibility
+        });
+        tickets.push(this.toComponent('tickets', offers[0].productName, offers[0], offers[0].bookingUrl));
+      } catch (error) {
+        errors[`tickets_${park.resort}`] = error.message;
+      }
+    });
+
+    return { flights, hotels, car, tickets, errors };
+  }
+
+  /**
+   * Cheapest flights, priced against the median fare for the same dates
+   */
+  selectFlights(flights) {
+    if (flights.length === 0) return [];
+
+    const fares = flights.map(flight => flight.price.total).sort((a, b) => a - b);
+    const medianFare = fares[Math.floor(fares.length / 2)];
+
+    return [...flights]
+      .sort((a, b) => a.price.total - b.price.total)
+      .slice(0, this.flightOptions)
+      .map(flight => this.toComponent('flight', this.describeFlight(flight), {
+        originalPrice: Math.max(medianFare, flight.price.total),
+        discountedPrice: flight.price.total,
+        confidence: flight.confidence,
+        details: {
+          id: flight.id,
+          airlines: flight.validatingAirlineCodes,
+          outbound: this.summarizeLeg(flight.outbound),
+          inbound: this.summarizeLeg(flight.inbound),
+          seatsLeft: flight.numberOfBookableSeats
+        }
+      }));
+  }
+
+  /**
+   * Top-ranked priced hotels. Savings come from the cross-source price
+   * comparison when a hotel is listed by both SerpAPI and Amadeus.
+   */
+  selectHotels(hotels, nights) {
+    return hotels
+      .map(hotel => ({
+        hotel,
+        prices: this.hotelAggregator.getStayPrices(hotel, nights).map(entry => entry.price)
+      }))
+      .filter(({ prices }) => prices.length > 0)
+      .slice(0, this.hotelOptions)
+      .map(({ hotel, prices }) => this.toComponent('hotel', hotel.hotelName, {
+        originalPrice: Math.max(...prices),
+        discountedPrice: Math.min(...prices),
+        rating: hotel.rating,
+        confidence: hotel.priceError ? 0.6 : 0.8,
+        details: {
+          propertyId: hotel.propertyId,
+          sources: hotel.sources,
+          nights,
+          savingsRank: hotel.savingsRank,
+          priceError: hotel.priceError || null
+        }
+      }, hotel.link));
+  }
+
+  /**
+   * Cheapest car deal with an advertised daily rate, priced for the whole trip.
+   * Tolls are added at the cheapest way to pay them; paying less than the
+   * rental company's toll program counts as savings.
+   */
+  selectCar(deals, days, tolls = {}) {
+    const priced = deals.filter(deal => deal.dailyRate);
+    if (priced.length === 0) return null;
+
+    const cheapest = priced.reduce((min, deal) => deal.dailyRate < min.dailyRate ? deal : min, priced[0]);
+    const rentalDays = Math.max(1, days);
+    const price = Math.round(cheapest.dailyRate * rentalDays * 100) / 100;
+    const originalPrice = cheapest.discountPercent > 0 && cheapest.discountPercent < 100
+      ? Math.round((price / (1 - cheapest.discountPercent / 100)) * 100) / 100
+      : price;
+    const tollEstimate = this.tollCostModel.estimate({
+      company: cheapest.company,
+      rentalDays,
+      itinerary: tolls.itinerary,
+      ownsTransponder: tolls.ownsTransponder,
+      arrivesAtMco: tolls.arrivesAtMco
+    });
+
+    return this.toComponent('car', `${cheapest.company} rental`, {
+      originalPrice: Math.round((originalPrice + tollEstimate.options[0].total) * 100) / 100,
+      discountedPrice: Math.round((price + tollEstimate.cheapest.total) * 100) / 100,
+      confidence: cheapest.confidence,
+      details: {
+        company: cheapest.company,
+        dailyRate: cheapest.dailyRate,
+        days: rentalDays,
+        dealType: cheapest.dealType,
+        promoCode: cheapest.promoCode,
+        rentalPrice: price,
+        tolls: {
+          option: tollEstimate.cheapest.option,
+          label: tollEstimate.cheapest.label,
+          total: tollEstimate.cheapest.total,
+          rentalProgramTotal: tollEstimate.options[0].total
+        }
+      }
+    }, cheapest.link);
+  }
+
+  /**
+   * Normalize a priced component
+   */
+  toComponent(category, name, deal, link = null) {
+    const originalPrice = Math.round(deal.originalPrice * 100) / 100;
+    const price = Math.round(deal.discountedPrice * 100) / 100;
+
+    return {
+      category,
+      name,
+      originalPrice,
+      price,
+      savings: Math.max(0, Math.round((originalPrice - price) * 100) / 100),
+      rating: deal.rating || null,
+      confidence: deal.confidence || null,
+      details: deal.details || (category === 'tickets' ? {
+        resortId: deal.resortId,
+        variant: deal.variant,
+        days: deal.days,
+        startDate: deal.startDate,
+        eligibility: deal.eligibility
+      } : {}),
+      link
+    };
+  }
+
+  /**
+   * Combine flights x hotels (with the car and tickets) into itineraries.
+   * Without flights, the hotel, car and tickets are still priced.
+   */
+  buildItineraries(dateOption, components, { adults, children, budget }) {
+    const { flights, hotels, car, tickets } = components;
+    const itineraries = [];
+
+    (flights.length > 0 ? flights : [null]).forEach(flight => {
+      hotels.forEach(hotel => {
+        const parts = [flight, hotel, car, ...tickets].filter(Boolean);
+        const originalCost = parts.reduce((sum, part) => sum + part.originalPrice, 0);
+        const totalCost = parts.reduce((sum, part) => sum + part.price, 0);
+        const totalSavings = parts.reduce((sum, part) => sum + part.savings, 0);
+        const savingsPercentage = originalCost > 0 ? (totalSavings / originalCost) * 100 : 0;
+        const confidences = parts.filter(part => part.confidence).map(part => part.confidence);
+
+        const valueScore = this.savingsOptimizer.calculateValueScore({
+          originalPrice: originalCost,
+          savings: totalSavings,
+          rating: hotel.rating,
+          confidence: confidences.length > 0
+            ? confidences.reduce((sum, c) => sum + c, 0) / confidences.length
+            : 0
+        });
+
+        itineraries.push({
+          id: `trip_${dateOption.departureDate}_${flight ? flight.details.id : 'noflight'}_${hotel.details.propertyId}`,
+          departureDate: dateOption.departureDate,
+          returnDate: dateOption.returnDate,
+          nights: dateOption.nights,
+          components: { flight, hotel, car, tickets },
+          missingComponents: flight ? [] : ['flight'],
+          totals: {
+            originalCost: Math.round(originalCost * 100) / 100,
+            totalCost: Math.round(totalCost * 100) / 100,
+            totalSavings: Math.round(totalSavings * 100) / 100,
+            savingsPercentage: Math.round(savingsPercentage * 100) / 100,
+            perPerson: Math.round((totalCost / (adults + children)) * 100) / 100
+          },
+          // A total without airfare says nothing about the budget
+          withinBudget: budget && flight ? totalCost <= budget : null,
+          valueScore: Math.round(valueScore * 100) / 100,
+          recommendation: this.savingsOptimizer.generateTripRecommendation(savingsPercentage, totalSavings)
+        });
+      });
+    });
+
+    return itineraries;
+  }
+
+  /**
+   * Rank complete itineraries by cost and by value; itineraries within budget
+   * come first. Itineraries missing a component (no airfare) aren't ranked
+   * (costRank and valueRank null) and follow the complete ones, best value first.
+   */
+  rankItineraries(itineraries, rankBy, budget) {
+    const isComplete = itinerary => itinerary.missingComponents.length === 0;
+    const complete = itineraries.filter(isComplete);
+
+    itineraries.filter(itinerary => !isComplete(itinerary)).forEach(itinerary => {
+      itinerary.costRank = null;
+      itinerary.valueRank = null;
+    });
+    [...complete]
+      .sort((a, b) => a.totals.totalCost - b.totals.totalCost)
+      .forEach((itinerary, index) => { itinerary.costRank = index + 1; });
+    [...complete]
+      .sort((a, b) => b.valueScore - a.valueScore)
+      .forEach((itinerary, index) => { itinerary.valueRank = index + 1; });
+
+    const rankKey = rankBy === 'cost' ? 'costRank' : 'valueRank';
+
+    return itineraries.sort((a, b) => {
+      if (isComplete(a) !== isComplete(b)) {
+        return isComplete(a) ? -1 : 1;
+      }
+      if (!isComplete(a)) {
+        return b.valueScore - a.valueScore;
+      }
+      if (budget && a.withinBudget !== b.withinBudget) {
+        return a.withinBudget ? -1 : 1;
+      }
+      return a[rankKey] - b[rankKey];
+    });
+  }
+
+  /**
+   * Short flight description, e.g. "DL JFK → MCO (nonstop)"
+   */
+  describeFlight(flight) {
+    const airline = flight.validatingAirlineCodes?.[0] || 'Flight';
+    const stops = flight.outbound?.numberOfStops || 0;
+    const route = flight.outbound
+      ? `${flight.outbound.originAirport} → ${flight.outbound.destinationAirport}`
+      : '';
+    return `${airline} ${route} (${stops === 0 ? 'nonstop' : `${stops} stop${stops > 1 ? 's' : ''}`})`.trim();
+  }
+
+  /**
+   * Compact leg summary for itinerary output
+   */
+  summarizeLeg(leg) {
+    if (!leg) return null;
+    return {
+      departureTime: leg.departureTime,
+      arrivalTime: leg.arrivalTime,
+      duration: leg.duration,
+      stops: leg.numberOfStops
+    };
+  }
+
+  /**
+   * Add days to a YYYY-MM-DD date
+   */
+  addDays(date, days) {
+    return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+  }
+}
+
+module.exports = TripPlanner;
@@ -0,0 +1,86 @@
+/**
+ * Watchlist Scheduler
+ *
+ * Background loop that re-checks due watches. Each watch carries its own
+ * cadence (checkIntervalMinutes); the scheduler simply wakes up every
+ * WATCH_SCHEDULER_TICK_MINUTES (default: 5) and checks whatever is due.
+ *
+ * Checks run one at a time to stay well inside SerpApi/Amadeus rate limits.
+ */
+
+class WatchScheduler {
+  constructor(watchlistService, options = {}) {
+    this.watchlistService = watchlistService;
+    this.tickMinutes = options.tickMinutes || parseFloat(process.env.WATCH_SCHEDULER_TICK_MINUTES || '5');
+    this.timer = null;
+    this.running = false;
+    this.lastRunAt = null;
+    this.lastRunChecks = 0;
+  }
+
+  /**
+   * Start the background loop
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.tickMinutes * 60 * 1000);
+    // Don't keep the process alive just for the scheduler
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  /**
+   * Stop the background loop
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check all due watches. Skips if the previous tick is still running.
+   * @returns {Array} Results of the checks performed
+   */
+  async tick() {
+    if (this.running) return [];
+
+    this.running = true;
+    const results = [];
+
+    try {
+      const dueWatches = this.watchlistService.getDueWatches();
+
+      for (const watch of dueWatches) {
+        try {
+          const result = await this.watchlistService.checkWatch(watch.id);
+          results.push({ watchId: watch.id, ...result });
+        } catch (error) {
+          console.error(`Scheduled check failed for ${watch.id}:`, error.message);
+        }
+      }
+    } finally {
+      this.running = false;
+      this.lastRunAt = new Date().toISOString();
+      this.lastRunChecks = results.length;
+    }
+
+    return results;
+  }
+
+  /**
+   * Scheduler status for health/monitoring endpoints
+   */
+  getStatus() {
+    return {
+      enabled: !!this.timer,
+      tickMinutes: this.tickMinutes,
+      running: this.running,
+      lastRunAt: this.lastRunAt,
+      lastRunChecks: this.lastRunChecks
+    };
+  }
+}
+
+module.exports = WatchScheduler;
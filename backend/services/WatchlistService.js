@@ -0,0 +1,538 @@
+/**
+ * Price-Drop Watchlist Service
+ *
+ * Tracks hotels, flight routes and car rentals the team has booked or
+ * shortlisted, re-checks their prices on a schedule and raises alerts when:
+ * - The price falls to or below the watch's target price
+ * - The price falls below what was actually paid (bookedPrice)
+ *
+ * Hotel watch prices are for the whole stay, not per night: the all-in total
+ * (taxes and resort fees) when the source breaks it down, else the listed
+ * rate x nights. Set targetPrice and bookedPrice the same way. Each check
+ * records which one it got (basis: 'ALL_IN' | 'LISTED').
+ *
+ * Car watches with params.reshop re-shop the booked rental on every check
+ * (CarRentalService.analyzeReservation): the price is the cheapest rebook,
+ * split rental or weekly-rate option, so BELOW_BOOKED means it pays to rebook.
+ *
+ * Every check is kept as history. Alerts are stored for retrieval via the
+ * API and dispatched through AlertNotifier (webhook, email, ...).
+ *
+ * Watch shape:
+ * {
+ *   type: 'hotel' | 'flight' | 'car',
+ *   label: 'Hilton Orlando, Jan 15-18',
+ *   params: { ...search parameters for the type... },
+ *   targetPrice: 450,
+ *   bookedPrice: 520,
+ *   checkIntervalMinutes: 360,
+ *   notify: [{ type: 'webhook', url }, { type: 'email', to }]
+ * }
+ */
+
+const JsonFileStore = require('./JsonFileStore');
+const DualSourceHotelAggregator = require('./DualSourceHotelAggregator');
+const AmadeusService = require('./AmadeusService');
+const CarRentalService = require('./CarRentalService');
+const AlertNotifier = require('./AlertNotifier');
+const ResponseCache = require('./ResponseCache');
+
+const MIN_CHECK_INTERVAL_MINUTES = 30;
+const DEFAULT_CHECK_INTERVAL_MINUTES = Math.max(
+  MIN_CHECK_INTERVAL_MINUTES,
+  parseInt(process.env.WATCH_DEFAULT_INTERVAL_MINUTES || '360') || 360
+);
+const MAX_CHECKS_PER_WATCH = 500;
+
+// On-demand checks query the live providers, so they are throttled: once
+// per watch per cooldown, and a cap across all watches
+const MANUAL_CHECK_COOLDOWN_SECONDS = 300;
+const MAX_MANUAL_CHECKS_PER_MINUTE = 10;
+
+let sharedInstance = null;
+
+class WatchlistService {
+  constructor(options = {}) {
+    this.store = new JsonFileStore('watchlist.json', { watches: {}, checks: {}, alerts: {} }, options);
+    this.hotelAggregator = options.hotelAggregator || new DualSourceHotelAggregator();
+    this.amadeusService = options.amadeusService || new AmadeusService();
+    this.carRentalService = options.carRentalService || new CarRentalService();
+    this.notifier = options.notifier || new AlertNotifier();
+
+    this.manualChecks = [];
+
+    this.watchTypes = ['hotel', 'flight', 'car'];
+    this.requiredParams = {
+      hotel: ['checkInDate', 'checkOutDate'],
+      flight: ['origin', 'departureDate'],
+      car: ['pickupDate', 'returnDate']
+    };
+  }
+
+  /**
+   * Shared watchlist used by the API routes and the scheduler
+   */
+  static getInstance() {
+    if (!sharedInstance) {
+      sharedInstance = new WatchlistService();
+    }
+    return sharedInstance;
+  }
+
+  /**
+   * Validate a watch definition
+   * @returns {Array} List of validation error messages (empty when valid)
+   */
+  validateWatch(definition) {
+    const errors = [];
+    const { type, params = {}, targetPrice, bookedPrice, checkIntervalMinutes, notify } = definition;
+
+    if (!this.watchTypes.includes(type)) {
+      errors.push(`type must be one of: ${this.watchTypes.join(', ')}`);
+      return errors;
+    }
+
+    this.requiredParams[type].forEach(field => {
+      if (!params[field]) errors.push(`params.${field} is required for ${type} watches`);
+    });
+
+    if (type === 'hotel' && !params.hotelName && !params.propertyId) {
+      errors.push('params.hotelName or params.propertyId is required for hotel watches');
+    }
+
+    if (type === 'car') {
+      if (params.pickupDate && params.returnDate) {
+        errors.push(...this.carRentalService
+          .validateRentalDates(params, { reshop: !!params.reshop })
+          .map(message => `params.${message}`));
+      }
+      if (params.reshop) {
+        if (!params.company) errors.push('params.company is required for reshop car watches');
+        if (!bookedPrice) errors.push('bookedPrice is required for reshop car watches');
+      }
+    }
+
+    if (!targetPrice && !bookedPrice) {
+      errors.push('targetPrice or bookedPrice is required');
+    }
+
+    errors.push(...this.validatePrices({ targetPrice, bookedPrice }));
+    errors.push(...this.validateInterval(checkIntervalMinutes));
+    errors.push(...this.validateNotify(notify));
+
+    return errors;
+  }
+
+  /**
+   * Validate checkIntervalMinutes when present: whole minutes, at least
+   * MIN_CHECK_INTERVAL_MINUTES so a watch can't hammer the providers
+   * @returns {Array} List of validation error messages (empty when valid)
+   */
+  validateInterval(checkIntervalMinutes) {
+    if (checkIntervalMinutes === undefined) return [];
+
+    const minutes = ['number', 'string'].includes(typeof checkIntervalMinutes) && checkIntervalMinutes !== ''
+      ? Number(checkIntervalMinutes)
+      : NaN;
+    if (!Number.isInteger(minutes) || minutes < MIN_CHECK_INTERVAL_MINUTES) {
+      return [`checkIntervalMinutes must be a whole number of at least ${MIN_CHECK_INTERVAL_MINUTES}`];
+    }
+    return [];
+  }
+
+  /**
+   * Validate notification targets when present
+   * @returns {Array} List of validation error messages (empty when valid)
+   */
+  validateNotify(notify) {
+    if (notify === undefined) return [];
+    if (!Array.isArray(notify)) return ['notify must be an array of notification targets'];
+
+    return notify.flatMap((target, index) => {
+      if (!target || typeof target !== 'object' || Array.isArray(target)) {
+        return [`notify[${index}] must be an object`];
+      }
+      return this.notifier.validateTarget(target).map(message => `notify[${index}].${message}`);
+    });
+  }
+
+  /**
+   * Validate targetPrice / bookedPrice when present (null clears them on update)
+   * @returns {Array} List of validation error messages (empty when valid)
+   */
+  validatePrices({ targetPrice, bookedPrice }) {
+    const errors = [];
+
+    [['targetPrice', targetPrice], ['bookedPrice', bookedPrice]].forEach(([field, value]) => {
+      if (value === undefined || value === null) return;
+      if (typeof value === 'boolean' || !(Number(value) > 0)) {
+        errors.push(`${field} must be a positive number`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Register a new watch
+   */
+  createWatch(definition) {
+    const data = this.store.load();
+    const now = new Date().toISOString();
+    const id = `watch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const watch = {
+      id,
+      type: definition.type,
+      label: definition.label || this.buildLabel(definition),
+      params: definition.params,
+      targetPrice: definition.targetPrice ? parseFloat(definition.targetPrice) : null,
+      bookedPrice: definition.bookedPrice ? parseFloat(definition.bookedPrice) : null,
+      checkIntervalMinutes: definition.checkIntervalMinutes !== undefined
+        ? Number(definition.checkIntervalMinutes)
+        : DEFAULT_CHECK_INTERVAL_MINUTES,
+      notify: definition.notify || [],
+      status: 'active',
+      createdAt: now,
+      lastCheckedAt: null,
+      nextCheckAt: now,
+      lastPrice: null,
+      lowestPrice: null
+    };
+
+    data.watches[id] = watch;
+    data.checks[id] = [];
+    data.alerts[id] = [];
+    this.store.save();
+
+    return watch;
+  }
+
+  /**
+   * Build a readable label from a watch definition
+   */
+  buildLabel({ type, params = {} }) {
+    if (type === 'hotel') {
+      return `${params.hotelName || params.propertyId} (${params.checkInDate} to ${params.checkOutDate})`;
+    }
+    if (type === 'flight') {
+      return `${params.origin}-${params.destination || 'MCO'} on ${params.departureDate}${params.returnDate ? ` returning ${params.returnDate}` : ''}`;
+    }
+    return `${params.company || 'Any company'} car at ${params.pickupLocation || 'MCO Airport'} (${params.pickupDate} to ${params.returnDate})`;
+  }
+
+  listWatches() {
+    return Object.values(this.store.load().watches);
+  }
+
+  getWatch(id) {
+    return this.store.load().watches[id] || null;
+  }
+
+  getChecks(id) {
+    return this.store.load().checks[id] || [];
+  }
+
+  getAlerts(id) {
+    return this.store.load().alerts[id] || [];
+  }
+
+  /**
+   * Update mutable watch fields (target, booked price, cadence, notify, status)
+   */
+  updateWatch(id, updates) {
+    const watch = this.getWatch(id);
+    if (!watch) return null;
+
+    if (updates.targetPrice !== undefined) watch.targetPrice = updates.targetPrice ? parseFloat(updates.targetPrice) : null;
+    if (updates.bookedPrice !== undefined) watch.bookedPrice = updates.bookedPrice ? parseFloat(updates.bookedPrice) : null;
+    if (updates.checkIntervalMinutes !== undefined) watch.checkIntervalMinutes = Number(updates.checkIntervalMinutes);
+    if (updates.notify !== undefined) watch.notify = updates.notify;
+    if (updates.label !== undefined) watch.label = updates.label;
+    if (['active', 'paused'].includes(updates.status)) watch.status = updates.status;
+
+    this.store.save();
+    return watch;
+  }
+
+  deleteWatch(id) {
+    const data = this.store.load();
+    if (!data.watches[id]) return false;
+
+    delete data.watches[id];
+    delete data.checks[id];
+    delete data.alerts[id];
+    this.store.save();
+    return true;
+  }
+
+  /**
+   * Get active watches whose next check is due
+   */
+  getDueWatches(now = new Date()) {
+    return this.listWatches().filter(watch =>
+      watch.status === 'active' && (!watch.nextCheckAt || new Date(watch.nextCheckAt) <= now)
+    );
+  }
+
+  /**
+   * Claim an on-demand check for a watch
+   * @returns {number} 0 when the check may run now, else seconds to wait
+   */
+  reserveManualCheck(watch, now = Date.now()) {
+    this.manualChecks = this.manualChecks.filter(time => now - time < 60 * 1000);
+
+    const sinceLastCheck = watch.lastCheckedAt ? (now - new Date(watch.lastCheckedAt).getTime()) / 1000 : Infinity;
+    if (sinceLastCheck < MANUAL_CHECK_COOLDOWN_SECONDS) {
+      return Math.ceil(MANUAL_CHECK_COOLDOWN_SECONDS - sinceLastCheck);
+    }
+    if (this.manualChecks.length >= MAX_MANUAL_CHECKS_PER_MINUTE) {
+      return Math.ceil((this.manualChecks[0] + 60 * 1000 - now) / 1000);
+    }
+
+    this.manualChecks.push(now);
+    return 0;
+  }
+
+  /**
+   * Re-query the watched item, record the check and raise alerts
+   * @returns {Object} { check, alert }
+   */
+  async checkWatch(id) {
+    const watch = this.getWatch(id);
+    if (!watch) {
+      throw new Error(`Watch ${id} not found`);
+    }
+
+    const checkedAt = new Date();
+    let check;
+
+    try {
+      // Price checks always need live quotes, never cached responses
+      const quote = await ResponseCache.runWithoutCache(() => this.fetchCurrentPrice(watch));
+      check = {
+        checkedAt: checkedAt.toISOString(),
+        success: true,
+        found: quote !== null,
+        price: quote ? quote.price : null,
+        source: quote ? quote.source : null,
+        link: quote ? quote.link : null,
+        ...(quote && quote.basis ? { basis: quote.basis } : {}),
+        ...(quote && quote.reshop ? { reshop: quote.reshop } : {})
+      };
+    } catch (error) {
+      console.error(`Watch check failed for ${id}:`, error.message);
+      check = {
+        checkedAt: checkedAt.toISOString(),
+        success: false,
+        found: false,
+        price: null,
+        error: error.message
+      };
+    }
+
+    const data = this.store.load();
+    const checks = data.checks[id] || (data.checks[id] = []);
+    checks.push(check);
+    if (checks.length > MAX_CHECKS_PER_WATCH) {
+      checks.splice(0, checks.length - MAX_CHECKS_PER_WATCH);
+    }
+
+    watch.lastCheckedAt = check.checkedAt;
+    watch.nextCheckAt = new Date(checkedAt.getTime() + watch.checkIntervalMinutes * 60 * 1000).toISOString();
+
+    let alert = null;
+    if (check.price !== null) {
+      watch.lastPrice = check.price;
+      watch.lowestPrice = watch.lowestPrice === null ? check.price : Math.min(watch.lowestPrice, check.price);
+      alert = this.evaluateAlert(watch, check);
+    }
+
+    if (alert) {
+      (data.alerts[id] || (data.alerts[id] = [])).push(alert);
+      this.store.save();
+      alert.deliveries = await this.notifier.notify(alert, watch.notify);
+    }
+
+    this.store.save();
+    return { check, alert };
+  }
+
+  /**
+   * Decide whether a check should raise an alert.
+   * Only alerts again when the price beats the last alerted price,
+   * so a flat price doesn't re-notify on every check.
+   */
+  evaluateAlert(watch, check) {
+    const reasons = [];
+
+    if (watch.targetPrice && check.price <= watch.targetPrice) {
+      reasons.push('BELOW_TARGET');
+    }
+    if (watch.bookedPrice && check.price < watch.bookedPrice) {
+      reasons.push('BELOW_BOOKED');
+    }
+
+    if (reasons.length === 0) {
+      return null;
+    }
+
+    const previousAlerts = this.getAlerts(watch.id);
+    const lastAlert = previousAlerts[previousAlerts.length - 1];
+    if (lastAlert && check.price >= lastAlert.price) {
+      return null;
+    }
+
+    const savingsVsBooked = watch.bookedPrice ? Math.round((watch.bookedPrice - check.price) * 100) / 100 : null;
+    let message;
+    if (reasons.includes('BELOW_BOOKED')) {
+      message = check.reshop
+        ? `${check.reshop.description}: saves $${savingsVsBooked.toFixed(2)} vs. what you paid.`
+        : `Price dropped $${savingsVsBooked.toFixed(2)} below what you paid. Rebook or request a price adjustment.`;
+    } else {
+      message = `Price reached your target of $${watch.targetPrice.toFixed(2)}.`;
+    }
+
+    return {
+      id: `alert_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      watchId: watch.id,
+      type: watch.type,
+      label: watch.label,
+      reasons,
+      price: check.price,
+      targetPrice: watch.targetPrice,
+      bookedPrice: watch.bookedPrice,
+      savingsVsBooked,
+      message,
+      link: check.link,
+      createdAt: check.checkedAt
+    };
+  }
+
+  /**
+   * Fetch the current price for a watch from the matching search service
+   * @returns {Object|null} { price, source, link } or null when not found
+   */
+  async fetchCurrentPrice(watch) {
+    switch (watch.type) {
+      case 'hotel':
+        return this.fetchHotelPrice(watch.params);
+      case 'flight':
+        return this.fetchFlightPrice(watch.params);
+      case 'car':
+        return watch.params.reshop ? this.fetchCarReshopPrice(watch) : this.fetchCarPrice(watch.params);
+      default:
+        throw new Error(`Unsupported watch type: ${watch.type}`);
+    }
+  }
+
+  /**
+   * Hotel watches compare the whole-stay total (see getStayPrices)
+   */
+  async fetchHotelPrice(params) {
+    const results = await this.hotelAggregator.searchHotels({
+      location: params.location || 'Orlando, FL',
+      checkInDate: params.checkInDate,
+      checkOutDate: params.checkOutDate,
+      adults: params.adults || 2,
+      rooms: params.rooms || 1
+    });
+
+    const name = (params.hotelName || '').toLowerCase();
+    const hotel = results.hotels.find(h =>
+      (params.propertyId && h.propertyId === params.propertyId) ||
+      (name && (h.hotelName.toLowerCase().includes(name) || name.includes(h.hotelName.toLowerCase())))
+    );
+
+    if (!hotel) return null;
+
+    const nights = Math.max(1, Math.round((new Date(params.checkOutDate) - new Date(params.checkInDate)) / (1000 * 60 * 60 * 24)));
+    const prices = this.hotelAggregator.getStayPrices(hotel, nights);
+    if (prices.length === 0) return null;
+
+    const cheapest = prices.reduce((min, entry) => entry.price < min.price ? entry : min, prices[0]);
+    return {
+      price: cheapest.price,
+      source: cheapest.source,
+      basis: cheapest.basis,
+      link: hotel.link
+    };
+  }
+
+  async fetchFlightPrice(params) {
+    const results = await this.amadeusService.searchFlights({
+      origin: params.origin,
+      destination: params.destination || 'MCO',
+      departureDate: params.departureDate,
+      returnDate: params.returnDate,
+      adults: params.adults || 1,
+      children: params.children || 0,
+      nonStop: !!params.nonStop
+    });
+
+    const flights = params.carrierCode
+      ? results.data.filter(f => f.validatingAirlineCodes?.includes(params.carrierCode))
+      : results.data;
+
+    if (flights.length === 0) return null;
+
+    const cheapest = flights.reduce((min, f) => f.price.total < min.price.total ? f : min, flights[0]);
+    return { price: cheapest.price.total, source: 'amadeus', link: null };
+  }
+
+  /**
+   * Car watches compare the rental total (advertised daily rate x days)
+   */
+  async fetchCarPrice(params) {
+    const deals = await this.carRentalService.searchCarRentals({
+      pickupDate: params.pickupDate,
+      returnDate: params.returnDate,
+      pickupLocation: params.pickupLocation || 'MCO Airport',
+      carType: params.carType || ''
+    });
+
+    const company = (params.company || '').toLowerCase();
+    const priced = deals.filter(deal =>
+      deal.dailyRate && (!company || deal.company.toLowerCase() === company)
+    );
+
+    if (priced.length === 0) return null;
+
+    const days = Math.max(1, Math.round((new Date(params.returnDate) - new Date(params.pickupDate)) / (1000 * 60 * 60 * 24)));
+    const cheapest = priced.reduce((min, deal) => deal.dailyRate < min.dailyRate ? deal : min, priced[0]);
+
+    return {
+      price: Math.round(cheapest.dailyRate * days * 100) / 100,
+      source: cheapest.source,
+      link: cheapest.link
+    };
+  }
+
+  /**
+   * Reshop car watches are priced as the cheapest way to rent the booked car
+   * now (rebook, split rental or weekly rate)
+   */
+  async fetchCarReshopPrice(watch) {
+    const analysis = await this.carRentalService.analyzeReservation({
+      ...watch.params,
+      price: watch.bookedPrice
+    });
+
+    const cheapest = analysis.options[0];
+    if (!cheapest) return null;
+
+    return {
+      price: cheapest.total,
+      source: cheapest.type,
+      link: null,
+      reshop: {
+        type: cheapest.type,
+        description: cheapest.description,
+        caveat: cheapest.caveat,
+        contracts: cheapest.contracts
+      }
+    };
+  }
+}
+
+module.exports = WatchlistService;
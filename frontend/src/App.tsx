@@ -11,6 +11,7 @@ import InsightsPage from './pages/InsightsPage';
 import SearchPage from './pages/SearchPage';
 import HotelDealAnalyzer from './pages/HotelDealAnalyzer';
 import InsiderCodesPage from './pages/InsiderCodesPage';
+import FareCalendarPage from './pages/FareCalendarPage';
 import './App.css';
 
 function App() {
@@ -30,6 +31,7 @@ function App() {
                   <Route path="/search" element={<SearchPage />} />
                   <Route path="/analyzer" element={<HotelDealAnalyzer />} />
                   <Route path="/codes" element={<InsiderCodesPage />} />
+                  <Route path="/fare-calendar" element={<FareCalendarPage />} />
                 </Routes>
               </main>
             </div>
@@ -50,6 +50,9 @@ const Header: React.FC = () => {
             <Link to="/hotels" className="nav-link" onClick={() => setIsMenuOpen(false)}>
               Hotels
             </Link>
+            <Link to="/fare-calendar" className="nav-link" onClick={() => setIsMenuOpen(false)}>
+              Fare Calendar
+            </Link>
             <Link to="/deals" className="nav-link" onClick={() => setIsMenuOpen(false)}>
               Deals
             </Link>
@@ -1,82 +1,135 @@
-import React, { createContext, useContext, useState } from 'react';
+import React, { createContext, useCallback, useContext, useState } from 'react';
 
 interface User {
   id: string;
   email: string;
   name: string;
   preferences?: {
-    budget?: number;
+    budget?: number | null;
     favoriteDestinations?: string[];
-    travelStyle?: string;
+    travelStyle?: string | null;
   };
 }
 
 interface AuthContextType {
   user: User | null;
   isAuthenticated: boolean;
+  isLoading: boolean;
   login: (email: string, password: string) => Promise<void>;
-  logout: () => void;
-  updateUser: (userData: Partial<User>) => void;
+  register: (email: string, password: string, name?: string, preferences?: User['preferences']) => Promise<void>;
+  logout: () => Promise<void>;
+  updateUser: (userData: Partial<Pick<User, 'name' | 'preferences'>>) => Promise<void>;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
+const TOKEN_STORAGE_KEY = 'authToken';
+
 export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
   const [user, setUser] = useState<User | null>(null);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
 
-  const login = async (email: string, password: string) => {
-    // Mock login - in real app, this would call backend API
-    const mockUser: User = {
-      id: '1',
-      email,
-      name: 'Travel Enthusiast',
-      preferences: {
-        budget: 2000,
-        favoriteDestinations: ['Orlando, FL'],
-        travelStyle: 'adventure'
-      }
-    };
-    
-    setUser(mockUser);
+  const API_BASE_URL = process.env.REACT_APP_API_URL || 'https://orlando-savings-engine-production.up.railway.app';
+
+  // Call an /api/auth endpoint, sending the stored session token when present
+  const authRequest = useCallback(async (path: string, options: RequestInit = {}) => {
+    const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+
+    const response = await fetch(`${API_BASE_URL}/api/auth${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const details = Array.isArray(data.details) ? `: ${data.details.join(', ')}` : '';
+      throw new Error(`${data.error || `HTTP error! status: ${response.status}`}${details}`);
+    }
+
+    return data;
+  }, [API_BASE_URL]);
+
+  const startSession = (session: { user: User; token: string }) => {
+    localStorage.setItem(TOKEN_STORAGE_KEY, session.token);
+    setUser(session.user);
     setIsAuthenticated(true);
-    
-    // Store in localStorage for demo purposes
-    localStorage.setItem('user', JSON.stringify(mockUser));
   };
 
-  const logout = () => {
+  const clearSession = () => {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
     setUser(null);
     setIsAuthenticated(false);
-    localStorage.removeItem('user');
   };
 
-  const updateUser = (userData: Partial<User>) => {
-    if (user) {
-      const updatedUser = { ...user, ...userData };
-      setUser(updatedUser);
-      localStorage.setItem('user', JSON.stringify(updatedUser));
+  const login = async (email: string, password: string) => {
+    const data = await authRequest('/login', {
+      method: 'POST',
+      body: JSON.stringify({ email, password }),
+    });
+    startSession(data.data);
+  };
+
+  const register = async (email: string, password: string, name?: string, preferences?: User['preferences']) => {
+    const data = await authRequest('/register', {
+      method: 'POST',
+      body: JSON.stringify({ email, password, name, preferences }),
+    });
+    startSession(data.data);
+  };
+
+  const logout = async () => {
+    try {
+      await authRequest('/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+    } finally {
+      clearSession();
     }
   };
 
-  // Check for existing session on mount
+  const updateUser = async (userData: Partial<Pick<User, 'name' | 'preferences'>>) => {
+    if (!user) return;
+
+    const data = await authRequest('/me', {
+      method: 'PATCH',
+      body: JSON.stringify(userData),
+    });
+    setUser(data.data);
+  };
+
+  // Restore the session from a stored token on mount
   React.useEffect(() => {
-    const storedUser = localStorage.getItem('user');
-    if (storedUser) {
-      try {
-        const userData = JSON.parse(storedUser);
-        setUser(userData);
-        setIsAuthenticated(true);
-      } catch (error) {
-        console.error('Error parsing stored user:', error);
-      }
+    // Drop the user object the old mock login kept in localStorage
+    localStorage.removeItem('user');
+
+    if (!localStorage.getItem(TOKEN_STORAGE_KEY)) {
+      setIsLoading(false);
+      return;
     }
-  }, []);
+
+    authRequest('/me')
+      .then(data => {
+        setUser(data.data);
+        setIsAuthenticated(true);
+      })
+      .catch(error => {
+        console.error('Error restoring session:', error);
+        localStorage.removeItem(TOKEN_STORAGE_KEY);
+      })
+      .finally(() => setIsLoading(false));
+  }, [authRequest]);
 
   const value = {
     user,
     isAuthenticated,
+    isLoading,
     login,
+    register,
     logout,
     updateUser,
   };
@@ -94,4 +147,4 @@ export const useAuth = () => {
     throw new Error('useAuth must be used within an AuthProvider');
   }
   return context;
-};
\ No newline at end of file
+};
@@ -0,0 +1,361 @@
+import React, { useState } from 'react';
+import './FareCalendarPage.css';
+
+interface FarePair {
+  departureDate: string;
+  returnDate: string;
+  nights: number;
+  flightPerTraveler: number;
+  flightTotal: number;
+  currency: string;
+  hotelTotal: number | null;
+  hotelSource: 'HISTORY' | 'HISTORY_NEARBY' | 'LIVE' | null;
+  hotelBasis: 'ALL_IN' | null;
+  hotelPropertyId: string | null;
+  hotelsQuoted: number;
+  total: number | null;
+  weekOf: string;
+}
+
+interface FareCalendar {
+  origin: string;
+  destination: string;
+  month: string;
+  pairs: FarePair[];
+  byDepartureDate: { date: string; cheapest: FarePair | null; cheapestFlight: FarePair }[];
+  weeks: { weekOf: string; pairs: number; cheapest: FarePair | null }[];
+  cheapest: FarePair[];
+  cheapestFlightOnly: FarePair | null;
+  range: {
+    minTotal: number | null;
+    maxTotal: number | null;
+    minFlightTotal: number | null;
+    maxFlightTotal: number | null;
+  };
+  summary: {
+    pairsFound: number;
+    pairsWithHotel: number;
+    hotelSource: 'history' | 'live';
+    hotelPropertyId: string | null;
+    liveHotelSearches: number;
+    doorToDoorSavings: number | null;
+  };
+}
+
+type ViewMode = 'total' | 'flight';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const HOTEL_SOURCE_LABELS: Record<string, string> = {
+  HISTORY: 'Stored price for these dates',
+  HISTORY_NEARBY: 'Estimated from nearby dates',
+  LIVE: 'Live hotel search'
+};
+
+const nextMonth = () => {
+  const date = new Date();
+  date.setMonth(date.getMonth() + 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const formatCurrency = (amount: number) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    maximumFractionDigits: 0
+  }).format(amount);
+};
+
+const formatDate = (date: string) => {
+  return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+// Green (cheapest) to red (most expensive)
+const heatColor = (value: number, min: number, max: number) => {
+  const ratio = max > min ? (value - min) / (max - min) : 0;
+  return `hsl(${Math.round(120 - ratio * 120)}, 65%, 80%)`;
+};
+
+const FareCalendarPage: React.FC = () => {
+  const [origin, setOrigin] = useState('');
+  const [month, setMonth] = useState(nextMonth());
+  const [minNights, setMinNights] = useState(3);
+  const [maxNights, setMaxNights] = useState(7);
+  const [adults, setAdults] = useState(2);
+  const [children, setChildren] = useState(0);
+  const [hotelSource, setHotelSource] = useState<'history' | 'live'>('history');
+  const [viewMode, setViewMode] = useState<ViewMode>('total');
+  const [calendar, setCalendar] = useState<FareCalendar | null>(null);
+  const [selectedDate, setSelectedDate] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const searchCalendar = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!origin.trim()) return;
+
+    setIsLoading(true);
+    setError(null);
+    setCalendar(null);
+    setSelectedDate(null);
+
+    try {
+      const params = new URLSearchParams({
+        origin: origin.trim().toUpperCase(),
+        month,
+        min_nights: String(minNights),
+        max_nights: String(maxNights),
+        adults: String(adults),
+        children: String(children),
+        hotel_source: hotelSource
+      });
+      const response = await fetch(
+        `${process.env.REACT_APP_API_URL || 'https://orlando-savings-engine-production.up.railway.app'}/api/amadeus/flights/fare-calendar?${params}`
+      );
+
+      const data = await response.json();
+      if (data.success) {
+        setCalendar(data.data);
+      } else {
+        setError(data.details ? data.details.join('. ') : data.error);
+      }
+    } catch (error) {
+      console.error('Fare calendar error:', error);
+      setError('Could not load the fare calendar. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const valueFor = (day: FareCalendar['byDepartureDate'][number]) => {
+    return viewMode === 'total' ? day.cheapest?.total ?? null : day.cheapestFlight.flightTotal;
+  };
+
+  const renderMonth = (data: FareCalendar) => {
+    const [year, monthIndex] = data.month.split('-').map(Number);
+    const daysInMonth = new Date(year, monthIndex, 0).getDate();
+    // Monday-first offset of the 1st
+    const offset = (new Date(year, monthIndex - 1, 1).getDay() + 6) % 7;
+    const byDate = new Map(data.byDepartureDate.map(day => [day.date, day]));
+
+    const min = viewMode === 'total' ? data.range.minTotal : data.range.minFlightTotal;
+    const max = viewMode === 'total' ? data.range.maxTotal : data.range.maxFlightTotal;
+
+    const cells: React.ReactElement[] = [];
+    for (let blank = 0; blank < offset; blank++) {
+      cells.push(<div key={`blank-${blank}`} className="calendar-cell empty" />);
+    }
+    for (let dayOfMonth = 1; dayOfMonth <= daysInMonth; dayOfMonth++) {
+      const date = `${data.month}-${String(dayOfMonth).padStart(2, '0')}`;
+      const day = byDate.get(date);
+      const value = day ? valueFor(day) : null;
+      const hasValue = value !== null && min !== null && max !== null;
+
+      cells.push(
+        <button
+          key={date}
+          type="button"
+          className={`calendar-cell ${hasValue ? 'priced' : 'no-fare'} ${selectedDate === date ? 'selected' : ''}`}
+          style={hasValue ? { background: heatColor(value as number, min as number, max as number) } : undefined}
+          onClick={() => day && setSelectedDate(date)}
+          disabled={!day}
+        >
+          <span className="day-number">{dayOfMonth}</span>
+          {hasValue && <span className="day-price">{formatCurrency(value as number)}</span>}
+          {day && !hasValue && <span className="day-note">No hotel price</span>}
+        </button>
+      );
+    }
+
+    return (
+      <div className="calendar-grid">
+        {WEEKDAYS.map(weekday => (
+          <div key={weekday} className="calendar-weekday">{weekday}</div>
+        ))}
+        {cells}
+      </div>
+    );
+  };
+
+  const renderPair = (pair: FarePair) => (
+    <div key={`${pair.departureDate}-${pair.returnDate}`} className="pair-row">
+      <div className="pair-dates">
+        <strong>{formatDate(pair.departureDate)} – {formatDate(pair.returnDate)}</strong>
+        <span>{pair.nights} nights</span>
+      </div>
+      <div className="pair-costs">
+        <span>✈️ {formatCurrency(pair.flightTotal)}</span>
+        <span>
+          🏨 {pair.hotelTotal !== null ? formatCurrency(pair.hotelTotal) : '—'}
+          {pair.hotelSource && <small title={HOTEL_SOURCE_LABELS[pair.hotelSource]}> ({pair.hotelSource === 'LIVE' ? 'live' : 'est.'})</small>}
+        </span>
+        <span className="pair-total">{pair.total !== null ? formatCurrency(pair.total) : 'Flight only'}</span>
+      </div>
+    </div>
+  );
+
+  const selectedPairs = calendar && selectedDate
+    ? calendar.pairs.filter(pair => pair.departureDate === selectedDate)
+    : [];
+
+  return (
+    <div className="fare-calendar-page">
+      <div className="fare-calendar-container">
+        <h1>Fare Calendar</h1>
+        <p className="subtitle">Flights to Orlando plus the hotel for the same nights, so you can see the cheapest week for the whole trip</p>
+
+        <form className="search-form" onSubmit={searchCalendar}>
+          <div className="form-row">
+            <div className="form-group">
+              <label>From (airport code)</label>
+              <input
+                type="text"
+                value={origin}
+                onChange={(e) => setOrigin(e.target.value)}
+                placeholder="e.g. JFK"
+                maxLength={3}
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label>Month</label>
+              <input type="month" value={month} onChange={(e) => setMonth(e.target.value)} required />
+            </div>
+
+            <div className="form-group">
+              <label>Nights</label>
+              <div className="nights-inputs">
+                <select value={minNights} onChange={(e) => setMinNights(parseInt(e.target.value))}>
+                  {Array.from({ length: 15 }, (_, i) => i + 1).map(num => (
+                    <option key={num} value={num}>{num}</option>
+                  ))}
+                </select>
+                <span>to</span>
+                <select value={maxNights} onChange={(e) => setMaxNights(parseInt(e.target.value))}>
+                  {Array.from({ length: 15 }, (_, i) => i + 1).map(num => (
+                    <option key={num} value={num}>{num}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label>Adults</label>
+              <select value={adults} onChange={(e) => setAdults(parseInt(e.target.value))}>
+                {[1, 2, 3, 4, 5, 6].map(num => (
+                  <option key={num} value={num}>{num}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label>Children</label>
+              <select value={children} onChange={(e) => setChildren(parseInt(e.target.value))}>
+                {[0, 1, 2, 3, 4, 5].map(num => (
+                  <option key={num} value={num}>{num}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label>Hotel prices</label>
+              <select value={hotelSource} onChange={(e) => setHotelSource(e.target.value as 'history' | 'live')}>
+                <option value="history">Price history (fast)</option>
+                <option value="live">Live for the cheapest flights</option>
+              </select>
+            </div>
+
+            <button type="submit" className="search-button" disabled={isLoading}>
+              {isLoading ? 'Building calendar...' : 'Show Calendar'}
+            </button>
+          </div>
+        </form>
+
+        {error && <div className="calendar-error">{error}</div>}
+
+        {isLoading && (
+          <div className="results">
+            <div className="loading">
+              <div className="spinner"></div>
+              <p>Pricing every flight and hotel combination...</p>
+            </div>
+          </div>
+        )}
+
+        {calendar && (
+          <div className="results">
+            <div className="calendar-header">
+              <div>
+                <h2>{calendar.origin} → {calendar.destination}</h2>
+                <p>{calendar.summary.pairsFound} date pairs, {calendar.summary.pairsWithHotel} with a hotel price{calendar.summary.hotelPropertyId && ` (all-in, ${calendar.summary.hotelPropertyId})`}</p>
+              </div>
+              <div className="view-toggle">
+                <button
+                  type="button"
+                  className={viewMode === 'total' ? 'active' : ''}
+                  onClick={() => setViewMode('total')}
+                >
+                  Flight + Hotel
+                </button>
+                <button
+                  type="button"
+                  className={viewMode === 'flight' ? 'active' : ''}
+                  onClick={() => setViewMode('flight')}
+                >
+                  Flights only
+                </button>
+              </div>
+            </div>
+
+            {calendar.summary.doorToDoorSavings !== null && calendar.summary.doorToDoorSavings > 0 && calendar.cheapestFlightOnly && (
+              <div className="savings-callout">
+                💡 The cheapest flight ({formatDate(calendar.cheapestFlightOnly.departureDate)}) isn't the cheapest trip.
+                Going on {formatDate(calendar.cheapest[0].departureDate)} saves {formatCurrency(calendar.summary.doorToDoorSavings)} once the hotel is added.
+              </div>
+            )}
+
+            {renderMonth(calendar)}
+
+            <div className="calendar-legend">
+              <span>Cheaper</span>
+              <div className="legend-bar" />
+              <span>Pricier</span>
+              <small>Cheapest {viewMode === 'total' ? 'flight + hotel' : 'flight'} total for the party, by departure day</small>
+            </div>
+
+            {selectedDate && (
+              <div className="calendar-section">
+                <h3>Leaving {formatDate(selectedDate)}</h3>
+                {selectedPairs.map(renderPair)}
+              </div>
+            )}
+
+            <div className="calendar-columns">
+              <div className="calendar-section">
+                <h3>Cheapest trips</h3>
+                {calendar.cheapest.length > 0
+                  ? calendar.cheapest.map(renderPair)
+                  : <p className="empty-note">No hotel prices yet for this month. Try live hotel prices.</p>}
+              </div>
+
+              <div className="calendar-section">
+                <h3>By week</h3>
+                {calendar.weeks.map(week => (
+                  <div key={week.weekOf} className="week-row">
+                    <span>Week of {formatDate(week.weekOf)}</span>
+                    <span className="week-total">
+                      {week.cheapest && week.cheapest.total !== null ? `from ${formatCurrency(week.cheapest.total)}` : '—'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FareCalendarPage;